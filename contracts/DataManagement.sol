@@ -5,7 +5,10 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "./Interfaces/IIdentityToken.sol";
+import "./Interfaces/ISponsorRegistry.sol";
+import "./RelayRecipient.sol";
 
 /**
  * @title Data & permission management 
@@ -13,7 +16,7 @@ import "./Interfaces/IIdentityToken.sol";
  * It allows a caller to request specific data access by taking data owner's signature 
  * as permission.
 */
-contract DataManagement is Context, AccessControl, EIP712, Pausable {
+contract DataManagement is Context, AccessControl, EIP712, Pausable, RelayRecipient {
     
     // Role that perform pause/unpause operations
     bytes32 public constant PAUSER_ROLE = keccak256('PAUSER_ROLE');
@@ -29,13 +32,57 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         "Permission(address dataowner,uint256 requesterId,bytes dhash,uint256 productId,uint256 nonce,uint256 expiration)"
     );
 
+    bytes32 public constant BATCH_DATA_SUBMISSION_TYPE_HASH = keccak256(
+        "BatchDataSubmission(address signer,bytes[] dhashes,uint256 nonce)"
+    );
+
+    bytes32 public constant BATCH_PERMISSION_TYPE_HASH = keccak256(
+        "BatchPermission(address dataowner,uint256 requesterId,bytes[] dhashes,uint256 productId,uint256 nonce,uint256 expiration)"
+    );
+
+    bytes32 public constant DATASET_PERMISSION_TYPE_HASH = keccak256(
+        "DatasetPermission(address dataowner,uint256 requesterId,bytes32 root,uint256 productId,uint256 nonce,uint256 expiration)"
+    );
+
+    bytes32 public constant REVOCATION_TYPE_HASH = keccak256(
+        "Revocation(address dataowner,bytes dhash,uint256 productId,uint256 nonce)"
+    );
+
     enum PermissionState {
         NotPermitted,
-        Permitted
+        Permitted,
+        Revoked,
+        Expired // never stored, Permitted past its deadline
+    }
+
+    // What happens to the data of an identity after it is burned
+    enum DataRetention {
+        Active,     // identity not burned
+        Kept,       // data hashes stay, orphaned
+        Tombstoned  // data hashes are no longer linked to the identity
+    }
+
+    // Access granted on a data hash for a specific product
+    struct PermissionRecord {
+        uint256 requesterId;
+        uint256 productUID;
+        uint256 deadline;
+        PermissionState state;
+    }
+
+    // Access granted on a Merkle root of data hashes for a specific product
+    struct DatasetPermission {
+        uint256 dataOwnerId;
+        uint256 requesterId;
+        uint256 deadline;
+        PermissionState state;
     }
 
     IIdentityToken private _identityToken;
 
+    // Sponsor quotas & suspension, disabled when not set
+    ISponsorRegistry private _sponsorRegistry;
+
     // Array to store all data hashes
     bytes[] private _dataHashes;
 
@@ -54,6 +101,18 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
     // Mapping from data hash to nextProductUID to permission deadline
     mapping(bytes => mapping(uint256 => uint256)) private dataToProductToExpiry;
 
+    // Mapping from data hash to permission records
+    mapping(bytes => PermissionRecord[]) private dataToPermissions;
+
+    // Mapping from data hash to nextProductUID to (record index + 1), 0 if no record
+    mapping(bytes => mapping(uint256 => uint256)) private dataToProductToRecord;
+
+    // Mapping from identity token to retention of its data, set when the identity is burned
+    mapping(uint256 => DataRetention) private ownerToRetention;
+
+    // Mapping from Merkle root to nextProductUID to dataset permission
+    mapping(bytes32 => mapping(uint256 => DatasetPermission)) private rootToProductPermission;
+
     // Mapping to keep track of used withdrawal messages
     mapping(bytes32 => bool) private _usedMessage;  
 
@@ -74,6 +133,47 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         bytes32 permissionHash
     );
 
+    /**
+     * @dev Emitted when a data owner withdraws consent for a product
+    */
+    event PermissionRevoked(
+        uint256 indexed dataOwnerId,
+        uint256 productUID,
+        bytes dataHash
+    );
+
+    /**
+     * @dev Emitted when permission is granted on a Merkle root of data hashes
+    */
+    event DatasetPermissionGranted(
+        uint256 indexed dataOwnerId,
+        uint256 requesterId,
+        uint256 nextProductUID,
+        bytes32 root
+    );
+
+    /**
+     * @dev Emitted when a data owner withdraws consent on a Merkle root
+    */
+    event DatasetPermissionRevoked(
+        uint256 indexed dataOwnerId,
+        uint256 productUID,
+        bytes32 root
+    );
+
+    /**
+     * @dev Emitted when admin sets (or removes) the sponsor registry
+    */
+    event SponsorRegistryUpdated(address sponsorRegistry);
+
+    /**
+     * @dev Emitted when the identity of a data owner is burned
+    */
+    event OwnerDataReleased(
+        uint256 indexed dataOwnerId,
+        bool tombstoned
+    );
+
     constructor(
         string memory name,
         string memory version,
@@ -114,7 +214,39 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         _checkNonZeroAddr(signer);
         _isRegistered(signer);
         _isValidSignature(signature, signer, dHash, nonce);
-        _submitData(signer, dHash);
+        _useDataQuota(1);
+        _submitData(signer, _identityToken.getOwnerIdentity(signer), dHash);
+    }
+
+    /**
+     * @notice Submit many data hashes of one data owner in a single transaction
+     * @dev Data owner signs once over the whole list (EIP-712 bytes[])
+     * @param signer data owner address
+     * @param signature signer's signature over (signer, dHashes, nonce)
+     * @param dHashes data hashes, keep the list small enough to fit in a block
+     * @param nonce A unique number to prevent replay attacks
+    */
+    function submitDataBatch(
+        address signer,
+        bytes memory signature,
+        bytes[] memory dHashes,
+        uint256 nonce
+    )
+        external
+        whenNotPaused
+        onlyRole(SPONSOR_ROLE)
+    {
+        _checkNonZeroAddr(signer);
+        _isRegistered(signer);
+        _checkNonEmptyBatch(dHashes);
+        _isValidBatchSignature(signature, signer, dHashes, nonce);
+        _useDataQuota(dHashes.length);
+
+        uint256 tokenId = _identityToken.getOwnerIdentity(signer);
+        uint256 dHashesLength = dHashes.length;
+        for (uint256 i = 0; i < dHashesLength; i++) {
+            _submitData(signer, tokenId, dHashes[i]);
+        }
     }
 
     //--------- Step 3: Get Permission By requester to access data ---------------------
@@ -159,7 +291,7 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         );
 
         _getPermission(
-            signer,
+            _identityToken.getOwnerIdentity(signer),
             dHash,
             requesterId,
             nextProductUID,
@@ -167,6 +299,218 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         );
     }
 
+    /**
+     * @notice Get permission on many data hashes of one data owner for a product
+     * @dev Requester should be a registered identity. Data owner signs once over the whole list
+     * @param signer Data owner address
+     * @param signature Data owner's signature
+     * @param dHashes Data hashes, all owned by signer
+     * @param nextProductUID General product ID used by requester (Lab)
+     * @param nonce A unique number to prevent replay attacks
+     * @param expiration A deadline
+    */
+    function getPermissionBatch(
+        address signer,
+        bytes memory signature,
+        bytes[] memory dHashes,
+        uint256 nextProductUID,
+        uint256 nonce,
+        uint256 expiration
+    ) 
+        external 
+        whenNotPaused 
+    {
+        _checkNonZeroAddr(signer);
+        _isRegistered(signer);
+        _isRegistered(_msgSender());
+        _checkNonEmptyBatch(dHashes);
+
+        uint256 requesterId = _identityToken.getOwnerIdentity(_msgSender());
+        uint256 dataOwnerId = _identityToken.getOwnerIdentity(signer);
+        uint256 dHashesLength = dHashes.length;
+        for (uint256 i = 0; i < dHashesLength; i++) {
+            require(dataToOwner[dHashes[i]] == dataOwnerId, "REJUVE: Not a Data Owner");
+        }
+
+        _isValidBatchPermissionSign(
+            signature,
+            signer,
+            requesterId,
+            dHashes,
+            nextProductUID,
+            nonce,
+            expiration
+        );
+
+        for (uint256 i = 0; i < dHashesLength; i++) {
+            _getPermission(
+                dataOwnerId,
+                dHashes[i],
+                requesterId,
+                nextProductUID,
+                expiration
+            );
+        }
+    }
+
+    /**
+     * @notice Get permission on a whole dataset of one data owner for a product
+     * @dev Data owner signs a Merkle root of data hashes (see datasetLeaf for the leaf encoding).
+     * Ownership of each hash is checked when ProductNFT links it with a proof
+     * @dev A live grant of the root & product UID can only be renewed by the same
+     * data owner & requester
+     * @param signer Data owner address
+     * @param signature Data owner's signature
+     * @param root Merkle root of the data hashes
+     * @param nextProductUID General product ID used by requester (Lab)
+     * @param nonce A unique number to prevent replay attacks
+     * @param expiration A deadline
+    */
+    function getDatasetPermission(
+        address signer,
+        bytes memory signature,
+        bytes32 root,
+        uint256 nextProductUID,
+        uint256 nonce,
+        uint256 expiration
+    ) 
+        external 
+        whenNotPaused 
+    {
+        _checkNonZeroAddr(signer);
+        _isRegistered(signer);
+        _isRegistered(_msgSender());
+        require(root != bytes32(0), "REJUVE: Empty root");
+
+        uint256 requesterId = _identityToken.getOwnerIdentity(_msgSender());
+        _isValidDatasetPermissionSign(
+            signature,
+            signer,
+            requesterId,
+            root,
+            nextProductUID,
+            nonce,
+            expiration
+        );
+
+        uint256 dataOwnerId = _identityToken.getOwnerIdentity(signer);
+        DatasetPermission storage current = rootToProductPermission[root][nextProductUID];
+        require(
+            _datasetState(current) != PermissionState.Permitted ||
+            (current.dataOwnerId == dataOwnerId && current.requesterId == requesterId),
+            "REJUVE: Dataset Already Permitted"
+        );
+        rootToProductPermission[root][nextProductUID] = DatasetPermission(
+            dataOwnerId,
+            requesterId,
+            _calculateDeadline(expiration),
+            PermissionState.Permitted
+        );
+
+        emit DatasetPermissionGranted(dataOwnerId, requesterId, nextProductUID, root);
+    }
+
+    //--------- Consent withdrawal by data owner ---------------------
+
+    /**
+     * @notice Data owner withdraws a permission granted for a product
+     * @dev Revocation only affects future use: the data hash can no longer be
+     * linked by ProductNFT (createProduct / linkNewData) for this product UID.
+     * Data already linked stays linked and shards minted (or due at initial
+     * distribution) for it are not clawed back, as they may have been traded.
+     * A new getPermission call with a fresh owner signature permits it again.
+     * Consent can be withdrawn once the owner KYC is expired: only holding
+     * the identity is required.
+     * @param dHash Data hash
+     * @param productUID Product UID the permission was granted for
+    */
+    function revokePermission(
+        bytes memory dHash,
+        uint256 productUID
+    ) 
+        external 
+        whenNotPaused 
+    {
+        _holdsIdentity(_msgSender());
+        _revokePermission(_msgSender(), dHash, productUID);
+    }
+
+    /**
+     * @notice Allow rejuve/sponsor to revoke a permission on the behalf of data owner
+     * @dev See {revokePermission}
+     * @param signer Data owner address
+     * @param signature Data owner's signature
+     * @param dHash Data hash
+     * @param productUID Product UID the permission was granted for
+     * @param nonce A unique number to prevent replay attacks
+    */
+    function revokePermissionBySig(
+        address signer,
+        bytes memory signature,
+        bytes memory dHash,
+        uint256 productUID,
+        uint256 nonce
+    ) 
+        external 
+        whenNotPaused 
+        onlyRole(SPONSOR_ROLE)
+    {
+        _checkNonZeroAddr(signer);
+        _holdsIdentity(signer);
+        _isValidRevocationSign(signature, signer, dHash, productUID, nonce);
+        if (address(_sponsorRegistry) != address(0)) {
+            _sponsorRegistry.checkSponsor(_msgSender());
+        }
+        _revokePermission(signer, dHash, productUID);
+    }
+
+    /**
+     * @notice Data owner withdraws a dataset permission granted for a product
+     * @dev Same policy as {revokePermission}
+    */
+    function revokeDatasetPermission(
+        bytes32 root,
+        uint256 productUID
+    ) 
+        external 
+        whenNotPaused 
+    {
+        _holdsIdentity(_msgSender());
+        DatasetPermission storage permission = rootToProductPermission[root][productUID];
+        uint256 dataOwnerId = _identityToken.getOwnerIdentity(_msgSender());
+        require(permission.dataOwnerId == dataOwnerId, "REJUVE: Not a Data Owner");
+        require(
+            _datasetState(permission) == PermissionState.Permitted,
+            "REJUVE: Not Permitted"
+        );
+
+        permission.state = PermissionState.Revoked;
+        permission.deadline = block.timestamp;
+
+        emit DatasetPermissionRevoked(dataOwnerId, productUID, root);
+    }
+
+    //--------- Identity burn ---------------------
+
+    /**
+     * @notice Called by IdentityToken when an identity is burned
+     * @dev Nothing is iterated: permissions of the identity are reported as revoked,
+     * its data as orphaned (or tombstoned) by the views, and ProductNFT refuses to link it.
+     * Data already linked to products & minted shards are kept (same policy as revocation)
+     * @param tokenId burned identity token
+     * @param tombstoneData true to unlink data hashes from the identity, false to keep them
+    */
+    function onIdentityBurned(
+        uint256 tokenId,
+        bool tombstoneData
+    ) 
+        external 
+    {
+        require(_msgSender() == address(_identityToken), "REJUVE: Only Identity Token");
+        ownerToRetention[tokenId] = tombstoneData ? DataRetention.Tombstoned : DataRetention.Kept;
+        emit OwnerDataReleased(tokenId, tombstoneData);
+    }
+
     //--------------------- OWNER FUNCTIONS --------------------------------//
     /**
      * @dev Triggers stopped state.
@@ -183,6 +527,23 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         _unpause();
     }
 
+    /**
+     * @notice Set the sponsor registry used for sponsor quotas & suspension
+     * @dev Zero address disables quotas
+     */
+    function setSponsorRegistry(address sponsorRegistry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _sponsorRegistry = ISponsorRegistry(sponsorRegistry);
+        emit SponsorRegistryUpdated(sponsorRegistry);
+    }
+
+    /**
+     * @notice Set the ERC-2771 forwarder relaying requester (lab) calls
+     * @dev Zero address disables meta-transactions
+     */
+    function setTrustedForwarder(address forwarder) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setTrustedForwarder(forwarder);
+    }
+
     //----------------------- OTHER SPPORTIVE VIEWS ---------------------------//
 
     /**
@@ -193,24 +554,168 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         uint256 tokenId,
         uint256 index
     ) external view returns (bytes memory) {
+        require(
+            ownerToRetention[tokenId] != DataRetention.Tombstoned,
+            "REJUVE: Data Tombstoned"
+        );
         uint256 dataIndex = ownerToDataIndexes[tokenId][index];
         return _dataHashes[dataIndex];
     }
 
+    /**
+     * @return number of data hashes submitted by an identity (0 once tombstoned)
+     */
+    function getDataCount(uint256 tokenId) external view returns (uint256) {
+        return _dataIndexes(tokenId).length;
+    }
+
+    /**
+     * @notice Page of data hashes submitted by an identity
+     * @param offset index of the first data hash
+     * @param limit max number of data hashes returned
+     * @return dataHashes page (empty if offset is out of range) and total count
+     */
+    function getDataHashes(
+        uint256 tokenId,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (bytes[] memory dataHashes, uint256 total) {
+        uint256[] storage indexes = _dataIndexes(tokenId);
+        total = indexes.length;
+        uint256 size = _pageSize(total, offset, limit);
+        dataHashes = new bytes[](size);
+        for (uint256 i = 0; i < size; i++) {
+            dataHashes[i] = _dataHashes[indexes[offset + i]];
+        }
+    }
+
+    /**
+     * @return number of permission records (one per product UID) of a data hash
+     */
+    function getPermissionCount(bytes memory dHash) external view returns (uint256) {
+        return dataToPermissions[dHash].length;
+    }
+
+    /**
+     * @notice Page of permission records (requester ID, product UID, deadline) of a data hash
+     * @param offset index of the first record
+     * @param limit max number of records returned
+     * @return records page (empty if offset is out of range) and total count
+     */
+    function getPermissions(
+        bytes memory dHash,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (PermissionRecord[] memory records, uint256 total) {
+        PermissionRecord[] storage permissions = dataToPermissions[dHash];
+        total = permissions.length;
+        uint256 size = _pageSize(total, offset, limit);
+        records = new PermissionRecord[](size);
+        for (uint256 i = 0; i < size; i++) {
+            records[i] = permissions[offset + i];
+            records[i].state = _permissionState(dHash, records[i].productUID);
+        }
+    }
+
     /**
      * @notice permission status of a datahash for a product UID
-     * @return uint8 0 for not-permitted and 1 for permitted
+     * @return uint8 0 for not-permitted, 1 for permitted, 2 for revoked and 3 for expired
      */
     function getPermissionStatus(
         bytes memory dHash,
         uint256 productUID
     ) external view returns (uint8) {
-        return uint8(dataToProductPermission[dHash][productUID]);
+        return uint8(_permissionState(dHash, productUID));
+    }
+
+    /**
+     * @notice Dataset permission of a Merkle root for a product UID
+     * @return DatasetPermission (data owner ID, requester ID, deadline, state)
+     */
+    function getDatasetPermissionInfo(
+        bytes32 root,
+        uint256 productUID
+    ) external view returns (DatasetPermission memory) {
+        DatasetPermission memory permission = rootToProductPermission[root][productUID];
+        permission.state = _datasetState(permission);
+        return permission;
+    }
+
+    /**
+     * @return Identity token ID of the requester (Lab) of a dataset permission
+     */
+    function getDatasetRequesterId(
+        bytes32 root,
+        uint256 productUID
+    ) external view returns (uint256) {
+        return rootToProductPermission[root][productUID].requesterId;
+    }
+
+    /**
+     * @notice Check data hashes against a dataset permission
+     * @dev Reverts if the list is empty, if the multi-proof does not match the
+     * root or if a data hash does not belong to the dataset owner
+     * @param dataHashes leaves in the order expected by the multi-proof
+     * @param proof, proofFlags OpenZeppelin MerkleProof multi-proof
+     * @return uint8 0 for not-permitted, 1 for permitted, 2 for revoked and 3 for expired
+     */
+    function verifyDatasetData(
+        bytes32 root,
+        uint256 productUID,
+        bytes[] memory dataHashes,
+        bytes32[] memory proof,
+        bool[] memory proofFlags
+    ) external view returns (uint8) {
+        // an empty list verifies against any root with proof = [root]
+        _checkNonEmptyBatch(dataHashes);
+        uint256 dataHashesLength = dataHashes.length;
+        bytes32[] memory leaves = new bytes32[](dataHashesLength);
+        for (uint256 i = 0; i < dataHashesLength; i++) {
+            leaves[i] = datasetLeaf(dataHashes[i]);
+        }
+        require(
+            MerkleProof.multiProofVerify(proof, proofFlags, root, leaves),
+            "REJUVE: Invalid Merkle Proof"
+        );
+
+        DatasetPermission storage permission = rootToProductPermission[root][productUID];
+        for (uint256 i = 0; i < dataHashesLength; i++) {
+            require(
+                dataToOwner[dataHashes[i]] == permission.dataOwnerId,
+                "REJUVE: Not a Data Owner"
+            );
+        }
+        return uint8(_datasetState(permission));
     }
 
-    // Return data owner identity token ID
+    // Return data owner identity token ID, 0 once tombstoned
     function getDataOwnerId(bytes memory dHash) external view returns (uint256) {
-        return dataToOwner[dHash];
+        uint256 dataOwnerId = dataToOwner[dHash];
+        if (ownerToRetention[dataOwnerId] == DataRetention.Tombstoned) {
+            return 0;
+        }
+        return dataOwnerId;
+    }
+
+    /**
+     * @return sponsor registry (zero address if quotas are disabled)
+     */
+    function getSponsorRegistry() external view returns (address) {
+        return address(_sponsorRegistry);
+    }
+
+    /**
+     * @return true if the identity that submitted the data hash was burned
+     */
+    function isOrphanedData(bytes memory dHash) external view returns (bool) {
+        return ownerToRetention[dataToOwner[dHash]] != DataRetention.Active;
+    }
+
+    /**
+     * @return uint8 0 for active identity, 1 for burned with data kept and 2 for burned with data tombstoned
+     */
+    function getDataRetention(uint256 tokenId) external view returns (uint8) {
+        return uint8(ownerToRetention[tokenId]);
     }
 
     /** @notice A Data hash is allowed to be used in a product for a specific time (deadline)
@@ -230,8 +735,25 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         return ownerToPermissions[_identityToken.getOwnerIdentity(owner)];
     }
 
+    /**
+     * @notice Replay status of a signed data submission or permission message
+     * @param structHash keccak256(abi.encode(TYPE_HASH, ...)) before domain hashing
+     * @return true if the message was already used
+     */
+    function isMessageUsed(bytes32 structHash) external view returns (bool) {
+        return _usedMessage[structHash];
+    }
+
     // -------------------- Public ---------------------//
 
+    /**
+     * @notice Merkle leaf of a data hash: keccak256(keccak256(abi.encode(dHash)))
+     * @dev Double hashing prevents second preimage attacks with inner nodes
+     */
+    function datasetLeaf(bytes memory dHash) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(dHash))));
+    }
+
     /**
      * @dev See {IERC165-supportsInterface}
      */
@@ -248,6 +770,20 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         return super.supportsInterface(interfaceId);
     }
 
+    //------------------------ ERC-2771 CONTEXT -----------------------------//
+
+    function _msgSender() internal view override(Context, RelayRecipient) returns (address) {
+        return RelayRecipient._msgSender();
+    }
+
+    function _msgData() internal view override(Context, RelayRecipient) returns (bytes calldata) {
+        return RelayRecipient._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, RelayRecipient) returns (uint256) {
+        return RelayRecipient._contextSuffixLength();
+    }
+
     //------------------------ PRIVATE FUNCTIONS -----------------------------//
 
     /**
@@ -255,10 +791,9 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
      * - Link index of data hash to user identity
      * - Save owner againt data
      */
-    function _submitData(address dataOwner, bytes memory dHash) private {
+    function _submitData(address dataOwner, uint256 tokenId, bytes memory dHash) private {
         _dataHashes.push(dHash);
         uint256 index = _dataHashes.length - 1;
-        uint256 tokenId = _identityToken.getOwnerIdentity(dataOwner);
         ownerToDataIndexes[tokenId].push(index);
         dataToOwner[dHash] = tokenId;
 
@@ -272,7 +807,7 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
      * - Mark data as "permitted" to be used in a general/next product
      */
     function _getPermission(
-        address dataOwner,
+        uint256 dataOwnerId,
         bytes memory dHash,
         uint256 requesterId,
         uint256 nextProductUID,
@@ -283,13 +818,18 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
             dHash,
             nextProductUID
         );
-        uint256 dataOwnerId = _identityToken.getOwnerIdentity(dataOwner);
         ownerToPermissions[dataOwnerId].push(permissionHash); // save all permissions hashes
         dataToProductPermission[dHash][nextProductUID] = PermissionState
             .Permitted;
         dataToProductToExpiry[dHash][nextProductUID] = _calculateDeadline(
             expiration
         );
+        _savePermissionRecord(
+            dHash,
+            requesterId,
+            nextProductUID,
+            dataToProductToExpiry[dHash][nextProductUID]
+        );
 
         emit PermissionGranted(
             dataOwnerId,
@@ -300,6 +840,59 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         );
     }
 
+    /**
+     * @dev Keep one record per (data hash, product UID); a new grant for
+     * the same product overwrites requester & deadline
+     */
+    function _savePermissionRecord(
+        bytes memory dHash,
+        uint256 requesterId,
+        uint256 nextProductUID,
+        uint256 deadline
+    ) private {
+        uint256 recordIndex = dataToProductToRecord[dHash][nextProductUID];
+        if (recordIndex == 0) {
+            dataToPermissions[dHash].push(
+                PermissionRecord(requesterId, nextProductUID, deadline, PermissionState.Permitted)
+            );
+            dataToProductToRecord[dHash][nextProductUID] = dataToPermissions[dHash].length;
+        } else {
+            PermissionRecord storage record = dataToPermissions[dHash][recordIndex - 1];
+            record.requesterId = requesterId;
+            record.deadline = deadline;
+            record.state = PermissionState.Permitted;
+        }
+    }
+
+    /**
+     * @dev Private function to revoke permission
+     * - Mark data as "revoked" for the product
+     * - End permission deadline now
+     */
+    function _revokePermission(
+        address dataOwner,
+        bytes memory dHash,
+        uint256 productUID
+    ) private {
+        uint256 dataOwnerId = _identityToken.getOwnerIdentity(dataOwner);
+        require(dataToOwner[dHash] == dataOwnerId, "REJUVE: Not a Data Owner");
+        require(
+            _permissionState(dHash, productUID) == PermissionState.Permitted,
+            "REJUVE: Not Permitted"
+        );
+
+        dataToProductPermission[dHash][productUID] = PermissionState.Revoked;
+        dataToProductToExpiry[dHash][productUID] = block.timestamp;
+
+        PermissionRecord storage record = dataToPermissions[dHash][
+            dataToProductToRecord[dHash][productUID] - 1
+        ];
+        record.deadline = block.timestamp;
+        record.state = PermissionState.Revoked;
+
+        emit PermissionRevoked(dataOwnerId, productUID, dHash);
+    }
+
     /**
      * @dev Pre-validations before data access permission
      * - check if caller is provided correct data owner
@@ -369,6 +962,140 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         _usedMessage[digest] = true;
     }
 
+    function _isValidBatchSignature(
+        bytes memory signature,
+        address signer,
+        bytes[] memory dhashes,
+        uint256 nonce
+    ) 
+        private
+    {
+        bytes32 digest =  keccak256(abi.encode(
+            BATCH_DATA_SUBMISSION_TYPE_HASH,
+            signer,
+            _hashDataHashes(dhashes),
+            nonce
+        ));
+        
+        require(
+            !_usedMessage[digest], 
+            "REJUVE: Already used id"
+        );
+
+        address recoveredSigner = _getSigner(_hashTypedDataV4(digest), signature); 
+
+        require(
+            recoveredSigner == signer,
+            "REJUVE: Invalid user signature"
+        );   
+
+        _usedMessage[digest] = true;
+    }
+
+    function _isValidBatchPermissionSign(
+        bytes memory signature,
+        address signer,
+        uint256 requesterId,
+        bytes[] memory dhashes,
+        uint256 nextProductUID,
+        uint256 nonce,
+        uint256 expiration
+    ) 
+        private
+    {
+        bytes32 digest =  keccak256(abi.encode(
+            BATCH_PERMISSION_TYPE_HASH,
+            signer,
+            requesterId,
+            _hashDataHashes(dhashes),
+            nextProductUID,
+            nonce,
+            expiration
+        ));
+        
+        require(
+            !_usedMessage[digest], 
+            "REJUVE: Already used id"
+        );
+
+        address recoveredSigner = _getSigner(_hashTypedDataV4(digest), signature); 
+
+        require(
+            recoveredSigner == signer,
+            "REJUVE: Invalid user signature"
+        );   
+
+        _usedMessage[digest] = true;
+    }
+
+    function _isValidDatasetPermissionSign(
+        bytes memory signature,
+        address signer,
+        uint256 requesterId,
+        bytes32 root,
+        uint256 nextProductUID,
+        uint256 nonce,
+        uint256 expiration
+    ) 
+        private
+    {
+        bytes32 digest =  keccak256(abi.encode(
+            DATASET_PERMISSION_TYPE_HASH,
+            signer,
+            requesterId,
+            root,
+            nextProductUID,
+            nonce,
+            expiration
+        ));
+        
+        require(
+            !_usedMessage[digest], 
+            "REJUVE: Already used id"
+        );
+
+        address recoveredSigner = _getSigner(_hashTypedDataV4(digest), signature); 
+
+        require(
+            recoveredSigner == signer,
+            "REJUVE: Invalid user signature"
+        );   
+
+        _usedMessage[digest] = true;
+    }
+
+    function _isValidRevocationSign(
+        bytes memory signature,
+        address signer,
+        bytes memory dhash,
+        uint256 productUID,
+        uint256 nonce
+    ) 
+        private
+    {
+        bytes32 digest =  keccak256(abi.encode(
+            REVOCATION_TYPE_HASH,
+            signer,
+            keccak256(dhash),
+            productUID,
+            nonce
+        ));
+        
+        require(
+            !_usedMessage[digest], 
+            "REJUVE: Already used id"
+        );
+
+        address recoveredSigner = _getSigner(_hashTypedDataV4(digest), signature); 
+
+        require(
+            recoveredSigner == signer,
+            "REJUVE: Invalid user signature"
+        );   
+
+        _usedMessage[digest] = true;
+    }
+
     function _isValidSignature(
         bytes memory signature,
         address signer, 
@@ -409,6 +1136,102 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         return deadline;
     }
 
+    /**
+     * @dev Stored permission state, Permitted turns into Expired once the deadline is passed
+     * and into Revoked once the data owner identity is burned
+     */
+    function _permissionState(
+        bytes memory dHash,
+        uint256 productUID
+    ) private view returns (PermissionState) {
+        PermissionState state = dataToProductPermission[dHash][productUID];
+        if (
+            state == PermissionState.Permitted &&
+            ownerToRetention[dataToOwner[dHash]] != DataRetention.Active
+        ) {
+            return PermissionState.Revoked;
+        }
+        if (
+            state == PermissionState.Permitted &&
+            block.timestamp > dataToProductToExpiry[dHash][productUID]
+        ) {
+            return PermissionState.Expired;
+        }
+        return state;
+    }
+
+    /**
+     * @dev Same rule as _permissionState for dataset permissions
+     */
+    function _datasetState(
+        DatasetPermission memory permission
+    ) private view returns (PermissionState) {
+        if (
+            permission.state == PermissionState.Permitted &&
+            ownerToRetention[permission.dataOwnerId] != DataRetention.Active
+        ) {
+            return PermissionState.Revoked;
+        }
+        if (
+            permission.state == PermissionState.Permitted &&
+            block.timestamp > permission.deadline
+        ) {
+            return PermissionState.Expired;
+        }
+        return permission.state;
+    }
+
+    /**
+     * @dev Use data quota of the calling sponsor when a sponsor registry is set
+     */
+    function _useDataQuota(uint256 amount) private {
+        if (address(_sponsorRegistry) != address(0)) {
+            _sponsorRegistry.useDataQuota(_msgSender(), amount);
+        }
+    }
+
+    /**
+     * @dev Data indexes of an identity, empty once tombstoned
+     */
+    function _dataIndexes(uint256 tokenId) private view returns (uint256[] storage) {
+        if (ownerToRetention[tokenId] == DataRetention.Tombstoned) {
+            return ownerToDataIndexes[0]; // token IDs start at 1
+        }
+        return ownerToDataIndexes[tokenId];
+    }
+
+    /**
+     * @dev Number of items of a page starting at offset
+     */
+    function _pageSize(
+        uint256 total,
+        uint256 offset,
+        uint256 limit
+    ) private pure returns (uint256) {
+        if (offset >= total) {
+            return 0;
+        }
+        uint256 remaining = total - offset;
+        return remaining < limit ? remaining : limit;
+    }
+
+    /**
+     * @dev EIP-712 encoding of a bytes[] member:
+     * keccak256 of the concatenated keccak256 of each element
+     */
+    function _hashDataHashes(bytes[] memory dhashes) private pure returns (bytes32) {
+        uint256 dhashesLength = dhashes.length;
+        bytes32[] memory hashes = new bytes32[](dhashesLength);
+        for (uint256 i = 0; i < dhashesLength; i++) {
+            hashes[i] = keccak256(dhashes[i]);
+        }
+        return keccak256(abi.encodePacked(hashes));
+    }
+
+    function _checkNonEmptyBatch(bytes[] memory dHashes) private pure {
+        require(dHashes.length > 0, "REJUVE: Empty batch");
+    }
+
     function _isRegistered(address user) private view {
         require(
             _identityToken.ifRegistered(user) == 1,
@@ -416,6 +1239,13 @@ contract DataManagement is Context, AccessControl, EIP712, Pausable {
         );
     }
 
+    /**
+     * @dev Identity holder check for consent withdrawal, KYC may be expired
+     */
+    function _holdsIdentity(address user) private view {
+        require(_identityToken.holdsIdentity(user), "REJUVE: Not Registered");
+    }
+
     function _generatePermissionHash(
         uint256 requesterId,
         bytes memory dHash,
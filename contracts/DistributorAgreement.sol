@@ -1,18 +1,58 @@
 // SPDX-License-Identifier: GPL-3.0
 pragma solidity ^0.8.21;
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "./Interfaces/IProfitDistribution.sol";
+import "./ShardMath.sol";
 
 /** 
  * @title Distributor agreement creation
  * @dev Contract module which provides a distributor agreement mechanism
  * that allows a distributor OR anyone with valid distributor's signature
- * to create a business agreement.
+ * and Rejuve countersignature over the agreement terms to create a business
+ * agreement.
+ *
+ * Agreements: every agreement gets an ID (starting at 1); a distributor can
+ * hold several agreements, for one or several products. An agreement runs
+ * from its start date to its end date and can be amended (units, unit price,
+ * percentage, end date) or terminated with both the distributor signature and
+ * the Rejuve countersignature.
+ *
+ * Royalties: a distributor reports units sold against an active agreement, the
+ * agreed percentage of units * unitPrice is owed, due after the payment
+ * period. Royalties are pulled from the distributor in the royalty currency
+ * (ERC-20, allowance given to this contract) and deposited into
+ * ProfitDistribution for the agreement product, whatever the product status
+ * (royalties of a product without shards are held in escrow until it has
+ * some, see releaseEscrowedRoyalty). A report is collected right
+ * away when the allowance and balance cover the outstanding royalty of the
+ * agreement, otherwise it stays outstanding until the distributor pays or
+ * anyone collects it, even once the agreement has ended.
+ * Payments settle the oldest reports first; a report settled after its due
+ * date counts as a late payment.
 */
 contract DistributorAgreement is Ownable, Pausable {
     using ECDSA for bytes32;
+    using SafeERC20 for IERC20;
 
+    enum AgreementStatus { Scheduled, Active, Expired, Terminated }
+
+    struct Agreement {
+        address distributor;
+        bytes agreement;
+        uint256 productUID;
+        uint256 units;
+        uint256 unitPrice;
+        uint256 percentage;
+        uint256 startDate;
+        uint256 endDate;
+        uint256 terminatedAt;
+    }
+
+    // Terms returned by the deprecated getDistributorData
     struct Distributor {
         bytes agreement;
         uint256 productUID;
@@ -21,69 +61,429 @@ contract DistributorAgreement is Ownable, Pausable {
         uint256 percentage;
     }
 
-    // Mapping from distributor to info
-    mapping(address => Distributor) private distributors;
+    struct SalesReport {
+        uint256 units;
+        uint256 royalty;
+        uint256 paid;
+        uint256 dueDate;
+    }
+
+    // Number of agreements created, last agreement ID
+    uint256 private _agreementCount;
+
+    // Mapping from agreement ID to agreement
+    mapping(uint256 => Agreement) private agreements;
+
+    // Mapping from distributor to its agreement IDs
+    mapping(address => uint256[]) private distributorAgreements;
+
+    // Mapping from product UID to its agreement IDs
+    mapping(uint256 => uint256[]) private productAgreements;
 
     // Mapping from nonce to status
     mapping(uint256 => bool) private usedNonce;
 
+    // Rejuve account countersigning agreement creations, amendments and terminations
+    address private _countersigner;
+
+    IProfitDistribution private _profitDistribution;
+    IERC20 private _royaltyCurrency;
+    uint256 private _paymentPeriod = 30 days;
+
+    // Mapping from agreement ID to units reported against it
+    mapping(uint256 => uint256) private unitsSold;
+
+    // Mapping from agreement ID to sales reports
+    mapping(uint256 => SalesReport[]) private salesReports;
+
+    // Mapping from agreement ID to index of its oldest report not fully paid
+    mapping(uint256 => uint256) private firstUnpaidReport;
+
+    // Mapping from agreement ID to royalty owed and not paid yet
+    mapping(uint256 => uint256) private outstandingRoyalty;
+
+    // Mapping from agreement ID to number of reports paid after their due date
+    mapping(uint256 => uint256) private latePayments;
+
+    // Mapping from product UID to royalties paid while the product had no shards
+    mapping(uint256 => uint256) private escrowedRoyalty;
+
+    // Royalties owed or held in escrow across agreements, in the royalty currency
+    uint256 private _totalOutstanding;
+    uint256 private _totalEscrowed;
+
     /**
      * @dev Emitted when a new agreement is created
     */
-    event DistributorCreated(
+    event AgreementCreated(
+        uint256 agreementId,
         address distributor,
         bytes agreement,
         uint256 productUID,
         uint256 units,
         uint256 unitPrice,
-        uint256 percentage
+        uint256 percentage,
+        uint256 startDate,
+        uint256 endDate
     );
 
     /**
-     * @dev Distributor or anyone with a valid signature can create an agreement
+     * @dev Emitted when the distributor and Rejuve amend an agreement
+    */
+    event AgreementAmended(
+        uint256 agreementId,
+        uint256 units,
+        uint256 unitPrice,
+        uint256 percentage,
+        uint256 endDate
+    );
+
+    /**
+     * @dev Emitted when the distributor and Rejuve terminate an agreement
+    */
+    event AgreementTerminated(uint256 agreementId, uint256 terminatedAt);
+
+    /**
+     * @dev Emitted when the Rejuve countersigner is changed
+    */
+    event CountersignerUpdated(address countersigner);
+
+    /**
+     * @dev Emitted when a distributor reports sales
+    */
+    event SalesReported(
+        uint256 agreementId,
+        address distributor,
+        uint256 productUID,
+        uint256 reportIndex,
+        uint256 units,
+        uint256 royalty,
+        uint256 dueDate
+    );
+
+    /**
+     * @dev Emitted when (part of) a report royalty is deposited into ProfitDistribution
+    */
+    event RoyaltyPaid(
+        uint256 agreementId,
+        address distributor,
+        uint256 productUID,
+        uint256 reportIndex,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when a report is settled after its due date
+    */
+    event LatePayment(
+        uint256 agreementId,
+        address distributor,
+        uint256 reportIndex,
+        uint256 dueDate,
+        uint256 paidAt
+    );
+
+    /**
+     * @dev Emitted when a royalty is held in escrow as its product has no shards yet
+    */
+    event RoyaltyEscrowed(uint256 productUID, uint256 amount);
+
+    /**
+     * @dev Emitted when escrowed royalties are deposited into ProfitDistribution
+    */
+    event EscrowedRoyaltyReleased(uint256 productUID, uint256 amount);
+
+    /**
+     * @dev Emitted when the ProfitDistribution contract royalties are deposited into is set
+    */
+    event ProfitDistributionUpdated(address profitDistribution);
+
+    /**
+     * @dev Emitted when the royalty currency is set
+    */
+    event RoyaltyCurrencyUpdated(address currency);
+
+    /**
+     * @dev Emitted when the payment period is changed
+    */
+    event PaymentPeriodUpdated(uint256 period);
+
+    /**
+     * @dev The deployer countersigns agreements until
+     * setCountersigner is called
+    */
+    constructor() {
+        _countersigner = _msgSender();
+    }
+
+    /**
+     * @dev Distributor or anyone with valid signatures can create an agreement.
+     * The distributor signs every term and Rejuve countersigns the same message.
      * @param distributor address 
      * @param sign distributor signature
+     * @param rejuveSign Rejuve countersignature
      * @param agreement hash
      * @param productUID product unique ID on which agreement is made
      * @param totalUnits purchased 
      * @param unitPrice of an item
      * @param percentage agreed percentage, distributor will pay to Rejuve
+     * @param startDate unix time sales can be reported from
+     * @param endDate unix time sales can be reported until (excluded)
      * @param nonce a unique number to prevent replay attacks
+     * @return agreementId ID of the new agreement
     */
     function createAgreement(
         address distributor,
         bytes memory sign,
+        bytes memory rejuveSign,
         bytes memory agreement,
         uint256 productUID,
         uint256 totalUnits,
         uint256 unitPrice,
         uint256 percentage,
+        uint256 startDate,
+        uint256 endDate,
         uint256 nonce
     ) 
         external
         whenNotPaused
+        returns (uint256)
     {
         require(distributor != address(0), "REJUVE: Zero address");
-        require(totalUnits > 0, "REJUVE: Total units cannot be zero");
-        require(unitPrice > 0, "REJUVE: Price cannot be zero");
-        require(percentage > 0, "REJUVE: Percentage cannot be zero");
-        require(
-            _verifySignature(distributor, sign, agreement, nonce),
-            "REJUVE: Invalid signature"
-        );
-
-        _createAgreement(
+        Agreement memory terms = Agreement(
             distributor,
             agreement,
             productUID,
             totalUnits,
             unitPrice,
-            percentage
+            percentage,
+            startDate,
+            endDate,
+            0
+        );
+        _checkTerms(totalUnits, unitPrice, percentage);
+        require(
+            endDate > startDate && endDate > block.timestamp,
+            "REJUVE: Invalid Period"
+        );
+        _verifyCountersigned(distributor, _agreementHash(terms, nonce), nonce, sign, rejuveSign);
+
+        return _createAgreement(terms);
+    }
+
+    /**
+     * @notice Change the terms of an agreement that is not terminated
+     * @dev Needs the distributor signature and the Rejuve countersignature.
+     * Royalties of sales already reported are not changed.
+     * @param units total units, at least the units already reported
+     * @param endDate new end date, in the future
+     * @param nonce a unique number to prevent replay attacks
+    */
+    function amendAgreement(
+        uint256 agreementId,
+        uint256 units,
+        uint256 unitPrice,
+        uint256 percentage,
+        uint256 endDate,
+        uint256 nonce,
+        bytes memory distributorSign,
+        bytes memory rejuveSign
+    ) 
+        external
+        whenNotPaused
+    {
+        Agreement storage terms = _getAgreement(agreementId);
+        require(terms.terminatedAt == 0, "REJUVE: Agreement terminated");
+        _checkTerms(units, unitPrice, percentage);
+        require(units >= unitsSold[agreementId], "REJUVE: Units below reported sales");
+        require(
+            endDate > terms.startDate && endDate > block.timestamp,
+            "REJUVE: Invalid Period"
+        );
+        _verifyCountersigned(
+            terms.distributor,
+            keccak256(
+                abi.encodePacked(
+                    "AMEND",
+                    agreementId,
+                    units,
+                    unitPrice,
+                    percentage,
+                    endDate,
+                    nonce,
+                    address(this)
+                )
+            ),
+            nonce,
+            distributorSign,
+            rejuveSign
+        );
+
+        terms.units = units;
+        terms.unitPrice = unitPrice;
+        terms.percentage = percentage;
+        terms.endDate = endDate;
+        emit AgreementAmended(agreementId, units, unitPrice, percentage, endDate);
+    }
+
+    /**
+     * @notice End an agreement before its end date
+     * @dev Needs the distributor signature and the Rejuve countersignature.
+     * No more sales can be reported; outstanding royalties stay payable.
+     * @param nonce a unique number to prevent replay attacks
+    */
+    function terminateAgreement(
+        uint256 agreementId,
+        uint256 nonce,
+        bytes memory distributorSign,
+        bytes memory rejuveSign
+    ) 
+        external
+        whenNotPaused
+    {
+        Agreement storage terms = _getAgreement(agreementId);
+        require(terms.terminatedAt == 0, "REJUVE: Agreement terminated");
+        _verifyCountersigned(
+            terms.distributor,
+            keccak256(abi.encodePacked("TERMINATE", agreementId, nonce, address(this))),
+            nonce,
+            distributorSign,
+            rejuveSign
+        );
+
+        terms.terminatedAt = block.timestamp;
+        emit AgreementTerminated(agreementId, block.timestamp);
+    }
+
+    //---------------------------- ROYALTIES --------------//
+
+    /**
+     * @notice Distributor reports units sold against one of its active agreements
+     * @dev Royalty = percentage % of units * unitPrice, collected right away
+     * when the distributor allowance and balance cover the outstanding royalty
+     * @param units sold since the last report
+    */
+    function reportSales(uint256 agreementId, uint256 units) external whenNotPaused {
+        Agreement storage terms = _getAgreement(agreementId);
+        require(terms.distributor == _msgSender(), "REJUVE: Not the distributor");
+        require(
+            getAgreementStatus(agreementId) == AgreementStatus.Active,
+            "REJUVE: Agreement Not Active"
+        );
+        require(units > 0, "REJUVE: Units cannot be zero");
+        require(
+            unitsSold[agreementId] + units <= terms.units,
+            "REJUVE: Units exceed agreement"
+        );
+
+        unitsSold[agreementId] += units;
+        uint256 royalty = ShardMath.percentOf(units * terms.unitPrice, terms.percentage);
+        uint256 dueDate = block.timestamp + _paymentPeriod;
+        salesReports[agreementId].push(SalesReport(units, royalty, 0, dueDate));
+        outstandingRoyalty[agreementId] += royalty;
+        _totalOutstanding += royalty;
+
+        emit SalesReported(
+            agreementId,
+            terms.distributor,
+            terms.productUID,
+            salesReports[agreementId].length - 1,
+            units,
+            royalty,
+            dueDate
+        );
+
+        if (_canCollect(agreementId)) {
+            _payRoyalty(agreementId, outstandingRoyalty[agreementId]);
+        }
+    }
+
+    /**
+     * @notice Distributor pays (part of) the outstanding royalty of an agreement
+    */
+    function payRoyalties(uint256 agreementId, uint256 amount) external whenNotPaused {
+        require(
+            _getAgreement(agreementId).distributor == _msgSender(),
+            "REJUVE: Not the distributor"
         );
+        require(amount > 0, "REJUVE: Zero amount");
+        require(
+            amount <= outstandingRoyalty[agreementId],
+            "REJUVE: Amount exceeds outstanding royalty"
+        );
+        _payRoyalty(agreementId, amount);
+    }
+
+    /**
+     * @notice Pull the whole outstanding royalty of an agreement
+     * @dev Anyone can trigger it (e.g. a Rejuve keeper), tokens always come
+     * from the distributor allowance
+    */
+    function collectRoyalties(uint256 agreementId) external whenNotPaused {
+        require(outstandingRoyalty[agreementId] > 0, "REJUVE: No outstanding royalty");
+        _payRoyalty(agreementId, outstandingRoyalty[agreementId]);
+    }
+
+    /**
+     * @notice Deposit the royalties held in escrow for a product once it has shards
+     * @dev Anyone can trigger it
+    */
+    function releaseEscrowedRoyalty(uint256 productUID) external whenNotPaused {
+        uint256 amount = escrowedRoyalty[productUID];
+        require(amount > 0, "REJUVE: No escrowed royalty");
+        require(_profitDistribution.acceptsRoyalty(productUID), "REJUVE: No shards");
+        escrowedRoyalty[productUID] = 0;
+        _totalEscrowed -= amount;
+        _royaltyCurrency.safeIncreaseAllowance(address(_profitDistribution), amount);
+        _profitDistribution.depositRoyalty(productUID, address(_royaltyCurrency), amount);
+        emit EscrowedRoyaltyReleased(productUID, amount);
     }
 
     //---------------------------- OWNER FUNCTIONS --------------//
 
+    /**
+     * @notice Set the Rejuve account countersigning agreement creations, amendments and terminations
+    */
+    function setCountersigner(address countersigner) external onlyOwner {
+        require(countersigner != address(0), "REJUVE: Zero address");
+        _countersigner = countersigner;
+        emit CountersignerUpdated(countersigner);
+    }
+
+
+    /**
+     * @notice Set the contract royalties are deposited into
+    */
+    function setProfitDistribution(address profitDistribution) external onlyOwner {
+        _profitDistribution = IProfitDistribution(profitDistribution);
+        emit ProfitDistributionUpdated(profitDistribution);
+    }
+
+    /**
+     * @notice Set the ERC-20 token royalties are paid in
+     * @dev It must be allow-listed in ProfitDistribution (RJV always is).
+     * Refused while royalties are outstanding or in escrow, as they are
+     * amounts of the current currency.
+    */
+    function setRoyaltyCurrency(address currency) external onlyOwner {
+        require(
+            _totalOutstanding == 0 && _totalEscrowed == 0,
+            "REJUVE: Royalties outstanding"
+        );
+        _royaltyCurrency = IERC20(currency);
+        emit RoyaltyCurrencyUpdated(currency);
+    }
+
+    /**
+     * @notice Set the delay between a sales report and its royalty due date
+     * @dev Applies to later reports only
+    */
+    function setPaymentPeriod(uint256 period) external onlyOwner {
+        require(period > 0, "REJUVE: Zero Period");
+        _paymentPeriod = period;
+        emit PaymentPeriodUpdated(period);
+    }
+
     /**
      * @dev Triggers stopped state.
     */
@@ -101,62 +501,333 @@ contract DistributorAgreement is Ownable, Pausable {
     //-------------------- EXTERNAL VIEWS --------------------//
 
     /**
+     * @return Agreement information
+    */
+    function getAgreement(uint256 agreementId) external view returns (Agreement memory) {
+        return _getAgreement(agreementId);
+    }
+
+    /**
+     * @notice Terms of the latest agreement of a distributor, empty if it has none
+     * @dev Deprecated, kept for integrations written when a distributor had a
+     * single agreement. Use getAgreementsByDistributor & getAgreement instead
      * @return Distributor's agreement information
     */
     function getDistributorData(
         address distributor
     ) external view returns (Distributor memory) {
-        return distributors[distributor];
+        uint256[] storage ids = distributorAgreements[distributor];
+        if (ids.length == 0) {
+            return Distributor("", 0, 0, 0, 0);
+        }
+        Agreement storage latest = agreements[ids[ids.length - 1]];
+        return Distributor(
+            latest.agreement,
+            latest.productUID,
+            latest.units,
+            latest.unitPrice,
+            latest.percentage
+        );
     }
 
-    //-------------------- PRIVATE --------------------------//
-
-    function _createAgreement(
+    /**
+     * @notice Page of agreement IDs of a distributor, oldest first
+     * @return ids page (empty if offset is out of range) and total count
+    */
+    function getAgreementsByDistributor(
         address distributor,
-        bytes memory agreement,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return _page(distributorAgreements[distributor], offset, limit);
+    }
+
+    /**
+     * @notice Page of agreement IDs of a product, oldest first
+     * @return ids page (empty if offset is out of range) and total count
+    */
+    function getAgreementsByProduct(
         uint256 productUID,
-        uint256 totalUnits,
-        uint256 unitPrice,
-        uint256 percentage
-    ) private {
-        Distributor storage dist = distributors[distributor];
-        dist.agreement = agreement;
-        dist.productUID = productUID;
-        dist.units = totalUnits;
-        dist.unitPrice = unitPrice;
-        dist.percentage = percentage;
-
-        emit DistributorCreated(
-            distributor,
-            agreement,
-            productUID,
-            totalUnits,
-            unitPrice,
-            percentage
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return _page(productAgreements[productUID], offset, limit);
+    }
+
+    /**
+     * @return Number of agreements created, i.e. the last agreement ID
+    */
+    function getAgreementCount() external view returns (uint256) {
+        return _agreementCount;
+    }
+
+    /**
+     * @return Rejuve account countersigning agreement creations, amendments and terminations
+    */
+    function getCountersigner() external view returns (address) {
+        return _countersigner;
+    }
+
+    /**
+     * @return unitsReported units reported against the agreement
+     * @return outstanding royalty owed and not paid yet
+     * @return overdue part of the outstanding royalty past its due date
+     * @return latePaymentCount reports settled after their due date
+    */
+    function getRoyaltyStatus(
+        uint256 agreementId
+    ) 
+        external 
+        view 
+        returns (
+            uint256 unitsReported,
+            uint256 outstanding,
+            uint256 overdue,
+            uint256 latePaymentCount
+        ) 
+    {
+        SalesReport[] storage reports = salesReports[agreementId];
+        for (uint256 i = firstUnpaidReport[agreementId]; i < reports.length; i++) {
+            if (reports[i].dueDate < block.timestamp) {
+                overdue += reports[i].royalty - reports[i].paid;
+            }
+        }
+        return (
+            unitsSold[agreementId],
+            outstandingRoyalty[agreementId],
+            overdue,
+            latePayments[agreementId]
         );
     }
 
     /**
-     * @dev Private function to verify user signature
-     * @return bool flag true if valid signature
+     * @notice Page of sales reports of an agreement
+     * @param offset index of the first report
+     * @param limit max number of reports returned
+     * @return reports page (empty if offset is out of range) and total count
     */
-    function _verifySignature(
-        address distributor,
-        bytes memory sign,
-        bytes memory agreement,
-        uint256 _nonce
-    ) private returns (bool) {
-        require(!usedNonce[_nonce], "REJUVE: Nonce used already");
-        usedNonce[_nonce] = true;
-        bytes32 msgHash = keccak256(
-            abi.encodePacked(distributor, agreement, _nonce, address(this))
+    function getSalesReports(
+        uint256 agreementId,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (SalesReport[] memory reports, uint256 total) {
+        SalesReport[] storage all = salesReports[agreementId];
+        total = all.length;
+        uint256 size = _pageSize(total, offset, limit);
+        reports = new SalesReport[](size);
+        for (uint256 i = 0; i < size; i++) {
+            reports[i] = all[offset + i];
+        }
+    }
+
+    /**
+     * @return Royalties paid for a product while it had no shards, not deposited yet
+    */
+    function getEscrowedRoyalty(uint256 productUID) external view returns (uint256) {
+        return escrowedRoyalty[productUID];
+    }
+
+    /**
+     * @return ProfitDistribution royalties are deposited into
+    */
+    function getProfitDistribution() external view returns (address) {
+        return address(_profitDistribution);
+    }
+
+    /**
+     * @return ERC-20 token royalties are paid in
+    */
+    function getRoyaltyCurrency() external view returns (address) {
+        return address(_royaltyCurrency);
+    }
+
+    /**
+     * @return Delay between a sales report and its royalty due date
+    */
+    function getPaymentPeriod() external view returns (uint256) {
+        return _paymentPeriod;
+    }
+
+    //-------------------- PUBLIC VIEWS --------------------//
+
+    /**
+     * @return Scheduled before the start date, Active until the end date,
+     * then Expired; Terminated once terminated
+    */
+    function getAgreementStatus(uint256 agreementId) public view returns (AgreementStatus) {
+        Agreement storage terms = _getAgreement(agreementId);
+        if (terms.terminatedAt != 0) {
+            return AgreementStatus.Terminated;
+        }
+        if (block.timestamp < terms.startDate) {
+            return AgreementStatus.Scheduled;
+        }
+        if (block.timestamp >= terms.endDate) {
+            return AgreementStatus.Expired;
+        }
+        return AgreementStatus.Active;
+    }
+
+    //-------------------- PRIVATE --------------------------//
+
+    function _createAgreement(Agreement memory terms) private returns (uint256 agreementId) {
+        agreementId = ++_agreementCount;
+        agreements[agreementId] = terms;
+        distributorAgreements[terms.distributor].push(agreementId);
+        productAgreements[terms.productUID].push(agreementId);
+
+        emit AgreementCreated(
+            agreementId,
+            terms.distributor,
+            terms.agreement,
+            terms.productUID,
+            terms.units,
+            terms.unitPrice,
+            terms.percentage,
+            terms.startDate,
+            terms.endDate
+        );
+    }
+
+    function _checkTerms(uint256 units, uint256 unitPrice, uint256 percentage) private pure {
+        require(units > 0, "REJUVE: Total units cannot be zero");
+        require(unitPrice > 0, "REJUVE: Price cannot be zero");
+        require(percentage > 0, "REJUVE: Percentage cannot be zero");
+        require(percentage <= 100, "REJUVE: Percentage above 100");
+    }
+
+    /**
+     * @dev Pull amount from the distributor, route it to the agreement product
+     * and settle the oldest reports first
+    */
+    function _payRoyalty(uint256 agreementId, uint256 amount) private {
+        require(
+            address(_profitDistribution) != address(0) && address(_royaltyCurrency) != address(0),
+            "REJUVE: Royalty routing not set"
         );
-        address signer = msgHash.toEthSignedMessageHash().recover(sign);
+        Agreement storage terms = agreements[agreementId];
+        outstandingRoyalty[agreementId] -= amount;
+        _totalOutstanding -= amount;
+        _royaltyCurrency.safeTransferFrom(terms.distributor, address(this), amount);
+        _routeRoyalty(terms.productUID, amount);
+
+        SalesReport[] storage reports = salesReports[agreementId];
+        uint256 index = firstUnpaidReport[agreementId];
+        while (index < reports.length) {
+            SalesReport storage report = reports[index];
+            uint256 part = report.royalty - report.paid;
+            if (part > amount) {
+                part = amount;
+            }
+            if (part > 0) {
+                report.paid += part;
+                amount -= part;
+                emit RoyaltyPaid(agreementId, terms.distributor, terms.productUID, index, part);
+            }
+            if (report.paid < report.royalty) {
+                break;
+            }
+            if (report.royalty > 0 && report.dueDate < block.timestamp) {
+                latePayments[agreementId]++;
+                emit LatePayment(agreementId, terms.distributor, index, report.dueDate, block.timestamp);
+            }
+            index++;
+        }
+        firstUnpaidReport[agreementId] = index;
+    }
+
+    /**
+     * @dev Deposit a royalty into ProfitDistribution, or hold it in escrow
+     * while the product has no shards to share it between
+    */
+    function _routeRoyalty(uint256 productUID, uint256 amount) private {
+        if (!_profitDistribution.acceptsRoyalty(productUID)) {
+            escrowedRoyalty[productUID] += amount;
+            _totalEscrowed += amount;
+            emit RoyaltyEscrowed(productUID, amount);
+            return;
+        }
+        _royaltyCurrency.safeIncreaseAllowance(address(_profitDistribution), amount);
+        _profitDistribution.depositRoyalty(productUID, address(_royaltyCurrency), amount);
+    }
+
+    /**
+     * @return True if the distributor allowance and balance cover the outstanding royalty
+     * of the agreement
+    */
+    function _canCollect(uint256 agreementId) private view returns (bool) {
+        uint256 outstanding = outstandingRoyalty[agreementId];
+        address distributor = agreements[agreementId].distributor;
+        return outstanding > 0 &&
+            address(_profitDistribution) != address(0) &&
+            address(_royaltyCurrency) != address(0) &&
+            _royaltyCurrency.allowance(distributor, address(this)) >= outstanding &&
+            _royaltyCurrency.balanceOf(distributor) >= outstanding;
+    }
+
+    function _getAgreement(uint256 agreementId) private view returns (Agreement storage) {
+        require(
+            agreementId > 0 && agreementId <= _agreementCount,
+            "REJUVE: No agreement"
+        );
+        return agreements[agreementId];
+    }
 
-        if (signer == distributor) {
-            return true;
-        } else {
-            return false;
+    function _page(
+        uint256[] storage all,
+        uint256 offset,
+        uint256 limit
+    ) private view returns (uint256[] memory ids, uint256 total) {
+        total = all.length;
+        uint256 size = _pageSize(total, offset, limit);
+        ids = new uint256[](size);
+        for (uint256 i = 0; i < size; i++) {
+            ids[i] = all[offset + i];
         }
     }
+
+    function _pageSize(uint256 total, uint256 offset, uint256 limit) private pure returns (uint256) {
+        return offset >= total ? 0 : (total - offset < limit ? total - offset : limit);
+    }
+
+    /**
+     * @return Hash of the create message, signed by the distributor and Rejuve
+    */
+    function _agreementHash(Agreement memory terms, uint256 _nonce) private view returns (bytes32) {
+        return keccak256(
+            abi.encodePacked(
+                terms.distributor,
+                terms.agreement,
+                terms.productUID,
+                terms.units,
+                terms.unitPrice,
+                terms.percentage,
+                terms.startDate,
+                terms.endDate,
+                _nonce,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @dev Verify that the distributor signed msgHash and Rejuve countersigned it
+    */
+    function _verifyCountersigned(
+        address distributor,
+        bytes32 msgHash,
+        uint256 _nonce,
+        bytes memory distributorSign,
+        bytes memory rejuveSign
+    ) private {
+        _useNonce(_nonce);
+        bytes32 signedHash = msgHash.toEthSignedMessageHash();
+        require(signedHash.recover(distributorSign) == distributor, "REJUVE: Invalid signature");
+        require(signedHash.recover(rejuveSign) == _countersigner, "REJUVE: Invalid countersignature");
+    }
+
+    function _useNonce(uint256 _nonce) private {
+        require(!usedNonce[_nonce], "REJUVE: Nonce used already");
+        usedNonce[_nonce] = true;
+    }
 }
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity 0.8.21;
+import "@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+/**
+ * @title Trusted forwarder (ERC-2771)
+ * @dev Verifies EIP-712 forward requests signed by labs and calls DataManagement
+ * and ProductNFT on their behalf, so the relayer pays the gas.
+ * See services/relayer for the off-chain part.
+*/
+contract Forwarder is MinimalForwarder {}
@@ -9,6 +9,11 @@ import "./ProductShards.sol";
  *
  * Phase 2:
  * 1. Shards Distribution to Future data contributors e.g. clinics
+ * 2. Shards Distribution to owners of data linked after product creation
+ *    (ProductNFT.linkNewData), one call per batch of links
+ *
+ * Both draw from the future pool: the percentage of target supply left after
+ * initial contributors & Rejuve.
  *
  * @dev contract deployer is the default owner.
  * - Only Owner can call initial & future shards allocation functions
@@ -25,6 +30,12 @@ contract FutureShards is ProductShards {
     // Mapping from productUID to futureShardsDistribution status
     mapping(uint256 => bool) private _futureDistributionStatus;
 
+    // Mapping from productUID to number of linked data hashes already paid
+    mapping(uint256 => uint256) private _linkedDataDistributed;
+
+    // Mapping from productUID to linked data hash to shards minted for it
+    mapping(uint256 => mapping(bytes => uint256)) private _linkedDataShards;
+
     /**
      * @dev Emitted when product shards are distributed to future contributors
      */
@@ -34,6 +45,19 @@ contract FutureShards is ProductShards {
         uint256[] shardAmount
     );
 
+    /**
+     * @dev Emitted when owners of newly linked data get shards.
+     * dataOwners[i] is paid for linked data at index fromIndex + i (zero
+     * address if the data owner identity was burned)
+     */
+    event LinkedDataShardDistributed(
+        uint256 productUID,
+        uint256 fromIndex,
+        uint8 percent,
+        address[] dataOwners,
+        uint256[] shardAmount
+    );
+
     //------------------------------- Constructor ------------------------------//
 
     constructor(string memory uri, address productNFT) 
@@ -69,13 +93,7 @@ contract FutureShards is ProductShards {
             !_futureDistributionStatus[productUID], 
             "REJUVE: Future shards distributed already"
         );
-        require(futurePercent > 0, "REJUVE: Future percent cannot be zero");
-        ShardConfig memory confg = productToShardsConfig[productUID];
-        uint256 remainingPercent = 100 - (confg.initialPercent + confg.rejuvePercent);
-        require(
-            futurePercent <= remainingPercent, 
-            "REJUVE: Future percent exceeds available limit"
-        );
+        _checkFuturePercent(productUID, futurePercent);
         require(
             futureContributors.length == credits.length,
             "REJUVE: Not equal length"
@@ -89,6 +107,40 @@ contract FutureShards is ProductShards {
         );
     }
 
+    /**
+     * @notice Shards creation and distribution to owners of data linked to the
+     * product since the last call (ProductNFT.linkNewData)
+     * @dev Rejuve (Who deploys the contract) can initiate the transaction
+     *
+     * Important:
+     *
+     * 1. @param percent - share % of target supply given to this batch of links.
+     * It is taken from the future pool, like distributeFutureShards
+     * 2. Each data owner gets shards proportional to the credit score of its data
+     * 3. Data of a burned identity is skipped, its share is not minted
+     */
+    function distributeLinkedDataShards(
+        uint256 productUID,
+        uint8 percent
+    )
+        external
+        onlyOwner
+        whenNotPaused
+    {
+        require(
+            productToTypeIndexes[productUID].length != 0,
+            "REJUVE: Initial shards not distributed"
+        );
+        _checkFuturePercent(productUID, percent);
+
+        bytes[] memory productDataHashes = _productNFT.getProductToData(productUID);
+        uint256 fromIndex = _productNFT.getInitialDataLength(productUID) +
+            _linkedDataDistributed[productUID];
+        require(fromIndex < productDataHashes.length, "REJUVE: No New Data");
+
+        _distributeLinkedDataShards(productUID, percent, productDataHashes, fromIndex);
+    }
+
     //---------------------------- VIEWS --------------------------------//
 
     /**
@@ -117,6 +169,27 @@ contract FutureShards is ProductShards {
     ) external view returns(uint256[] memory){
         return _futureContributorShards[productUID];
     }
+
+    /**
+     * @return Number of data hashes linked after product creation that are not paid yet
+    */
+    function getPendingLinkedData(
+        uint256 productUID
+    ) external view returns (uint256) {
+        return _productNFT.getProductToData(productUID).length -
+            _productNFT.getInitialDataLength(productUID) -
+            _linkedDataDistributed[productUID];
+    }
+
+    /**
+     * @return Shards minted for a data hash linked after product creation
+    */
+    function getLinkedDataShards(
+        uint256 productUID,
+        bytes memory dHash
+    ) external view returns (uint256) {
+        return _linkedDataShards[productUID][dHash];
+    }
     
     //-----------------------------PRIVATE -----------------------------//
 
@@ -126,8 +199,8 @@ contract FutureShards is ProductShards {
      * Steps:
      *
      * 1. Configure future contributor share in target supply
-     * 2. Calculate total credits amount
-     * 3. Mint shard for each future contributor as per their negotiated weight / credit
+     * 2. Split the share as per negotiated weights / credits (see ShardMath)
+     * 3. Mint shard for each future contributor
      */
     function _distributeFutureShards(
         uint256 productUID,
@@ -136,25 +209,17 @@ contract FutureShards is ProductShards {
         address[] memory futureContributors
     ) private {
         ShardConfig storage config = productToShardsConfig[productUID];
-        config.futurePercent = futurePercent;
-        uint256 totalCredits = _totalFutureCredits(credits);
+        config.futurePercent = config.futurePercent + futurePercent;
+        uint256[] memory shardAmounts = ShardMath.allocate(
+            ShardMath.percentOf(config.targetSupply, futurePercent),
+            credits
+        );
         uint256 totalFutureContributors = futureContributors.length;
        
         for (uint256 i = 0; i < totalFutureContributors; i++) {
             address futureContributor = futureContributors[i];
-            uint256 shardAmount = _shardsPerContributor(
-                credits[i],
-                totalCredits,
-                futurePercent,
-                config.targetSupply
-            );
-            uint256[] memory amounts = _setAmount(shardAmount); // 50% should go to locked type & 50% to traded
-            _mintBatch(
-                futureContributor,
-                productToTypeIndexes[productUID],
-                amounts,
-                "0x00"
-            );
+            uint256 shardAmount = shardAmounts[i];
+            _mintShards(productUID, futureContributor, shardAmount);
 
             config.totalSupply = config.totalSupply + shardAmount;
             _futureContributors[productUID].push(futureContributor);
@@ -170,19 +235,69 @@ contract FutureShards is ProductShards {
         _futureDistributionStatus[productUID] = true;
     }
 
-    //------------------------------------ Helpers------------------------//
-
     /**
-     * @dev Calculate total future credits
+     * @dev Private function to calculate & mint shards for owners of linked data
+     *
+     * Steps:
+     *
+     * 1. Add batch share to the future contributors share
+     * 2. Split the share as per credit scores of the pending linked data (see ShardMath)
+     * 3. Mint shards for each data owner
      */
-    function _totalFutureCredits(
-        uint256[] memory credits
-    ) private pure returns (uint) {
-        uint256 creditsLength = credits.length;
+    function _distributeLinkedDataShards(
+        uint256 productUID,
+        uint8 percent,
+        bytes[] memory productDataHashes,
+        uint256 fromIndex
+    ) private {
+        ShardConfig storage config = productToShardsConfig[productUID];
+        config.futurePercent = config.futurePercent + percent;
+
+        uint256 batchLength = productDataHashes.length - fromIndex;
+        address[] memory dataOwners = new address[](batchLength);
+        uint256[] memory credits = new uint256[](batchLength);
         uint256 totalCredits;
-        for (uint256 i = 0; i < creditsLength; i++) {
-            totalCredits = totalCredits + credits[i];
+        for (uint256 i = 0; i < batchLength; i++) {
+            bytes memory dHash = productDataHashes[fromIndex + i];
+            dataOwners[i] = _dataOwner(dHash);
+            if (dataOwners[i] != address(0)) {
+                credits[i] = _productNFT.getDataCredit(dHash, productUID);
+                totalCredits = totalCredits + credits[i];
+            }
+        }
+        require(totalCredits > 0, "REJUVE: No Credits To Distribute");
+
+        uint256[] memory shardAmounts = ShardMath.allocate(
+            ShardMath.percentOf(config.targetSupply, percent),
+            credits
+        );
+        for (uint256 i = 0; i < batchLength; i++) {
+            if (shardAmounts[i] == 0) {
+                continue;
+            }
+            _mintShards(productUID, dataOwners[i], shardAmounts[i]);
+            config.totalSupply = config.totalSupply + shardAmounts[i];
+            _linkedDataShards[productUID][productDataHashes[fromIndex + i]] = shardAmounts[i];
         }
-        return totalCredits;
+        _linkedDataDistributed[productUID] = _linkedDataDistributed[productUID] + batchLength;
+
+        emit LinkedDataShardDistributed(productUID, fromIndex, percent, dataOwners, shardAmounts);
+    }
+
+    //------------------------------------ Helpers------------------------//
+
+    /**
+     * @dev Share must be > 0 and fit in what initial contributors, Rejuve
+     * and previous future distributions left
+     */
+    function _checkFuturePercent(uint256 productUID, uint8 percent) private view {
+        require(percent > 0, "REJUVE: Future percent cannot be zero");
+        ShardConfig memory confg = productToShardsConfig[productUID];
+        uint256 remainingPercent = 100 - 
+            (uint256(confg.initialPercent) + confg.rejuvePercent + confg.futurePercent);
+        require(
+            percent <= remainingPercent, 
+            "REJUVE: Future percent exceeds available limit"
+        );
     }
 }
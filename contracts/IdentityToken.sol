@@ -7,6 +7,8 @@ import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./Interfaces/IDataManagement.sol";
+import "./Interfaces/ISponsorRegistry.sol";
 
 /** 
  * @title Identity Management for data contributors
@@ -14,7 +16,16 @@ import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
  * @dev Contract module which provides an identity creation mechanism
  * that allows rejuve to create identities on behalf of the user,
  * taking their signature as permission to create identity.
- * Also, users can burn their identities any time
+ * Also, users can burn their identities any time.
+ * A lost wallet can be replaced through a delayed recovery started by
+ * the owner, a guardian or a sponsor; the token id is kept so data and
+ * permissions recorded against it in DataManagement stay valid.
+ * Token URI & KYC commitment can be updated by a sponsor with user signature;
+ * an identity whose KYC is older than `kycValidity` is reported as not registered.
+ * Burning an identity is forwarded to DataManagement, which revokes its permissions
+ * and keeps or tombstones its data hashes.
+ * When a SponsorRegistry is set, identity creation uses the sponsor quota and
+ * suspended sponsors are rejected
 */
 contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Pausable {
     using Counters for Counters.Counter;
@@ -35,6 +46,35 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
         "Identity(bytes32 kyc,address signer,string uri,uint256 nonce)"
     );
 
+    bytes32 public constant IDENTITY_UPDATE_TYPE_HASH = keccak256(
+        "IdentityUpdate(uint256 tokenId,bytes32 kyc,address signer,string uri,uint256 nonce)"
+    );
+
+    // KYC commitment of an identity token
+    struct Kyc {
+        bytes32 kyc;
+        uint256 verifiedAt;
+    }
+
+    // Time after which KYC must be verified again, 0 for no expiry
+    uint256 public kycValidity = 365 days;
+
+    // Pending wallet migration of an identity token
+    struct Recovery {
+        address newOwner;
+        address initiator;
+        uint256 readyAt;
+    }
+
+    // Delay between recovery initiation and completion (cancellation window)
+    uint256 public recoveryDelay = 3 days;
+
+    // Notified when an identity is burned, see DataManagement.onIdentityBurned
+    IDataManagement private _dataMgt;
+
+    // Sponsor quotas & suspension, disabled when not set
+    ISponsorRegistry private _sponsorRegistry;
+
     // Mapping from owner to Identity token
     mapping(address => uint256) private ownerToIdentity;
 
@@ -51,6 +91,15 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
      */
     mapping(bytes32 => bool) private _usedMessage;  
 
+    // Mapping from identity token to guardian allowed to start a recovery
+    mapping(uint256 => address) private _guardians;
+
+    // Mapping from identity token to pending recovery
+    mapping(uint256 => Recovery) private _recoveries;
+
+    // Mapping from identity token to KYC commitment
+    mapping(uint256 => Kyc) private _kycs;
+
     /**
      * @dev Emitted when a new Identity is created
      */
@@ -61,6 +110,51 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
      */
     event IdentityDestroyed(address indexed identityOwner, uint256 tokenId);
 
+    /**
+     * @dev Emitted when identity owner sets or removes (zero address) a guardian
+     */
+    event GuardianSet(uint256 indexed tokenId, address guardian);
+
+    /**
+     * @dev Emitted when a wallet migration is started
+     */
+    event RecoveryInitiated(uint256 indexed tokenId, address indexed initiator, address newOwner, uint256 readyAt);
+
+    /**
+     * @dev Emitted when a pending wallet migration is cancelled
+     */
+    event RecoveryCancelled(uint256 indexed tokenId, address indexed canceller);
+
+    /**
+     * @dev Emitted when an identity token is rebound to a new address
+     */
+    event IdentityRecovered(uint256 indexed tokenId, address indexed previousOwner, address indexed newOwner);
+
+    /**
+     * @dev Emitted when admin changes the recovery delay
+     */
+    event RecoveryDelayUpdated(uint256 delay);
+
+    /**
+     * @dev Emitted when token URI & KYC commitment of an identity are updated
+     */
+    event IdentityUpdated(uint256 indexed tokenId, address indexed sponsor, bytes32 kyc, string tokenURI);
+
+    /**
+     * @dev Emitted when admin changes the KYC validity period
+     */
+    event KycValidityUpdated(uint256 validity);
+
+    /**
+     * @dev Emitted when admin sets the DataManagement contract notified on burns
+     */
+    event DataManagementUpdated(address dataMgt);
+
+    /**
+     * @dev Emitted when admin sets (or removes) the sponsor registry
+     */
+    event SponsorRegistryUpdated(address sponsorRegistry);
+
     constructor(
         string memory name, 
         string memory symbol,
@@ -107,12 +201,48 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
         );
 
         _isValidSignature(signature, kyc, signer, tokenURI, nonce);
-        _createIdentity(signer, tokenURI);
+        if (address(_sponsorRegistry) != address(0)) {
+            _sponsorRegistry.useIdentityQuota(_msgSender());
+        }
+        uint256 tokenId = _createIdentity(signer, tokenURI);
+        _kycs[tokenId] = Kyc(kyc, block.timestamp);
+    }
+
+    /**
+     * @notice Update token URI & KYC commitment of an identity
+     * @dev Rejuve/sponsor executes the update after verifying KYC again; identity owner
+     * signature is mandatory. KYC verification time is reset to the current block
+     * @param signature identity owner signature
+     * @param tokenId identity token to update
+     * @param kyc new KYC commitment (can be the same hash when only re-verified)
+     * @param tokenURI new user metadata
+     * @param nonce a unique number to prevent replay attacks
+     */
+    function updateIdentity(
+        bytes memory signature,
+        uint256 tokenId,
+        bytes32 kyc,
+        string memory tokenURI,
+        uint256 nonce
+    )
+        external
+        whenNotPaused
+        onlyRole(SPONSOR_ROLE)
+    {
+        _checkInputs(signature, kyc, tokenURI, nonce);
+        address signer = ownerOf(tokenId);
+
+        _isValidUpdateSignature(signature, tokenId, kyc, signer, tokenURI, nonce);
+        _checkSponsor();
+        _kycs[tokenId] = Kyc(kyc, block.timestamp);
+        _setTokenURI(tokenId, tokenURI);
+        emit IdentityUpdated(tokenId, _msgSender(), kyc, tokenURI);
     }
 
     /**
      * @notice Burn identity token
-     * @dev only identity owner can burn his token
+     * @dev only identity owner can burn his token.
+     * Data hashes are kept (orphaned) and outstanding permissions are revoked
      */
     function burnIdentity(
         uint256 tokenId
@@ -121,11 +251,167 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
         whenNotPaused
     {
         require(ownerOf(tokenId) == _msgSender(), "REJUVE: Only Owner");
-        _burnIdentity(tokenId);
+        _burnIdentity(tokenId, false);
+    }
+
+    /**
+     * @notice Burn identity token and tombstone all its data hashes (right to be forgotten)
+     * @dev only identity owner can burn his token. Outstanding permissions are revoked
+     */
+    function burnIdentityAndData(
+        uint256 tokenId
+    ) 
+        external 
+        whenNotPaused
+    {
+        require(ownerOf(tokenId) == _msgSender(), "REJUVE: Only Owner");
+        require(address(_dataMgt) != address(0), "REJUVE: Data Management Not Set");
+        _burnIdentity(tokenId, true);
+    }
+
+    // -------------------- Identity recovery ---------------------//
+
+    /**
+     * @notice Set an address allowed to start a recovery of caller's identity
+     * @dev Zero address removes the guardian
+     */
+    function setGuardian(
+        address guardian
+    ) 
+        external 
+        whenNotPaused
+    {
+        uint256 tokenId = _ownedIdentity(_msgSender());
+        require(guardian != _msgSender(), "REJUVE: Owner cannot be guardian");
+        _guardians[tokenId] = guardian;
+        emit GuardianSet(tokenId, guardian);
+    }
+
+    /**
+     * @notice Start moving an identity to a new address
+     * @dev Caller can be the identity owner (migration), its guardian or a sponsor (lost wallet).
+     * The move can be completed after `recoveryDelay`; until then the current owner
+     * or the initiator can cancel it
+     * @param tokenId identity token to recover
+     * @param newOwner address that will hold the identity, must not be registered
+     */
+    function initiateRecovery(
+        uint256 tokenId,
+        address newOwner
+    ) 
+        external 
+        whenNotPaused
+    {
+        address currentOwner = ownerOf(tokenId);
+        require(
+            _msgSender() == currentOwner ||
+            _msgSender() == _guardians[tokenId] ||
+            hasRole(SPONSOR_ROLE, _msgSender()),
+            "REJUVE: Not allowed to recover"
+        );
+        if (_msgSender() != currentOwner && _msgSender() != _guardians[tokenId]) {
+            _checkSponsor();
+        }
+        _checkNonZeroAddr(newOwner);
+        require(
+            registrations[newOwner] == UserStatus.NotRegistered,
+            "REJUVE: One Identity Per User"
+        );
+        require(_recoveries[tokenId].readyAt == 0, "REJUVE: Recovery pending");
+
+        uint256 readyAt = block.timestamp + recoveryDelay;
+        _recoveries[tokenId] = Recovery(newOwner, _msgSender(), readyAt);
+        emit RecoveryInitiated(tokenId, _msgSender(), newOwner, readyAt);
+    }
+
+    /**
+     * @notice Cancel a pending recovery
+     * @dev Current owner (still holding the key) or the initiator can cancel
+     */
+    function cancelRecovery(
+        uint256 tokenId
+    ) 
+        external 
+        whenNotPaused
+    {
+        Recovery memory recovery = _recoveries[tokenId];
+        require(recovery.readyAt != 0, "REJUVE: No pending recovery");
+        require(
+            _msgSender() == ownerOf(tokenId) || _msgSender() == recovery.initiator,
+            "REJUVE: Not allowed to cancel"
+        );
+        delete _recoveries[tokenId];
+        emit RecoveryCancelled(tokenId, _msgSender());
+    }
+
+    /**
+     * @notice Rebind identity token to the new address once the delay is over
+     * @dev Anyone can complete; token id, token URI and guardian are kept
+     */
+    function completeRecovery(
+        uint256 tokenId
+    ) 
+        external 
+        whenNotPaused
+    {
+        Recovery memory recovery = _recoveries[tokenId];
+        require(recovery.readyAt != 0, "REJUVE: No pending recovery");
+        require(block.timestamp >= recovery.readyAt, "REJUVE: Recovery delay not passed");
+        require(
+            registrations[recovery.newOwner] == UserStatus.NotRegistered,
+            "REJUVE: One Identity Per User"
+        );
+
+        address previousOwner = ownerOf(tokenId);
+        registrations[previousOwner] = UserStatus.NotRegistered;
+        ownerToIdentity[previousOwner] = 0;
+        registrations[recovery.newOwner] = UserStatus.Registered;
+        ownerToIdentity[recovery.newOwner] = tokenId;
+
+        _transfer(previousOwner, recovery.newOwner, tokenId);
+        delete _recoveries[tokenId];
+        emit IdentityRecovered(tokenId, previousOwner, recovery.newOwner);
     }
 
     //---------------------------- OWNER FUNCTIONS --------------------------------//
 
+    /**
+     * @notice Change the delay applied to new recoveries
+     * @dev Pending recoveries keep their ready time
+     */
+    function setRecoveryDelay(uint256 delay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(delay >= 1 days, "REJUVE: Delay too short");
+        recoveryDelay = delay;
+        emit RecoveryDelayUpdated(delay);
+    }
+
+    /**
+     * @notice Set the DataManagement contract notified when an identity is burned
+     */
+    function setDataManagement(address dataMgt) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _checkNonZeroAddr(dataMgt);
+        _dataMgt = IDataManagement(dataMgt);
+        emit DataManagementUpdated(dataMgt);
+    }
+
+    /**
+     * @notice Set the sponsor registry used for sponsor quotas & suspension
+     * @dev Zero address disables quotas
+     */
+    function setSponsorRegistry(address sponsorRegistry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _sponsorRegistry = ISponsorRegistry(sponsorRegistry);
+        emit SponsorRegistryUpdated(sponsorRegistry);
+    }
+
+    /**
+     * @notice Change how long a KYC verification stays valid
+     * @dev Applies to every identity, including already verified ones. 0 disables expiry
+     */
+    function setKycValidity(uint256 validity) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        kycValidity = validity;
+        emit KycValidityUpdated(validity);
+    }
+
     /**
      * @dev Triggers stopped state.
     */
@@ -150,12 +436,74 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
     }
 
     /**
-     * @return caller registration status.
+     * @return caller registration status (false once KYC is expired).
      */
     function isRegistered(address user) external view returns (bool) {
+        return _registrationStatus(user) == UserStatus.Registered;
+    }
+
+    /**
+     * @return True if the user holds an identity, whether its KYC is current or expired
+     */
+    function holdsIdentity(address user) external view returns (bool) {
         return registrations[user] == UserStatus.Registered;
     }
 
+    /**
+     * @return uint8 0 for not-registered (or KYC expired) and 1 for registered
+     */
+    function ifRegistered(address user) external view returns (uint8) {
+        return uint8(_registrationStatus(user));
+    }
+
+    /**
+     * @return kyc commitment, verification time and expiry time (0 if no expiry) of an identity
+     */
+    function getKyc(
+        uint256 tokenId
+    ) external view returns (bytes32 kyc, uint256 verifiedAt, uint256 expiresAt) {
+        Kyc memory record = _kycs[tokenId];
+        expiresAt = kycValidity == 0 || record.verifiedAt == 0 ? 0 : record.verifiedAt + kycValidity;
+        return (record.kyc, record.verifiedAt, expiresAt);
+    }
+
+    /**
+     * @notice Replay status of a signed identity message
+     * @param structHash keccak256(abi.encode(IDENTITY_TYPE_HASH, ...)) before domain hashing
+     * @return true if the message was already used
+     */
+    function isMessageUsed(bytes32 structHash) external view returns (bool) {
+        return _usedMessage[structHash];
+    }
+
+    /**
+     * @return DataManagement contract notified when an identity is burned
+     */
+    function getDataManagement() external view returns (address) {
+        return address(_dataMgt);
+    }
+
+    /**
+     * @return sponsor registry (zero address if quotas are disabled)
+     */
+    function getSponsorRegistry() external view returns (address) {
+        return address(_sponsorRegistry);
+    }
+
+    /**
+     * @return guardian of the given identity token (zero address if none)
+     */
+    function getGuardian(uint256 tokenId) external view returns (address) {
+        return _guardians[tokenId];
+    }
+
+    /**
+     * @return Recovery (new owner, initiator, ready time) pending for the given identity token
+     */
+    function getRecovery(uint256 tokenId) external view returns (Recovery memory) {
+        return _recoveries[tokenId];
+    }
+
     // -------------------- Public ---------------------//
 
     /**
@@ -175,22 +523,22 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
         return super.supportsInterface(interfaceId);
     }
 
-    function approve(address, uint256) public pure override { 
+    function approve(address, uint256) public pure override(ERC721, IERC721) { 
         revert("REJUVE: Non-transferable"); 
     }
 
-    function setApprovalForAll(address, bool) public pure override { 
+    function setApprovalForAll(address, bool) public pure override(ERC721, IERC721) { 
         revert("REJUVE: Non-transferable"); 
     }
 
-    function transferFrom(address, address, uint256) public pure override { 
+    function transferFrom(address, address, uint256) public pure override(ERC721, IERC721) { 
         revert("REJUVE: Non-transferable"); 
     }
 
-    function safeTransferFrom(address, address, uint256) public pure override { 
+    function safeTransferFrom(address, address, uint256) public pure override(ERC721, IERC721) { 
         revert("REJUVE: Non-transferable"); 
     }
-    function safeTransferFrom(address, address, uint256, bytes memory) public pure override { 
+    function safeTransferFrom(address, address, uint256, bytes memory) public pure override(ERC721, IERC721) { 
         revert("REJUVE: Non-transferable"); 
     }
 
@@ -204,7 +552,8 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
     ) internal override whenNotPaused {
         super._beforeTokenTransfer(from, to, tokenId, batchSize);
         require(
-            from == address(0) || to == address(0),
+            from == address(0) || to == address(0) ||
+            (_recoveries[tokenId].readyAt != 0 && _recoveries[tokenId].newOwner == to),
             "REJUVE: SoulBound Tokens are non-transferable"
         );
     }
@@ -235,16 +584,25 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
 
     /**
      * @dev private function to burn the identity
+     * @param tombstoneData true to tombstone data hashes, false to keep them
      */
     function _burnIdentity(
-        uint256 tokenId
+        uint256 tokenId,
+        bool tombstoneData
     ) 
         private 
     {
         registrations[_msgSender()] = UserStatus.NotRegistered;
         ownerToIdentity[_msgSender()] = 0;
+        delete _guardians[tokenId];
+        delete _recoveries[tokenId];
+        delete _kycs[tokenId];
         emit IdentityDestroyed(_msgSender(), tokenId);
         _burn(tokenId);   
+
+        if (address(_dataMgt) != address(0)) {
+            _dataMgt.onIdentityBurned(tokenId, tombstoneData);
+        }
     }
 
     // -------------------- Signature verifiers ---------------------//
@@ -281,6 +639,40 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
         _usedMessage[digest] = true;
     }
 
+    function _isValidUpdateSignature(
+        bytes memory signature,
+        uint256 tokenId,
+        bytes32 kyc,
+        address signer,
+        string memory tokenURI,
+        uint256 nonce
+    ) 
+        private
+    {
+        bytes32 digest =  keccak256(abi.encode(
+            IDENTITY_UPDATE_TYPE_HASH,
+            tokenId,
+            kyc,
+            signer,
+            keccak256(bytes(tokenURI)),
+            nonce
+        ));
+        
+        require(
+            !_usedMessage[digest], 
+            "REJUVE: Already Used ID"
+        );
+
+        address recoveredSigner = _getSigner(_hashTypedDataV4(digest), signature); 
+
+        require(
+            recoveredSigner == signer,
+            "REJUVE: Invalid User Signature"
+        );   
+
+        _usedMessage[digest] = true;
+    }
+
     function _getSigner(
         bytes32 digest, 
         bytes memory signature
@@ -290,6 +682,34 @@ contract IdentityToken is Context, ERC721URIStorage, AccessControl, EIP712, Paus
 
     // -------------------- Helpers ---------------------//
 
+    /**
+     * @dev Reject suspended / unregistered sponsors when a sponsor registry is set
+     */
+    function _checkSponsor() private view {
+        if (address(_sponsorRegistry) != address(0)) {
+            _sponsorRegistry.checkSponsor(_msgSender());
+        }
+    }
+
+    /**
+     * @dev Registered identities are reported as not registered once KYC is expired
+     */
+    function _registrationStatus(address user) private view returns (UserStatus) {
+        if (registrations[user] == UserStatus.NotRegistered) {
+            return UserStatus.NotRegistered;
+        }
+        uint256 verifiedAt = _kycs[ownerToIdentity[user]].verifiedAt;
+        if (kycValidity != 0 && block.timestamp > verifiedAt + kycValidity) {
+            return UserStatus.NotRegistered;
+        }
+        return UserStatus.Registered;
+    }
+
+    function _ownedIdentity(address owner) private view returns (uint256) {
+        require(registrations[owner] == UserStatus.Registered, "REJUVE: Not Registered");
+        return ownerToIdentity[owner];
+    }
+
     function _checkNonZeroAddr(address addr) private pure {
         require(addr != address(0), "REJUVE: Zero Address");
     }
@@ -32,8 +32,25 @@ interface IDataManagement {
 
     function getDataOwnerId(bytes memory _dHash) external view returns (uint256);
 
+    function isOrphanedData(bytes memory _dHash) external view returns (bool);
+
+    function onIdentityBurned(uint256 _tokenId, bool _tombstoneData) external;
+
     function getPermissionDeadline(
         bytes memory _dHash,
         uint256 _nextProductUID
     ) external view returns (uint256);
+
+    function verifyDatasetData(
+        bytes32 _root,
+        uint256 _productUID,
+        bytes[] memory _dataHashes,
+        bytes32[] memory _proof,
+        bool[] memory _proofFlags
+    ) external view returns (uint8);
+
+    function getDatasetRequesterId(
+        bytes32 _root,
+        uint256 _productUID
+    ) external view returns (uint256);
 }
@@ -15,4 +15,6 @@ interface IIdentityToken is IERC721 {
     function getOwnerIdentity(address _owner) external view returns (uint256);
 
     function ifRegistered(address _userAddress) external view returns (uint8);
+
+    function holdsIdentity(address _userAddress) external view returns (bool);
 }
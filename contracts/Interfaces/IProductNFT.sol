@@ -33,4 +33,9 @@ interface IProductNFT is IERC721 {
     function getInitialDataLength(
         uint256 _productUID
     ) external view returns (uint256);
+
+    // 0 Draft, 1 Active, 2 Retired
+    function getProductStatus(
+        uint256 _productUID
+    ) external view returns (uint8);
 }
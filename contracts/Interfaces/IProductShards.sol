@@ -14,4 +14,6 @@ interface IProductShards is IERC1155 {
     function getProductIDs(
         uint256 productUID
     ) external view returns (uint256[] memory);
+
+    function getProductNFT() external view returns (address);
 }
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+interface IProfitDistribution {
+    // called by the shards contract before shard balances of holders change
+    function updateHolders(
+        uint256 _productUID,
+        address _from,
+        address _to
+    ) external;
+
+    // called by DistributorAgreement to route royalties
+    function depositRoyalty(
+        uint256 _productUID,
+        address _currency,
+        uint256 _amount
+    ) external;
+
+    function acceptsRoyalty(uint256 _productUID) external view returns (bool);
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+interface ISponsorRegistry {
+    function useIdentityQuota(address _sponsor) external;
+
+    function useDataQuota(address _sponsor, uint256 _amount) external;
+
+    function checkSponsor(address _sponsor) external view;
+}
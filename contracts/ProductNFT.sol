@@ -7,6 +7,7 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "./Interfaces/IIdentityToken.sol";
 import "./Interfaces/IDataManagement.sol";
+import "./RelayRecipient.sol";
 
 /** 
  * @title Product NFT creation
@@ -14,15 +15,39 @@ import "./Interfaces/IDataManagement.sol";
  * that allow a registered identity to create a product. Also,
  * It allows product owner to link new data with existing product.
  *
+ * Products go through explicit lifecycle states:
+ * Draft (created, lab iterating) -> Active (shards tradable, earnings accepted) -> Retired.
+ * Every product URI (initial, updates, URI passed with new data) is kept as
+ * a metadata version, so investors can see what changed.
+ *
  * @dev contract deployer is the default owner.
  * - Owner can call pause/unpause functions
 */
-contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
+contract ProductNFT is ERC721URIStorage, AccessControl, Pausable, RelayRecipient {
     using ECDSA for bytes32;
 
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
     bytes32 public constant SIGNER_ROLE = keccak256("SIGNER_ROLE");
 
+    enum ProductStatus {
+        Draft,
+        Active,
+        Retired
+    }
+
+    // Product metadata version
+    struct MetadataVersion {
+        string productURI;
+        uint256 updatedAt;
+    }
+
+    // Multi-proof of data hashes against a dataset permission (DataManagement)
+    struct DatasetProof {
+        bytes32 root;
+        bytes32[] proof;
+        bool[] proofFlags;
+    }
+
     IIdentityToken private _identityToken;
     IDataManagement private _dataMgt;
 
@@ -38,6 +63,12 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
     // Mapping from nonce to its use status
     mapping(uint256 => bool) private usedNonces;
 
+    // Mapping from product UID to lifecycle status
+    mapping(uint256 => ProductStatus) private _productStatus;
+
+    // Mapping from product UID to metadata versions (version = index + 1)
+    mapping(uint256 => MetadataVersion[]) private _metadataVersions;
+
     /**
      * @dev Emitted when a new product is created
     */
@@ -58,6 +89,24 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
         uint256[] creditScore
     );
 
+    /**
+     * @dev Emitted when a product URI version is recorded (creation included)
+    */
+    event ProductMetadataUpdated(
+        uint256 indexed productUID,
+        uint256 version,
+        string productURI
+    );
+
+    /**
+     * @dev Emitted when a product moves to a new lifecycle status
+    */
+    event ProductStatusChanged(
+        uint256 indexed productUID,
+        ProductStatus previousStatus,
+        ProductStatus newStatus
+    );
+
     constructor(
         string memory name,
         string memory symbol,
@@ -117,9 +166,48 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
         _createProduct(productUID, productURI, dataHashes, creditScores);
     }
 
+    /**
+     * @notice Create product from data permitted through a dataset (Merkle root) permission
+     * @dev Same as createProduct, data hashes are checked with a multi-proof
+     * instead of one permission per hash
+     * @param dataHashes - data hashes in the leaf order of the multi-proof
+     * @param dataset - Merkle root, proof & proof flags
+     */
+    function createProductFromDataset(
+        uint256 productUID,
+        uint256 nonce,
+        string memory productURI,
+        address signer, 
+        bytes memory signature,
+        bytes[] memory dataHashes,
+        uint256[] memory creditScores,
+        DatasetProof memory dataset
+    ) 
+        external 
+        whenNotPaused 
+    {   
+        require(
+            _identityToken.ifRegistered(_msgSender()) == 1,
+            "REJUVE: Not Registered"
+        ); 
+        _checkSignedInputs(
+            productUID, 
+            nonce, 
+            productURI, 
+            signer, 
+            signature, 
+            dataHashes, 
+            creditScores
+        );
+        _linkDatasetData(productUID, dataHashes, creditScores, dataset);
+  
+        _createProduct(productUID, productURI, dataHashes, creditScores);
+    }
+
     /**
      * @notice Link new data to existing product NFT
      * @dev only product owner (Lab) can call this function
+     * @dev an empty productURI keeps the current metadata version
     */
     function linkNewData(
         uint256 productUID,
@@ -133,10 +221,7 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
         external 
         whenNotPaused 
     {
-        require(
-            _msgSender() == ownerOf(productUID),
-            "REJUVE: Only Product Creator"
-        );
+        _checkProductCreator(productUID);
         _preValidations(
             productUID,
             nonce,
@@ -148,10 +233,100 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
         );
 
         emit NewDataLinked(productUID, newDataHashes, creditScores);
+        if (bytes(productURI).length != 0) {
+            _updateMetadata(productUID, productURI);
+        }
+    }
+
+    /**
+     * @notice Link new data permitted through a dataset (Merkle root) permission
+     * @dev only product owner (Lab) can call this function
+     * @dev an empty productURI keeps the current metadata version
+    */
+    function linkNewDataFromDataset(
+        uint256 productUID,
+        uint256 nonce,
+        string memory productURI,
+        address signer, 
+        bytes memory signature,
+        bytes[] memory newDataHashes,
+        uint256[] memory creditScores,
+        DatasetProof memory dataset
+    ) 
+        external 
+        whenNotPaused 
+    {
+        _checkProductCreator(productUID);
+        _checkSignedInputs(
+            productUID,
+            nonce,
+            productURI,
+            signer,
+            signature,
+            newDataHashes,
+            creditScores
+        );
+        _linkDatasetData(productUID, newDataHashes, creditScores, dataset);
+
+        emit NewDataLinked(productUID, newDataHashes, creditScores);
+        if (bytes(productURI).length != 0) {
+            _updateMetadata(productUID, productURI);
+        }
+    }
+
+    /**
+     * @notice Product owner (Lab) records a new version of the product metadata
+     * @dev Refused for retired products. The same URI as the current version is ignored
+     * @param productURI - new product metadata
+    */
+    function updateProductMetadata(
+        uint256 productUID,
+        string memory productURI
+    )
+        external
+        whenNotPaused
+    {
+        _checkProductCreator(productUID);
+        require(bytes(productURI).length != 0, "REJUVE: Empty URI");
+        _updateMetadata(productUID, productURI);
+    }
+
+    /**
+     * @notice Product owner (Lab) moves the product through its lifecycle
+     * @dev Allowed transitions: Draft -> Active, Draft -> Retired, Active -> Retired
+     * - Active: shards can be traded on the marketplace & earnings deposited
+     * - Retired: final, no new data, metadata, trades or deposits; earnings can still be withdrawn
+    */
+    function setProductStatus(
+        uint256 productUID,
+        ProductStatus newStatus
+    )
+        external
+        whenNotPaused
+    {
+        require(
+            _msgSender() == ownerOf(productUID),
+            "REJUVE: Only Product Creator"
+        );
+        ProductStatus previousStatus = _productStatus[productUID];
+        require(
+            uint8(newStatus) > uint8(previousStatus),
+            "REJUVE: Invalid Status Transition"
+        );
+        _productStatus[productUID] = newStatus;
+        emit ProductStatusChanged(productUID, previousStatus, newStatus);
     }
 
     //------------------- OWNER FUNCTIONS ------------------------------//
 
+    /**
+     * @notice Set the ERC-2771 forwarder relaying lab calls
+     * @dev Zero address disables meta-transactions
+    */
+    function setTrustedForwarder(address forwarder) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setTrustedForwarder(forwarder);
+    }
+
     /**
      * @dev Triggers stopped state.
     */
@@ -204,6 +379,35 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
         return _identityToken.ownerOf(_dataMgt.getDataOwnerId(dHash));
     }
 
+    /**
+     * @notice returns lifecycle status of a product (0 Draft, 1 Active, 2 Retired)
+     * @dev reverts for unknown products
+    */
+    function getProductStatus(
+        uint256 productUID
+    ) external view returns (ProductStatus) {
+        _requireMinted(productUID);
+        return _productStatus[productUID];
+    }
+
+    /**
+     * @notice returns current metadata version of a product (1 at creation)
+    */
+    function getProductVersion(
+        uint256 productUID
+    ) external view returns (uint256) {
+        return _metadataVersions[productUID].length;
+    }
+
+    /**
+     * @notice returns all metadata versions of a product, oldest first
+    */
+    function getProductMetadataHistory(
+        uint256 productUID
+    ) external view returns (MetadataVersion[] memory) {
+        return _metadataVersions[productUID];
+    }
+
     /**
      * @notice returns initial data length 
      * Initial data => All data hashes that are submitted before product NFT creation
@@ -233,6 +437,20 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
         return super.supportsInterface(interfaceId);
     }
 
+    //--------------------- ERC-2771 Context ----------------------//
+
+    function _msgSender() internal view override(Context, RelayRecipient) returns (address) {
+        return RelayRecipient._msgSender();
+    }
+
+    function _msgData() internal view override(Context, RelayRecipient) returns (bytes calldata) {
+        return RelayRecipient._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, RelayRecipient) returns (uint256) {
+        return RelayRecipient._contextSuffixLength();
+    }
+
     //--------------------- Private Functions ----------------------//
 
     /**
@@ -257,12 +475,31 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
             creditScores
         );
         _safeMint(_msgSender(), productUID);
+        _updateMetadata(productUID, productURI);
+    }
+
+    /**
+     * @dev Record a new metadata version & point the token URI to it.
+     * Skipped when the URI is the current one
+    */
+    function _updateMetadata(uint256 productUID, string memory productURI) private {
+        MetadataVersion[] storage versions = _metadataVersions[productUID];
+        uint256 length = versions.length;
+        if (
+            length != 0 &&
+            keccak256(bytes(versions[length - 1].productURI)) == keccak256(bytes(productURI))
+        ) {
+            return;
+        }
+        versions.push(MetadataVersion(productURI, block.timestamp));
         _setTokenURI(productUID, productURI);
+        emit ProductMetadataUpdated(productUID, length + 1, productURI);
     }
 
     /**
      * @notice Private function to link data hashes with product UID
-     * @dev check if all data hashes are permitted to be used in given product UID
+     * @dev check if all data hashes are permitted (and not expired) to be used in given product UID
+     * @dev data of a burned identity (orphaned) is refused
      * @dev Assign credit scores (by AI) to all data hashes
      * @dev Link product UID to all data hashes
     */
@@ -272,21 +509,63 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
         uint256[] memory creditScores
     ) 
         private
-        returns (bool notPermitted) 
     {
         uint256 dataHashesLength = dataHashes.length;
         for (uint256 i = 0; i < dataHashesLength; i++) {
-            if (_dataMgt.getPermissionStatus(dataHashes[i], productUID) == 1) { // 1 = permitted , 0 = not permitted
-                dataToProductToCredit[dataHashes[i]][productUID] = creditScores[i]; 
-                productToData[productUID].push(dataHashes[i]);
-            } else {
-                notPermitted = true; // if any dataHash inside dataHashes array is not permitted
-                break;
+            // 0 = not permitted, 1 = permitted, 2 = revoked, 3 = expired
+            uint8 status = _dataMgt.getPermissionStatus(dataHashes[i], productUID);
+            if (status != 1) {
+                require(!_dataMgt.isOrphanedData(dataHashes[i]), "REJUVE: Orphaned Data");
             }
+            require(status != 3, "REJUVE: Permission Expired");
+            require(status == 1, "REJUVE: Data Not Permitted");
+
+            dataToProductToCredit[dataHashes[i]][productUID] = creditScores[i]; 
+            productToData[productUID].push(dataHashes[i]);
         }
-        return notPermitted;
     }
     
+    /**
+     * @notice Private function to link data hashes covered by a dataset permission
+     * @dev One call to DataManagement checks the multi-proof, data ownership and
+     * the permission state (expired / revoked) for the whole list
+     * @dev The permission must have been granted to the caller (product creator)
+    */
+    function _linkDatasetData(
+        uint256 productUID,
+        bytes[] memory dataHashes,
+        uint256[] memory creditScores,
+        DatasetProof memory dataset
+    ) 
+        private
+    {
+        uint8 status = _dataMgt.verifyDatasetData(
+            dataset.root,
+            productUID,
+            dataHashes,
+            dataset.proof,
+            dataset.proofFlags
+        );
+        uint256 dataHashesLength = dataHashes.length;
+        if (status != 1) {
+            for (uint256 i = 0; i < dataHashesLength; i++) {
+                require(!_dataMgt.isOrphanedData(dataHashes[i]), "REJUVE: Orphaned Data");
+            }
+        }
+        require(status != 3, "REJUVE: Permission Expired");
+        require(status == 1, "REJUVE: Data Not Permitted");
+        require(
+            _dataMgt.getDatasetRequesterId(dataset.root, productUID) ==
+                _identityToken.getOwnerIdentity(_msgSender()),
+            "REJUVE: Not Dataset Requester"
+        );
+
+        for (uint256 i = 0; i < dataHashesLength; i++) {
+            dataToProductToCredit[dataHashes[i]][productUID] = creditScores[i]; 
+            productToData[productUID].push(dataHashes[i]);
+        }
+    }
+
     /**
      * @dev Private function to verify signer's signature.
      * @dev First convert dataHashes to bytes32 hash value then 
@@ -333,6 +612,20 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
 
     //------------------------ Helpers -------------------------//
 
+    /**
+     * @dev Caller owns the product and the product is not retired
+    */
+    function _checkProductCreator(uint256 productUID) private view {
+        require(
+            _msgSender() == ownerOf(productUID),
+            "REJUVE: Only Product Creator"
+        );
+        require(
+            _productStatus[productUID] != ProductStatus.Retired,
+            "REJUVE: Product Retired"
+        );
+    }
+
     function _preValidations(
         uint256 productUID,
         uint256 nonce,
@@ -343,6 +636,32 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
         uint256[] memory creditScores
     ) 
         private 
+    {
+        _checkSignedInputs(
+            productUID,
+            nonce,
+            productURI,
+            signer,
+            signature,
+            dataHashes,
+            creditScores
+        );
+        _linkData(productUID, dataHashes, creditScores);
+    }
+
+    /**
+     * @dev Input lengths, signer role & signer's signature
+     */
+    function _checkSignedInputs(
+        uint256 productUID,
+        uint256 nonce,
+        string memory productURI,
+        address signer, 
+        bytes memory signature,
+        bytes[] memory dataHashes,
+        uint256[] memory creditScores
+    ) 
+        private 
     {
         require(
             dataHashes.length == creditScores.length,
@@ -369,9 +688,5 @@ contract ProductNFT is ERC721URIStorage, AccessControl, Pausable {
             ),
             "REJUVE: Invalid signature of signer"
         );
-        require(
-            !_linkData(productUID, dataHashes, creditScores),
-            "REJUVE: Data Not Permitted"
-        );
     }
 }
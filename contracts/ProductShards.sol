@@ -4,6 +4,7 @@ import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "./Interfaces/IProductNFT.sol";
+import "./ShardMath.sol";
 import "hardhat/console.sol";
 
 /** 
@@ -19,6 +20,12 @@ import "hardhat/console.sol";
  * 1. Shards Distribution to Future data contributors e.g. clinics 
 
  * This contract implemented functionality for "Phase 1"
+ *
+ * Every minted amount is split between the LOCKED and TRADED types as per the
+ * product vesting schedule (50% locked with a cliff at the lock period by
+ * default). Locked shards vest at the end of the lock period (Cliff) or
+ * linearly over the vesting duration (Linear) and are claimed as traded
+ * shards (see TransferShards).
  * 
  * @dev contract deployer is the default owner. 
  * - Only Owner can call initial & future 
@@ -37,10 +44,25 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
         uint8 futurePercent;
     }
 
-    IProductNFT private _productNFT;
+    // How locked shards are released
+    enum VestingKind {
+        Cliff,  // everything at the end of the lock period
+        Linear  // nothing before the lock period, then linearly until start + duration
+    }
+
+    // Locked / traded split & vesting of a product
+    struct VestingSchedule {
+        bool configured;
+        uint8 lockedPercent;
+        VestingKind kind;
+        uint256 start;
+        uint256 duration;
+    }
+
+    IProductNFT internal _productNFT;
 
     // Two token types for each product 1. Locked 2. Tradable
-    bytes32[] private _types;
+    bytes32[] internal _types;
 
     // Mapping from productUID to initial data contributors including (Lab & Rejuve)
     mapping(uint256 => address[]) private _initialContributors;
@@ -69,6 +91,15 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
     //Mapping from TypeID to Type URI
     mapping(uint256 => string) typeToURI;
 
+    // Mapping from productUID to its vesting schedule
+    mapping(uint256 => VestingSchedule) productToVesting;
+
+    // Mapping from productUID to holder to locked shards minted to the holder
+    mapping(uint256 => mapping(address => uint256)) holderToLockedShards;
+
+    // Mapping from productUID to holder to locked shards already claimed
+    mapping(uint256 => mapping(address => uint256)) holderToClaimedShards;
+
     /**
      * @dev Emitted when product shards are distributed to initial contributors
      */
@@ -78,6 +109,16 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
         uint256[] shardAmount
     );
 
+    /**
+     * @dev Emitted when the split & vesting of a product is configured
+     */
+    event VestingScheduleSet(
+        uint256 productUID,
+        uint8 lockedPercent,
+        VestingKind kind,
+        uint256 duration
+    );
+
     //------------------------------- Constructor --------------------//
 
     constructor(string memory uri_, address productNFT_) 
@@ -143,6 +184,43 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
         );
     }
 
+    /**
+     * @notice Set the locked / traded split & vesting of a product's shards
+     * @dev Must be called before the initial distribution, otherwise 50% locked
+     * with a cliff at the lock period is used
+     * @param lockedPercent - share % of every minted amount going to the locked type
+     * @param kind - Cliff or Linear
+     * @param duration - Linear: time from initial distribution to full vesting,
+     * not shorter than the lock period. Unused for Cliff
+     */
+    function setVestingSchedule(
+        uint256 productUID,
+        uint8 lockedPercent,
+        VestingKind kind,
+        uint256 duration
+    )
+        external
+        onlyOwner
+        whenNotPaused
+    {
+        require(
+            !_initialDistributionStatus[productUID], 
+            "REJUVE: Initial shards distributed already"
+        );
+        require(lockedPercent <= 100, "REJUVE: Invalid Locked Percent");
+        require(
+            kind == VestingKind.Cliff || duration > 0,
+            "REJUVE: Vesting duration cannot be zero"
+        );
+        VestingSchedule storage schedule = productToVesting[productUID];
+        schedule.configured = true;
+        schedule.lockedPercent = lockedPercent;
+        schedule.kind = kind;
+        schedule.duration = kind == VestingKind.Linear ? duration : 0;
+
+        emit VestingScheduleSet(productUID, lockedPercent, kind, schedule.duration);
+    }
+
     //--------------------- VIEWS --------------------------------//
 
     /**
@@ -209,6 +287,64 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
         return _initialContributorShards[productUID];
     }
 
+    /**
+     * @dev returns vesting schedule of a product. start & lockEnd are 0 until
+     * the initial distribution
+     */
+    function getVestingSchedule(
+        uint256 productUID
+    ) external view returns (
+        uint8 lockedPercent,
+        VestingKind kind,
+        uint256 start,
+        uint256 lockEnd,
+        uint256 duration
+    ) {
+        VestingSchedule memory schedule = productToVesting[productUID];
+        if (!schedule.configured) {
+            return (50, VestingKind.Cliff, 0, 0, 0);
+        }
+        return (
+            schedule.lockedPercent,
+            schedule.kind,
+            schedule.start,
+            productToLockPeriod[productUID],
+            schedule.duration
+        );
+    }
+
+    /**
+     * @return granted locked shards minted to a holder
+     * @return vested part of granted shards released so far
+     * @return claimed vested shards already claimed as traded shards
+     */
+    function getLockedShards(
+        uint256 productUID,
+        address holder
+    ) external view returns (uint256 granted, uint256 vested, uint256 claimed) {
+        granted = holderToLockedShards[productUID][holder];
+        vested = _vestedAmount(productUID, granted);
+        claimed = holderToClaimedShards[productUID][holder];
+    }
+
+    /**
+     * @return Vested but unclaimed locked shards of a holder
+     */
+    function getClaimableShards(
+        uint256 productUID,
+        address holder
+    ) public view returns (uint256) {
+        return _vestedAmount(productUID, holderToLockedShards[productUID][holder]) -
+            holderToClaimedShards[productUID][holder];
+    }
+
+    /**
+     * @return ProductNFT contract (product lifecycle status & metadata)
+    */
+    function getProductNFT() external view returns (address) {
+        return address(_productNFT);
+    }
+
     //---------------------- PUBLIC -------------------------------------//
 
     /**
@@ -221,40 +357,68 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
     //------------------------ INTERNAL --------------------------------//
 
     /**
-     * @dev Calculate shards Amount for individual data contributor
-     *
-     * Steps:
-     * 1. Get individual percentage contribution using data credit score
-     * 2. Get total shards available for this category
-     * 3. Calculate shard amount as per percentage for individual data contributor
+     * @dev Mint shard amount to a contributor, split between the Locked &
+     * Traded types as per the product vesting schedule
      */
-    function _shardsPerContributor(
-        uint256 creditScore,
-        uint256 totalCreditScores,
-        uint256 contributorShare,
-        uint256 targetSupply_
-    ) internal pure returns (uint) {
-        uint256 contributorShardsPercent = (100 * creditScore) /
-            totalCreditScores;
-        uint256 total = (targetSupply_ * contributorShare) / 100;
-        uint256 shardAmount = (total * contributorShardsPercent) / 100;
-        return shardAmount;
+    function _mintShards(
+        uint256 productUID,
+        address contributor,
+        uint256 amount
+    ) internal {
+        uint256[] memory amounts = _setAmount(productUID, amount);
+        holderToLockedShards[productUID][contributor] += amounts[0];
+        _mintBatch(contributor, productToTypeIndexes[productUID], amounts, "0x00");
     }
 
     /**
-     * @dev 50% of shard amount should go to Locked Type
+     * @dev lockedPercent of shard amount should go to Locked Type
      * Remaining shard to Traded type
      */
-    function _setAmount(uint256 amount) internal pure returns (uint256[] memory) {
+    function _setAmount(
+        uint256 productUID,
+        uint256 amount
+    ) internal view returns (uint256[] memory) {
         // set both types shard amount
         uint256[] memory amounts = new uint256[](2);
-        uint256 lockedAmount = (amount * 50) / 100; // calculate 50% locked
+        uint256 lockedAmount = ShardMath.percentOf(amount, productToVesting[productUID].lockedPercent);
         amounts[0] = lockedAmount; // locked amount at 0
         amount = amount - lockedAmount;
         amounts[1] = amount; // traded at 1
         return amounts;
     }
 
+    /**
+     * @dev Part of a locked amount released at current time
+     * - Cliff: everything once the lock period is over
+     * - Linear: nothing during the lock period, then proportional to the time
+     *   elapsed since the initial distribution
+     */
+    function _vestedAmount(
+        uint256 productUID,
+        uint256 amount
+    ) internal view returns (uint256) {
+        VestingSchedule memory schedule = productToVesting[productUID];
+        if (schedule.start == 0 || block.timestamp <= productToLockPeriod[productUID]) {
+            return 0;
+        }
+        uint256 elapsed = block.timestamp - schedule.start;
+        if (schedule.kind == VestingKind.Cliff || elapsed >= schedule.duration) {
+            return amount;
+        }
+        return ShardMath.proportion(amount, elapsed, schedule.duration);
+    }
+
+    /**
+     * @dev Data owner wallet, zero address if its identity was burned
+     */
+    function _dataOwner(bytes memory dHash) internal view returns (address) {
+        try _productNFT.getDataOwnerAddress(dHash) returns (address dataOwner) {
+            return dataOwner;
+        } catch {
+            return address(0);
+        }
+    }
+
     //----------------------------- PRIVATE -----------------------------//
 
     /**
@@ -318,6 +482,7 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
         address rejuve,
         string[] memory uris
     ) private {
+        _setVestingStart(productUID, lockPeriod);
         _setLockPeriod(productUID, lockPeriod);
         _configShard(
             productUID,
@@ -344,6 +509,22 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
         _initialDistributionStatus[productUID] = true;
     }
 
+    /**
+     * @dev Start vesting now, with the default schedule if none was set
+     */
+    function _setVestingStart(uint256 productUID, uint256 lockPeriod) private {
+        VestingSchedule storage schedule = productToVesting[productUID];
+        if (!schedule.configured) {
+            schedule.configured = true;
+            schedule.lockedPercent = 50;
+        }
+        require(
+            schedule.kind == VestingKind.Cliff || schedule.duration >= lockPeriod,
+            "REJUVE: Vesting shorter than lock period"
+        );
+        schedule.start = block.timestamp;
+    }
+
     /**
      * @notice Set lock period for a given productUID
      * @param lockPeriod days in seconds e.g for 2 days => 172,800 seconds
@@ -394,20 +575,17 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
      *
      * Steps:
      *
-     * 1. Get all data hashes used in a specific product
-     * 2. Get sum of all data credits => totalCredits
-     * 3. Add lab credit to total credits
-     *
-     * 4. Calculate shards for every single data contributor,
+     * 1. Get all data hashes submitted before product creation
+     * 2. Get data owner address & credit score of every data hash
+     *  - Orphaned data (burned identity) gets no credit & no shards
+     * 3. Add lab with labCredit as the last contributor
+     *  - Lab will get proprotional contribution from initial percent category
      *
-     *  - Get data owner address
-     *  - Get credit score against his data hash
-     *  - Calculate shard amount for each contributor based on credit score
-     *  - Take 50% of calculated shard amount
-     *  - Mint 50% shards for Type 0 (Locked) & 50% for Type 1 (Traded) using BatchMint 1155
+     * 4. Split initial percent of target supply as per credit scores
+     *  - Rounding remainder goes to the largest credit (see ShardMath)
      *
-     * 5. Calculate & mint shards for lab as per labCredit
-     *  - Lab will get proprotional contribution from initial percent category
+     * 5. Mint shards of every contributor, split between Type 0 (Locked) &
+     * Type 1 (Traded) as per the vesting schedule
      */
     function _mintInitialShards(
         uint256 productUID,
@@ -418,50 +596,35 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
         bytes[] memory productDataHashes = _productNFT.getProductToData(
             productUID
         );
-        uint256 totalCredits = _getTotalInitialCredits(productUID);
         ShardConfig storage config = productToShardsConfig[productUID];
-        totalCredits = totalCredits + labCredit;
         uint256 initialDataLength = _productNFT.getInitialDataLength(productUID);
 
-        for (
-            uint256 i = 0;
-            i < initialDataLength;
-            i++
-        ) {
-            address dataOwner = _productNFT.getDataOwnerAddress(
-                productDataHashes[i]
-            );
-            uint256 shardAmount = _shardsPerContributor(
-                _productNFT.getDataCredit(productDataHashes[i], productUID),
-                totalCredits,
-                initialContributorShare,
-                config.targetSupply
-            );
-
-            uint256[] memory amounts = _setAmount(shardAmount); // 50% should go to locked type & 50% to traded
-            _mintBatch(
-                dataOwner,
-                productToTypeIndexes[productUID],
-                amounts,
-                "0x00"
-            );
-
-            config.totalSupply = config.totalSupply + shardAmount;
-            _initialContributors[productUID].push(dataOwner);
-            _initialContributorShards[productUID].push(shardAmount);
+        // data owners first, lab last
+        address[] memory contributors = new address[](initialDataLength + 1);
+        uint256[] memory credits = new uint256[](initialDataLength + 1);
+        for (uint256 i = 0; i < initialDataLength; i++) {
+            contributors[i] = _dataOwner(productDataHashes[i]);
+            if (contributors[i] != address(0)) {
+                credits[i] = _productNFT.getDataCredit(productDataHashes[i], productUID);
+            }
         }
+        contributors[initialDataLength] = lab;
+        credits[initialDataLength] = labCredit;
 
-        uint256 labShardAmount = _labShards(
-            productUID,
-            labCredit,
-            totalCredits,
-            initialContributorShare,
-            config.targetSupply,
-            lab
+        uint256[] memory shardAmounts = ShardMath.allocate(
+            ShardMath.percentOf(config.targetSupply, initialContributorShare),
+            credits
         );
-        config.totalSupply = config.totalSupply + labShardAmount;
-        _initialContributors[productUID].push(lab);
-        _initialContributorShards[productUID].push(labShardAmount);
+        for (uint256 i = 0; i < contributors.length; i++) {
+            if (contributors[i] == address(0)) {
+                continue;
+            }
+            _mintShards(productUID, contributors[i], shardAmounts[i]);
+
+            config.totalSupply = config.totalSupply + shardAmounts[i];
+            _initialContributors[productUID].push(contributors[i]);
+            _initialContributorShards[productUID].push(shardAmounts[i]);
+        }
     }
 
     /**
@@ -475,61 +638,11 @@ contract ProductShards is Ownable, Pausable, ERC1155 {
         address rejuve
     ) private {
         ShardConfig storage config = productToShardsConfig[productUID];
-        uint256 amount = (targetSupply_ * percent) / 100;
+        uint256 amount = ShardMath.percentOf(targetSupply_, percent);
         config.totalSupply = config.totalSupply + amount;
-        uint256[] memory amounts = _setAmount(amount);
         _initialContributors[productUID].push(rejuve);
         _initialContributorShards[productUID].push(amount);
 
-        _mintBatch(rejuve, productToTypeIndexes[productUID], amounts, "0x00");
-    }
-
-    //------------------------------- Helpers-----------------------------//
-
-    /**
-     * @dev Calculate lab shards as per its credit
-     * @dev Lab will get shards in initial data contributor category
-     */
-    function _labShards(
-        uint256 productUID,
-        uint256 labCredit,
-        uint256 totalCredits,
-        uint256 initialShare,
-        uint256 targetSupply_,
-        address lab
-    ) private returns (uint256) {
-        uint256 amount = _shardsPerContributor(
-            labCredit,
-            totalCredits,
-            initialShare,
-            targetSupply_
-        );
-        uint256[] memory amounts = _setAmount(amount);
-        _mintBatch(lab, productToTypeIndexes[productUID], amounts, "0x00");
-  
-        return amount;
-    }
-
-    /**
-     * @return uint sum of all initial data credits
-     */
-    function _getTotalInitialCredits(
-        uint256 productUID
-    ) private view returns (uint256) {
-        bytes[] memory productDataHashes = _productNFT.getProductToData(
-            productUID
-        );
-        uint256 totalInitialCredits;
-        uint256 productHashesLength = productDataHashes.length;
-
-        for (uint256 i = 0; i < productHashesLength; i++) {
-            uint256 dataCredit = _productNFT.getDataCredit(
-                productDataHashes[i],
-                productUID
-            );
-            totalInitialCredits = totalInitialCredits + dataCredit;
-        }
-
-        return totalInitialCredits;
+        _mintShards(productUID, rejuve, amount);
     }
-}
\ No newline at end of file
+}
@@ -1,30 +1,79 @@
 // SPDX-License-Identifier: GPL-3.0
 pragma solidity ^0.8.21;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
 import "@openzeppelin/contracts/utils/Context.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "./Interfaces/IProductShards.sol";
+import "./Interfaces/IProductNFT.sol";
+import "./ShardMath.sol";
 
 /** 
  * @title Profit distribution from final product
  * @dev Contract module which provides a profit distribution mechanism
  * that allows anyone to deposit an amount of RJV tokens to the contract that 
  * can be claimed by shard holders as per their shard holdings
+ *
+ * Deposits are only accepted for Active products (ProductNFT lifecycle);
+ * earnings of a Retired product can still be withdrawn. Royalties deposited by
+ * the royalty depositor (DistributorAgreement) are accepted whatever the
+ * product status, as they pay for sales made under an agreement; they still
+ * need shards to be shared between.
+ *
+ * Earnings are accounted per shard: every deposit adds amount / total shards
+ * to the product reward per shard. Before any shard balance changes
+ * (transfers, mints & burns) the shards contract calls updateHolders, which
+ * credits both holders with what their current balance earned so far. Moving
+ * shards to another wallet therefore moves future earnings only, unclaimed
+ * earnings stay with the holder who earned them.
+ *
+ * Besides RJV, revenue can be deposited in any allow-listed ERC-20 token or
+ * in ETH (NATIVE_CURRENCY, allow-listed as address(0)). Every currency is
+ * accounted separately and holders claim each currency on its own; RJV
+ * functions & events are kept unchanged.
  * 
  * Also, Only owner can pause/unpause the contract
 */
 contract ProfitDistribution is Context, Ownable, Pausable {
+    using SafeERC20 for IERC20;
+
+    // Currency id of ETH deposits
+    address public constant NATIVE_CURRENCY = address(0);
 
     IERC20 private _rejuveToken;
     IProductShards private _productShards;
 
-    // Mapping from productUID to Earned amount 
-    mapping(uint256 => uint256) private productEarning; 
+    // Mapping from currency to allow-list status
+    mapping(address => bool) private allowedCurrencies;
+
+    // Mapping from productUID to currencies ever deposited for the product
+    mapping(uint256 => address[]) private productCurrencies;
+
+    // Mapping from productUID to currency to deposited status
+    mapping(uint256 => mapping(address => bool)) private productHasCurrency;
+
+    // Mapping from currency to productUID to Earned amount 
+    mapping(address => mapping(uint256 => uint256)) private productEarning; 
+
+    // Mapping from currency to productUID to totalWithdrawal
+    mapping(address => mapping(uint256 => uint256)) private withdrawalBalance; 
+
+    // Mapping from currency to productUID to cumulative earning per shard (scaled by PRECISION)
+    mapping(address => mapping(uint256 => uint256)) private rewardPerShard;
 
-    // Mapping from productUID to totalWithdrawal
-    mapping(uint256 => uint256) private withdrawalBalance; 
+    // Mapping from currency to holder to productUID to reward per shard already credited
+    mapping(address => mapping(address => mapping(uint256 => uint256))) private holderRewardPerShard;
+
+    // Mapping from currency to holder to productUID to credited but unclaimed earning
+    mapping(address => mapping(address => mapping(uint256 => uint256))) private holderEarning;
+
+    uint256 private constant PRECISION = 1e18;
    
+    // Contract allowed to deposit royalties whatever the product status
+    address private _royaltyDepositor;
+
    // Mapping from holder to productUID to lastPoint
     mapping(address => mapping(uint256 => uint256)) private holderLastPoint;
 
@@ -38,11 +87,32 @@ contract ProfitDistribution is Context, Ownable, Pausable {
     */
     event Withdrawal(address holder, uint256 productUID, uint256 amount);
 
+    /**
+     * @dev Emitted when a purchase is paid in another currency than RJV
+    */
+    event CurrencyPaymentReceived(address sender, uint256 productUID, address currency, uint256 amount);
+
+    /**
+     * @dev Emitted when a holder withdraws an amount of another currency than RJV
+    */
+    event CurrencyWithdrawal(address holder, uint256 productUID, address currency, uint256 amount);
+
+    /**
+     * @dev Emitted when a currency is added to or removed from the allow-list
+    */
+    event CurrencyAllowListUpdated(address currency, bool allowed);
+
+    /**
+     * @dev Emitted when the royalty depositor is set
+    */
+    event RoyaltyDepositorUpdated(address royaltyDepositor);
+
     //------------------------------ Constructor --------------------------------//
 
     constructor(address rejuveToken_, address productShards_) {
         _rejuveToken = IERC20(rejuveToken_);
         _productShards = IProductShards(productShards_);
+        allowedCurrencies[rejuveToken_] = true;
     }
 
     //------------------------------ EXTERNAL --------------------------------//
@@ -60,8 +130,60 @@ contract ProfitDistribution is Context, Ownable, Pausable {
         external 
         whenNotPaused 
     {
-        require(amount > 0, "REJUVE: Zero amount");
-        _deposit(productUID, amount);
+        _deposit(address(_rejuveToken), productUID, amount, true);
+        _rejuveToken.safeTransferFrom(_msgSender(), address(this), amount);
+    }
+
+    /**
+     * @notice Deposit an allow-listed ERC-20 token (e.g. stablecoins paid by distributors)
+     * @param productUID token Id of a product that is being purchased
+     * @param currency allow-listed ERC-20 token
+     * @param amount deposited tokens / price of the item in that token
+    */
+    function depositToken(
+        uint256 productUID,
+        address currency,
+        uint256 amount
+    ) 
+        external 
+        whenNotPaused 
+    {
+        require(currency != NATIVE_CURRENCY, "REJUVE: Invalid Currency");
+        _deposit(currency, productUID, amount, true);
+        IERC20(currency).safeTransferFrom(_msgSender(), address(this), amount);
+    }
+
+    /**
+     * @notice Deposit distributor royalties of a product, whatever its status
+     * @dev Only the royalty depositor (DistributorAgreement) can call this function
+     * @param currency allow-listed ERC-20 token
+    */
+    function depositRoyalty(
+        uint256 productUID,
+        address currency,
+        uint256 amount
+    ) 
+        external 
+        whenNotPaused 
+    {
+        require(_msgSender() == _royaltyDepositor, "REJUVE: Only Royalty Depositor");
+        require(currency != NATIVE_CURRENCY, "REJUVE: Invalid Currency");
+        _deposit(currency, productUID, amount, false);
+        IERC20(currency).safeTransferFrom(_msgSender(), address(this), amount);
+    }
+
+    /**
+     * @notice Deposit ETH, when allow-listed
+     * @param productUID token Id of a product that is being purchased
+    */
+    function depositETH(
+        uint256 productUID
+    ) 
+        external 
+        payable
+        whenNotPaused 
+    {
+        _deposit(NATIVE_CURRENCY, productUID, msg.value, true);
     }
 
     /**
@@ -77,14 +199,88 @@ contract ProfitDistribution is Context, Ownable, Pausable {
         external 
         whenNotPaused 
     {
-        require(productEarning[productUID] > 0, "REJUVE: No product earning");
-        require(getShardBalance(productUID) > 0, "REJUVE: No shard balance");
+        require(productEarning[address(_rejuveToken)][productUID] > 0, "REJUVE: No product earning");
+
+        uint256 amount = _claim(address(_rejuveToken), productUID);
+        require(amount > 0, "REJUVE: No user earning");
+        _send(address(_rejuveToken), amount);
+    }
+
+    /**
+     * @notice Withdraw the earning of many products in a single transaction
+     * @dev Products without earning for the caller are skipped, a Withdrawal
+     * event is emitted per product with earning and RJV tokens are transferred once
+     * @param productUIDs - Ids of the products from which holder is withdrawing
+     */
+    function withdrawBatch(
+        uint256[] calldata productUIDs
+    ) 
+        external 
+        whenNotPaused 
+    {
+        _withdrawBatch(address(_rejuveToken), productUIDs);
+    }
 
-        _withdraw(productUID);
+    /**
+     * @notice Withdraw the earning of many products in one currency
+     * @dev Same as withdrawBatch for any currency, RJV included
+     * @param currency ERC-20 token or NATIVE_CURRENCY
+     * @param productUIDs - Ids of the products from which holder is withdrawing
+     */
+    function withdrawCurrency(
+        address currency,
+        uint256[] calldata productUIDs
+    ) 
+        external 
+        whenNotPaused 
+    {
+        _withdrawBatch(currency, productUIDs);
+    }
+
+    /**
+     * @notice Credit holders with their earning before their shard balance changes
+     * @dev Only the shards contract can call this function
+     */
+    function updateHolders(
+        uint256 productUID,
+        address from,
+        address to
+    ) 
+        external 
+    {
+        require(
+            _msgSender() == address(_productShards),
+            "REJUVE: Only Product Shards"
+        );
+        if (from != address(0)) {
+            _updateHolder(from, productUID);
+        }
+        if (to != address(0)) {
+            _updateHolder(to, productUID);
+        }
     }
 
     //---------------------------- OWNER FUNCTIONS --------------//
 
+    /**
+     * @notice Allow or refuse deposits in a currency
+     * @dev Earnings already deposited stay withdrawable once a currency is removed
+     * @param currency ERC-20 token or NATIVE_CURRENCY
+     */
+    function setCurrencyAllowed(address currency, bool allowed) external onlyOwner {
+        require(currency != address(_rejuveToken), "REJUVE: RJV is always allowed");
+        allowedCurrencies[currency] = allowed;
+        emit CurrencyAllowListUpdated(currency, allowed);
+    }
+
+    /**
+     * @notice Set the contract allowed to deposit royalties (DistributorAgreement)
+     */
+    function setRoyaltyDepositor(address royaltyDepositor) external onlyOwner {
+        _royaltyDepositor = royaltyDepositor;
+        emit RoyaltyDepositorUpdated(royaltyDepositor);
+    }
+
     /**
      * @dev Triggers stopped state.
     */
@@ -105,14 +301,111 @@ contract ProfitDistribution is Context, Ownable, Pausable {
      * @return Total earning of a product
     */
     function getProductEarning(uint256 productUID) external view returns (uint256) {
-        return productEarning[productUID];
+        return productEarning[address(_rejuveToken)][productUID];
     }
 
     /**
      * @return Total withdrawal amount of a product
     */
     function getTotalWithdrawal(uint256 productUID) external view returns (uint256) {
-        return withdrawalBalance[productUID];
+        return withdrawalBalance[address(_rejuveToken)][productUID];
+    }
+
+    /**
+     * @return Total earning of a product in a currency
+    */
+    function getProductEarningIn(
+        uint256 productUID,
+        address currency
+    ) external view returns (uint256) {
+        return productEarning[currency][productUID];
+    }
+
+    /**
+     * @return Total withdrawal amount of a product in a currency
+    */
+    function getTotalWithdrawalIn(
+        uint256 productUID,
+        address currency
+    ) external view returns (uint256) {
+        return withdrawalBalance[currency][productUID];
+    }
+
+    /**
+     * @return Earning a holder can withdraw from a product
+    */
+    function getClaimableEarning(
+        address holder,
+        uint256 productUID
+    ) external view returns (uint256) {
+        return _claimable(address(_rejuveToken), holder, productUID);
+    }
+
+    /**
+     * @return claimable Earning a holder can withdraw from each product, in input order
+    */
+    function getClaimableEarnings(
+        address holder,
+        uint256[] calldata productUIDs
+    ) external view returns (uint256[] memory claimable) {
+        return getClaimableEarningsIn(address(_rejuveToken), holder, productUIDs);
+    }
+
+    /**
+     * @return currencies Currencies deposited for a product
+     * @return amounts Earning a holder can withdraw in each currency
+    */
+    function getClaimableCurrencies(
+        address holder,
+        uint256 productUID
+    ) external view returns (address[] memory currencies, uint256[] memory amounts) {
+        currencies = productCurrencies[productUID];
+        amounts = new uint256[](currencies.length);
+        for (uint256 i = 0; i < currencies.length; i++) {
+            amounts[i] = _claimable(currencies[i], holder, productUID);
+        }
+    }
+
+    /**
+     * @return Currencies ever deposited for a product
+    */
+    function getProductCurrencies(uint256 productUID) external view returns (address[] memory) {
+        return productCurrencies[productUID];
+    }
+
+    /**
+     * @return True if deposits are accepted in a currency
+    */
+    function isCurrencyAllowed(address currency) external view returns (bool) {
+        return allowedCurrencies[currency];
+    }
+
+    /**
+     * @return Contract allowed to deposit royalties whatever the product status
+    */
+    function getRoyaltyDepositor() external view returns (address) {
+        return _royaltyDepositor;
+    }
+
+    /**
+     * @return True if royalties can be deposited for the product, i.e. it has shards
+    */
+    function acceptsRoyalty(uint256 productUID) external view returns (bool) {
+        return _productShards.totalShardSupply(productUID) > 0;
+    }
+
+    /**
+     * @return RJV token address
+    */
+    function getRejuveToken() external view returns (address) {
+        return address(_rejuveToken);
+    }
+
+    /**
+     * @return Cumulative earning per shard of a product, scaled by 1e18
+    */
+    function getRewardPerShard(uint256 productUID) external view returns (uint256) {
+        return rewardPerShard[address(_rejuveToken)][productUID];
     }
 
     /**
@@ -127,68 +420,170 @@ contract ProfitDistribution is Context, Ownable, Pausable {
 
     //------------------------------ PUBLIC --------------------------------//
 
+    /**
+     * @return claimable Earning a holder can withdraw from each product in a currency, in input order
+    */
+    function getClaimableEarningsIn(
+        address currency,
+        address holder,
+        uint256[] calldata productUIDs
+    ) public view returns (uint256[] memory claimable) {
+        claimable = new uint256[](productUIDs.length);
+        for (uint256 i = 0; i < productUIDs.length; i++) {
+            claimable[i] = _claimable(currency, holder, productUIDs[i]);
+        }
+    }
+
     /**
      * @return Total Shard balance(Tradable & locked) of a caller
     */
     function getShardBalance(uint256 productUID) public view returns (uint256) {
-        uint256[] memory productIds = _productShards.getProductIDs(productUID);
-        uint256 lockedBalance = _productShards.balanceOf(
-            _msgSender(),
-            productIds[0]
-        );
-        uint256 tradedBalance = _productShards.balanceOf(
-            _msgSender(),
-            productIds[1]
-        );
-        uint256 balance = lockedBalance + tradedBalance;
-        return balance;
+        return _shardBalance(_msgSender(), productUID);
     }
 
     //------------------------------ PRIVATE --------------------------------//
 
-    function _deposit(uint256 productUID, uint256 amount) private {   
-        productEarning[productUID] += amount;
-        emit PaymentReceived(_msgSender(), productUID, amount);   
-        _rejuveToken.transferFrom(_msgSender(), address(this), amount);  
+    /**
+     * @dev Earning is shared between shards existing at deposit time.
+     * Tokens are transferred by the caller function
+     * @param activeOnly refuse products that are not Active (every deposit but royalties)
+     */
+    function _deposit(address currency, uint256 productUID, uint256 amount, bool activeOnly) private {   
+        require(amount > 0, "REJUVE: Zero amount");
+        require(allowedCurrencies[currency], "REJUVE: Currency Not Allowed");
+        require(
+            !activeOnly ||
+            IProductNFT(_productShards.getProductNFT()).getProductStatus(productUID) == 1,
+            "REJUVE: Product Not Active"
+        );
+        uint256 totalShards = _productShards.totalShardSupply(productUID);
+        require(totalShards > 0, "REJUVE: No shards");
+
+        if (!productHasCurrency[productUID][currency]) {
+            productHasCurrency[productUID][currency] = true;
+            productCurrencies[productUID].push(currency);
+        }
+        rewardPerShard[currency][productUID] += ShardMath.proportion(amount, PRECISION, totalShards);
+        productEarning[currency][productUID] += amount;
+
+        if (currency == address(_rejuveToken)) {
+            emit PaymentReceived(_msgSender(), productUID, amount);
+        } else {
+            emit CurrencyPaymentReceived(_msgSender(), productUID, currency, amount);
+        }
     }
 
     /**
-     * @dev Contribution points are basis points (1% = 100 bps)
-     * 1. Get "contributionPoints" => Basis points of the caller
-     * 2. Get total product earning for caller
-     * 3. Calculate earned RJV tokens  
-     * 4. Update caller last points => Assign "current product earning" to holder last point
-     * 5. Update product withdrawal balance 
-     * 6. Transfer RJV tokens from contract to caller
+     * @dev Claim every product earning of the caller, then transfer the total once
      */
-    function _withdraw(uint256 productUID) private {
-        uint256 contributionPoints = _getContributionPoints(productUID);
-        uint256 totalEarningForCaller = productEarning[productUID] -
-            holderLastPoint[_msgSender()][productUID];
-        uint256 amount = (contributionPoints * totalEarningForCaller) / 10000; // calculate RJV
-        require(amount > 0, "REJUVE: No user earning");
+    function _withdrawBatch(address currency, uint256[] calldata productUIDs) private {
+        require(productUIDs.length > 0, "REJUVE: Empty batch");
+
+        uint256 total;
+        for (uint256 i = 0; i < productUIDs.length; i++) {
+            total += _claim(currency, productUIDs[i]);
+        }
+        require(total > 0, "REJUVE: No user earning");
+        _send(currency, total);
+    }
+
+    /**
+     * 1. Credit caller with the earning of its current shards
+     * 2. Reset caller earning & update caller last point => current product earning (RJV)
+     * 3. Update product withdrawal balance 
+     * Tokens are transferred by the caller function
+     * @return amount claimed, 0 if the caller has no earning in the product
+     */
+    function _claim(address currency, uint256 productUID) private returns (uint256 amount) {
+        _updateHolderIn(currency, _msgSender(), productUID);
+        amount = holderEarning[currency][_msgSender()][productUID];
+        if (amount == 0) {
+            return 0;
+        }
 
-        holderLastPoint[_msgSender()][productUID] = productEarning[
-            productUID
-        ]; 
-        withdrawalBalance[productUID] += amount;
+        holderEarning[currency][_msgSender()][productUID] = 0;
+        withdrawalBalance[currency][productUID] += amount;
 
-        emit Withdrawal(_msgSender(), productUID, amount);
-        _rejuveToken.transfer(_msgSender(), amount);
+        if (currency == address(_rejuveToken)) {
+            holderLastPoint[_msgSender()][productUID] = productEarning[currency][
+                productUID
+            ]; 
+            emit Withdrawal(_msgSender(), productUID, amount);
+        } else {
+            emit CurrencyWithdrawal(_msgSender(), productUID, currency, amount);
+        }
     }
 
     /**
-     * @dev Calculate caller contribution points in the product
-     * Steps:
-     * 1. Get shard balance of caller
-     * 2. Get total available shards
-     * 3. Calculate percentage contribution of caller 
-     * 4. Multiply by 100 to get basis points
-    */
-    function _getContributionPoints(uint256 productUID) private view returns(uint256) {
-        uint256 callerShardBalance = getShardBalance(productUID);
-        uint256 totalShards = _productShards.totalShardSupply(productUID);
-        uint256 percentageContribution = (callerShardBalance * 100) / totalShards;
-        return percentageContribution * 100;
+     * @dev Transfer ETH or ERC-20 tokens from contract to caller
+     */
+    function _send(address currency, uint256 amount) private {
+        if (currency == NATIVE_CURRENCY) {
+            Address.sendValue(payable(_msgSender()), amount);
+        } else {
+            IERC20(currency).safeTransfer(_msgSender(), amount);
+        }
+    }
+
+    /**
+     * @dev Credit the holder in every currency deposited for the product
+     */
+    function _updateHolder(address holder, uint256 productUID) private {
+        address[] storage currencies = productCurrencies[productUID];
+        for (uint256 i = 0; i < currencies.length; i++) {
+            _updateHolderIn(currencies[i], holder, productUID);
+        }
+    }
+
+    /**
+     * @dev Move what the holder balance earned since its last update to its earning
+     */
+    function _updateHolderIn(address currency, address holder, uint256 productUID) private {
+        holderEarning[currency][holder][productUID] += _pendingEarning(currency, holder, productUID);
+        holderRewardPerShard[currency][holder][productUID] = rewardPerShard[currency][productUID];
+    }
+
+    /**
+     * @return Credited and pending earning of a holder
+     */
+    function _claimable(
+        address currency,
+        address holder,
+        uint256 productUID
+    ) private view returns (uint256) {
+        return holderEarning[currency][holder][productUID] +
+            _pendingEarning(currency, holder, productUID);
+    }
+
+    /**
+     * @dev Earning of the current balance since the holder last update
+     * (single full-precision division, see ShardMath)
+     */
+    function _pendingEarning(
+        address currency,
+        address holder,
+        uint256 productUID
+    ) private view returns (uint256) {
+        return ShardMath.proportion(
+            _shardBalance(holder, productUID),
+            rewardPerShard[currency][productUID] - holderRewardPerShard[currency][holder][productUID],
+            PRECISION
+        );
+    }
+
+    /**
+     * @return Total Shard balance(Tradable & locked) of a holder, 0 before
+     * the initial distribution
+     */
+    function _shardBalance(
+        address holder,
+        uint256 productUID
+    ) private view returns (uint256) {
+        uint256[] memory productIds = _productShards.getProductIDs(productUID);
+        if (productIds.length == 0) {
+            return 0;
+        }
+        return _productShards.balanceOf(holder, productIds[0]) +
+            _productShards.balanceOf(holder, productIds[1]);
     }
 }
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity 0.8.21;
+import "@openzeppelin/contracts/utils/Context.sol";
+
+/**
+ * @title Relay recipient (ERC-2771)
+ * @dev Same as OpenZeppelin ERC2771Context, except that the trusted forwarder
+ * is set by the inheriting contract (admin setter) instead of the constructor,
+ * so it can be plugged into existing deployments and changed or removed.
+ * Calls coming from the trusted forwarder carry the original sender in the
+ * last 20 bytes of calldata; every other call uses msg.sender.
+*/
+abstract contract RelayRecipient is Context {
+
+    address private _trustedForwarder;
+
+    /**
+     * @dev Emitted when the trusted forwarder is set (or removed)
+    */
+    event TrustedForwarderUpdated(address trustedForwarder);
+
+    /**
+     * @return true if `forwarder` is the trusted forwarder
+     */
+    function isTrustedForwarder(address forwarder) public view virtual returns (bool) {
+        return forwarder != address(0) && forwarder == _trustedForwarder;
+    }
+
+    /**
+     * @return trusted forwarder address, zero if meta-transactions are disabled
+     */
+    function getTrustedForwarder() external view returns (address) {
+        return _trustedForwarder;
+    }
+
+    /**
+     * @dev Zero address disables meta-transactions
+     */
+    function _setTrustedForwarder(address forwarder) internal {
+        _trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+
+    function _msgSender() internal view virtual override returns (address) {
+        uint256 calldataLength = msg.data.length;
+        uint256 contextSuffixLength = _contextSuffixLength();
+        if (isTrustedForwarder(msg.sender) && calldataLength >= contextSuffixLength) {
+            return address(bytes20(msg.data[calldataLength - contextSuffixLength:]));
+        }
+        return super._msgSender();
+    }
+
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        uint256 calldataLength = msg.data.length;
+        uint256 contextSuffixLength = _contextSuffixLength();
+        if (isTrustedForwarder(msg.sender) && calldataLength >= contextSuffixLength) {
+            return msg.data[:calldataLength - contextSuffixLength];
+        }
+        return super._msgData();
+    }
+
+    /**
+     * @dev ERC-2771 specifies the context as being a single address (20 bytes)
+     */
+    function _contextSuffixLength() internal view virtual override returns (uint256) {
+        return 20;
+    }
+}
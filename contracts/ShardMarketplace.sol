@@ -6,12 +6,14 @@ import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/Context.sol";
 import "./Interfaces/IRejuveToken.sol";
 import "./Interfaces/IProductShards.sol";
+import "./Interfaces/IProductNFT.sol";
 
 /** 
  * @title Product Shards Marketplace 
  * @dev Contract module which provides a shards trading platform
  * that allows a shard holder to place their shards for others 
  * to purchase them.
+ * Shards can only be listed & bought while the product is Active (ProductNFT lifecycle).
 */
 contract ShardMarketplace is Context, Ownable, Pausable {
 
@@ -65,6 +67,17 @@ contract ShardMarketplace is Context, Ownable, Pausable {
         _;
     }
 
+    /**
+     * @dev Throws if product is not Active (Draft or Retired) in ProductNFT
+    */
+    modifier isActiveProduct(uint256 productUID) {
+        require(
+            IProductNFT(_productShard.getProductNFT()).getProductStatus(productUID) == 1,
+            "REJUVE: Product Not Active"
+        );
+        _;
+    }
+
     /**
      * @dev Throws if shards are not listed by a holder
     */
@@ -97,6 +110,7 @@ contract ShardMarketplace is Context, Ownable, Pausable {
     ) 
         external 
         isApproved 
+        isActiveProduct(productUID)
         whenNotPaused
     {
         require(
@@ -161,6 +175,7 @@ contract ShardMarketplace is Context, Ownable, Pausable {
     ) 
         external 
         isListed(productUID, seller) 
+        isActiveProduct(productUID)
         whenNotPaused
     {
         require(shardAmount > 0, "REJUVE: Shard amount cannot be zero");
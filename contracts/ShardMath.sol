@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.21;
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title Shard allocation math
+ * @notice Proportional splits done with a single full-precision division
+ * (amount * part / total), so small contributors are not rounded to zero.
+ *
+ * @dev Mirrored by sdk/shards.js, keep both in sync.
+ * - A pool split between weights is always minted in full: the rounding
+ *   remainder (less than one shard per contributor) goes to the largest
+ *   weight, the first one on ties
+*/
+library ShardMath {
+
+    /**
+     * @return percent % of amount, rounded down
+     */
+    function percentOf(uint256 amount, uint256 percent) internal pure returns (uint256) {
+        return Math.mulDiv(amount, percent, 100);
+    }
+
+    /**
+     * @return part / total of amount, rounded down
+     */
+    function proportion(
+        uint256 amount,
+        uint256 part,
+        uint256 total
+    ) internal pure returns (uint256) {
+        return Math.mulDiv(amount, part, total);
+    }
+
+    /**
+     * @notice Split a pool between weights (e.g. credit scores)
+     * @return amounts - one per weight, summing up to pool exactly
+     */
+    function allocate(
+        uint256 pool,
+        uint256[] memory weights
+    ) internal pure returns (uint256[] memory amounts) {
+        uint256 length = weights.length;
+        uint256 totalWeight;
+        uint256 largest;
+        for (uint256 i = 0; i < length; i++) {
+            totalWeight = totalWeight + weights[i];
+            if (weights[i] > weights[largest]) {
+                largest = i;
+            }
+        }
+        require(totalWeight > 0, "REJUVE: Total credits cannot be zero");
+
+        amounts = new uint256[](length);
+        uint256 allocated;
+        for (uint256 i = 0; i < length; i++) {
+            amounts[i] = Math.mulDiv(pool, weights[i], totalWeight);
+            allocated = allocated + amounts[i];
+        }
+        amounts[largest] = amounts[largest] + (pool - allocated);
+    }
+}
@@ -0,0 +1,279 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity 0.8.21;
+import "@openzeppelin/contracts/utils/Context.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title Sponsor registry
+ * @dev Contract module which keeps partner sponsors (clinics) with their metadata,
+ * per-period quotas for identity creation & data submission and usage counters.
+ * IdentityToken and DataManagement (CONSUMER_ROLE) consume the quota of the
+ * sponsor executing a call; a suspended sponsor is rejected by both without
+ * pausing either contract.
+*/
+contract SponsorRegistry is Context, AccessControl {
+
+    // Role of contracts consuming sponsor quotas (IdentityToken, DataManagement)
+    bytes32 public constant CONSUMER_ROLE = keccak256("CONSUMER_ROLE");
+
+    struct Sponsor {
+        string metadataURI;
+        uint256 identityQuota; // identities per period, 0 for unlimited
+        uint256 dataQuota;     // data hashes per period, 0 for unlimited
+        bool registered;
+        bool suspended;
+    }
+
+    struct Usage {
+        uint256 period;            // period of the counters below
+        uint256 identities;
+        uint256 dataSubmissions;
+        uint256 totalIdentities;   // since registration, for billing
+        uint256 totalDataSubmissions;
+    }
+
+    // Length of a quota period in seconds
+    uint256 public periodLength;
+
+    // Mapping from sponsor address to sponsor info
+    mapping(address => Sponsor) private _sponsors;
+
+    // Mapping from sponsor address to usage counters
+    mapping(address => Usage) private _usages;
+
+    // List of all registered sponsors
+    address[] private _sponsorList;
+
+    /**
+     * @dev Emitted when a sponsor is registered
+     */
+    event SponsorRegistered(address indexed sponsor, string metadataURI, uint256 identityQuota, uint256 dataQuota);
+
+    /**
+     * @dev Emitted when sponsor metadata or quotas are changed
+     */
+    event SponsorUpdated(address indexed sponsor, string metadataURI, uint256 identityQuota, uint256 dataQuota);
+
+    /**
+     * @dev Emitted when a sponsor is suspended
+     */
+    event SponsorSuspended(address indexed sponsor);
+
+    /**
+     * @dev Emitted when a suspended sponsor is reinstated
+     */
+    event SponsorReinstated(address indexed sponsor);
+
+    /**
+     * @dev Emitted when a consumer contract uses sponsor quota
+     */
+    event IdentityQuotaUsed(address indexed sponsor, address indexed consumer, uint256 period, uint256 used);
+
+    /**
+     * @dev Emitted when a consumer contract uses sponsor quota
+     */
+    event DataQuotaUsed(address indexed sponsor, address indexed consumer, uint256 period, uint256 amount, uint256 used);
+
+    /**
+     * @dev Emitted when admin changes the period length
+     */
+    event PeriodLengthUpdated(uint256 periodLength);
+
+    constructor(uint256 _periodLength) {
+        _checkPeriodLength(_periodLength);
+        periodLength = _periodLength;
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+    }
+
+    //---------------------------- ADMIN FUNCTIONS --------------------------------//
+
+    /**
+     * @notice Register a sponsor
+     * @dev The sponsor still needs SPONSOR_ROLE on IdentityToken / DataManagement
+     * @param sponsor sponsor address
+     * @param metadataURI sponsor metadata (name, billing details...)
+     * @param identityQuota identities a sponsor can create per period, 0 for unlimited
+     * @param dataQuota data hashes a sponsor can submit per period, 0 for unlimited
+     */
+    function registerSponsor(
+        address sponsor,
+        string memory metadataURI,
+        uint256 identityQuota,
+        uint256 dataQuota
+    )
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(sponsor != address(0), "REJUVE: Zero Address");
+        require(!_sponsors[sponsor].registered, "REJUVE: Sponsor Already Registered");
+
+        _sponsors[sponsor] = Sponsor(metadataURI, identityQuota, dataQuota, true, false);
+        _sponsorList.push(sponsor);
+        emit SponsorRegistered(sponsor, metadataURI, identityQuota, dataQuota);
+    }
+
+    /**
+     * @notice Change metadata & quotas of a sponsor
+     * @dev Usage of the current period is kept
+     */
+    function updateSponsor(
+        address sponsor,
+        string memory metadataURI,
+        uint256 identityQuota,
+        uint256 dataQuota
+    )
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        Sponsor storage info = _registeredSponsor(sponsor);
+        info.metadataURI = metadataURI;
+        info.identityQuota = identityQuota;
+        info.dataQuota = dataQuota;
+        emit SponsorUpdated(sponsor, metadataURI, identityQuota, dataQuota);
+    }
+
+    /**
+     * @notice Stop a single sponsor from creating identities or submitting data
+     */
+    function suspendSponsor(address sponsor) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        Sponsor storage info = _registeredSponsor(sponsor);
+        require(!info.suspended, "REJUVE: Sponsor Suspended");
+        info.suspended = true;
+        emit SponsorSuspended(sponsor);
+    }
+
+    /**
+     * @notice Lift a sponsor suspension
+     */
+    function reinstateSponsor(address sponsor) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        Sponsor storage info = _registeredSponsor(sponsor);
+        require(info.suspended, "REJUVE: Sponsor Not Suspended");
+        info.suspended = false;
+        emit SponsorReinstated(sponsor);
+    }
+
+    /**
+     * @notice Change quota period length
+     * @dev Periods are counted from the unix epoch, so the current period
+     * (and its usage) changes with the length
+     */
+    function setPeriodLength(uint256 _periodLength) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _checkPeriodLength(_periodLength);
+        periodLength = _periodLength;
+        emit PeriodLengthUpdated(_periodLength);
+    }
+
+    //---------------------------- CONSUMER FUNCTIONS --------------------------------//
+
+    /**
+     * @notice Use one identity of the sponsor quota
+     * @dev Reverts if sponsor is not registered, suspended or out of quota
+     */
+    function useIdentityQuota(address sponsor) external onlyRole(CONSUMER_ROLE) {
+        Sponsor storage info = _activeSponsor(sponsor);
+        Usage storage usage = _currentUsage(sponsor);
+        require(
+            info.identityQuota == 0 || usage.identities < info.identityQuota,
+            "REJUVE: Identity Quota Exceeded"
+        );
+        usage.identities += 1;
+        usage.totalIdentities += 1;
+        emit IdentityQuotaUsed(sponsor, _msgSender(), usage.period, usage.identities);
+    }
+
+    /**
+     * @notice Use `amount` data submissions of the sponsor quota
+     * @dev Reverts if sponsor is not registered, suspended or out of quota
+     */
+    function useDataQuota(address sponsor, uint256 amount) external onlyRole(CONSUMER_ROLE) {
+        Sponsor storage info = _activeSponsor(sponsor);
+        Usage storage usage = _currentUsage(sponsor);
+        require(
+            info.dataQuota == 0 || usage.dataSubmissions + amount <= info.dataQuota,
+            "REJUVE: Data Quota Exceeded"
+        );
+        usage.dataSubmissions += amount;
+        usage.totalDataSubmissions += amount;
+        emit DataQuotaUsed(sponsor, _msgSender(), usage.period, amount, usage.dataSubmissions);
+    }
+
+    //---------------------------- VIEWS --------------------------------//
+
+    /**
+     * @notice Reverts if sponsor is not registered or suspended
+     * @dev Used by consumers for sponsor calls that do not use quota
+     */
+    function checkSponsor(address sponsor) external view {
+        _activeSponsor(sponsor);
+    }
+
+    /**
+     * @return true if sponsor is registered and not suspended
+     */
+    function isActiveSponsor(address sponsor) external view returns (bool) {
+        return _sponsors[sponsor].registered && !_sponsors[sponsor].suspended;
+    }
+
+    /**
+     * @return Sponsor (metadata URI, quotas, registered & suspended flags)
+     */
+    function getSponsor(address sponsor) external view returns (Sponsor memory) {
+        return _sponsors[sponsor];
+    }
+
+    /**
+     * @return usage of the current period (counters reset when a new period starts) and totals
+     */
+    function getUsage(address sponsor) external view returns (Usage memory usage) {
+        usage = _usages[sponsor];
+        uint256 period = currentPeriod();
+        if (usage.period != period) {
+            usage.period = period;
+            usage.identities = 0;
+            usage.dataSubmissions = 0;
+        }
+    }
+
+    /**
+     * @return all registered sponsors
+     */
+    function getSponsors() external view returns (address[] memory) {
+        return _sponsorList;
+    }
+
+    /**
+     * @return index of the current quota period
+     */
+    function currentPeriod() public view returns (uint256) {
+        return block.timestamp / periodLength;
+    }
+
+    //----------------------------- PRIVATE FUNCTIONS -----------------------------//
+
+    function _registeredSponsor(address sponsor) private view returns (Sponsor storage info) {
+        info = _sponsors[sponsor];
+        require(info.registered, "REJUVE: Sponsor Not Registered");
+    }
+
+    function _activeSponsor(address sponsor) private view returns (Sponsor storage info) {
+        info = _registeredSponsor(sponsor);
+        require(!info.suspended, "REJUVE: Sponsor Suspended");
+    }
+
+    /**
+     * @dev Usage counters of the sponsor, reset when a new period starts
+     */
+    function _currentUsage(address sponsor) private returns (Usage storage usage) {
+        usage = _usages[sponsor];
+        uint256 period = currentPeriod();
+        if (usage.period != period) {
+            usage.period = period;
+            usage.identities = 0;
+            usage.dataSubmissions = 0;
+        }
+    }
+
+    function _checkPeriodLength(uint256 _periodLength) private pure {
+        require(_periodLength != 0, "REJUVE: Zero Period");
+    }
+}
@@ -1,20 +1,42 @@
 // SPDX-License-Identifier: GPL-3.0
 pragma solidity ^0.8.21;
 import "./FutureShards.sol";
+import "./Interfaces/IProfitDistribution.sol";
 
 /** 
  * @title Transfer shards 
  * @notice Contract module that provides shards transfer mechanism for
  * both "Tradable" and "Locked" types.
  *
- * @dev System should lock transfer of 50% of tokens for a specific time.
- * After this locking period, owner of shards can sale them as tradable tokens
+ * @dev Locked shards cannot be transferred, not even after the lock period.
+ * As they vest (see ProductShards vesting schedule) the holder claims them,
+ * i.e. they are burned and the same amount of tradable shards is minted to
+ * the holder.
+ *
+ * @dev Before any balance change (transfers, mints & burns) ProfitDistribution
+ * is notified so earnings follow the holder who earned them.
  *
  * @dev contract deployer is the default owner.
  * - Only Owner can call pause/unpause functions
 */
 contract TransferShards is FutureShards {
 
+    IProfitDistribution private _profitDistribution;
+
+    /**
+     * @dev Emitted when a holder converts vested locked shards into traded shards
+     */
+    event VestedShardsClaimed(
+        uint256 productUID,
+        address holder,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when the ProfitDistribution contract notified on balance changes is set
+     */
+    event ProfitDistributionUpdated(address profitDistribution);
+
     constructor(string memory uri, address productNFT) 
         FutureShards(uri, productNFT) 
     {}
@@ -36,17 +58,50 @@ contract TransferShards is FutureShards {
         _unpause();
     }
 
+    /**
+     * @notice Set the ProfitDistribution contract notified before balance changes
+     * @dev Only before any shards are minted, zero address disables it
+     */
+    function setProfitDistribution(address profitDistribution) external onlyOwner {
+        require(_types.length == 0, "REJUVE: Shards already minted");
+        _profitDistribution = IProfitDistribution(profitDistribution);
+        emit ProfitDistributionUpdated(profitDistribution);
+    }
+
+    //----------------------- VIEWS -------------------------//
+
+    /**
+     * @return ProfitDistribution contract notified on balance changes
+     */
+    function getProfitDistribution() external view returns (address) {
+        return address(_profitDistribution);
+    }
+
+    //----------------------- EXTERNAL functions -------------------------//
+
+    /**
+     * @notice Claim vested locked shards of a product as traded shards
+     * @dev Total supply is unchanged: locked shards are burned and the same
+     * amount of traded shards is minted
+     */
+    function claimVestedShards(uint256 productUID) external whenNotPaused {
+        address holder = _msgSender();
+        uint256 amount = getClaimableShards(productUID, holder);
+        require(amount > 0, "REJUVE: No vested shards");
+
+        holderToClaimedShards[productUID][holder] += amount;
+        uint256[] memory ids = productToTypeIndexes[productUID];
+        _burn(holder, ids[0], amount);
+        _mint(holder, ids[1], amount, "0x00");
+
+        emit VestedShardsClaimed(productUID, holder, amount);
+    }
+
     //------------------------------ PUBLIC ------------------------------//
 
     /**
      * @dev Overrides {ERC1155 safeTransferFrom}
-     * Steps:
-     * 1. Check ID type
-     * 2 If it is "locked" then check block.timestamp,
-     *  - if it is more than locking period, allow transfer
-     *  - if less, lock transfer
-     *
-     * 3.Else (Means Type ID is "tradable"), allow transfer
+     * Locked type transfers are refused (see _beforeTokenTransfer)
      */
     function safeTransferFrom(
         address from,
@@ -55,18 +110,38 @@ contract TransferShards is FutureShards {
         uint256 amount,
         bytes memory data
     ) public override {
-        if (typeToState[id] == bytes32("LOCKED")) {
-        //if (keccak256(bytes(typeToState[id])) == keccak256(bytes("LOCKED"))) {
-            // check type if it is LOCKED
-            require(
-                block.timestamp > productToLockPeriod[typeToProduct[id]],
-                "REJUVE: Cannot sale 50% of shards before locking period"
-            );
-            _transferShard(from, to, id, amount, data);
-        } else {
-            // if type is TRADABLE
-            _transferShard(from, to, id, amount, data);
+        _transferShard(from, to, id, amount, data);
+    }
+
+    //---------------------------------------- INTERNAL ----------------------------------------------//
+
+    /**
+     * @dev Locked shards are only minted, or burned when claimed. Applies to
+     * single & batch transfers
+     * @dev Holders are credited with their earning before balances change
+     */
+    function _beforeTokenTransfer(
+        address operator,
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory amounts,
+        bytes memory data
+    ) internal override {
+        if (from != address(0) && to != address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                require(
+                    typeToState[ids[i]] != bytes32("LOCKED"),
+                    "REJUVE: Locked shards are not transferable"
+                );
+            }
+        }
+        if (address(_profitDistribution) != address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                _profitDistribution.updateHolders(typeToProduct[ids[i]], from, to);
+            }
         }
+        super._beforeTokenTransfer(operator, from, to, ids, amounts, data);
     }
 
     //---------------------------------------- PRIVATE----------------------------------------------//
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+import "../ShardMath.sol";
+
+contract ShardMathTest {
+    function percentOf(uint256 amount, uint256 percent) external pure returns (uint256) {
+        return ShardMath.percentOf(amount, percent);
+    }
+
+    function proportion(uint256 amount, uint256 part, uint256 total) external pure returns (uint256) {
+        return ShardMath.proportion(amount, part, total);
+    }
+
+    function allocate(uint256 pool, uint256[] memory weights) external pure returns (uint256[] memory) {
+        return ShardMath.allocate(pool, weights);
+    }
+}
@@ -3,6 +3,8 @@ require("hardhat-gas-reporter");
 require('solidity-coverage');
 require('@openzeppelin/test-helpers');
 require('dotenv').config();
+require('./tasks/deploy');
+require('./tasks/admin');
 
 /**
  * @dev Replace keys in .env file to deploy contracts to a remote network
@@ -0,0 +1,210 @@
+const { loadManifest, defaultManifestPath } = require("./deployment");
+
+/**
+ * @title Rejuve platform administration
+ * @dev Role & ownership operations across every contract in a deployment manifest.
+ *
+ * - AccessControl: IdentityToken, DataManagement, ProductNFT, SponsorRegistry
+ * - Ownable: TransferShards, ProfitDistribution, ShardMarketplace, DistributorAgreement, Voting
+ */
+
+const ROLE_NAMES = ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "SPONSOR_ROLE", "SIGNER_ROLE", "CONSUMER_ROLE"];
+
+// Contracts exposing pause()/unpause(), in deployment order
+const PAUSABLE_CONTRACTS = [
+    "IdentityToken",
+    "DataManagement",
+    "ProductNFT",
+    "TransferShards",
+    "ProfitDistribution",
+    "ShardMarketplace",
+    "DistributorAgreement",
+    "Voting"
+];
+
+//---------------------------- Contracts ----------------------------//
+
+/**
+ * @return { Name: ethers contract } for every contract in the manifest
+ */
+async function getPlatformContracts(hre, manifestPath) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const path = manifestPath || defaultManifestPath(hre.network.name);
+    const manifest = loadManifest(path, hre.network.name, chainId);
+    if (Object.keys(manifest.contracts).length === 0) {
+        throw new Error(`REJUVE: No deployment found in ${path}`);
+    }
+
+    const contracts = {};
+    for (const name of Object.keys(manifest.contracts)) {
+        const entry = manifest.contracts[name];
+        contracts[name] = await hre.ethers.getContractAt(entry.contract, entry.address);
+        contracts[name].deployedAt = entry.blockNumber;
+    }
+    return contracts;
+}
+
+function _getContract(contracts, name) {
+    if (!contracts[name]) {
+        throw new Error(`REJUVE: Unknown contract ${name}`);
+    }
+    return contracts[name];
+}
+
+function _isAccessControl(contract) {
+    return contract.interface.functions["hasRole(bytes32,address)"] !== undefined;
+}
+
+function _isOwnable(contract) {
+    return contract.interface.functions["owner()"] !== undefined;
+}
+
+//---------------------------- Roles ----------------------------//
+
+/**
+ * @dev Replay RoleGranted/RoleRevoked events from deployment block
+ * @return { ROLE_NAME: [holders] }
+ */
+async function getRoleHolders(contract) {
+    const roleNames = await _roleNamesByHash(contract);
+    const filters = [contract.filters.RoleGranted(), contract.filters.RoleRevoked()];
+    const events = [];
+    for (const filter of filters) {
+        events.push(...(await contract.queryFilter(filter, contract.deployedAt || 0)));
+    }
+    events.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+
+    const holders = {};
+    for (const event of events) {
+        const roleName = roleNames[event.args.role] || event.args.role;
+        holders[roleName] = holders[roleName] || new Set();
+        if (event.event === "RoleGranted") {
+            holders[roleName].add(event.args.account);
+        } else {
+            holders[roleName].delete(event.args.account);
+        }
+    }
+
+    const result = {};
+    for (const roleName of Object.keys(holders)) {
+        result[roleName] = [...holders[roleName]];
+    }
+    return result;
+}
+
+/**
+ * @return [{ contract, address, paused, owner?, roles?, trustedForwarder? }] for every deployed contract
+ */
+async function listPermissions(contracts) {
+    const list = [];
+    for (const name of Object.keys(contracts)) {
+        const contract = contracts[name];
+        const entry = { contract: name, address: contract.address };
+        if (contract.interface.functions["paused()"]) {
+            entry.paused = await contract.paused();
+        }
+        if (_isOwnable(contract)) {
+            entry.owner = await contract.owner();
+        }
+        if (_isAccessControl(contract)) {
+            entry.roles = await getRoleHolders(contract);
+        }
+        if (contract.interface.functions["getTrustedForwarder()"]) {
+            entry.trustedForwarder = await contract.getTrustedForwarder();
+        }
+        list.push(entry);
+    }
+    return list;
+}
+
+async function grantRole(contracts, contractName, roleName, account) {
+    const contract = _getContract(contracts, contractName);
+    const role = await _roleHash(contract, roleName);
+    if (await contract.hasRole(role, account)) {
+        return null;
+    }
+    return (await contract.grantRole(role, account)).wait();
+}
+
+async function revokeRole(contracts, contractName, roleName, account) {
+    const contract = _getContract(contracts, contractName);
+    const role = await _roleHash(contract, roleName);
+    if (!(await contract.hasRole(role, account))) {
+        return null;
+    }
+    return (await contract.revokeRole(role, account)).wait();
+}
+
+async function _roleHash(contract, roleName) {
+    if (!_isAccessControl(contract)) {
+        throw new Error(`REJUVE: ${contract.address} does not use roles`);
+    }
+    if (!contract.interface.functions[`${roleName}()`]) {
+        throw new Error(`REJUVE: Unknown role ${roleName}`);
+    }
+    return contract[roleName]();
+}
+
+async function _roleNamesByHash(contract) {
+    const names = {};
+    for (const roleName of ROLE_NAMES) {
+        if (contract.interface.functions[`${roleName}()`]) {
+            names[await contract[roleName]()] = roleName;
+        }
+    }
+    return names;
+}
+
+//---------------------------- Ownership ----------------------------//
+
+async function transferOwnership(contracts, contractName, newOwner) {
+    const contract = _getContract(contracts, contractName);
+    if (!_isOwnable(contract)) {
+        throw new Error(`REJUVE: ${contractName} is not Ownable, grant DEFAULT_ADMIN_ROLE instead`);
+    }
+    return (await contract.transferOwnership(newOwner)).wait();
+}
+
+//---------------------------- Pause ----------------------------//
+
+/**
+ * @notice Pause or unpause every deployed contract in one go
+ * @dev Contracts already in the requested state are skipped. Contracts the
+ * caller cannot pause (not owner / no PAUSER_ROLE) are reported instead of
+ * aborting, so an incident response still pauses everything it can.
+ * @return { changed, unauthorized } contract names
+ */
+async function setPlatformPaused(contracts, paused) {
+    const changed = [];
+    const unauthorized = [];
+    for (const name of PAUSABLE_CONTRACTS) {
+        const contract = contracts[name];
+        if (!contract || (await contract.paused()) === paused) {
+            continue;
+        }
+        if (!(await _canPause(contract))) {
+            unauthorized.push(name);
+            continue;
+        }
+        await (await (paused ? contract.pause() : contract.unpause())).wait();
+        changed.push(name);
+    }
+    return { changed, unauthorized };
+}
+
+async function _canPause(contract) {
+    const caller = await contract.signer.getAddress();
+    if (_isAccessControl(contract)) {
+        return contract.hasRole(await contract.PAUSER_ROLE(), caller);
+    }
+    return (await contract.owner()) === caller;
+}
+
+module.exports.ROLE_NAMES = ROLE_NAMES;
+module.exports.getPlatformContracts = getPlatformContracts;
+module.exports.getRoleHolders = getRoleHolders;
+module.exports.listPermissions = listPermissions;
+module.exports.grantRole = grantRole;
+module.exports.revokeRole = revokeRole;
+module.exports.transferOwnership = transferOwnership;
+module.exports.setPlatformPaused = setPlatformPaused;
@@ -0,0 +1,290 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+/**
+ * @title Rejuve platform deployment
+ * @dev Deploys all contracts in dependency order, grants roles and keeps a
+ * per-network address manifest. Contracts already recorded in the manifest
+ * (with code at their address) are skipped, so the deployment can be re-run
+ * safely after a partial failure.
+ *
+ * Order:
+ * IdentityToken → DataManagement → ProductNFT → TransferShards →
+ * ProfitDistribution → ShardMarketplace → DistributorAgreement → Voting
+ *
+ * IdentityToken is then pointed at DataManagement (identity burn cascade),
+ * TransferShards at ProfitDistribution (earnings settled on shard transfers)
+ * and DistributorAgreement at ProfitDistribution (royalties deposited in RJV,
+ * DistributorAgreement being ProfitDistribution royalty depositor).
+ * When the config has a `sponsorRegistry` section, SponsorRegistry is deployed
+ * last, its sponsors registered and both IdentityToken & DataManagement use it.
+ * Currencies listed in `profitDistribution.currencies` (ERC-20 addresses, or
+ * "native" for ETH) are allow-listed for ProfitDistribution deposits.
+ * When the config has a `forwarder` section, the ERC-2771 Forwarder is deployed
+ * (or `forwarder.address` reused) and trusted by DataManagement & ProductNFT,
+ * so lab calls can be relayed (see services/relayer).
+ */
+
+//---------------------------- Config & manifest ----------------------------//
+
+/**
+ * @dev Read a JSON or YAML deployment config
+ */
+function loadConfig(configPath) {
+    const content = fs.readFileSync(configPath, "utf8");
+    if (/\.ya?ml$/i.test(configPath)) {
+        return yaml.load(content);
+    }
+    return JSON.parse(content);
+}
+
+function defaultManifestPath(networkName) {
+    return path.join(__dirname, "..", "deployments", `${networkName}.json`);
+}
+
+function loadManifest(manifestPath, networkName, chainId) {
+    if (!fs.existsSync(manifestPath)) {
+        return { network: networkName, chainId: chainId, contracts: {} };
+    }
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    if (manifest.chainId !== chainId) {
+        throw new Error(
+            `REJUVE: Manifest ${manifestPath} belongs to chain ${manifest.chainId}, not ${chainId}`
+        );
+    }
+    return manifest;
+}
+
+function saveManifest(manifestPath, manifest) {
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+//---------------------------- Deployment ----------------------------//
+
+/**
+ * @notice Deploy (or resume deploying) the whole platform
+ * @param hre hardhat runtime environment
+ * @param config parsed deployment config (see deploy/localhost.json)
+ * @param options { manifestPath, log }
+ * @return manifest { network, chainId, contracts: { Name: { address, ... } } }
+ */
+async function deployPlatform(hre, config, options = {}) {
+    const { ethers } = hre;
+    const log = options.log || console.log;
+    const [deployer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifestPath = options.manifestPath || defaultManifestPath(hre.network.name);
+    const manifest = loadManifest(manifestPath, hre.network.name, chainId);
+
+    const roles = _resolveRoles(config.roles || {}, deployer.address);
+    log(`Deploying to ${hre.network.name} (${chainId}) with ${deployer.address}`);
+
+    const deploy = async (name, contractName, args) => {
+        const existing = manifest.contracts[name];
+        if (existing && (await ethers.provider.getCode(existing.address)) !== "0x") {
+            log(`  ${name}: skipped, already at ${existing.address}`);
+            return ethers.getContractAt(contractName, existing.address);
+        }
+        const factory = await ethers.getContractFactory(contractName);
+        const contract = await factory.deploy(...args);
+        const receipt = await contract.deployTransaction.wait();
+        manifest.contracts[name] = {
+            contract: contractName,
+            address: contract.address,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            args: args.map((arg) => (typeof arg === "object" ? arg.address : arg))
+        };
+        saveManifest(manifestPath, manifest);
+        log(`  ${name}: deployed at ${contract.address}`);
+        return contract;
+    };
+
+    const identityToken = await deploy("IdentityToken", "IdentityToken", [
+        config.identityToken.name,
+        config.identityToken.symbol,
+        config.identityToken.version,
+        roles.sponsors[0]
+    ]);
+    const dataMgt = await deploy("DataManagement", "DataManagement", [
+        config.dataManagement.name,
+        config.dataManagement.version,
+        roles.sponsors[0],
+        identityToken.address
+    ]);
+    const productNFT = await deploy("ProductNFT", "ProductNFT", [
+        config.productNFT.name,
+        config.productNFT.symbol,
+        roles.signers[0],
+        identityToken.address,
+        dataMgt.address
+    ]);
+    const productShards = await deploy("TransferShards", "TransferShards", [
+        config.productShards.uri,
+        productNFT.address
+    ]);
+    const rejuveToken = await _rejuveToken(hre, config.rejuveToken || {}, deploy);
+    const profit = await deploy("ProfitDistribution", "ProfitDistribution", [
+        rejuveToken,
+        productShards.address
+    ]);
+    await deploy("ShardMarketplace", "ShardMarketplace", [
+        productShards.address,
+        rejuveToken
+    ]);
+    const distributorAgreement = await deploy("DistributorAgreement", "DistributorAgreement", []);
+    await deploy("Voting", "Voting", []);
+
+    if (await identityToken.getDataManagement() !== dataMgt.address) {
+        await (await identityToken.setDataManagement(dataMgt.address)).wait();
+        log(`  IdentityToken notifies DataManagement ${dataMgt.address} on burns`);
+    }
+    if (await productShards.getProfitDistribution() !== profit.address) {
+        await (await productShards.setProfitDistribution(profit.address)).wait();
+        log(`  TransferShards notifies ProfitDistribution ${profit.address} on transfers`);
+    }
+    if (await distributorAgreement.getProfitDistribution() !== profit.address) {
+        await (await distributorAgreement.setProfitDistribution(profit.address)).wait();
+        log(`  DistributorAgreement deposits royalties into ProfitDistribution ${profit.address}`);
+    }
+    if (await profit.getRoyaltyDepositor() !== distributorAgreement.address) {
+        await (await profit.setRoyaltyDepositor(distributorAgreement.address)).wait();
+        log(`  ProfitDistribution accepts royalties from DistributorAgreement ${distributorAgreement.address}`);
+    }
+    if (await distributorAgreement.getRoyaltyCurrency() === ethers.constants.AddressZero) {
+        await (await distributorAgreement.setRoyaltyCurrency(rejuveToken)).wait();
+        log(`  DistributorAgreement collects royalties in ${rejuveToken}`);
+    }
+
+    if (config.profitDistribution) {
+        await _allowCurrencies(profit, config.profitDistribution.currencies || [], log);
+    }
+
+    if (config.sponsorRegistry) {
+        await _setupSponsorRegistry(config.sponsorRegistry, deployer.address, deploy, [identityToken, dataMgt], log);
+    }
+
+    if (config.forwarder) {
+        await _setupForwarder(config.forwarder, deploy, [dataMgt, productNFT], log);
+    }
+
+    await _grantRoles(identityToken, { SPONSOR_ROLE: roles.sponsors, PAUSER_ROLE: roles.pausers }, log);
+    await _grantRoles(dataMgt, { SPONSOR_ROLE: roles.sponsors, PAUSER_ROLE: roles.pausers }, log);
+    await _grantRoles(productNFT, { SIGNER_ROLE: roles.signers, PAUSER_ROLE: roles.pausers }, log);
+
+    manifest.updatedAt = new Date().toISOString();
+    saveManifest(manifestPath, manifest);
+    log(`Manifest written to ${manifestPath}`);
+    return manifest;
+}
+
+//---------------------------- Private ----------------------------//
+
+/**
+ * @dev Every role list falls back to the deployer. The first sponsor / signer
+ * is passed to the constructors, the rest are granted afterwards.
+ */
+function _resolveRoles(roles, deployerAddress) {
+    const resolve = (list) => {
+        const accounts = (list && list.length > 0) ? list : ["deployer"];
+        return accounts.map((account) => (account === "deployer" ? deployerAddress : account));
+    };
+    return {
+        sponsors: resolve(roles.sponsors),
+        signers: resolve(roles.signers),
+        pausers: resolve(roles.pausers)
+    };
+}
+
+/**
+ * @dev Use an existing RJV token or deploy the mock token (local networks only)
+ * @return address of RJV token
+ */
+async function _rejuveToken(hre, tokenConfig, deploy) {
+    if (tokenConfig.address) {
+        return tokenConfig.address;
+    }
+    if (!tokenConfig.mock) {
+        throw new Error("REJUVE: rejuveToken.address or rejuveToken.mock is required");
+    }
+    const token = await deploy("RejuveToken", "RejuveTokenTest", [
+        tokenConfig.mock.name,
+        tokenConfig.mock.symbol
+    ]);
+    return token.address;
+}
+
+/**
+ * @dev Allow-list ProfitDistribution deposit currencies, "native" standing for ETH
+ */
+async function _allowCurrencies(profit, currencies, log) {
+    for (const currency of currencies) {
+        const address = currency === "native" ? await profit.NATIVE_CURRENCY() : currency;
+        if (await profit.isCurrencyAllowed(address)) {
+            continue;
+        }
+        await (await profit.setCurrencyAllowed(address, true)).wait();
+        log(`  ProfitDistribution accepts ${currency} deposits`);
+    }
+}
+
+/**
+ * @dev Deploy SponsorRegistry, register configured sponsors and plug it into the consumers.
+ * Sponsors already registered are left untouched.
+ */
+async function _setupSponsorRegistry(registryConfig, deployerAddress, deploy, consumers, log) {
+    const registry = await deploy("SponsorRegistry", "SponsorRegistry", [registryConfig.periodLength]);
+    for (const sponsor of registryConfig.sponsors || []) {
+        const address = sponsor.address === "deployer" ? deployerAddress : sponsor.address;
+        if ((await registry.getSponsor(address)).registered) {
+            continue;
+        }
+        await (await registry.registerSponsor(
+            address,
+            sponsor.metadataURI || "",
+            sponsor.identityQuota || 0,
+            sponsor.dataQuota || 0
+        )).wait();
+        log(`  Sponsor ${address} registered`);
+    }
+    await _grantRoles(registry, { CONSUMER_ROLE: consumers.map((consumer) => consumer.address) }, log);
+    for (const consumer of consumers) {
+        if (await consumer.getSponsorRegistry() !== registry.address) {
+            await (await consumer.setSponsorRegistry(registry.address)).wait();
+            log(`  ${consumer.address} uses SponsorRegistry ${registry.address}`);
+        }
+    }
+}
+
+/**
+ * @dev Deploy the Forwarder (unless an address is given) and trust it in the relayed contracts
+ */
+async function _setupForwarder(forwarderConfig, deploy, recipients, log) {
+    const forwarder = forwarderConfig.address || (await deploy("Forwarder", "Forwarder", [])).address;
+    for (const recipient of recipients) {
+        if (await recipient.getTrustedForwarder() !== forwarder) {
+            await (await recipient.setTrustedForwarder(forwarder)).wait();
+            log(`  ${recipient.address} trusts Forwarder ${forwarder}`);
+        }
+    }
+}
+
+async function _grantRoles(contract, roleAccounts, log) {
+    for (const roleName of Object.keys(roleAccounts)) {
+        const role = await contract[roleName]();
+        for (const account of roleAccounts[roleName]) {
+            if (await contract.hasRole(role, account)) {
+                continue;
+            }
+            await (await contract.grantRole(role, account)).wait();
+            log(`  ${roleName} granted to ${account} on ${contract.address}`);
+        }
+    }
+}
+
+module.exports.loadConfig = loadConfig;
+module.exports.loadManifest = loadManifest;
+module.exports.defaultManifestPath = defaultManifestPath;
+module.exports.deployPlatform = deployPlatform;
@@ -0,0 +1,79 @@
+const { ethers } = require("ethers");
+const { EIP712Domain } = require("./types");
+
+/**
+ * @dev Wrap any supported signing backend into one account interface:
+ *
+ * 1. Raw private key (hex string) => signs locally with an ethers Wallet
+ * 2. ethers Signer (Wallet, hardhat signer, JsonRpcSigner)
+ * 3. { provider, address } => wallet/provider that supports
+ *    eth_signTypedData_v4 and personal_sign (ethers provider or EIP-1193)
+ *
+ * @return account { getAddress(), signTypedData(), signMessage() }
+ */
+function toAccount(account) {
+    if (typeof account === "string") {
+        return fromSigner(new ethers.Wallet(account));
+    }
+    if (ethers.Signer.isSigner(account)) {
+        return fromSigner(account);
+    }
+    if (account && account.provider && account.address) {
+        return fromProvider(account.provider, account.address);
+    }
+    throw new Error("REJUVE: Unsupported account");
+}
+
+function fromSigner(signer) {
+    return {
+        getAddress: () => signer.getAddress(),
+        signTypedData: (domain, types, primaryType, message) =>
+            signer._signTypedData(domain, { [primaryType]: types[primaryType] }, message),
+        signMessage: (bytes) => signer.signMessage(bytes)
+    };
+}
+
+function fromProvider(provider, address) {
+    return {
+        getAddress: async () => ethers.utils.getAddress(address),
+        signTypedData: (domain, types, primaryType, message) =>
+            _send(provider, "eth_signTypedData_v4", [
+                address,
+                JSON.stringify(buildTypedData(domain, types, primaryType, message))
+            ]),
+        signMessage: (bytes) =>
+            _send(provider, "personal_sign", [ethers.utils.hexlify(bytes), address])
+    };
+}
+
+/**
+ * @return full eth_signTypedData_v4 payload (including EIP712Domain type)
+ */
+function buildTypedData(domain, types, primaryType, message) {
+    return {
+        types: { EIP712Domain, [primaryType]: types[primaryType] },
+        domain,
+        primaryType,
+        message: _stringifyValues(message)
+    };
+}
+
+function _send(provider, method, params) {
+    if (typeof provider.request === "function") {
+        return provider.request({ method, params });
+    }
+    return provider.send(method, params);
+}
+
+// BigNumbers do not survive JSON.stringify as plain numbers
+function _stringifyValues(message) {
+    const values = {};
+    for (const key of Object.keys(message)) {
+        const value = message[key];
+        values[key] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    }
+    return values;
+}
+
+module.exports.toAccount = toAccount;
+module.exports.buildTypedData = buildTypedData;
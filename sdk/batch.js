@@ -0,0 +1,114 @@
+const { signDataSubmissionBatch, signPermissionBatch } = require("./signing");
+
+/**
+ * @dev Batch helpers for DataManagement.submitDataBatch / getPermissionBatch.
+ *
+ * Large lists are split into batches of `batchSize` items. Every batch is
+ * signed by the data owner, then gas is estimated: a batch above the gas
+ * budget (`gasShare` of the block gas limit) is halved and signed again,
+ * so no transaction gets close to the block gas limit.
+ *
+ * options {
+ *   batchSize,  // items per batch before gas check, default 100
+ *   gasShare,   // share of the latest block gas limit a batch may use, default 0.5
+ *   gasBudget   // explicit gas budget per transaction, overrides gasShare
+ * }
+ */
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_GAS_SHARE = 0.5;
+
+/**
+ * @return items split into arrays of at most `size` items
+ */
+function chunk(items, size) {
+    if (!(size >= 1)) {
+        throw new Error("REJUVE: Batch size must be at least 1");
+    }
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * @return max gas a single batch transaction may use
+ */
+async function getGasBudget(provider, { gasShare = DEFAULT_GAS_SHARE, gasBudget } = {}) {
+    if (gasBudget) {
+        return gasBudget;
+    }
+    const block = await provider.getBlock("latest");
+    return Math.floor(block.gasLimit.toNumber() * gasShare);
+}
+
+/**
+ * @notice Submit any number of data hashes of one owner through submitDataBatch
+ * @param dataMgt DataManagement connected to a sponsor
+ * @param account data owner account (see toAccount)
+ * @return [{ dhashes, receipt }] one entry per transaction
+ */
+async function submitDataInBatches(dataMgt, account, { signer, dhashes, nonce }, options = {}) {
+    return _sendInBatches(dataMgt, dhashes, options, async (batch) => {
+        const signature = await signDataSubmissionBatch(account, dataMgt, { signer, dhashes: batch, nonce });
+        return [signer, signature, batch, nonce];
+    }, "submitDataBatch");
+}
+
+/**
+ * @notice Get permission on any number of data hashes of one owner through getPermissionBatch
+ * @param dataMgt DataManagement connected to the requester (Lab)
+ * @param account data owner account (see toAccount)
+ * @return [{ dhashes, receipt }] one entry per transaction
+ */
+async function grantPermissionsInBatches(
+    dataMgt,
+    account,
+    { dataowner, requesterId, dhashes, productId, nonce, expiration },
+    options = {}
+) {
+    return _sendInBatches(dataMgt, dhashes, options, async (batch) => {
+        const signature = await signPermissionBatch(account, dataMgt, {
+            dataowner,
+            requesterId,
+            dhashes: batch,
+            productId,
+            nonce,
+            expiration
+        });
+        return [dataowner, signature, batch, productId, nonce, expiration];
+    }, "getPermissionBatch");
+}
+
+//---------------------------- Private ----------------------------//
+
+async function _sendInBatches(contract, items, options, buildArgs, method) {
+    const gasBudget = await getGasBudget(contract.provider, options);
+    const queue = chunk(items, options.batchSize || DEFAULT_BATCH_SIZE);
+    const results = [];
+
+    while (queue.length > 0) {
+        const batch = queue.shift();
+        const args = await buildArgs(batch);
+        const gas = await contract.estimateGas[method](...args);
+
+        if (gas.gt(gasBudget)) {
+            if (batch.length === 1) {
+                throw new Error("REJUVE: Batch item exceeds gas budget");
+            }
+            const half = Math.ceil(batch.length / 2);
+            queue.unshift(batch.slice(0, half), batch.slice(half));
+            continue;
+        }
+
+        const tx = await contract[method](...args, { gasLimit: gas.mul(11).div(10) });
+        results.push({ dhashes: batch, receipt: await tx.wait() });
+    }
+    return results;
+}
+
+module.exports.chunk = chunk;
+module.exports.getGasBudget = getGasBudget;
+module.exports.submitDataInBatches = submitDataInBatches;
+module.exports.grantPermissionsInBatches = grantPermissionsInBatches;
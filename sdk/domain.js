@@ -0,0 +1,37 @@
+const { ethers } = require("ethers");
+
+/**
+ * @dev Resolve the EIP-712 domain of a deployed contract.
+ * Reads it from eip712Domain() (ERC-5267) so names and versions passed to
+ * the constructor never have to be repeated off-chain.
+ * @param source ethers contract instance OR an already built domain object
+ * @return domain { name, version, chainId, verifyingContract }
+ */
+async function getDomain(source) {
+    if (typeof source.eip712Domain !== "function") {
+        return normalizeDomain(source);
+    }
+    const domain = await source.eip712Domain();
+    return normalizeDomain(domain);
+}
+
+function normalizeDomain(domain) {
+    return {
+        name: domain.name,
+        version: domain.version,
+        chainId: ethers.BigNumber.from(domain.chainId).toNumber(),
+        verifyingContract: ethers.utils.getAddress(domain.verifyingContract)
+    };
+}
+
+/**
+ * @return address of a contract instance or plain address string
+ */
+function getContractAddress(contract) {
+    return ethers.utils.getAddress(
+        typeof contract === "string" ? contract : contract.address
+    );
+}
+
+module.exports.getDomain = getDomain;
+module.exports.getContractAddress = getContractAddress;
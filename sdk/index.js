@@ -0,0 +1,31 @@
+/**
+ * @title Rejuve platform JS SDK
+ * @dev Single entry point shared by tests, backend services and the wallet front-end.
+ */
+const types = require("./types");
+const domain = require("./domain");
+const accounts = require("./accounts");
+const signing = require("./signing");
+const verifier = require("./verifier");
+const permissions = require("./permissions");
+const pagination = require("./pagination");
+const batch = require("./batch");
+const merkle = require("./merkle");
+const relay = require("./relay");
+const shards = require("./shards");
+const portfolio = require("./portfolio");
+
+module.exports = {
+    ...types,
+    ...domain,
+    ...accounts,
+    ...signing,
+    ...verifier,
+    ...permissions,
+    ...pagination,
+    ...batch,
+    ...merkle,
+    ...relay,
+    ...shards,
+    ...portfolio
+};
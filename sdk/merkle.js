@@ -0,0 +1,138 @@
+const { ethers } = require("ethers");
+
+/**
+ * @dev Merkle tree of data hashes for dataset permissions.
+ *
+ * Matches DataManagement.datasetLeaf and OpenZeppelin MerkleProof:
+ * - leaf = keccak256(keccak256(abi.encode(bytes dataHash)))
+ * - inner node = keccak256 of the sorted pair
+ * - leaves sorted by value, tree stored as a complete binary tree
+ *   (same layout as @openzeppelin/merkle-tree, so multi-proofs are compatible)
+ */
+
+/**
+ * @return bytes32 leaf of a data hash, same as DataManagement.datasetLeaf
+ */
+function datasetLeaf(dataHash) {
+    return ethers.utils.keccak256(
+        ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["bytes"], [dataHash]))
+    );
+}
+
+/**
+ * @notice Build the tree a data owner signs (root) and a lab proves against
+ * @return { root, dataHashes, getMultiProof(dataHashes), prepareLink(dataHashes, creditScores) }
+ */
+function buildDatasetTree(dataHashes) {
+    if (dataHashes.length === 0) {
+        throw new Error("REJUVE: Empty dataset");
+    }
+    const entries = dataHashes
+        .map((dataHash) => ({ dataHash: ethers.utils.hexlify(dataHash), leaf: datasetLeaf(dataHash) }))
+        .sort((a, b) => _compare(a.leaf, b.leaf));
+    for (let i = 1; i < entries.length; i++) {
+        if (entries[i].leaf === entries[i - 1].leaf) {
+            throw new Error(`REJUVE: Duplicate data hash ${entries[i].dataHash}`);
+        }
+    }
+
+    // Leaf i is stored at tree[tree.length - 1 - i]
+    const tree = new Array(2 * entries.length - 1);
+    entries.forEach((entry, i) => {
+        tree[tree.length - 1 - i] = entry.leaf;
+    });
+    for (let i = tree.length - 1 - entries.length; i >= 0; i--) {
+        tree[i] = _hashPair(tree[2 * i + 1], tree[2 * i + 2]);
+    }
+
+    const treeIndex = {};
+    entries.forEach((entry, i) => {
+        treeIndex[entry.dataHash] = tree.length - 1 - i;
+    });
+
+    /**
+     * @notice Multi-proof for MerkleProof.multiProofVerify
+     * @return { dataHashes, proof, proofFlags } dataHashes reordered as the proof expects
+     */
+    function getMultiProof(subset) {
+        const indices = subset.map((dataHash) => {
+            const index = treeIndex[ethers.utils.hexlify(dataHash)];
+            if (index === undefined) {
+                throw new Error(`REJUVE: Data hash not in dataset ${dataHash}`);
+            }
+            return index;
+        }).sort((a, b) => b - a);
+        for (let i = 1; i < indices.length; i++) {
+            if (indices[i] === indices[i - 1]) {
+                throw new Error("REJUVE: Duplicate data hash in proof");
+            }
+        }
+
+        const stack = indices.slice();
+        const proof = [];
+        const proofFlags = [];
+        while (stack.length > 0 && stack[0] > 0) {
+            const j = stack.shift();
+            const sibling = j % 2 === 1 ? j + 1 : j - 1;
+            const parent = Math.floor((j - 1) / 2);
+            if (sibling === stack[0]) {
+                proofFlags.push(true);
+                stack.shift();
+            } else {
+                proofFlags.push(false);
+                proof.push(tree[sibling]);
+            }
+            stack.push(parent);
+        }
+        if (indices.length === 0) {
+            proof.push(tree[0]);
+        }
+
+        const byIndex = {};
+        for (const entry of entries) {
+            byIndex[treeIndex[entry.dataHash]] = entry.dataHash;
+        }
+        return { dataHashes: indices.map((index) => byIndex[index]), proof, proofFlags };
+    }
+
+    /**
+     * @notice Arguments of ProductNFT.createProductFromDataset / linkNewDataFromDataset
+     * @return { dataHashes, creditScores, dataset: { root, proof, proofFlags } }
+     * with credit scores reordered along with the data hashes
+     */
+    function prepareLink(subset, creditScores) {
+        if (subset.length !== creditScores.length) {
+            throw new Error("REJUVE: Not equal length");
+        }
+        const scores = {};
+        subset.forEach((dataHash, i) => {
+            scores[ethers.utils.hexlify(dataHash)] = creditScores[i];
+        });
+        const multiProof = getMultiProof(subset);
+        return {
+            dataHashes: multiProof.dataHashes,
+            creditScores: multiProof.dataHashes.map((dataHash) => scores[dataHash]),
+            dataset: { root: tree[0], proof: multiProof.proof, proofFlags: multiProof.proofFlags }
+        };
+    }
+
+    return {
+        root: tree[0],
+        dataHashes: entries.map((entry) => entry.dataHash),
+        getMultiProof,
+        prepareLink
+    };
+}
+
+//---------------------------- Private ----------------------------//
+
+function _compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0; // same length lowercase hex
+}
+
+function _hashPair(a, b) {
+    return ethers.utils.keccak256(ethers.utils.concat(_compare(a, b) <= 0 ? [a, b] : [b, a]));
+}
+
+module.exports.datasetLeaf = datasetLeaf;
+module.exports.buildDatasetTree = buildDatasetTree;
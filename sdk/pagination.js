@@ -0,0 +1,86 @@
+const { PERMISSION_STATES, remainingTime, getChainTime } = require("./permissions");
+
+/**
+ * @dev Async iterators over the paginated DataManagement views.
+ * Pages are fetched lazily, `pageSize` items per call:
+ *
+ *   for await (const dataHash of sdk.iterateDataHashes(dataMgt, tokenId)) { ... }
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * @notice Data hashes submitted by an identity ("My data")
+ * @param tokenId identity token ID of the data owner
+ * @yield bytes data hash
+ */
+async function* iterateDataHashes(dataMgt, tokenId, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    yield* _paginate((offset) => dataMgt.getDataHashes(tokenId, offset, pageSize), pageSize);
+}
+
+/**
+ * @notice Permission records of a data hash ("Who can access my data")
+ * @yield { requesterId, productUID, deadline } as BigNumbers, state (PERMISSION_STATES)
+ * and remaining seconds before expiry (0 unless permitted)
+ */
+async function* iteratePermissions(dataMgt, dataHash, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const now = await getChainTime(dataMgt);
+    const pages = _paginate((offset) => dataMgt.getPermissions(dataHash, offset, pageSize), pageSize);
+    for await (const record of pages) {
+        yield {
+            requesterId: record.requesterId,
+            productUID: record.productUID,
+            deadline: record.deadline,
+            state: record.state,
+            remaining: record.state === PERMISSION_STATES.PERMITTED ? remainingTime(record.deadline, now) : 0
+        };
+    }
+}
+
+/**
+ * @notice Every data hash of an owner together with its permission records
+ * @param owner data owner address (resolved to an identity through identityToken)
+ * @yield { dataHash, permissions: [{ requesterId, productUID, deadline, state, remaining }] }
+ */
+async function* iterateDataAccess(dataMgt, identityToken, owner, options = {}) {
+    const tokenId = await identityToken.getOwnerIdentity(owner);
+    for await (const dataHash of iterateDataHashes(dataMgt, tokenId, options)) {
+        const permissions = [];
+        for await (const record of iteratePermissions(dataMgt, dataHash, options)) {
+            permissions.push(record);
+        }
+        yield { dataHash, permissions };
+    }
+}
+
+/**
+ * @dev Collect an async iterator into an array
+ */
+async function collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+// Views return (items, total); stop on an empty or last page
+async function* _paginate(fetchPage, pageSize) {
+    if (!(pageSize >= 1)) {
+        throw new Error("REJUVE: Page size must be at least 1");
+    }
+    let offset = 0;
+    while (true) {
+        const [items, total] = await fetchPage(offset);
+        yield* items;
+        offset += items.length;
+        if (items.length < pageSize || total.lte(offset)) {
+            return;
+        }
+    }
+}
+
+module.exports.iterateDataHashes = iterateDataHashes;
+module.exports.iteratePermissions = iteratePermissions;
+module.exports.iterateDataAccess = iterateDataAccess;
+module.exports.collect = collect;
@@ -0,0 +1,51 @@
+const { ethers } = require("ethers");
+
+/**
+ * @dev DataManagement.getPermissionStatus values.
+ * EXPIRED is reported (never stored) once a permitted deadline is passed.
+ */
+const PERMISSION_STATES = {
+    NOT_PERMITTED: 0,
+    PERMITTED: 1,
+    REVOKED: 2,
+    EXPIRED: 3
+};
+
+/**
+ * @return seconds left before the deadline (0 when passed), as a number
+ * @param deadline permission deadline (BigNumber or number)
+ * @param now current chain timestamp
+ */
+function remainingTime(deadline, now) {
+    const left = ethers.BigNumber.from(deadline).sub(now);
+    return left.isNegative() ? 0 : left.toNumber();
+}
+
+/**
+ * @dev Timestamp of the latest block, the clock the contract compares deadlines with
+ */
+async function getChainTime(contract) {
+    return (await contract.provider.getBlock("latest")).timestamp;
+}
+
+/**
+ * @notice Permission of a data hash for a product, with the time left before expiry
+ * @return { state, deadline, remaining } remaining is 0 unless state is PERMITTED
+ */
+async function getPermissionInfo(dataMgt, dataHash, productUID) {
+    const [state, deadline, now] = await Promise.all([
+        dataMgt.getPermissionStatus(dataHash, productUID),
+        dataMgt.getPermissionDeadline(dataHash, productUID),
+        getChainTime(dataMgt)
+    ]);
+    return {
+        state,
+        deadline,
+        remaining: state === PERMISSION_STATES.PERMITTED ? remainingTime(deadline, now) : 0
+    };
+}
+
+module.exports.PERMISSION_STATES = PERMISSION_STATES;
+module.exports.remainingTime = remainingTime;
+module.exports.getChainTime = getChainTime;
+module.exports.getPermissionInfo = getPermissionInfo;
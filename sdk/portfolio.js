@@ -0,0 +1,145 @@
+const { ethers } = require("ethers");
+const { chunk } = require("./batch");
+
+/**
+ * @dev Portfolio helpers for shard holders over ProductShards / ProfitDistribution.
+ *
+ * Holders commonly hold shards of dozens of products: claimable earnings
+ * are read through getClaimableEarnings and claimed through withdrawBatch,
+ * `batchSize` products per call. Earnings in other currencies than RJV
+ * (allow-listed ERC-20 tokens, ETH) are reported by getCurrencyBalances.
+ *
+ * options {
+ *   batchSize, // products per view call / transaction, default 50
+ *   currency   // withdrawPortfolio only: ERC-20 address or NATIVE_CURRENCY, default RJV
+ * }
+ */
+
+const DEFAULT_BATCH_SIZE = 50;
+const NATIVE_CURRENCY = ethers.constants.AddressZero;
+const ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)"
+];
+
+/**
+ * @notice Claimable RJV of a holder for every product, in input order
+ * @return BigNumber[]
+ */
+async function getClaimableEarnings(profit, holder, productUIDs, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const claimable = [];
+    for (const batch of chunk(productUIDs, batchSize)) {
+        claimable.push(...(await profit.getClaimableEarnings(holder, batch)));
+    }
+    return claimable;
+}
+
+/**
+ * @notice Shards and earnings of a holder across products ("My portfolio")
+ * @return {
+ *   holder,
+ *   products: [{ productUID, locked, traded, claimableShards, totalShards, claimable }],
+ *   totalClaimable
+ * } amounts as BigNumbers, products in input order
+ */
+async function getPortfolio(profit, productShards, holder, productUIDs, options = {}) {
+    const claimable = await getClaimableEarnings(profit, holder, productUIDs, options);
+    const products = [];
+
+    for (let i = 0; i < productUIDs.length; i++) {
+        const productUID = productUIDs[i];
+        const ids = await productShards.getProductIDs(productUID);
+        let locked = ethers.constants.Zero;
+        let traded = ethers.constants.Zero;
+        if (ids.length > 0) {
+            [locked, traded] = await productShards.balanceOfBatch([holder, holder], ids);
+        }
+        products.push({
+            productUID: ethers.BigNumber.from(productUID),
+            locked,
+            traded,
+            claimableShards: await productShards.getClaimableShards(productUID, holder),
+            totalShards: await productShards.totalShardSupply(productUID),
+            claimable: claimable[i]
+        });
+    }
+
+    return {
+        holder,
+        products,
+        totalClaimable: claimable.reduce((sum, amount) => sum.add(amount), ethers.constants.Zero)
+    };
+}
+
+/**
+ * @notice Claimable earnings of a holder grouped by currency
+ * @return [{
+ *   currency, symbol, decimals,
+ *   claimable,
+ *   products: [{ productUID, claimable }]
+ * }] currencies in order of first deposit, amounts as BigNumbers
+ */
+async function getCurrencyBalances(profit, holder, productUIDs) {
+    const balances = new Map();
+
+    for (const productUID of productUIDs) {
+        const [currencies, amounts] = await profit.getClaimableCurrencies(holder, productUID);
+        for (let i = 0; i < currencies.length; i++) {
+            if (!balances.has(currencies[i])) {
+                balances.set(currencies[i], {
+                    currency: currencies[i],
+                    ...(await _currencyInfo(profit.provider, currencies[i])),
+                    claimable: ethers.constants.Zero,
+                    products: []
+                });
+            }
+            const balance = balances.get(currencies[i]);
+            balance.claimable = balance.claimable.add(amounts[i]);
+            balance.products.push({ productUID: ethers.BigNumber.from(productUID), claimable: amounts[i] });
+        }
+    }
+    return [...balances.values()];
+}
+
+/**
+ * @notice Withdraw every claimable earning of the signer in one currency
+ * (withdrawBatch for RJV, withdrawCurrency otherwise)
+ * @dev Products without earning are left out of the transactions
+ * @param profit ProfitDistribution connected to the holder
+ * @return [{ productUIDs, receipt }] one entry per transaction
+ */
+async function withdrawPortfolio(profit, productUIDs, options = {}) {
+    const holder = await profit.signer.getAddress();
+    const rejuveToken = await profit.getRejuveToken();
+    const currency = options.currency === undefined ? rejuveToken : ethers.utils.getAddress(options.currency);
+    const rejuve = currency === rejuveToken;
+
+    const claimable = [];
+    for (const batch of chunk(productUIDs, options.batchSize || DEFAULT_BATCH_SIZE)) {
+        claimable.push(...(await profit.getClaimableEarningsIn(currency, holder, batch)));
+    }
+    const earning = productUIDs.filter((productUID, i) => claimable[i].gt(0));
+
+    const results = [];
+    for (const batch of chunk(earning, options.batchSize || DEFAULT_BATCH_SIZE)) {
+        const tx = rejuve ? await profit.withdrawBatch(batch) : await profit.withdrawCurrency(currency, batch);
+        results.push({ productUIDs: batch, receipt: await tx.wait() });
+    }
+    return results;
+}
+
+//---------------------------- Private ----------------------------//
+
+async function _currencyInfo(provider, currency) {
+    if (currency === NATIVE_CURRENCY) {
+        return { symbol: "ETH", decimals: 18 };
+    }
+    const token = new ethers.Contract(currency, ERC20_ABI, provider);
+    return { symbol: await token.symbol(), decimals: await token.decimals() };
+}
+
+module.exports.getClaimableEarnings = getClaimableEarnings;
+module.exports.getPortfolio = getPortfolio;
+module.exports.getCurrencyBalances = getCurrencyBalances;
+module.exports.withdrawPortfolio = withdrawPortfolio;
+module.exports.NATIVE_CURRENCY = NATIVE_CURRENCY;
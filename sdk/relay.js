@@ -0,0 +1,67 @@
+const { ethers } = require("ethers");
+const { signForwardRequest } = require("./signing");
+const { toAccount } = require("./accounts");
+const { getContractAddress } = require("./domain");
+
+/**
+ * @dev Meta-transaction helpers (ERC-2771).
+ *
+ * A lab encodes a call to DataManagement / ProductNFT, signs it as a
+ * Forwarder ForwardRequest and hands { request, signature } to the relayer
+ * (services/relayer), which pays the gas. Requests only hold strings so they
+ * can be sent as JSON.
+ */
+
+// Extra gas on top of the estimate, covering state changes between estimate & relay
+const GAS_MARGIN_PERCENT = 20;
+
+/**
+ * @notice Build an unsigned forward request for `contract.method(...args)`
+ * @param forwarder Forwarder contract instance (nonce is read on-chain)
+ * @param contract target contract instance (DataManagement, ProductNFT)
+ * @param options { from, gas, value } - gas is estimated when omitted
+ * @return request { from, to, value, gas, nonce, data }
+ */
+async function buildForwardRequest(forwarder, contract, method, args, { from, gas, value = 0 } = {}) {
+    if (!from) {
+        throw new Error("REJUVE: Request sender is required");
+    }
+    from = ethers.utils.getAddress(from);
+    const to = getContractAddress(contract);
+    const data = contract.interface.encodeFunctionData(method, args);
+
+    if (gas === undefined) {
+        // the forwarder appends the sender to the calldata (ERC-2771)
+        const estimate = await forwarder.provider.estimateGas({
+            from: forwarder.address,
+            to,
+            data: ethers.utils.hexConcat([data, from]),
+            value
+        });
+        gas = estimate.mul(100 + GAS_MARGIN_PERCENT).div(100);
+    }
+
+    return {
+        from,
+        to,
+        value: ethers.BigNumber.from(value).toString(),
+        gas: ethers.BigNumber.from(gas).toString(),
+        nonce: (await forwarder.getNonce(from)).toString(),
+        data
+    };
+}
+
+/**
+ * @notice Build and sign a forward request in one step
+ * @param account lab account (see toAccount)
+ * @return { request, signature } ready for the relayer
+ */
+async function signForwardCall(account, forwarder, contract, method, args, options = {}) {
+    const from = options.from || (await toAccount(account).getAddress());
+    const request = await buildForwardRequest(forwarder, contract, method, args, { ...options, from });
+    const signature = await signForwardRequest(account, forwarder, request);
+    return { request, signature };
+}
+
+module.exports.buildForwardRequest = buildForwardRequest;
+module.exports.signForwardCall = signForwardCall;
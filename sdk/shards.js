@@ -0,0 +1,87 @@
+/**
+ * @dev Reference implementation of the shard allocation math (contracts/ShardMath.sol).
+ * Lets a front-end or a service preview distributions and profit shares.
+ * Inputs may be numbers, decimal strings, BigInts or ethers BigNumbers;
+ * results are BigInts.
+ */
+
+// Scale of ProfitDistribution earning per shard
+const PRECISION = 10n ** 18n;
+
+function _big(value) {
+    return BigInt(value.toString());
+}
+
+/**
+ * @return percent % of amount, rounded down
+ */
+function percentOf(amount, percent) {
+    return (_big(amount) * _big(percent)) / 100n;
+}
+
+/**
+ * @return part / total of amount, rounded down
+ */
+function proportion(amount, part, total) {
+    return (_big(amount) * _big(part)) / _big(total);
+}
+
+/**
+ * @notice Preview the part of a deposit a holder can withdraw (ProfitDistribution)
+ * @dev Earning per shard is rounded down first (scaled by 1e18), then multiplied
+ * by the balance, so the result can be below proportion(earning, balance, totalShards)
+ * @return earning share of balance shards out of totalShards, rounded down
+ */
+function profitShare(earning, balance, totalShards) {
+    return proportion(balance, proportion(earning, PRECISION, totalShards), PRECISION);
+}
+
+/**
+ * @notice Split a pool between weights (e.g. credit scores)
+ * @dev The rounding remainder goes to the largest weight, the first one on ties
+ * @return amounts summing up to pool exactly
+ */
+function allocate(pool, weights) {
+    const values = weights.map(_big);
+    const totalWeight = values.reduce((sum, weight) => sum + weight, 0n);
+    if (totalWeight === 0n) {
+        throw new Error("REJUVE: Total credits cannot be zero");
+    }
+    let largest = 0;
+    values.forEach((weight, i) => {
+        if (weight > values[largest]) {
+            largest = i;
+        }
+    });
+    const amounts = values.map((weight) => (_big(pool) * weight) / totalWeight);
+    const allocated = amounts.reduce((sum, amount) => sum + amount, 0n);
+    amounts[largest] += _big(pool) - allocated;
+    return amounts;
+}
+
+/**
+ * @return [locked, traded] parts of a minted amount
+ */
+function splitShards(amount, lockedPercent = 50) {
+    const locked = percentOf(amount, lockedPercent);
+    return [locked, _big(amount) - locked];
+}
+
+/**
+ * @notice Preview ProductShards.distributeInitialShards
+ * @param credits credit scores of the initial data, in product order
+ * @return { contributors: [amount per data hash..., lab], rejuve }
+ */
+function initialShards({ targetSupply, initialPercent, rejuvePercent, credits, labCredit }) {
+    return {
+        contributors: allocate(percentOf(targetSupply, initialPercent), [...credits, labCredit]),
+        rejuve: percentOf(targetSupply, rejuvePercent)
+    };
+}
+
+module.exports.percentOf = percentOf;
+module.exports.proportion = proportion;
+module.exports.profitShare = profitShare;
+module.exports.allocate = allocate;
+module.exports.splitShards = splitShards;
+module.exports.initialShards = initialShards;
@@ -0,0 +1,263 @@
+const { ethers } = require("ethers");
+const { TYPES, PACKED_TYPES } = require("./types");
+const { getDomain, getContractAddress } = require("./domain");
+const { toAccount } = require("./accounts");
+
+//---------------------------- EIP-712 (typed data) ----------------------------//
+
+/**
+ * @dev Sign any EIP-712 struct known to the contracts
+ * @param account private key, ethers signer or { provider, address }
+ * @param contract deployed contract (domain is read on-chain) or domain object
+ * @param primaryType one of TYPES keys
+ * @param message struct values
+ */
+async function signTypedMessage(account, contract, primaryType, message) {
+    if (!TYPES[primaryType]) {
+        throw new Error(`REJUVE: Unknown type ${primaryType}`);
+    }
+    const domain = await getDomain(contract);
+    return toAccount(account).signTypedData(domain, TYPES, primaryType, message);
+}
+
+/**
+ * @notice User permission for IdentityToken.createIdentity
+ */
+async function signIdentity(account, identityToken, { kyc, signer, uri, nonce }) {
+    return signTypedMessage(account, identityToken, "Identity", { kyc, signer, uri, nonce });
+}
+
+/**
+ * @notice Identity owner permission for IdentityToken.updateIdentity
+ */
+async function signIdentityUpdate(account, identityToken, { tokenId, kyc, signer, uri, nonce }) {
+    return signTypedMessage(account, identityToken, "IdentityUpdate", { tokenId, kyc, signer, uri, nonce });
+}
+
+/**
+ * @notice Data owner permission for DataManagement.submitData
+ */
+async function signDataSubmission(account, dataMgt, { signer, dhash, nonce }) {
+    return signTypedMessage(account, dataMgt, "DataSubmission", { signer, dhash, nonce });
+}
+
+/**
+ * @notice Data owner permission for DataManagement.getPermission
+ */
+async function signPermission(
+    account,
+    dataMgt,
+    { dataowner, requesterId, dhash, productId, nonce, expiration }
+) {
+    return signTypedMessage(account, dataMgt, "Permission", {
+        dataowner,
+        requesterId,
+        dhash,
+        productId,
+        nonce,
+        expiration
+    });
+}
+
+/**
+ * @notice Data owner permission for DataManagement.submitDataBatch
+ */
+async function signDataSubmissionBatch(account, dataMgt, { signer, dhashes, nonce }) {
+    return signTypedMessage(account, dataMgt, "BatchDataSubmission", { signer, dhashes, nonce });
+}
+
+/**
+ * @notice Data owner permission for DataManagement.getPermissionBatch
+ */
+async function signPermissionBatch(
+    account,
+    dataMgt,
+    { dataowner, requesterId, dhashes, productId, nonce, expiration }
+) {
+    return signTypedMessage(account, dataMgt, "BatchPermission", {
+        dataowner,
+        requesterId,
+        dhashes,
+        productId,
+        nonce,
+        expiration
+    });
+}
+
+/**
+ * @notice Data owner permission for DataManagement.getDatasetPermission
+ * @param root Merkle root of the dataset (see buildDatasetTree)
+ */
+async function signDatasetPermission(
+    account,
+    dataMgt,
+    { dataowner, requesterId, root, productId, nonce, expiration }
+) {
+    return signTypedMessage(account, dataMgt, "DatasetPermission", {
+        dataowner,
+        requesterId,
+        root,
+        productId,
+        nonce,
+        expiration
+    });
+}
+
+/**
+ * @notice Data owner consent withdrawal for DataManagement.revokePermissionBySig
+ */
+async function signRevocation(account, dataMgt, { dataowner, dhash, productId, nonce }) {
+    return signTypedMessage(account, dataMgt, "Revocation", { dataowner, dhash, productId, nonce });
+}
+
+/**
+ * @notice Meta-transaction signed by a lab and relayed through the Forwarder
+ */
+async function signForwardRequest(account, forwarder, { from, to, value, gas, nonce, data }) {
+    return signTypedMessage(account, forwarder, "ForwardRequest", { from, to, value, gas, nonce, data });
+}
+
+//---------------------------- EIP-191 (packed) ----------------------------//
+
+/**
+ * @dev Rebuild keccak256(abi.encodePacked(...)) exactly as the contract does
+ * @return bytes32 message hash (before the eth signed message prefix)
+ */
+function hashPackedMessage(primaryType, message) {
+    const fields = PACKED_TYPES[primaryType];
+    if (!fields) {
+        throw new Error(`REJUVE: Unknown type ${primaryType}`);
+    }
+    return ethers.utils.solidityKeccak256(
+        fields.map((field) => field.type),
+        fields.map((field) => message[field.name])
+    );
+}
+
+/**
+ * @dev Sign a packed message with the EIP-191 prefix (toEthSignedMessageHash)
+ */
+async function signPackedMessage(account, primaryType, message) {
+    const hash = hashPackedMessage(primaryType, message);
+    return toAccount(account).signMessage(ethers.utils.arrayify(hash));
+}
+
+/**
+ * @dev ProductNFT hashes the whole data hashes list as keccak256(abi.encode(bytes[]))
+ */
+function hashDataHashes(dataHashes) {
+    return ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(["bytes[]"], [dataHashes])
+    );
+}
+
+/**
+ * @notice Rejuve signer approval for ProductNFT.createProduct / linkNewData
+ * @param caller lab address that will submit the transaction
+ */
+async function signProduct(
+    account,
+    productNFT,
+    { productUID, nonce, productURI, signer, dataHashes, creditScores, caller }
+) {
+    return signPackedMessage(account, "Product", {
+        productUID,
+        nonce,
+        productURI,
+        signer,
+        dataHashes: hashDataHashes(dataHashes),
+        creditScores,
+        caller,
+        verifyingContract: getContractAddress(productNFT)
+    });
+}
+
+/**
+ * @notice Distributor signature or Rejuve countersignature of
+ * DistributorAgreement.createAgreement, both sign the same message
+ */
+async function signDistributorAgreement(
+    account,
+    distributorAgreement,
+    { distributor, agreement, productUID, units, unitPrice, percentage, startDate, endDate, nonce }
+) {
+    return signPackedMessage(account, "DistributorAgreement", {
+        distributor,
+        agreement,
+        productUID,
+        units,
+        unitPrice,
+        percentage,
+        startDate,
+        endDate,
+        nonce,
+        verifyingContract: getContractAddress(distributorAgreement)
+    });
+}
+
+/**
+ * @notice Distributor signature or Rejuve countersignature of
+ * DistributorAgreement.amendAgreement, both sign the same message
+ */
+async function signAgreementAmendment(
+    account,
+    distributorAgreement,
+    { agreementId, units, unitPrice, percentage, endDate, nonce }
+) {
+    return signPackedMessage(account, "AgreementAmendment", {
+        action: "AMEND",
+        agreementId,
+        units,
+        unitPrice,
+        percentage,
+        endDate,
+        nonce,
+        verifyingContract: getContractAddress(distributorAgreement)
+    });
+}
+
+/**
+ * @notice Distributor signature or Rejuve countersignature of
+ * DistributorAgreement.terminateAgreement, both sign the same message
+ */
+async function signAgreementTermination(account, distributorAgreement, { agreementId, nonce }) {
+    return signPackedMessage(account, "AgreementTermination", {
+        action: "TERMINATE",
+        agreementId,
+        nonce,
+        verifyingContract: getContractAddress(distributorAgreement)
+    });
+}
+
+/**
+ * @notice Admin (marketplace owner) approval of a buyer discount coupon
+ * @param coupon discount in BPS e.g. 1% = 100 bps
+ */
+async function signCoupon(account, marketplace, { admin, buyer, coupon, nonce }) {
+    return signPackedMessage(account, "Coupon", {
+        admin,
+        buyer,
+        verifyingContract: getContractAddress(marketplace),
+        coupon,
+        nonce
+    });
+}
+
+module.exports.signTypedMessage = signTypedMessage;
+module.exports.signIdentity = signIdentity;
+module.exports.signIdentityUpdate = signIdentityUpdate;
+module.exports.signDataSubmission = signDataSubmission;
+module.exports.signPermission = signPermission;
+module.exports.signDataSubmissionBatch = signDataSubmissionBatch;
+module.exports.signPermissionBatch = signPermissionBatch;
+module.exports.signDatasetPermission = signDatasetPermission;
+module.exports.signRevocation = signRevocation;
+module.exports.signForwardRequest = signForwardRequest;
+module.exports.hashPackedMessage = hashPackedMessage;
+module.exports.signPackedMessage = signPackedMessage;
+module.exports.hashDataHashes = hashDataHashes;
+module.exports.signProduct = signProduct;
+module.exports.signDistributorAgreement = signDistributorAgreement;
+module.exports.signAgreementAmendment = signAgreementAmendment;
+module.exports.signAgreementTermination = signAgreementTermination;
+module.exports.signCoupon = signCoupon;
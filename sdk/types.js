@@ -0,0 +1,140 @@
+/**
+ * @dev Message layouts verified by the Rejuve contracts.
+ *
+ * TYPES are the EIP-712 structs hashed through _hashTypedDataV4() by
+ * IdentityToken, DataManagement and the ERC-2771 Forwarder. Field order must
+ * match the *_TYPE_HASH constants on-chain.
+ *
+ * PACKED_TYPES are the legacy messages that ProductNFT, DistributorAgreement
+ * and ShardMarketplace rebuild with abi.encodePacked() and verify through
+ * toEthSignedMessageHash() (EIP-191 personal sign).
+ */
+
+const EIP712Domain = [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" }
+];
+
+const TYPES = {
+    Identity: [
+        { name: "kyc", type: "bytes32" },
+        { name: "signer", type: "address" },
+        { name: "uri", type: "string" },
+        { name: "nonce", type: "uint256" }
+    ],
+    IdentityUpdate: [
+        { name: "tokenId", type: "uint256" },
+        { name: "kyc", type: "bytes32" },
+        { name: "signer", type: "address" },
+        { name: "uri", type: "string" },
+        { name: "nonce", type: "uint256" }
+    ],
+    DataSubmission: [
+        { name: "signer", type: "address" },
+        { name: "dhash", type: "bytes" },
+        { name: "nonce", type: "uint256" }
+    ],
+    Permission: [
+        { name: "dataowner", type: "address" },
+        { name: "requesterId", type: "uint256" },
+        { name: "dhash", type: "bytes" },
+        { name: "productId", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiration", type: "uint256" }
+    ],
+    BatchDataSubmission: [
+        { name: "signer", type: "address" },
+        { name: "dhashes", type: "bytes[]" },
+        { name: "nonce", type: "uint256" }
+    ],
+    BatchPermission: [
+        { name: "dataowner", type: "address" },
+        { name: "requesterId", type: "uint256" },
+        { name: "dhashes", type: "bytes[]" },
+        { name: "productId", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiration", type: "uint256" }
+    ],
+    DatasetPermission: [
+        { name: "dataowner", type: "address" },
+        { name: "requesterId", type: "uint256" },
+        { name: "root", type: "bytes32" },
+        { name: "productId", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiration", type: "uint256" }
+    ],
+    Revocation: [
+        { name: "dataowner", type: "address" },
+        { name: "dhash", type: "bytes" },
+        { name: "productId", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ],
+    // Forwarder (OpenZeppelin MinimalForwarder)
+    ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "data", type: "bytes" }
+    ]
+};
+
+const PACKED_TYPES = {
+    // ProductNFT._verifyMessage
+    Product: [
+        { name: "productUID", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "productURI", type: "string" },
+        { name: "signer", type: "address" },
+        { name: "dataHashes", type: "bytes32" }, // keccak256(abi.encode(bytes[]))
+        { name: "creditScores", type: "uint256[]" },
+        { name: "caller", type: "address" },
+        { name: "verifyingContract", type: "address" }
+    ],
+    // DistributorAgreement.createAgreement (distributor signature + Rejuve countersignature)
+    DistributorAgreement: [
+        { name: "distributor", type: "address" },
+        { name: "agreement", type: "bytes" },
+        { name: "productUID", type: "uint256" },
+        { name: "units", type: "uint256" },
+        { name: "unitPrice", type: "uint256" },
+        { name: "percentage", type: "uint256" },
+        { name: "startDate", type: "uint256" },
+        { name: "endDate", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "verifyingContract", type: "address" }
+    ],
+    // DistributorAgreement.amendAgreement (distributor signature + Rejuve countersignature)
+    AgreementAmendment: [
+        { name: "action", type: "string" }, // "AMEND"
+        { name: "agreementId", type: "uint256" },
+        { name: "units", type: "uint256" },
+        { name: "unitPrice", type: "uint256" },
+        { name: "percentage", type: "uint256" },
+        { name: "endDate", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "verifyingContract", type: "address" }
+    ],
+    // DistributorAgreement.terminateAgreement (distributor signature + Rejuve countersignature)
+    AgreementTermination: [
+        { name: "action", type: "string" }, // "TERMINATE"
+        { name: "agreementId", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "verifyingContract", type: "address" }
+    ],
+    // ShardMarketplace._verifyMessage
+    Coupon: [
+        { name: "admin", type: "address" },
+        { name: "buyer", type: "address" },
+        { name: "verifyingContract", type: "address" },
+        { name: "coupon", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+module.exports.EIP712Domain = EIP712Domain;
+module.exports.TYPES = TYPES;
+module.exports.PACKED_TYPES = PACKED_TYPES;
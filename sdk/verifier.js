@@ -0,0 +1,255 @@
+const { ethers } = require("ethers");
+const { TYPES } = require("./types");
+const { getDomain } = require("./domain");
+
+/**
+ * @dev Off-chain mirror of IdentityToken._isValidSignature / _isValidUpdateSignature and
+ * DataManagement._isValidSignature / _isValidPermissionSign.
+ *
+ * Every verify* function resolves to:
+ * {
+ *   valid,        // true if the contract would accept the signature
+ *   reason,       // one of REASONS (null when valid)
+ *   revertReason, // revert string the contract would emit (null when valid)
+ *   recovered,    // recovered signer address (null if signature is malformed)
+ *   structHash,   // keccak256(abi.encode(TYPE_HASH, ...)) => replay protection key
+ *   digest        // _hashTypedDataV4(structHash) => signed digest
+ * }
+ */
+
+const REASONS = {
+    MALFORMED_SIGNATURE: "MALFORMED_SIGNATURE",
+    INVALID_SIGNATURE: "INVALID_SIGNATURE",
+    ALREADY_USED: "ALREADY_USED",
+    ALREADY_REGISTERED: "ALREADY_REGISTERED",
+    NOT_REGISTERED: "NOT_REGISTERED",
+    NOT_DATA_OWNER: "NOT_DATA_OWNER",
+    NOT_PERMITTED: "NOT_PERMITTED"
+};
+
+//---------------------------- Digests ----------------------------//
+
+/**
+ * @return bytes32 struct hash, same as keccak256(abi.encode(TYPE_HASH, ...)) on-chain
+ */
+function hashStruct(primaryType, message) {
+    return ethers.utils._TypedDataEncoder.hashStruct(
+        primaryType,
+        { [primaryType]: TYPES[primaryType] },
+        message
+    );
+}
+
+/**
+ * @return bytes32 type hash, same as the *_TYPE_HASH constants on-chain
+ */
+function typeHash(primaryType) {
+    const encoder = ethers.utils._TypedDataEncoder.from({ [primaryType]: TYPES[primaryType] });
+    return ethers.utils.id(encoder.encodeType(primaryType));
+}
+
+/**
+ * @return bytes32 digest, same as _hashTypedDataV4(structHash) on-chain
+ */
+function hashTypedMessage(domain, primaryType, message) {
+    return ethers.utils._TypedDataEncoder.hash(
+        domain,
+        { [primaryType]: TYPES[primaryType] },
+        message
+    );
+}
+
+//---------------------------- Verifiers ----------------------------//
+
+/**
+ * @notice Check an IdentityToken.createIdentity payload before submitting it
+ */
+async function verifyIdentity(identityToken, signature, message) {
+    // ifRegistered is 0 once KYC is expired, the identity still exists
+    if (!(await identityToken.getOwnerIdentity(message.signer)).isZero()) {
+        return _fail(_emptyResult(), REASONS.ALREADY_REGISTERED, "REJUVE: One Identity Per User");
+    }
+    const result = await _verify(identityToken, "Identity", signature, message, message.signer);
+    if (!result.valid) {
+        return _revertReason(result, "REJUVE: Invalid User Signature", "REJUVE: Already Used ID");
+    }
+    return result;
+}
+
+/**
+ * @notice Check an IdentityToken.updateIdentity payload before submitting it
+ * @dev The contract expects the current token owner as signer
+ */
+async function verifyIdentityUpdate(identityToken, signature, message) {
+    let owner;
+    try {
+        owner = await identityToken.ownerOf(message.tokenId);
+    } catch (error) {
+        return _fail(_emptyResult(), REASONS.NOT_REGISTERED, "ERC721: invalid token ID");
+    }
+    const result = await _verify(identityToken, "IdentityUpdate", signature, { ...message, signer: owner }, owner);
+    if (!result.valid) {
+        return _revertReason(result, "REJUVE: Invalid User Signature", "REJUVE: Already Used ID");
+    }
+    return result;
+}
+
+/**
+ * @notice Check a DataManagement.submitData payload before submitting it
+ * @param identityToken optional, checks signer registration when provided
+ */
+async function verifyDataSubmission(dataMgt, signature, message, identityToken) {
+    if (identityToken && await identityToken.ifRegistered(message.signer) != 1) {
+        return _fail(_emptyResult(), REASONS.NOT_REGISTERED, "REJUVE: Not Registered");
+    }
+    const result = await _verify(dataMgt, "DataSubmission", signature, message, message.signer);
+    if (!result.valid) {
+        return _revertReason(result, "REJUVE: Invalid user signature", "REJUVE: Already used id");
+    }
+    return result;
+}
+
+/**
+ * @notice Check a DataManagement.getPermission payload before submitting it
+ * @param identityToken optional, checks data ownership & registration when provided
+ */
+async function verifyPermission(dataMgt, signature, message, identityToken) {
+    if (identityToken) {
+        if (await identityToken.ifRegistered(message.dataowner) != 1) {
+            return _fail(_emptyResult(), REASONS.NOT_REGISTERED, "REJUVE: Not Registered");
+        }
+        const ownerId = await dataMgt.getDataOwnerId(message.dhash);
+        if (!ownerId.eq(await identityToken.getOwnerIdentity(message.dataowner))) {
+            return _fail(_emptyResult(), REASONS.NOT_DATA_OWNER, "REJUVE: Not a Data Owner");
+        }
+    }
+    const result = await _verify(dataMgt, "Permission", signature, message, message.dataowner);
+    if (!result.valid) {
+        return _revertReason(result, "REJUVE: Invalid user signature", "REJUVE: Already used id");
+    }
+    return result;
+}
+
+/**
+ * @notice Check a DataManagement.revokePermissionBySig payload before submitting it
+ * @param identityToken optional, checks identity, data ownership & permission state when provided
+ * (an expired KYC does not prevent revocation)
+ */
+async function verifyRevocation(dataMgt, signature, message, identityToken) {
+    if (identityToken) {
+        if (!(await identityToken.holdsIdentity(message.dataowner))) {
+            return _fail(_emptyResult(), REASONS.NOT_REGISTERED, "REJUVE: Not Registered");
+        }
+    }
+    const result = await _verify(dataMgt, "Revocation", signature, message, message.dataowner);
+    if (!result.valid) {
+        return _revertReason(result, "REJUVE: Invalid user signature", "REJUVE: Already used id");
+    }
+    if (identityToken) {
+        const ownerId = await dataMgt.getDataOwnerId(message.dhash);
+        if (!ownerId.eq(await identityToken.getOwnerIdentity(message.dataowner))) {
+            return _fail(result, REASONS.NOT_DATA_OWNER, "REJUVE: Not a Data Owner");
+        }
+        if (await dataMgt.getPermissionStatus(message.dhash, message.productId) != 1) {
+            return _fail(result, REASONS.NOT_PERMITTED, "REJUVE: Not Permitted");
+        }
+    }
+    return result;
+}
+
+//---------------------------- Private ----------------------------//
+
+/**
+ * @dev Same order as the contracts: replay check first, then signer recovery
+ */
+async function _verify(contract, primaryType, signature, message, expectedSigner) {
+    const domain = await getDomain(contract);
+    const result = _emptyResult();
+    result.structHash = hashStruct(primaryType, message);
+    result.digest = hashTypedMessage(domain, primaryType, message);
+
+    if (await contract.isMessageUsed(result.structHash)) {
+        result.reason = REASONS.ALREADY_USED;
+        return result;
+    }
+
+    // ECDSA.recover only takes 65-byte signatures with a lower-half s, ethers would
+    // also recover compact (64-byte) and malleable ones
+    result.revertReason = _malformedReason(signature);
+    if (result.revertReason === null) {
+        try {
+            result.recovered = ethers.utils.recoverAddress(result.digest, signature);
+        } catch (error) {
+            result.revertReason = "ECDSA: invalid signature";
+        }
+    }
+    if (result.revertReason !== null) {
+        result.reason = REASONS.MALFORMED_SIGNATURE;
+        return result;
+    }
+
+    if (result.recovered !== ethers.utils.getAddress(expectedSigner)) {
+        result.reason = REASONS.INVALID_SIGNATURE;
+        return result;
+    }
+
+    result.valid = true;
+    return result;
+}
+
+// secp256k1n / 2, upper bound of s accepted by ECDSA.tryRecover
+const HALF_CURVE_ORDER = ethers.BigNumber.from(
+    "0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0"
+);
+
+/**
+ * @return revert string of ECDSA.recover for a malformed signature, null otherwise
+ */
+function _malformedReason(signature) {
+    if (!ethers.utils.isBytesLike(signature) || ethers.utils.hexDataLength(signature) !== 65) {
+        return "ECDSA: invalid signature length";
+    }
+    if (ethers.BigNumber.from(ethers.utils.hexDataSlice(signature, 32, 64)).gt(HALF_CURVE_ORDER)) {
+        return "ECDSA: invalid signature 's' value";
+    }
+    return null;
+}
+
+function _emptyResult() {
+    return {
+        valid: false,
+        reason: null,
+        revertReason: null,
+        recovered: null,
+        structHash: null,
+        digest: null
+    };
+}
+
+function _fail(result, reason, revertReason) {
+    result.valid = false;
+    result.reason = reason;
+    result.revertReason = revertReason;
+    return result;
+}
+
+// Revert strings differ in casing between IdentityToken & DataManagement
+function _revertReason(result, invalidSignature, alreadyUsed) {
+    if (result.reason === REASONS.ALREADY_USED) {
+        result.revertReason = alreadyUsed;
+    } else if (result.reason === REASONS.INVALID_SIGNATURE) {
+        result.revertReason = invalidSignature;
+    }
+    // MALFORMED_SIGNATURE keeps the ECDSA revert string set by _verify
+    return result;
+}
+
+module.exports.REASONS = REASONS;
+module.exports.hashStruct = hashStruct;
+module.exports.typeHash = typeHash;
+module.exports.hashTypedMessage = hashTypedMessage;
+module.exports.verifyIdentity = verifyIdentity;
+module.exports.verifyIdentityUpdate = verifyIdentityUpdate;
+module.exports.verifyDataSubmission = verifyDataSubmission;
+module.exports.verifyPermission = verifyPermission;
+module.exports.verifyRevocation = verifyRevocation;
@@ -0,0 +1,20 @@
+/**
+ * @dev Fragments used by the access request service (human-readable ABI),
+ * grouped by the contract name used in deployments/<network>.json
+ */
+const ABIS = {
+    IdentityToken: [
+        "function ifRegistered(address user) view returns (uint8)",
+        "function getOwnerIdentity(address owner) view returns (uint256)",
+        "function ownerOf(uint256 tokenId) view returns (address)"
+    ],
+    DataManagement: [
+        "event PermissionGranted(uint256 indexed dataOwnerId, uint256 requesterId, uint256 nextProductUID, bytes dataHash, bytes32 permissionHash)",
+        "function getDataOwnerId(bytes dHash) view returns (uint256)",
+        "function isOrphanedData(bytes dHash) view returns (bool)",
+        "function isMessageUsed(bytes32 structHash) view returns (bool)",
+        "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+    ]
+};
+
+module.exports.ABIS = ABIS;
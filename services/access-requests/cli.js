@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { createAccessRequestService } = require("./index");
+const { createAccessRequestServer } = require("./server");
+
+/**
+ * @dev node services/access-requests/cli.js --manifest deployments/localhost.json
+ *      [--rpc http://127.0.0.1:8545] [--db access-requests.sqlite] [--port 8547]
+ *      [--confirmations 2] [--interval 5000]
+ */
+function parseArgs(argv) {
+    const args = { rpc: "http://127.0.0.1:8545", db: "access-requests.sqlite", port: 8547, confirmations: 2, interval: 5000 };
+    for (let i = 0; i < argv.length; i++) {
+        args[argv[i].replace(/^--/, "")] = argv[++i];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.manifest) {
+        throw new Error("REJUVE: --manifest is required");
+    }
+    const manifest = JSON.parse(fs.readFileSync(args.manifest, "utf8"));
+    const service = await createAccessRequestService({
+        provider: new ethers.providers.JsonRpcProvider(args.rpc),
+        contracts: {
+            IdentityToken: manifest.contracts.IdentityToken.address,
+            DataManagement: manifest.contracts.DataManagement.address
+        },
+        dbPath: args.db,
+        confirmations: Number(args.confirmations),
+        startBlock: manifest.contracts.DataManagement.blockNumber
+    });
+
+    const server = createAccessRequestServer(service);
+    server.listen(Number(args.port), () => {
+        console.log(`Access requests on port ${args.port}`);
+    });
+
+    // reconcile with PermissionGranted events
+    const timer = setInterval(() => service.sync().catch(console.error), Number(args.interval));
+    process.on("SIGINT", () => {
+        clearInterval(timer);
+        server.close();
+        service.close();
+        process.exit(0);
+    });
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,300 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const initSqlJs = require("sql.js");
+const sdk = require("../../sdk");
+const { ABIS } = require("./abis");
+const store = require("./store");
+
+const { STATUS } = store;
+
+/**
+ * @title Rejuve access request service
+ * @notice Off-chain workflow behind DataManagement.getPermission:
+ *
+ * 1. A lab files a request (data hash, product UID, expiration), signed with
+ *    personal_sign of fileMessage(request). The service resolves the data owner
+ *    and builds the Permission message (with a fresh nonce)
+ * 2. The data owner signs that message (sdk.signPermission / eth_signTypedData_v4)
+ *    and approves the request, or declines it
+ * 3. The lab fetches the signature and calls getPermission
+ * 4. sync() reconciles requests with PermissionGranted events
+ *
+ * Filing is signed by the lab: an open request blocks the lab from filing
+ * again for the same data & product, so nobody else may file in its name.
+ *
+ * @param options {
+ *   provider,       // ethers provider
+ *   contracts,      // { IdentityToken: address, DataManagement: address }
+ *   dbPath,         // optional SQLite file
+ *   confirmations,  // blocks before a grant is reconciled, default 2
+ *   startBlock      // first block to reconcile, default 0
+ * }
+ */
+async function createAccessRequestService(options) {
+    const provider = options.provider;
+    const confirmations = options.confirmations === undefined ? 2 : options.confirmations;
+    const SQL = await initSqlJs();
+    const db = options.dbPath && fs.existsSync(options.dbPath)
+        ? new SQL.Database(fs.readFileSync(options.dbPath))
+        : new SQL.Database();
+    store.createSchema(db);
+
+    const identityToken = new ethers.Contract(options.contracts.IdentityToken, ABIS.IdentityToken, provider);
+    const dataMgt = new ethers.Contract(options.contracts.DataManagement, ABIS.DataManagement, provider);
+
+    function save() {
+        if (options.dbPath) {
+            fs.writeFileSync(options.dbPath, Buffer.from(db.export()));
+        }
+    }
+
+    //---------------------------- Requests ----------------------------//
+
+    /**
+     * @notice File an access request on behalf of a lab
+     * @param { lab, dataHash, productUID, expiration, signature } expiration in
+     * seconds, signature lab personal_sign of fileMessage(request)
+     * @return request (see getRequest)
+     */
+    async function fileRequest({ lab, dataHash, productUID, expiration, signature }) {
+        lab = _address(lab);
+        dataHash = _dataHash(dataHash);
+        productUID = _uint(productUID, "REJUVE: Invalid Product UID");
+        expiration = _uint(expiration, "REJUVE: Invalid Expiration");
+        if (expiration === "0") {
+            throw new Error("REJUVE: Invalid Expiration");
+        }
+        if (_personalSigner(fileMessage({ dataHash, productUID, expiration }), signature) !== lab) {
+            throw new Error("REJUVE: Invalid Signature");
+        }
+
+        if (await identityToken.ifRegistered(lab) != 1) {
+            throw new Error("REJUVE: Not Registered");
+        }
+        const dataOwnerId = await dataMgt.getDataOwnerId(dataHash);
+        if (dataOwnerId.isZero()) {
+            throw new Error("REJUVE: Unknown Data");
+        }
+        if (await dataMgt.isOrphanedData(dataHash)) {
+            throw new Error("REJUVE: Orphaned Data");
+        }
+        if (store.findOpenRequest(db, lab, dataHash, productUID)) {
+            throw new Error("REJUVE: Request Already Filed");
+        }
+
+        const id = store.insertRequest(db, {
+            lab,
+            requesterId: (await identityToken.getOwnerIdentity(lab)).toString(),
+            dataOwner: await identityToken.ownerOf(dataOwnerId),
+            dataOwnerId: dataOwnerId.toString(),
+            dataHash,
+            productUID,
+            expiration,
+            nonce: ethers.BigNumber.from(crypto.randomBytes(16)).toString()
+        });
+        save();
+        return getRequest(id);
+    }
+
+    /**
+     * @return request with the Permission `message` to sign and, once approved,
+     * the getPermission `args` for the lab; null if unknown
+     */
+    function getRequest(id) {
+        const request = store.getRequest(db, id);
+        return request ? _withMessage(request) : null;
+    }
+
+    /**
+     * @param filter { lab, dataOwner, status } all optional
+     */
+    function listRequests(filter = {}) {
+        return store.listRequests(db, {
+            lab: filter.lab && _address(filter.lab),
+            dataOwner: filter.dataOwner && _address(filter.dataOwner),
+            status: filter.status
+        }).map(_withMessage);
+    }
+
+    /**
+     * @return eth_signTypedData_v4 payload of the request Permission (for wallets)
+     */
+    async function getTypedData(id) {
+        const request = _findRequest(id);
+        const domain = await sdk.getDomain(dataMgt);
+        return sdk.buildTypedData(domain, sdk.TYPES, "Permission", _message(request));
+    }
+
+    /**
+     * @notice Data owner approves a request with their Permission signature
+     * @dev The signature is checked exactly as getPermission would check it
+     */
+    async function approve(id, signature) {
+        const request = _findRequest(id);
+        if (request.status !== STATUS.PENDING) {
+            throw new Error("REJUVE: Request Not Pending");
+        }
+        const result = await sdk.verifyPermission(dataMgt, signature, _message(request), identityToken);
+        if (!result.valid) {
+            throw new Error(result.revertReason);
+        }
+        store.setStatus(db, request.id, STATUS.APPROVED, signature);
+        save();
+        return getRequest(request.id);
+    }
+
+    /**
+     * @notice Data owner declines a request
+     * @param signature data owner personal_sign of declineMessage(id)
+     */
+    function decline(id, signature) {
+        const request = _findRequest(id);
+        if (request.status !== STATUS.PENDING) {
+            throw new Error("REJUVE: Request Not Pending");
+        }
+        if (_personalSigner(declineMessage(request.id), signature) !== request.dataOwner) {
+            throw new Error("REJUVE: Invalid Signature");
+        }
+        store.setStatus(db, request.id, STATUS.DECLINED);
+        save();
+        return getRequest(request.id);
+    }
+
+    //---------------------------- Reconciliation ----------------------------//
+
+    /**
+     * @notice Mark requests granted from confirmed PermissionGranted events
+     * @dev Grants obtained outside the service (e.g. signature exchanged
+     * directly) also close the matching open requests
+     * @return { from, to, grants, updated }
+     */
+    async function sync() {
+        const head = await provider.getBlockNumber();
+        const lastSynced = store.getMeta(db, "lastSyncedBlock");
+        const from = lastSynced === null ? (options.startBlock || 0) : Number(lastSynced) + 1;
+        const to = head - confirmations;
+        const summary = { from, to: from - 1, grants: 0, updated: 0 };
+        if (to < from) {
+            return summary;
+        }
+
+        const events = await dataMgt.queryFilter(dataMgt.filters.PermissionGranted(), from, to);
+        for (const event of events) {
+            summary.grants++;
+            summary.updated += store.markGranted(db, {
+                requesterId: event.args.requesterId.toString(),
+                dataOwnerId: event.args.dataOwnerId.toString(),
+                dataHash: _dataHash(event.args.dataHash),
+                productUID: event.args.nextProductUID.toString(),
+                transactionHash: event.transactionHash,
+                blockNumber: event.blockNumber
+            });
+        }
+        store.setMeta(db, "lastSyncedBlock", to);
+        summary.to = to;
+        save();
+        return summary;
+    }
+
+    function close() {
+        save();
+        db.close();
+    }
+
+    //---------------------------- Private ----------------------------//
+
+    function _findRequest(id) {
+        const request = store.getRequest(db, id);
+        if (!request) {
+            throw new Error("REJUVE: Request Not Found");
+        }
+        return request;
+    }
+
+    return {
+        db,
+        fileRequest,
+        getRequest,
+        listRequests,
+        getTypedData,
+        approve,
+        decline,
+        sync,
+        close
+    };
+}
+
+/**
+ * @return text a lab signs (personal_sign) to file a request
+ */
+function fileMessage({ dataHash, productUID, expiration }) {
+    return `REJUVE: File access request for ${_dataHash(dataHash)} on product ${productUID} for ${expiration} seconds`;
+}
+
+/**
+ * @return text a data owner signs (personal_sign) to decline request `id`
+ */
+function declineMessage(id) {
+    return `REJUVE: Decline access request ${id}`;
+}
+
+function _message(request) {
+    return {
+        dataowner: request.dataOwner,
+        requesterId: request.requesterId,
+        dhash: request.dataHash,
+        productId: request.productUID,
+        nonce: request.nonce,
+        expiration: request.expiration
+    };
+}
+
+function _withMessage(request) {
+    const message = _message(request);
+    request.message = message;
+    request.args = request.signature
+        ? [message.dataowner, request.signature, message.dhash, message.productId, message.nonce, message.expiration]
+        : null;
+    return request;
+}
+
+function _personalSigner(message, signature) {
+    try {
+        return ethers.utils.verifyMessage(message, signature);
+    } catch (error) {
+        throw new Error("REJUVE: Invalid Signature");
+    }
+}
+
+function _address(address) {
+    try {
+        return ethers.utils.getAddress(address);
+    } catch (error) {
+        throw new Error("REJUVE: Invalid Address");
+    }
+}
+
+function _dataHash(dataHash) {
+    if (!ethers.utils.isHexString(dataHash) || dataHash.length <= 2) {
+        throw new Error("REJUVE: Invalid Data Hash");
+    }
+    return dataHash.toLowerCase();
+}
+
+function _uint(value, error) {
+    try {
+        const number = ethers.BigNumber.from(value);
+        if (number.isNegative()) {
+            throw new Error(error);
+        }
+        return number.toString();
+    } catch (e) {
+        throw new Error(error);
+    }
+}
+
+module.exports.createAccessRequestService = createAccessRequestService;
+module.exports.fileMessage = fileMessage;
+module.exports.declineMessage = declineMessage;
+module.exports.STATUS = STATUS;
@@ -0,0 +1,62 @@
+const http = require("http");
+const { readJson, sendJson } = require("../http");
+
+/**
+ * @title Access request REST API
+ *
+ * POST /requests                    { lab, dataHash, productUID, expiration, signature }
+ *                                   (lab personal_sign of fileMessage(request)) => request
+ * GET  /requests?lab=&dataOwner=&status=                                     => [request]
+ * GET  /requests/:id                                                          => request
+ * GET  /requests/:id/typed-data     eth_signTypedData_v4 payload for the data owner wallet
+ * POST /requests/:id/approve        { signature } (Permission signature)     => request
+ * POST /requests/:id/decline        { signature } (personal_sign of declineMessage(id)) => request
+ *
+ * Rejected calls answer 400 { error } with the REJUVE reason, unknown requests 404.
+ */
+function createAccessRequestServer(service) {
+    return http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, "http://localhost");
+            const parts = url.pathname.split("/").filter((part) => part !== "");
+            if (parts[0] !== "requests" || parts.length > 3) {
+                return sendJson(res, 404, { error: "REJUVE: Not Found" });
+            }
+
+            if (parts.length === 1) {
+                if (req.method === "POST") {
+                    return sendJson(res, 201, await service.fileRequest(await readJson(req)));
+                }
+                if (req.method === "GET") {
+                    return sendJson(res, 200, service.listRequests({
+                        lab: url.searchParams.get("lab"),
+                        dataOwner: url.searchParams.get("dataOwner"),
+                        status: url.searchParams.get("status")
+                    }));
+                }
+            }
+
+            const id = parts[1];
+            if (service.getRequest(id) === null) {
+                return sendJson(res, 404, { error: "REJUVE: Request Not Found" });
+            }
+            if (parts.length === 2 && req.method === "GET") {
+                return sendJson(res, 200, service.getRequest(id));
+            }
+            if (parts[2] === "typed-data" && req.method === "GET") {
+                return sendJson(res, 200, await service.getTypedData(id));
+            }
+            if (parts[2] === "approve" && req.method === "POST") {
+                return sendJson(res, 200, await service.approve(id, (await readJson(req)).signature));
+            }
+            if (parts[2] === "decline" && req.method === "POST") {
+                return sendJson(res, 200, service.decline(id, (await readJson(req)).signature));
+            }
+            return sendJson(res, 404, { error: "REJUVE: Not Found" });
+        } catch (error) {
+            return sendJson(res, 400, { error: error.reason || error.message });
+        }
+    });
+}
+
+module.exports.createAccessRequestServer = createAccessRequestServer;
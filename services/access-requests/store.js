@@ -0,0 +1,171 @@
+/**
+ * @dev SQLite storage of access requests.
+ * uint256 values are stored as decimal TEXT, addresses checksummed.
+ */
+
+const STATUS = {
+    PENDING: "pending",   // filed by the lab, waiting for the data owner
+    APPROVED: "approved", // signed by the data owner, lab can call getPermission
+    DECLINED: "declined", // refused by the data owner
+    GRANTED: "granted"    // PermissionGranted seen on-chain
+};
+
+function createSchema(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS access_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        status TEXT NOT NULL,
+        lab TEXT NOT NULL,
+        requester_id TEXT NOT NULL,
+        data_owner TEXT NOT NULL,
+        data_owner_id TEXT NOT NULL,
+        data_hash TEXT NOT NULL,
+        product_uid TEXT NOT NULL,
+        expiration TEXT NOT NULL,
+        nonce TEXT NOT NULL,
+        signature TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        granted_tx TEXT,
+        granted_block INTEGER
+    )`);
+    db.run("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)");
+}
+
+function all(db, sql, params = []) {
+    const statement = db.prepare(sql);
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) {
+        rows.push(statement.getAsObject());
+    }
+    statement.free();
+    return rows;
+}
+
+function insertRequest(db, request) {
+    const now = new Date().toISOString();
+    db.run(
+        `INSERT INTO access_requests (status, lab, requester_id, data_owner, data_owner_id, data_hash,
+            product_uid, expiration, nonce, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            STATUS.PENDING,
+            request.lab,
+            request.requesterId,
+            request.dataOwner,
+            request.dataOwnerId,
+            request.dataHash,
+            request.productUID,
+            request.expiration,
+            request.nonce,
+            now,
+            now
+        ]
+    );
+    return all(db, "SELECT last_insert_rowid() AS id")[0].id;
+}
+
+function getRequest(db, id) {
+    const rows = all(db, "SELECT * FROM access_requests WHERE id = ?", [Number(id)]);
+    return rows.length > 0 ? _toRequest(rows[0]) : null;
+}
+
+/**
+ * @param filter { lab, dataOwner, status } all optional
+ */
+function listRequests(db, filter = {}) {
+    const clauses = [];
+    const params = [];
+    for (const [column, value] of [["lab", filter.lab], ["data_owner", filter.dataOwner], ["status", filter.status]]) {
+        if (value) {
+            clauses.push(`${column} = ?`);
+            params.push(value);
+        }
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+    return all(db, `SELECT * FROM access_requests ${where} ORDER BY id`, params).map(_toRequest);
+}
+
+/**
+ * @return open (pending or approved) request for the same lab, data & product, if any
+ */
+function findOpenRequest(db, lab, dataHash, productUID) {
+    const rows = all(
+        db,
+        `SELECT * FROM access_requests
+        WHERE lab = ? AND data_hash = ? AND product_uid = ? AND status IN (?, ?)`,
+        [lab, dataHash, productUID, STATUS.PENDING, STATUS.APPROVED]
+    );
+    return rows.length > 0 ? _toRequest(rows[0]) : null;
+}
+
+function setStatus(db, id, status, signature = null) {
+    db.run(
+        "UPDATE access_requests SET status = ?, signature = COALESCE(?, signature), updated_at = ? WHERE id = ?",
+        [status, signature, new Date().toISOString(), Number(id)]
+    );
+}
+
+/**
+ * @dev Mark every open request matching a PermissionGranted event as granted
+ * @return number of requests updated
+ */
+function markGranted(db, grant) {
+    db.run(
+        `UPDATE access_requests SET status = ?, granted_tx = ?, granted_block = ?, updated_at = ?
+        WHERE requester_id = ? AND data_owner_id = ? AND data_hash = ? AND product_uid = ? AND status IN (?, ?)`,
+        [
+            STATUS.GRANTED,
+            grant.transactionHash,
+            grant.blockNumber,
+            new Date().toISOString(),
+            grant.requesterId,
+            grant.dataOwnerId,
+            grant.dataHash,
+            grant.productUID,
+            STATUS.PENDING,
+            STATUS.APPROVED
+        ]
+    );
+    return db.getRowsModified();
+}
+
+function getMeta(db, key) {
+    const rows = all(db, "SELECT value FROM meta WHERE key = ?", [key]);
+    return rows.length > 0 ? rows[0].value : null;
+}
+
+function setMeta(db, key, value) {
+    db.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [key, String(value)]);
+}
+
+function _toRequest(row) {
+    return {
+        id: row.id,
+        status: row.status,
+        lab: row.lab,
+        requesterId: row.requester_id,
+        dataOwner: row.data_owner,
+        dataOwnerId: row.data_owner_id,
+        dataHash: row.data_hash,
+        productUID: row.product_uid,
+        expiration: row.expiration,
+        nonce: row.nonce,
+        signature: row.signature,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        grantedTx: row.granted_tx,
+        grantedBlock: row.granted_block
+    };
+}
+
+module.exports.STATUS = STATUS;
+module.exports.createSchema = createSchema;
+module.exports.insertRequest = insertRequest;
+module.exports.getRequest = getRequest;
+module.exports.listRequests = listRequests;
+module.exports.findOpenRequest = findOpenRequest;
+module.exports.setStatus = setStatus;
+module.exports.markGranted = markGranted;
+module.exports.getMeta = getMeta;
+module.exports.setMeta = setMeta;
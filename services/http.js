@@ -0,0 +1,27 @@
+/**
+ * @dev JSON helpers shared by the HTTP services (relayer, access requests)
+ */
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+        });
+        req.on("end", () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new Error("REJUVE: Invalid JSON"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+}
+
+module.exports.readJson = readJson;
+module.exports.sendJson = sendJson;
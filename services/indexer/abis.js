@@ -0,0 +1,63 @@
+/**
+ * @dev Event fragments consumed by the indexer (human-readable ABI), grouped
+ * by the contract name used in deployments/<network>.json
+ */
+const ABIS = {
+    IdentityToken: [
+        "event IdentityCreated(address indexed identityOwner, address indexed sponsor, uint256 tokenId, string tokenURI)",
+        "event IdentityDestroyed(address indexed identityOwner, uint256 tokenId)",
+        "event IdentityUpdated(uint256 indexed tokenId, address indexed sponsor, bytes32 kyc, string tokenURI)",
+        "event IdentityRecovered(uint256 indexed tokenId, address indexed previousOwner, address indexed newOwner)"
+    ],
+    DataManagement: [
+        "event DataSubmitted(address indexed dataOwner, uint256 indexed dataOwnerId, bytes dataHash)",
+        "event PermissionGranted(uint256 indexed dataOwnerId, uint256 requesterId, uint256 nextProductUID, bytes dataHash, bytes32 permissionHash)",
+        "event PermissionRevoked(uint256 indexed dataOwnerId, uint256 productUID, bytes dataHash)",
+        "event DatasetPermissionGranted(uint256 indexed dataOwnerId, uint256 requesterId, uint256 nextProductUID, bytes32 root)",
+        "event DatasetPermissionRevoked(uint256 indexed dataOwnerId, uint256 productUID, bytes32 root)",
+        "event OwnerDataReleased(uint256 indexed dataOwnerId, bool tombstoned)"
+    ],
+    ProductNFT: [
+        "event ProductCreated(uint256 productUID, address productCreator, string productURI, bytes[] datahashes, uint256[] creditScore)",
+        "event NewDataLinked(uint256 productUID, bytes[] dataHash, uint256[] creditScore)",
+        "event ProductMetadataUpdated(uint256 indexed productUID, uint256 version, string productURI)",
+        "event ProductStatusChanged(uint256 indexed productUID, uint8 previousStatus, uint8 newStatus)"
+    ],
+    TransferShards: [
+        "event InitialShardDistributed(uint256 productUID, address[] initialContributors, uint256[] shardAmount)",
+        "event FutureShardDistributed(uint256 productUID, address[] dataOwners, uint256[] shardAmount)",
+        "event LinkedDataShardDistributed(uint256 productUID, uint256 fromIndex, uint8 percent, address[] dataOwners, uint256[] shardAmount)",
+        "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+        "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+        "function getProductIDs(uint256 productUID) view returns (uint256[])"
+    ],
+    ProfitDistribution: [
+        "event PaymentReceived(address sender, uint256 productUID, uint256 amount)",
+        "event Withdrawal(address holder, uint256 productUID, uint256 amount)",
+        "event CurrencyPaymentReceived(address sender, uint256 productUID, address currency, uint256 amount)",
+        "event CurrencyWithdrawal(address holder, uint256 productUID, address currency, uint256 amount)",
+        "function getRejuveToken() view returns (address)"
+    ],
+    ShardMarketplace: [
+        "event Listed(address holder, uint256 productUID, uint256 amount, uint256 price)",
+        "event Sold(address seller, address buyer, uint256 productUID, uint256 shardAmount, uint256 unitPrice)"
+    ],
+    SponsorRegistry: [
+        "event SponsorRegistered(address indexed sponsor, string metadataURI, uint256 identityQuota, uint256 dataQuota)",
+        "event SponsorUpdated(address indexed sponsor, string metadataURI, uint256 identityQuota, uint256 dataQuota)",
+        "event SponsorSuspended(address indexed sponsor)",
+        "event SponsorReinstated(address indexed sponsor)",
+        "event IdentityQuotaUsed(address indexed sponsor, address indexed consumer, uint256 period, uint256 used)",
+        "event DataQuotaUsed(address indexed sponsor, address indexed consumer, uint256 period, uint256 amount, uint256 used)"
+    ],
+    DistributorAgreement: [
+        "event AgreementCreated(uint256 agreementId, address distributor, bytes agreement, uint256 productUID, uint256 units, uint256 unitPrice, uint256 percentage, uint256 startDate, uint256 endDate)",
+        "event AgreementAmended(uint256 agreementId, uint256 units, uint256 unitPrice, uint256 percentage, uint256 endDate)",
+        "event AgreementTerminated(uint256 agreementId, uint256 terminatedAt)",
+        "event SalesReported(uint256 agreementId, address distributor, uint256 productUID, uint256 reportIndex, uint256 units, uint256 royalty, uint256 dueDate)",
+        "event RoyaltyPaid(uint256 agreementId, address distributor, uint256 productUID, uint256 reportIndex, uint256 amount)",
+        "event LatePayment(uint256 agreementId, address distributor, uint256 reportIndex, uint256 dueDate, uint256 paidAt)"
+    ]
+};
+
+module.exports.ABIS = ABIS;
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { createIndexer, contractsFromManifest } = require("./index");
+
+/**
+ * @dev node services/indexer/cli.js --manifest deployments/localhost.json
+ *      [--rpc http://127.0.0.1:8545] [--db indexer.sqlite]
+ *      [--confirmations 2] [--interval 5000] [--once]
+ */
+function parseArgs(argv) {
+    const args = { rpc: "http://127.0.0.1:8545", db: "indexer.sqlite", confirmations: 2, interval: 5000 };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, "");
+        if (key === "once") {
+            args.once = true;
+        } else {
+            args[key] = argv[++i];
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.manifest) {
+        throw new Error("REJUVE: --manifest is required");
+    }
+    const manifest = JSON.parse(fs.readFileSync(args.manifest, "utf8"));
+    const indexer = await createIndexer({
+        provider: new ethers.providers.JsonRpcProvider(args.rpc),
+        contracts: contractsFromManifest(manifest),
+        dbPath: args.db,
+        confirmations: Number(args.confirmations)
+    });
+
+    if (args.once) {
+        console.log(await indexer.sync());
+        indexer.close();
+        return;
+    }
+
+    indexer.start(Number(args.interval));
+    process.on("SIGINT", () => {
+        indexer.close();
+        process.exit(0);
+    });
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,356 @@
+const { EVENT_TABLES } = require("./schema");
+
+// ProductNFT.ProductStatus
+const PRODUCT_STATUS = ["DRAFT", "ACTIVE", "RETIRED"];
+
+/**
+ * @dev Normalize decoded events into table rows.
+ * Each handler receives (ctx, event) where ctx.insert(table, position, values)
+ * stores a row for the current log and ctx.contracts gives read access to the
+ * deployed contracts (block tag pinned to the event block).
+ */
+const HANDLERS = {
+    IdentityCreated: (ctx, { args }) => {
+        ctx.insert("identities", 0, [
+            args.tokenId.toString(),
+            args.identityOwner,
+            args.sponsor,
+            args.tokenURI
+        ]);
+    },
+
+    IdentityDestroyed: (ctx, { args }) => {
+        ctx.insert("identity_burns", 0, [args.tokenId.toString(), args.identityOwner]);
+    },
+
+    IdentityUpdated: (ctx, { args }) => {
+        ctx.insert("identity_updates", 0, [
+            args.tokenId.toString(),
+            args.sponsor,
+            args.kyc,
+            args.tokenURI
+        ]);
+    },
+
+    IdentityRecovered: (ctx, { args }) => {
+        ctx.insert("identity_recoveries", 0, [
+            args.tokenId.toString(),
+            args.previousOwner,
+            args.newOwner
+        ]);
+    },
+
+    DataSubmitted: (ctx, { args }) => {
+        ctx.insert("data_submissions", 0, [
+            args.dataHash,
+            args.dataOwnerId.toString(),
+            args.dataOwner
+        ]);
+    },
+
+    PermissionGranted: (ctx, { args }) => {
+        ctx.insert("permissions", 0, [
+            args.dataOwnerId.toString(),
+            args.requesterId.toString(),
+            args.nextProductUID.toString(),
+            args.dataHash,
+            args.permissionHash
+        ]);
+    },
+
+    PermissionRevoked: (ctx, { args }) => {
+        ctx.insert("revocations", 0, [
+            args.dataOwnerId.toString(),
+            args.productUID.toString(),
+            args.dataHash
+        ]);
+    },
+
+    DatasetPermissionGranted: (ctx, { args }) => {
+        ctx.insert("dataset_permissions", 0, [
+            args.dataOwnerId.toString(),
+            args.requesterId.toString(),
+            args.nextProductUID.toString(),
+            args.root
+        ]);
+    },
+
+    DatasetPermissionRevoked: (ctx, { args }) => {
+        ctx.insert("dataset_revocations", 0, [
+            args.dataOwnerId.toString(),
+            args.productUID.toString(),
+            args.root
+        ]);
+    },
+
+    OwnerDataReleased: (ctx, { args }) => {
+        ctx.insert("data_releases", 0, [args.dataOwnerId.toString(), args.tombstoned ? 1 : 0]);
+    },
+
+    ProductCreated: (ctx, { args }) => {
+        ctx.insert("products", 0, [
+            args.productUID.toString(),
+            args.productCreator,
+            args.productURI
+        ]);
+        _insertProductData(ctx, args.productUID, args.datahashes, args.creditScore, 1);
+    },
+
+    NewDataLinked: (ctx, { args }) => {
+        _insertProductData(ctx, args.productUID, args.dataHash, args.creditScore, 0);
+    },
+
+    ProductMetadataUpdated: (ctx, { args }) => {
+        ctx.insert("product_metadata", 0, [
+            args.productUID.toString(),
+            args.version.toString(),
+            args.productURI
+        ]);
+    },
+
+    ProductStatusChanged: (ctx, { args }) => {
+        ctx.insert("product_status", 0, [
+            args.productUID.toString(),
+            PRODUCT_STATUS[args.previousStatus],
+            PRODUCT_STATUS[args.newStatus]
+        ]);
+    },
+
+    InitialShardDistributed: async (ctx, { args }) => {
+        _insertDistribution(ctx, "INITIAL", args.productUID, args.initialContributors, args.shardAmount);
+        await _insertShardTypes(ctx, args.productUID);
+    },
+
+    FutureShardDistributed: (ctx, { args }) => {
+        _insertDistribution(ctx, "FUTURE", args.productUID, args.dataOwners, args.shardAmount);
+    },
+
+    LinkedDataShardDistributed: (ctx, { args }) => {
+        // burned data owners are reported as the zero address and get nothing
+        const paid = args.dataOwners
+            .map((dataOwner, i) => [dataOwner, args.shardAmount[i]])
+            .filter(([, amount]) => !amount.isZero());
+        _insertDistribution(
+            ctx,
+            "LINKED",
+            args.productUID,
+            paid.map(([dataOwner]) => dataOwner),
+            paid.map(([, amount]) => amount)
+        );
+    },
+
+    TransferSingle: (ctx, { args }) => {
+        ctx.insert("shard_transfers", 0, [
+            args.id.toString(),
+            args.from,
+            args.to,
+            args.value.toString()
+        ]);
+    },
+
+    TransferBatch: (ctx, { args }) => {
+        args.ids.forEach((id, i) => {
+            ctx.insert("shard_transfers", i, [
+                id.toString(),
+                args.from,
+                args.to,
+                args[4][i].toString() // "values" clashes with Result.values
+            ]);
+        });
+    },
+
+    PaymentReceived: async (ctx, { args }) => {
+        ctx.insert("payments", 0, [
+            args.sender,
+            args.productUID.toString(),
+            await _rejuveToken(ctx),
+            args.amount.toString()
+        ]);
+    },
+
+    Withdrawal: async (ctx, { args }) => {
+        ctx.insert("withdrawals", 0, [
+            args.holder,
+            args.productUID.toString(),
+            await _rejuveToken(ctx),
+            args.amount.toString()
+        ]);
+    },
+
+    CurrencyPaymentReceived: (ctx, { args }) => {
+        ctx.insert("payments", 0, [args.sender, args.productUID.toString(), args.currency, args.amount.toString()]);
+    },
+
+    CurrencyWithdrawal: (ctx, { args }) => {
+        ctx.insert("withdrawals", 0, [args.holder, args.productUID.toString(), args.currency, args.amount.toString()]);
+    },
+
+    Listed: (ctx, { args }) => {
+        ctx.insert("listings", 0, [
+            args.holder,
+            args.productUID.toString(),
+            args.amount.toString(),
+            args.price.toString()
+        ]);
+    },
+
+    Sold: (ctx, { args }) => {
+        ctx.insert("sales", 0, [
+            args.seller,
+            args.buyer,
+            args.productUID.toString(),
+            args.shardAmount.toString(),
+            args.unitPrice.toString()
+        ]);
+    },
+
+    SponsorRegistered: (ctx, event) => _insertSponsorChange(ctx, "REGISTERED", event.args),
+
+    SponsorUpdated: (ctx, event) => _insertSponsorChange(ctx, "UPDATED", event.args),
+
+    SponsorSuspended: (ctx, event) => _insertSponsorChange(ctx, "SUSPENDED", event.args),
+
+    SponsorReinstated: (ctx, event) => _insertSponsorChange(ctx, "REINSTATED", event.args),
+
+    IdentityQuotaUsed: (ctx, { args }) => {
+        ctx.insert("sponsor_usage", 0, [args.sponsor, "IDENTITY", args.period.toString(), "1"]);
+    },
+
+    DataQuotaUsed: (ctx, { args }) => {
+        ctx.insert("sponsor_usage", 0, [args.sponsor, "DATA", args.period.toString(), args.amount.toString()]);
+    },
+
+    AgreementCreated: (ctx, { args }) => {
+        ctx.insert("distributor_agreements", 0, [
+            args.agreementId.toString(),
+            args.distributor,
+            args.agreement,
+            args.productUID.toString(),
+            args.units.toString(),
+            args.unitPrice.toString(),
+            args.percentage.toString(),
+            args.startDate.toString(),
+            args.endDate.toString()
+        ]);
+    },
+
+    AgreementAmended: (ctx, { args }) => {
+        ctx.insert("agreement_changes", 0, [
+            args.agreementId.toString(),
+            "AMENDED",
+            args.units.toString(),
+            args.unitPrice.toString(),
+            args.percentage.toString(),
+            args.endDate.toString()
+        ]);
+    },
+
+    AgreementTerminated: (ctx, { args }) => {
+        ctx.insert("agreement_changes", 0, [args.agreementId.toString(), "TERMINATED", null, null, null, null]);
+    },
+
+    SalesReported: (ctx, { args }) => {
+        ctx.insert("royalty_reports", 0, [
+            args.agreementId.toString(),
+            args.distributor,
+            args.productUID.toString(),
+            args.reportIndex.toString(),
+            args.units.toString(),
+            args.royalty.toString(),
+            args.dueDate.toString()
+        ]);
+    },
+
+    RoyaltyPaid: (ctx, { args }) => {
+        ctx.insert("royalty_payments", 0, [
+            args.agreementId.toString(),
+            args.distributor,
+            args.productUID.toString(),
+            args.reportIndex.toString(),
+            args.amount.toString()
+        ]);
+    },
+
+    LatePayment: (ctx, { args }) => {
+        ctx.insert("late_payments", 0, [
+            args.agreementId.toString(),
+            args.distributor,
+            args.reportIndex.toString(),
+            args.dueDate.toString(),
+            args.paidAt.toString()
+        ]);
+    }
+};
+
+function _insertSponsorChange(ctx, action, args) {
+    const quota = (value) => (value === undefined ? null : value.toString());
+    ctx.insert("sponsor_changes", 0, [
+        args.sponsor,
+        action,
+        args.metadataURI === undefined ? null : args.metadataURI,
+        quota(args.identityQuota),
+        quota(args.dataQuota)
+    ]);
+}
+
+function _insertProductData(ctx, productUID, dataHashes, creditScores, initial) {
+    dataHashes.forEach((dataHash, i) => {
+        ctx.insert("product_data", i, [
+            productUID.toString(),
+            dataHash,
+            creditScores[i].toString(),
+            initial
+        ]);
+    });
+}
+
+function _insertDistribution(ctx, phase, productUID, contributors, amounts) {
+    contributors.forEach((contributor, i) => {
+        ctx.insert("shard_distributions", i, [
+            productUID.toString(),
+            phase,
+            contributor,
+            amounts[i].toString()
+        ]);
+    });
+}
+
+// ProfitDistribution contract => RJV address, fixed at deployment
+const _rejuveTokens = new WeakMap();
+
+/**
+ * @dev RJV payments & withdrawals carry no currency, RJV is recorded as its address
+ */
+async function _rejuveToken(ctx) {
+    const profit = ctx.contracts.ProfitDistribution;
+    if (!_rejuveTokens.has(profit)) {
+        _rejuveTokens.set(profit, await profit.getRejuveToken());
+    }
+    return _rejuveTokens.get(profit);
+}
+
+/**
+ * @dev Type IDs of a product are only known through getProductIDs().
+ * Index 0 => LOCKED, index 1 => TRADED (ProductShards._createTokenType)
+ */
+async function _insertShardTypes(ctx, productUID) {
+    const typeIds = await ctx.contracts.TransferShards.getProductIDs(productUID, {
+        blockTag: ctx.blockNumber
+    });
+    const states = ["LOCKED", "TRADED"];
+    typeIds.forEach((typeId, i) => {
+        ctx.insert("shard_types", i, [typeId.toString(), productUID.toString(), states[i]]);
+    });
+}
+
+/**
+ * @return INSERT statement for a table of EVENT_TABLES
+ */
+function insertStatement(table) {
+    const columns = EVENT_TABLES[table].split(",").map((column) => column.trim().split(" ")[0]);
+    const placeholders = ["?", "?", "?", "?"].concat(columns.map(() => "?")).join(", ");
+    return `INSERT OR REPLACE INTO ${table} (block_number, log_index, position, tx_hash, ${columns.join(", ")}) VALUES (${placeholders})`;
+}
+
+module.exports.HANDLERS = HANDLERS;
+module.exports.insertStatement = insertStatement;
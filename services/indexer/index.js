@@ -0,0 +1,243 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const initSqlJs = require("sql.js");
+const { ABIS } = require("./abis");
+const { createSchema, deleteFromBlock } = require("./schema");
+const { HANDLERS, insertStatement } = require("./handlers");
+const queries = require("./queries");
+
+/**
+ * @title Rejuve event indexer
+ * @notice Follows a JSON-RPC endpoint and stores the platform events in SQLite.
+ *
+ * - Only blocks at least `confirmations` deep are indexed
+ * - Block hashes are kept for indexed blocks; a hash mismatch (reorg) rolls
+ *   back every record from the fork block and re-indexes from there
+ * - The database is kept in memory (sql.js) and written to `dbPath` after
+ *   every sync
+ *
+ * @param options {
+ *   provider,       // ethers provider
+ *   contracts,      // { IdentityToken: address, DataManagement: address, ... }
+ *   dbPath,         // optional SQLite file
+ *   confirmations,  // default 2
+ *   blockRange,     // max blocks per getLogs call, default 2000
+ *   startBlock      // first block to index, default 0
+ * }
+ */
+async function createIndexer(options) {
+    const provider = options.provider;
+    const confirmations = options.confirmations === undefined ? 2 : options.confirmations;
+    const blockRange = options.blockRange || 2000;
+    const SQL = await initSqlJs();
+    const db = options.dbPath && fs.existsSync(options.dbPath)
+        ? new SQL.Database(fs.readFileSync(options.dbPath))
+        : new SQL.Database();
+    createSchema(db);
+
+    const contracts = {};
+    const interfaces = {};
+    for (const name of Object.keys(options.contracts)) {
+        if (!ABIS[name]) {
+            continue;
+        }
+        const address = ethers.utils.getAddress(options.contracts[name]);
+        contracts[name] = new ethers.Contract(address, ABIS[name], provider);
+        interfaces[address] = contracts[name].interface;
+    }
+
+    let timer = null;
+
+    //---------------------------- State ----------------------------//
+
+    function getLastIndexedBlock() {
+        const rows = queries.all(db, "SELECT value FROM meta WHERE key = 'lastIndexedBlock'");
+        return rows.length > 0 ? Number(rows[0].value) : (options.startBlock || 0) - 1;
+    }
+
+    function setLastIndexedBlock(blockNumber) {
+        db.run("INSERT OR REPLACE INTO meta (key, value) VALUES ('lastIndexedBlock', ?)", [String(blockNumber)]);
+    }
+
+    function save() {
+        if (options.dbPath) {
+            fs.writeFileSync(options.dbPath, Buffer.from(db.export()));
+        }
+    }
+
+    //---------------------------- Reorgs ----------------------------//
+
+    /**
+     * @dev Stored hashes match the canonical chain up to the fork and none
+     * after it, so the fork is binary-searched: one lookup when nothing
+     * changed, O(log n) lookups whatever the reorg depth.
+     * Only blocks with events and range ends are stored, so the chain may have
+     * forked anywhere after the last canonical stored block
+     * @return first block to roll back or null if no reorg happened
+     */
+    async function findFork() {
+        const stored = queries.all(db, "SELECT number, hash FROM blocks ORDER BY number");
+        if (stored.length === 0 || await _isCanonical(stored[stored.length - 1])) {
+            return null;
+        }
+        let low = 0;
+        let high = stored.length - 1;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (await _isCanonical(stored[middle])) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low === 0 ? (options.startBlock || 0) : stored[low - 1].number + 1;
+    }
+
+    async function _isCanonical(block) {
+        const canonical = await provider.getBlock(block.number);
+        return canonical !== null && canonical.hash === block.hash;
+    }
+
+    //---------------------------- Sync ----------------------------//
+
+    /**
+     * @notice Index every confirmed block not indexed yet
+     * @return { from, to, events, reorg } summary of this run
+     */
+    async function sync() {
+        const summary = { from: null, to: null, events: 0, reorg: null };
+
+        const fork = await findFork();
+        if (fork !== null) {
+            deleteFromBlock(db, fork);
+            setLastIndexedBlock(fork - 1);
+            summary.reorg = fork;
+        }
+
+        const head = await provider.getBlockNumber();
+        const target = head - confirmations;
+        let from = getLastIndexedBlock() + 1;
+        summary.from = from;
+
+        while (from <= target) {
+            const to = Math.min(from + blockRange - 1, target);
+            summary.events += await _indexRange(from, to);
+            setLastIndexedBlock(to);
+            from = to + 1;
+        }
+
+        summary.to = getLastIndexedBlock();
+        save();
+        return summary;
+    }
+
+    async function _indexRange(from, to) {
+        const logs = [];
+        for (const address of Object.keys(interfaces)) {
+            logs.push(...(await provider.getLogs({ address, fromBlock: from, toBlock: to })));
+        }
+        logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+
+        let count = 0;
+        for (const log of logs) {
+            let event;
+            try {
+                event = interfaces[ethers.utils.getAddress(log.address)].parseLog(log);
+            } catch (error) {
+                continue; // event not consumed by the indexer
+            }
+            const handler = HANDLERS[event.name];
+            if (!handler) {
+                continue;
+            }
+            await handler(_context(log), event);
+            _storeBlock(log.blockNumber, log.blockHash);
+            count++;
+        }
+
+        const last = await provider.getBlock(to);
+        _storeBlock(to, last.hash);
+        return count;
+    }
+
+    function _context(log) {
+        return {
+            contracts,
+            blockNumber: log.blockNumber,
+            insert: (table, position, values) => {
+                db.run(insertStatement(table), [
+                    log.blockNumber,
+                    log.logIndex,
+                    position,
+                    log.transactionHash
+                ].concat(values));
+            }
+        };
+    }
+
+    function _storeBlock(number, hash) {
+        db.run("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)", [number, hash]);
+    }
+
+    //---------------------------- Polling ----------------------------//
+
+    /**
+     * @notice Keep syncing every `intervalMs` until stop() is called
+     */
+    function start(intervalMs = 5000, onError = console.error) {
+        const tick = async () => {
+            try {
+                await sync();
+            } catch (error) {
+                onError(error);
+            }
+            if (timer !== null) {
+                timer = setTimeout(tick, intervalMs);
+            }
+        };
+        timer = setTimeout(tick, 0);
+    }
+
+    function stop() {
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    }
+
+    function close() {
+        stop();
+        save();
+        db.close();
+    }
+
+    return {
+        db,
+        sync,
+        start,
+        stop,
+        close,
+        getLastIndexedBlock,
+        identitiesOf: (owner) => queries.identitiesOf(db, owner),
+        productsUsingData: (owner) => queries.productsUsingData(db, owner),
+        shardHolders: (productUID) => queries.shardHolders(db, productUID),
+        earnings: (account) => queries.earnings(db, account),
+        sponsorUsage: (sponsor) => queries.sponsorUsage(db, sponsor),
+        productHistory: (productUID) => queries.productHistory(db, productUID),
+        royaltyStatement: (distributor, asOf) => queries.royaltyStatement(db, distributor, asOf)
+    };
+}
+
+/**
+ * @return { Name: address } from a deployment manifest (see scripts/deployment.js)
+ */
+function contractsFromManifest(manifest) {
+    const contracts = {};
+    for (const name of Object.keys(manifest.contracts)) {
+        contracts[name] = manifest.contracts[name].address;
+    }
+    return contracts;
+}
+
+module.exports.createIndexer = createIndexer;
+module.exports.contractsFromManifest = contractsFromManifest;
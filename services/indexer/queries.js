@@ -0,0 +1,308 @@
+const { ethers } = require("ethers");
+
+/**
+ * @dev Read models answered from the local database
+ */
+
+function all(db, sql, params = []) {
+    const statement = db.prepare(sql);
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) {
+        rows.push(statement.getAsObject());
+    }
+    statement.free();
+    return rows;
+}
+
+/**
+ * @notice Identity token IDs currently bound to an address
+ * @dev Latest of creation and recovery events wins, so a recovered identity
+ * follows its new wallet. Burned identities stay with their last owner.
+ */
+function identitiesOf(db, owner) {
+    const bindings = all(db, `
+        SELECT token_id, owner, block_number, log_index FROM identities
+        UNION ALL
+        SELECT token_id, new_owner AS owner, block_number, log_index FROM identity_recoveries
+        ORDER BY block_number, log_index
+    `);
+    const holders = {};
+    for (const binding of bindings) {
+        holders[binding.token_id] = binding.owner;
+    }
+    const address = ethers.utils.getAddress(owner);
+    return Object.keys(holders).filter((tokenId) => holders[tokenId] === address);
+}
+
+/**
+ * @notice "Which products use my data"
+ * @dev Data is matched on the owner identity, not the submitting wallet
+ * @return [{ productUID, creator, productURI, dataHash, creditScore, initial }]
+ */
+function productsUsingData(db, owner) {
+    const tokenIds = identitiesOf(db, owner);
+    if (tokenIds.length === 0) {
+        return [];
+    }
+    return all(db, `
+        SELECT p.product_uid, p.creator, p.product_uri, pd.data_hash, pd.credit_score, pd.initial
+        FROM data_submissions d
+        JOIN product_data pd ON pd.data_hash = d.data_hash
+        JOIN products p ON p.product_uid = pd.product_uid
+        WHERE d.owner_id IN (${tokenIds.map(() => "?").join(", ")})
+        ORDER BY pd.block_number, pd.log_index, pd.position
+    `, tokenIds).map((row) => ({
+        productUID: row.product_uid,
+        creator: row.creator,
+        productURI: row.product_uri,
+        dataHash: row.data_hash,
+        creditScore: row.credit_score,
+        initial: row.initial === 1
+    }));
+}
+
+/**
+ * @notice "Who holds shards of product X"
+ * @dev Balances are rebuilt from ERC1155 transfers of the product type IDs
+ * @return [{ holder, locked, traded, total }] (decimal strings), largest first
+ */
+function shardHolders(db, productUID) {
+    const transfers = all(db, `
+        SELECT t.from_address, t.to_address, t.amount, s.state
+        FROM shard_transfers t
+        JOIN shard_types s ON s.type_id = t.type_id
+        WHERE s.product_uid = ?
+    `, [productUID.toString()]);
+
+    const balances = {};
+    const add = (holder, state, amount) => {
+        if (holder === ethers.constants.AddressZero) {
+            return;
+        }
+        balances[holder] = balances[holder] || { LOCKED: 0n, TRADED: 0n };
+        balances[holder][state] += amount;
+    };
+    for (const transfer of transfers) {
+        const amount = BigInt(transfer.amount);
+        add(transfer.from_address, transfer.state, -amount);
+        add(transfer.to_address, transfer.state, amount);
+    }
+
+    return Object.keys(balances)
+        .map((holder) => ({
+            holder,
+            locked: balances[holder].LOCKED,
+            traded: balances[holder].TRADED,
+            total: balances[holder].LOCKED + balances[holder].TRADED
+        }))
+        .filter((entry) => entry.total > 0n)
+        .sort((a, b) => (b.total > a.total ? 1 : b.total < a.total ? -1 : 0))
+        .map((entry) => ({
+            holder: entry.holder,
+            locked: entry.locked.toString(),
+            traded: entry.traded.toString(),
+            total: entry.total.toString()
+        }));
+}
+
+/**
+ * @notice "What has this lab earned"
+ * @dev Profit withdrawals per currency (RJV, allow-listed ERC-20s & ETH as
+ * address 0) plus gross marketplace sales in RJV (before coupon discounts)
+ * @return { withdrawals: [{ productUID, currency, amount }], sales: [{ productUID, amount }],
+ * totalWithdrawn: { currency: amount }, totalSales }
+ */
+function earnings(db, account) {
+    const address = ethers.utils.getAddress(account);
+    const withdrawals = {};
+    const totalWithdrawn = {};
+    for (const row of all(db, "SELECT product_uid, currency, amount FROM withdrawals WHERE holder = ?", [address])) {
+        const key = `${row.product_uid}:${row.currency}`;
+        withdrawals[key] = withdrawals[key] || { productUID: row.product_uid, currency: row.currency, amount: 0n };
+        withdrawals[key].amount += BigInt(row.amount);
+        totalWithdrawn[row.currency] = (totalWithdrawn[row.currency] || 0n) + BigInt(row.amount);
+    }
+    const sales = _sumByProduct(
+        all(db, "SELECT product_uid, shard_amount, unit_price FROM sales WHERE seller = ?", [address]),
+        (row) => BigInt(row.shard_amount) * BigInt(row.unit_price)
+    );
+    return {
+        withdrawals: Object.values(withdrawals).map((entry) => ({ ...entry, amount: entry.amount.toString() })),
+        sales: sales.rows,
+        totalWithdrawn: Object.fromEntries(
+            Object.keys(totalWithdrawn).map((currency) => [currency, totalWithdrawn[currency].toString()])
+        ),
+        totalSales: sales.total
+    };
+}
+
+/**
+ * @notice "How did product X evolve"
+ * @dev Products without a status change are still in DRAFT
+ * @return { productUID, status, versions: [{ version, productURI, blockNumber }], statusChanges: [{ from, to, blockNumber }] }
+ */
+function productHistory(db, productUID) {
+    const uid = productUID.toString();
+    const versions = all(db, `
+        SELECT version, product_uri, block_number FROM product_metadata
+        WHERE product_uid = ? ORDER BY block_number, log_index
+    `, [uid]).map((row) => ({
+        version: row.version,
+        productURI: row.product_uri,
+        blockNumber: row.block_number
+    }));
+    const statusChanges = all(db, `
+        SELECT previous_status, new_status, block_number FROM product_status
+        WHERE product_uid = ? ORDER BY block_number, log_index
+    `, [uid]).map((row) => ({
+        from: row.previous_status,
+        to: row.new_status,
+        blockNumber: row.block_number
+    }));
+    return {
+        productUID: uid,
+        status: statusChanges.length > 0 ? statusChanges[statusChanges.length - 1].to : "DRAFT",
+        versions,
+        statusChanges
+    };
+}
+
+/**
+ * @notice "What should this sponsor be billed"
+ * @dev Identities created & data hashes submitted per quota period
+ * @return { sponsor, metadataURI, suspended, periods: [{ period, identities, dataSubmissions }], totalIdentities, totalDataSubmissions }
+ */
+function sponsorUsage(db, sponsor) {
+    const address = ethers.utils.getAddress(sponsor);
+    const changes = all(db, `
+        SELECT action, metadata_uri FROM sponsor_changes
+        WHERE sponsor = ? ORDER BY block_number, log_index
+    `, [address]);
+    let metadataURI = null;
+    let suspended = false;
+    for (const change of changes) {
+        if (change.metadata_uri !== null) {
+            metadataURI = change.metadata_uri;
+        }
+        if (change.action === "SUSPENDED" || change.action === "REINSTATED") {
+            suspended = change.action === "SUSPENDED";
+        }
+    }
+
+    const periods = {};
+    let totalIdentities = 0n;
+    let totalDataSubmissions = 0n;
+    for (const row of all(db, "SELECT kind, period, amount FROM sponsor_usage WHERE sponsor = ?", [address])) {
+        periods[row.period] = periods[row.period] || { identities: 0n, dataSubmissions: 0n };
+        const amount = BigInt(row.amount);
+        if (row.kind === "IDENTITY") {
+            periods[row.period].identities += amount;
+            totalIdentities += amount;
+        } else {
+            periods[row.period].dataSubmissions += amount;
+            totalDataSubmissions += amount;
+        }
+    }
+
+    return {
+        sponsor: address,
+        metadataURI,
+        suspended,
+        periods: Object.keys(periods)
+            .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))
+            .map((period) => ({
+                period,
+                identities: periods[period].identities.toString(),
+                dataSubmissions: periods[period].dataSubmissions.toString()
+            })),
+        totalIdentities: totalIdentities.toString(),
+        totalDataSubmissions: totalDataSubmissions.toString()
+    };
+}
+
+/**
+ * @notice "Has this distributor paid its royalties" (royalty reconciliation)
+ * @param asOf unix time reports are checked against, default now
+ * @dev Covers every agreement of the distributor. A report is PAID, LATE
+ * (paid after its due date), OVERDUE (not paid and past its due date) or OPEN
+ * @return {
+ *   distributor,
+ *   reports: [{ agreementId, reportIndex, productUID, units, royalty, paid, outstanding, dueDate, status, blockNumber }],
+ *   totalRoyalty, totalPaid, outstanding, overdue
+ * }
+ */
+function royaltyStatement(db, distributor, asOf = Math.floor(Date.now() / 1000)) {
+    const address = ethers.utils.getAddress(distributor);
+    const key = (row) => `${row.agreement_id}:${row.report_index}`;
+    const paid = {};
+    for (const row of all(db, "SELECT agreement_id, report_index, amount FROM royalty_payments WHERE distributor = ?", [address])) {
+        paid[key(row)] = (paid[key(row)] || 0n) + BigInt(row.amount);
+    }
+    const late = new Set(
+        all(db, "SELECT agreement_id, report_index FROM late_payments WHERE distributor = ?", [address]).map(key)
+    );
+
+    const totals = { royalty: 0n, paid: 0n, overdue: 0n };
+    const reports = all(db, `
+        SELECT agreement_id, product_uid, report_index, units, royalty, due_date, block_number FROM royalty_reports
+        WHERE distributor = ? ORDER BY block_number, log_index
+    `, [address]).map((row) => {
+        const royalty = BigInt(row.royalty);
+        const reportPaid = paid[key(row)] || 0n;
+        const outstanding = royalty - reportPaid;
+        let status = "OPEN";
+        if (outstanding === 0n) {
+            status = late.has(key(row)) ? "LATE" : "PAID";
+        } else if (BigInt(row.due_date) < BigInt(asOf)) {
+            status = "OVERDUE";
+            totals.overdue += outstanding;
+        }
+        totals.royalty += royalty;
+        totals.paid += reportPaid;
+        return {
+            agreementId: row.agreement_id,
+            reportIndex: row.report_index,
+            productUID: row.product_uid,
+            units: row.units,
+            royalty: royalty.toString(),
+            paid: reportPaid.toString(),
+            outstanding: outstanding.toString(),
+            dueDate: row.due_date,
+            status,
+            blockNumber: row.block_number
+        };
+    });
+
+    return {
+        distributor: address,
+        reports,
+        totalRoyalty: totals.royalty.toString(),
+        totalPaid: totals.paid.toString(),
+        outstanding: (totals.royalty - totals.paid).toString(),
+        overdue: totals.overdue.toString()
+    };
+}
+
+function _sumByProduct(rows, amountOf) {
+    const sums = {};
+    let total = 0n;
+    for (const row of rows) {
+        const amount = amountOf(row);
+        sums[row.product_uid] = (sums[row.product_uid] || 0n) + amount;
+        total += amount;
+    }
+    return {
+        rows: Object.keys(sums).map((productUID) => ({ productUID, amount: sums[productUID].toString() })),
+        total: total.toString()
+    };
+}
+
+module.exports.all = all;
+module.exports.identitiesOf = identitiesOf;
+module.exports.productsUsingData = productsUsingData;
+module.exports.shardHolders = shardHolders;
+module.exports.earnings = earnings;
+module.exports.sponsorUsage = sponsorUsage;
+module.exports.productHistory = productHistory;
+module.exports.royaltyStatement = royaltyStatement;
@@ -0,0 +1,64 @@
+/**
+ * @dev Every event table is keyed by (block_number, log_index, position) so a
+ * reorg rollback is a single DELETE ... WHERE block_number >= fork per table.
+ * uint256 values are stored as decimal TEXT and summed with BigInt.
+ */
+const EVENT_TABLES = {
+    identities: "token_id TEXT, owner TEXT, sponsor TEXT, token_uri TEXT",
+    identity_burns: "token_id TEXT, owner TEXT",
+    identity_updates: "token_id TEXT, sponsor TEXT, kyc TEXT, token_uri TEXT",
+    identity_recoveries: "token_id TEXT, previous_owner TEXT, new_owner TEXT",
+    data_submissions: "data_hash TEXT, owner_id TEXT, owner TEXT",
+    permissions: "owner_id TEXT, requester_id TEXT, product_uid TEXT, data_hash TEXT, permission_hash TEXT",
+    revocations: "owner_id TEXT, product_uid TEXT, data_hash TEXT",
+    dataset_permissions: "owner_id TEXT, requester_id TEXT, product_uid TEXT, root TEXT",
+    dataset_revocations: "owner_id TEXT, product_uid TEXT, root TEXT",
+    data_releases: "owner_id TEXT, tombstoned INTEGER",
+    products: "product_uid TEXT, creator TEXT, product_uri TEXT",
+    product_data: "product_uid TEXT, data_hash TEXT, credit_score TEXT, initial INTEGER",
+    product_metadata: "product_uid TEXT, version TEXT, product_uri TEXT",
+    product_status: "product_uid TEXT, previous_status TEXT, new_status TEXT",
+    shard_distributions: "product_uid TEXT, phase TEXT, contributor TEXT, amount TEXT",
+    shard_types: "type_id TEXT, product_uid TEXT, state TEXT",
+    shard_transfers: "type_id TEXT, from_address TEXT, to_address TEXT, amount TEXT",
+    payments: "sender TEXT, product_uid TEXT, currency TEXT, amount TEXT",
+    withdrawals: "holder TEXT, product_uid TEXT, currency TEXT, amount TEXT",
+    listings: "holder TEXT, product_uid TEXT, amount TEXT, price TEXT",
+    sales: "seller TEXT, buyer TEXT, product_uid TEXT, shard_amount TEXT, unit_price TEXT",
+    sponsor_changes: "sponsor TEXT, action TEXT, metadata_uri TEXT, identity_quota TEXT, data_quota TEXT",
+    sponsor_usage: "sponsor TEXT, kind TEXT, period TEXT, amount TEXT",
+    distributor_agreements: "agreement_id TEXT, distributor TEXT, agreement TEXT, product_uid TEXT, units TEXT, unit_price TEXT, percentage TEXT, start_date TEXT, end_date TEXT",
+    agreement_changes: "agreement_id TEXT, action TEXT, units TEXT, unit_price TEXT, percentage TEXT, end_date TEXT",
+    royalty_reports: "agreement_id TEXT, distributor TEXT, product_uid TEXT, report_index TEXT, units TEXT, royalty TEXT, due_date TEXT",
+    royalty_payments: "agreement_id TEXT, distributor TEXT, product_uid TEXT, report_index TEXT, amount TEXT",
+    late_payments: "agreement_id TEXT, distributor TEXT, report_index TEXT, due_date TEXT, paid_at TEXT"
+};
+
+function createSchema(db) {
+    for (const table of Object.keys(EVENT_TABLES)) {
+        db.run(`CREATE TABLE IF NOT EXISTS ${table} (
+            block_number INTEGER NOT NULL,
+            log_index INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            tx_hash TEXT NOT NULL,
+            ${EVENT_TABLES[table]},
+            PRIMARY KEY (block_number, log_index, position)
+        )`);
+    }
+    db.run("CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL)");
+    db.run("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)");
+}
+
+/**
+ * @dev Remove every record at or above the given block (reorg rollback)
+ */
+function deleteFromBlock(db, blockNumber) {
+    for (const table of Object.keys(EVENT_TABLES)) {
+        db.run(`DELETE FROM ${table} WHERE block_number >= ?`, [blockNumber]);
+    }
+    db.run("DELETE FROM blocks WHERE number >= ?", [blockNumber]);
+}
+
+module.exports.EVENT_TABLES = EVENT_TABLES;
+module.exports.createSchema = createSchema;
+module.exports.deleteFromBlock = deleteFromBlock;
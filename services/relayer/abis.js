@@ -0,0 +1,31 @@
+/**
+ * @dev Function fragments the relayer accepts (human-readable ABI), grouped
+ * by the contract name used in deployments/<network>.json. Only lab-side
+ * calls are relayed; sponsor calls are already paid by the sponsor.
+ */
+const DATASET_PROOF = "tuple(bytes32 root, bytes32[] proof, bool[] proofFlags) dataset";
+
+const RELAYED_FUNCTIONS = {
+    DataManagement: [
+        "function getPermission(address signer, bytes signature, bytes dHash, uint256 nextProductUID, uint256 nonce, uint256 expiration)",
+        "function getPermissionBatch(address signer, bytes signature, bytes[] dHashes, uint256 nextProductUID, uint256 nonce, uint256 expiration)",
+        "function getDatasetPermission(address signer, bytes signature, bytes32 root, uint256 nextProductUID, uint256 nonce, uint256 expiration)"
+    ],
+    ProductNFT: [
+        "function createProduct(uint256 productUID, uint256 nonce, string productURI, address signer, bytes signature, bytes[] dataHashes, uint256[] creditScores)",
+        `function createProductFromDataset(uint256 productUID, uint256 nonce, string productURI, address signer, bytes signature, bytes[] dataHashes, uint256[] creditScores, ${DATASET_PROOF})`,
+        "function linkNewData(uint256 productUID, uint256 nonce, string productURI, address signer, bytes signature, bytes[] newDataHashes, uint256[] creditScores)",
+        `function linkNewDataFromDataset(uint256 productUID, uint256 nonce, string productURI, address signer, bytes signature, bytes[] newDataHashes, uint256[] creditScores, ${DATASET_PROOF})`,
+        "function updateProductMetadata(uint256 productUID, string productURI)",
+        "function setProductStatus(uint256 productUID, uint8 newStatus)"
+    ]
+};
+
+const FORWARDER_ABI = [
+    "function getNonce(address from) view returns (uint256)",
+    "function verify(tuple(address from, address to, uint256 value, uint256 gas, uint256 nonce, bytes data) req, bytes signature) view returns (bool)",
+    "function execute(tuple(address from, address to, uint256 value, uint256 gas, uint256 nonce, bytes data) req, bytes signature) payable returns (bool, bytes)"
+];
+
+module.exports.RELAYED_FUNCTIONS = RELAYED_FUNCTIONS;
+module.exports.FORWARDER_ABI = FORWARDER_ABI;
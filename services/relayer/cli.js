@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { createRelayer } = require("./index");
+const { createRelayServer } = require("./server");
+const { contractsFromManifest } = require("../indexer");
+
+/**
+ * @dev RELAYER_PRIVATE_KEY=0x... node services/relayer/cli.js --manifest deployments/localhost.json
+ *      [--rpc http://127.0.0.1:8545] [--port 8546] [--max-gas 3000000]
+ */
+function parseArgs(argv) {
+    const args = { rpc: "http://127.0.0.1:8545", port: 8546 };
+    for (let i = 0; i < argv.length; i++) {
+        args[argv[i].replace(/^--/, "")] = argv[++i];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.manifest) {
+        throw new Error("REJUVE: --manifest is required");
+    }
+    if (!process.env.RELAYER_PRIVATE_KEY) {
+        throw new Error("REJUVE: RELAYER_PRIVATE_KEY is required");
+    }
+    const manifest = JSON.parse(fs.readFileSync(args.manifest, "utf8"));
+    if (!manifest.contracts.Forwarder) {
+        throw new Error("REJUVE: Forwarder is not deployed");
+    }
+    const provider = new ethers.providers.JsonRpcProvider(args.rpc);
+    const relayer = createRelayer({
+        signer: new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider),
+        forwarder: manifest.contracts.Forwarder.address,
+        contracts: contractsFromManifest(manifest),
+        maxGas: args["max-gas"]
+    });
+
+    const server = createRelayServer(relayer);
+    server.listen(Number(args.port), () => {
+        console.log(`Relaying through ${relayer.forwarder} on port ${args.port}`);
+    });
+    process.on("SIGINT", () => {
+        server.close();
+        process.exit(0);
+    });
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,143 @@
+const { ethers } = require("ethers");
+const { RELAYED_FUNCTIONS, FORWARDER_ABI } = require("./abis");
+
+/**
+ * @title Rejuve meta-transaction relayer
+ * @notice Verifies forward requests signed by labs (see sdk/relay.js) and
+ * submits them through the ERC-2771 Forwarder, paying the gas.
+ *
+ * A request is relayed only if:
+ * - it targets a relayed contract & function (RELAYED_FUNCTIONS) without value
+ * - its gas is below `maxGas`
+ * - the Forwarder accepts its signature & nonce
+ * - the relayed call succeeds when simulated (the Forwarder does not revert
+ *   when the call fails, so a failing call would still cost the relayer gas)
+ *
+ * @param options {
+ *   signer,     // ethers signer paying the gas, connected to the node
+ *   forwarder,  // Forwarder address
+ *   contracts,  // { DataManagement: address, ProductNFT: address }
+ *   maxGas      // max gas of a single request, default 3,000,000
+ * }
+ */
+function createRelayer(options) {
+    const signer = options.signer;
+    const maxGas = ethers.BigNumber.from(options.maxGas || 3000000);
+    const forwarder = new ethers.Contract(options.forwarder, FORWARDER_ABI, signer);
+
+    const targets = {};
+    for (const name of Object.keys(options.contracts)) {
+        if (!RELAYED_FUNCTIONS[name]) {
+            continue;
+        }
+        const address = ethers.utils.getAddress(options.contracts[name]);
+        targets[address] = { name, interface: new ethers.utils.Interface(RELAYED_FUNCTIONS[name]) };
+    }
+
+    /**
+     * @notice Check a forward request without sending it
+     * @return { contract, method, args } of the relayed call
+     */
+    async function verify(request, signature) {
+        const req = _normalize(request);
+        const target = targets[req.to];
+        if (!target) {
+            throw new Error("REJUVE: Target Not Relayed");
+        }
+        if (!req.value.isZero()) {
+            throw new Error("REJUVE: Value Not Relayed");
+        }
+        if (req.gas.gt(maxGas)) {
+            throw new Error("REJUVE: Gas Limit Exceeded");
+        }
+
+        let call;
+        try {
+            call = target.interface.parseTransaction({ data: req.data });
+        } catch (error) {
+            throw new Error("REJUVE: Function Not Relayed");
+        }
+
+        if (!(await forwarder.verify(req, signature))) {
+            throw new Error("REJUVE: Invalid Forward Request");
+        }
+
+        const [success, returnData] = await forwarder.callStatic.execute(req, signature, {
+            gasLimit: _gasLimit(req)
+        });
+        if (!success) {
+            throw new Error(_revertReason(returnData));
+        }
+        return { contract: target.name, method: call.name, args: call.args };
+    }
+
+    /**
+     * @notice Verify and submit a forward request
+     * @return { transactionHash, blockNumber, contract, method }
+     */
+    async function relay(request, signature) {
+        const call = await verify(request, signature);
+        const tx = await forwarder.execute(_normalize(request), signature, {
+            gasLimit: _gasLimit(_normalize(request))
+        });
+        const receipt = await tx.wait();
+        return {
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            contract: call.contract,
+            method: call.method
+        };
+    }
+
+    /**
+     * @return next nonce expected by the Forwarder for `from`
+     */
+    async function getNonce(from) {
+        return (await forwarder.getNonce(from)).toString();
+    }
+
+    return {
+        forwarder: forwarder.address,
+        verify,
+        relay,
+        getNonce
+    };
+}
+
+//---------------------------- Private ----------------------------//
+
+function _normalize(request) {
+    if (!request || !request.from || !request.to || request.data === undefined) {
+        throw new Error("REJUVE: Malformed Forward Request");
+    }
+    return {
+        from: ethers.utils.getAddress(request.from),
+        to: ethers.utils.getAddress(request.to),
+        value: ethers.BigNumber.from(request.value || 0),
+        gas: ethers.BigNumber.from(request.gas),
+        nonce: ethers.BigNumber.from(request.nonce),
+        data: ethers.utils.hexlify(request.data)
+    };
+}
+
+/**
+ * @dev The Forwarder checks that 1/64 of the request gas is left after the
+ * call (EIP-150), plus its own signature check & nonce update
+ */
+function _gasLimit(req) {
+    return req.gas.mul(64).div(63).add(100000);
+}
+
+/**
+ * @return revert string of a failed relayed call (Error(string)), or a generic message
+ */
+function _revertReason(returnData) {
+    const errorSelector = "0x08c379a0";
+    if (returnData && returnData.startsWith(errorSelector)) {
+        const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], "0x" + returnData.slice(10));
+        return reason;
+    }
+    return "REJUVE: Relayed Call Failed";
+}
+
+module.exports.createRelayer = createRelayer;
@@ -0,0 +1,35 @@
+const http = require("http");
+const { readJson, sendJson } = require("../http");
+
+/**
+ * @title Relayer HTTP API
+ *
+ * POST /relay          { request, signature } => { transactionHash, blockNumber, contract, method }
+ * POST /verify         { request, signature } => { contract, method }
+ * GET  /nonce/:address => { nonce }
+ *
+ * Rejected requests answer 400 { error } with the REJUVE reason.
+ */
+function createRelayServer(relayer) {
+    return http.createServer(async (req, res) => {
+        try {
+            const nonceMatch = req.method === "GET" && req.url.match(/^\/nonce\/(0x[0-9a-fA-F]{40})$/);
+            if (nonceMatch) {
+                return sendJson(res, 200, { nonce: await relayer.getNonce(nonceMatch[1]) });
+            }
+            if (req.method === "POST" && (req.url === "/relay" || req.url === "/verify")) {
+                const { request, signature } = await readJson(req);
+                if (req.url === "/verify") {
+                    const call = await relayer.verify(request, signature);
+                    return sendJson(res, 200, { contract: call.contract, method: call.method });
+                }
+                return sendJson(res, 200, await relayer.relay(request, signature));
+            }
+            return sendJson(res, 404, { error: "REJUVE: Not Found" });
+        } catch (error) {
+            return sendJson(res, 400, { error: error.reason || error.message });
+        }
+    });
+}
+
+module.exports.createRelayServer = createRelayServer;
@@ -0,0 +1,75 @@
+const { task } = require("hardhat/config");
+const admin = require("../scripts/administration");
+
+/**
+ * @dev Role, ownership & pause administration for a deployed platform.
+ * Contracts are resolved by name from deployments/<network>.json
+ */
+
+task("roles:list", "Lists role holders, owners & pause state of every contract")
+    .addOptionalParam("manifest", "Address manifest path")
+    .addFlag("json", "Print raw JSON")
+    .setAction(async ({ manifest, json }, hre) => {
+        const contracts = await admin.getPlatformContracts(hre, manifest);
+        const list = await admin.listPermissions(contracts);
+        if (json) {
+            console.log(JSON.stringify(list, null, 2));
+            return;
+        }
+        for (const entry of list) {
+            console.log(`${entry.contract} (${entry.address})${entry.paused ? " [PAUSED]" : ""}`);
+            if (entry.owner) {
+                console.log(`  owner: ${entry.owner}`);
+            }
+            if (entry.trustedForwarder) {
+                console.log(`  trusted forwarder: ${entry.trustedForwarder}`);
+            }
+            for (const roleName of Object.keys(entry.roles || {})) {
+                console.log(`  ${roleName}: ${entry.roles[roleName].join(", ") || "-"}`);
+            }
+        }
+    });
+
+task("roles:grant", "Grants a role on an AccessControl contract")
+    .addParam("contract", "Contract name in the manifest e.g. DataManagement")
+    .addParam("role", "Role name e.g. SPONSOR_ROLE")
+    .addParam("account", "Account receiving the role")
+    .addOptionalParam("manifest", "Address manifest path")
+    .setAction(async ({ contract, role, account, manifest }, hre) => {
+        const contracts = await admin.getPlatformContracts(hre, manifest);
+        const receipt = await admin.grantRole(contracts, contract, role, account);
+        console.log(receipt ? `${role} granted to ${account} (${receipt.transactionHash})` : `${account} already has ${role}`);
+    });
+
+task("roles:revoke", "Revokes a role on an AccessControl contract")
+    .addParam("contract", "Contract name in the manifest e.g. DataManagement")
+    .addParam("role", "Role name e.g. SPONSOR_ROLE")
+    .addParam("account", "Account losing the role")
+    .addOptionalParam("manifest", "Address manifest path")
+    .setAction(async ({ contract, role, account, manifest }, hre) => {
+        const contracts = await admin.getPlatformContracts(hre, manifest);
+        const receipt = await admin.revokeRole(contracts, contract, role, account);
+        console.log(receipt ? `${role} revoked from ${account} (${receipt.transactionHash})` : `${account} does not have ${role}`);
+    });
+
+task("ownership:transfer", "Transfers ownership of an Ownable contract")
+    .addParam("contract", "Contract name in the manifest e.g. ShardMarketplace")
+    .addParam("to", "New owner")
+    .addOptionalParam("manifest", "Address manifest path")
+    .setAction(async ({ contract, to, manifest }, hre) => {
+        const contracts = await admin.getPlatformContracts(hre, manifest);
+        const receipt = await admin.transferOwnership(contracts, contract, to);
+        console.log(`${contract} ownership transferred to ${to} (${receipt.transactionHash})`);
+    });
+
+task("platform:pause", "Pauses (or unpauses with --unpause) every contract")
+    .addFlag("unpause", "Unpause instead of pause")
+    .addOptionalParam("manifest", "Address manifest path")
+    .setAction(async ({ unpause, manifest }, hre) => {
+        const contracts = await admin.getPlatformContracts(hre, manifest);
+        const { changed, unauthorized } = await admin.setPlatformPaused(contracts, !unpause);
+        console.log(`${unpause ? "Unpaused" : "Paused"}: ${changed.join(", ") || "nothing to change"}`);
+        if (unauthorized.length > 0) {
+            console.log(`Not allowed (not owner / no PAUSER_ROLE): ${unauthorized.join(", ")}`);
+        }
+    });
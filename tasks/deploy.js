@@ -0,0 +1,13 @@
+const { task } = require("hardhat/config");
+const { loadConfig, deployPlatform } = require("../scripts/deployment");
+
+/**
+ * @dev npx hardhat deploy-platform --deploy-config deploy/localhost.json --network localhost
+ */
+task("deploy-platform", "Deploys all Rejuve contracts in dependency order and grants roles")
+    .addParam("deployConfig", "Path to a JSON or YAML deployment config")
+    .addOptionalParam("manifest", "Address manifest path (default: deployments/<network>.json)")
+    .setAction(async ({ deployConfig, manifest }, hre) => {
+        await hre.run("compile");
+        await deployPlatform(hre, loadConfig(deployConfig), { manifestPath: manifest });
+    });
@@ -1,8 +1,7 @@
 const { expect } = require("chai");
 let _getSign = require ('./modules/GetSign');
-let getSignature = require("./helpers/signer");
-let getDataSign = require("./helpers/datamgtSigner");
-let permissionSign = require("./helpers/dataPermission");
+const sdk = require("../sdk");
+let time = require("./modules/TestTime");
 
 const { zeroAddress } = require("ethereumjs-util");
 
@@ -29,8 +28,8 @@ describe("Data Management Contract", function () {
     const zero_address = "0x0000000000000000000000000000000000000000";
     const kyc = "0x" + kycDataHash;
     let nonce = 1;
-    let chainID = 31337;
     let expiration = 2; // 2 days 
+    const permissionPeriod = 2 * 24 * 60 * 60; // 2 days in seconds
     let nextProductId = 1001;
 
     before(async function () {
@@ -53,7 +52,7 @@ describe("Data Management Contract", function () {
     it("Should revert if trying dat asubmission when contract is paused", async function () {
         await dataMgt.pause();
         // Get data signature from data owner 
-        let dataSignature = await getDataSign.dataSubmissionSignature(addr1.address, dataHash, nonce, chainID, dataMgt.address, addr1);
+        let dataSignature = await sdk.signDataSubmission(addr1, dataMgt, { signer: addr1.address, dhash: dataHash, nonce: nonce });
         await expect(dataMgt.connect(sponsor).submitData(addr1.address, dataSignature, dataHash, nonce))
         .to.be.reverted;
 
@@ -65,14 +64,14 @@ describe("Data Management Contract", function () {
 
     it("Should revert if someone other than sponser is submitting data", async function () {
         // Get data signature from data owner 
-        let dataSignature = await getDataSign.dataSubmissionSignature(addr1.address, dataHash, nonce, chainID, dataMgt.address, addr1);
+        let dataSignature = await sdk.signDataSubmission(addr1, dataMgt, { signer: addr1.address, dhash: dataHash, nonce: nonce });
         await expect(dataMgt.connect(addr1).submitData(addr1.address, dataSignature, dataHash, nonce))
         .to.be.reverted;
     });
 
     it("Should revert if data owner is not registered", async function () {
         // Get data signature from data owner 
-        let dataSignature = await getDataSign.dataSubmissionSignature(addr1.address, dataHash, nonce, chainID, dataMgt.address, addr1);
+        let dataSignature = await sdk.signDataSubmission(addr1, dataMgt, { signer: addr1.address, dhash: dataHash, nonce: nonce });
 
         await expect(dataMgt.connect(sponsor).submitData(addr1.address, dataSignature, dataHash, nonce))
         .to.be.revertedWith("REJUVE: Not Registered");
@@ -81,11 +80,11 @@ describe("Data Management Contract", function () {
     it("Should allow submitting data on the behalf of user 1", async function () {
         // create identity for user 1
         let tokenUri = "/tokenURIHere";
-        let identitySignature = await getSignature.identityRequestSignature(kyc, addr1.address, tokenUri, nonce, chainID, identityToken.address, addr1); 
+        let identitySignature = await sdk.signIdentity(addr1, identityToken, { kyc: kyc, signer: addr1.address, uri: tokenUri, nonce: nonce }); 
         await identityToken.connect(sponsor).createIdentity(identitySignature, kyc, addr1.address, "/tokenURIHere", nonce);
 
         // Get data signature from data owner 
-        let dataSignature = await getDataSign.dataSubmissionSignature(addr1.address, dataHash, nonce, chainID, dataMgt.address, addr1);
+        let dataSignature = await sdk.signDataSubmission(addr1, dataMgt, { signer: addr1.address, dhash: dataHash, nonce: nonce });
 
         // Revert if signer is a zero address 
         await expect(dataMgt.connect(sponsor).submitData(zero_address, dataSignature, dataHash, nonce))
@@ -109,11 +108,11 @@ describe("Data Management Contract", function () {
 
         // create identity for user 2
         let tokenUri = "/tokenURIHere";
-        let identitySignature = await getSignature.identityRequestSignature(kyc, addr2.address, tokenUri, nonce, chainID, identityToken.address, addr2); 
+        let identitySignature = await sdk.signIdentity(addr2, identityToken, { kyc: kyc, signer: addr2.address, uri: tokenUri, nonce: nonce }); 
         await identityToken.connect(sponsor).createIdentity(identitySignature, kyc, addr2.address, tokenUri, nonce);
 
         // Get data signature 
-        let dataSignature = await getDataSign.dataSubmissionSignature(addr2.address, dataHash, nonce, chainID, dataMgt.address, sponsor);
+        let dataSignature = await sdk.signDataSubmission(sponsor, dataMgt, { signer: addr2.address, dhash: dataHash, nonce: nonce });
 
         // data submission with invalid signature
         await expect (dataMgt.connect(sponsor).submitData(addr1.address, dataSignature, dataHash, nonce))
@@ -123,7 +122,7 @@ describe("Data Management Contract", function () {
     it("Should allow submitting data on the behalf of user 2", async function () {
         ++nonce;
         // Get data signature 
-        let dataSignature = await getDataSign.dataSubmissionSignature(addr2.address, dataHash2, nonce, chainID, dataMgt.address, addr2);
+        let dataSignature = await sdk.signDataSubmission(addr2, dataMgt, { signer: addr2.address, dhash: dataHash2, nonce: nonce });
 
         // data submission 
         await dataMgt.connect(sponsor).submitData(addr2.address, dataSignature, dataHash2, nonce);
@@ -142,7 +141,7 @@ describe("Data Management Contract", function () {
         ++nonce;
         // Create identity for lab
         let tokenUri = "/tokenURIHere";
-        let identitySignature = await getSignature.identityRequestSignature(kyc, lab.address, tokenUri, nonce, chainID, identityToken.address, lab); 
+        let identitySignature = await sdk.signIdentity(lab, identityToken, { kyc: kyc, signer: lab.address, uri: tokenUri, nonce: nonce }); 
         await identityToken.connect(sponsor).createIdentity(identitySignature, kyc, lab.address, tokenUri, nonce);
    
         //const labIdentityId = await identityToken.getOwnerIdentity(lab.address);
@@ -154,13 +153,13 @@ describe("Data Management Contract", function () {
         // Define the expected deadline
         let expectedDeadline = currentTimestamp + expiration;
 
-        const invalidSign = await permissionSign.accessPermissionSignature(addr2.address, 3, dataHash2, nextProductId, nonce, expiration, chainID, dataMgt.address, sponsor)
+        const invalidSign = await sdk.signPermission(sponsor, dataMgt, { dataowner: addr2.address, requesterId: 3, dhash: dataHash2, productId: nextProductId, nonce: nonce, expiration: expiration })
 
         // Access permission with invalid signature
         await expect (dataMgt.connect(lab).getPermission(addr2.address, invalidSign, dataHash2, nextProductId, nonce, expiration))
         .to.be.revertedWith("REJUVE: Invalid user signature");
 
-        const p_signature = await permissionSign.accessPermissionSignature(addr2.address, 3, dataHash2, nextProductId, nonce, expiration, chainID, dataMgt.address, addr2)
+        const p_signature = await sdk.signPermission(addr2, dataMgt, { dataowner: addr2.address, requesterId: 3, dhash: dataHash2, productId: nextProductId, nonce: nonce, expiration: expiration })
         
         await dataMgt.pause();
 
@@ -198,11 +197,483 @@ describe("Data Management Contract", function () {
         .to.be.revertedWith("REJUVE: Already used id");
 
         // Not a data owner 
-        const p_signature_2 = await permissionSign.accessPermissionSignature(addr1.address, 3, dataHash2, nextProductId, nonce, expiration, chainID, dataMgt.address, addr1)
+        const p_signature_2 = await sdk.signPermission(addr1, dataMgt, { dataowner: addr1.address, requesterId: 3, dhash: dataHash2, productId: nextProductId, nonce: nonce, expiration: expiration })
         await expect (dataMgt.connect(lab).getPermission(addr1.address, p_signature_2, dataHash2, nextProductId, nonce, expiration))
         .to.be.revertedWith("REJUVE: Not a Data Owner");
     });
 
+    //------------------------------------- Paginated views -----------------------------------//
+
+    it("Should list data hashes of an identity page by page", async function () {
+        const moreHashes = [
+            "0x1988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ffb5",
+            "0x1988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ffb6"
+        ];
+        for (const hash of moreHashes) {
+            ++nonce;
+            let dataSignature = await sdk.signDataSubmission(addr1, dataMgt, { signer: addr1.address, dhash: hash, nonce: nonce });
+            await dataMgt.connect(sponsor).submitData(addr1.address, dataSignature, hash, nonce);
+        }
+        const tokenId = await identityToken.getOwnerIdentity(addr1.address);
+        expect(await dataMgt.getDataCount(tokenId)).to.equal(3);
+
+        let [page, total] = await dataMgt.getDataHashes(tokenId, 0, 2);
+        expect(page).to.deep.equal([dataHash, moreHashes[0]]);
+        expect(total).to.equal(3);
+
+        [page, total] = await dataMgt.getDataHashes(tokenId, 2, 2);
+        expect(page).to.deep.equal([moreHashes[1]]);
+
+        [page, total] = await dataMgt.getDataHashes(tokenId, 5, 2);
+        expect(page).to.deep.equal([]);
+        expect(total).to.equal(3);
+
+        expect(await dataMgt.getDataCount(0)).to.equal(0);
+    });
+
+    it("Should list permission records of a data hash", async function () {
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+        let [records, total] = await dataMgt.getPermissions(dataHash2, 0, 10);
+        expect(total).to.equal(1);
+        expect(records[0].requesterId).to.equal(labId);
+        expect(records[0].productUID).to.equal(nextProductId);
+        expect(records[0].deadline).to.equal(await dataMgt.getPermissionDeadline(dataHash2, nextProductId));
+
+        // A new grant for the same product updates the existing record
+        ++nonce;
+        let p_signature = await sdk.signPermission(addr2, dataMgt, { dataowner: addr2.address, requesterId: labId, dhash: dataHash2, productId: nextProductId, nonce: nonce, expiration: permissionPeriod * 2 });
+        await dataMgt.connect(lab).getPermission(addr2.address, p_signature, dataHash2, nextProductId, nonce, permissionPeriod * 2);
+        expect(await dataMgt.getPermissionCount(dataHash2)).to.equal(1);
+        [records] = await dataMgt.getPermissions(dataHash2, 0, 10);
+        expect(records[0].deadline).to.equal(await dataMgt.getPermissionDeadline(dataHash2, nextProductId));
+
+        // Another product adds a record
+        ++nonce;
+        p_signature = await sdk.signPermission(addr2, dataMgt, { dataowner: addr2.address, requesterId: labId, dhash: dataHash2, productId: nextProductId + 1, nonce: nonce, expiration: permissionPeriod });
+        await dataMgt.connect(lab).getPermission(addr2.address, p_signature, dataHash2, nextProductId + 1, nonce, permissionPeriod);
+        expect(await dataMgt.getPermissionCount(dataHash2)).to.equal(2);
+
+        [records, total] = await dataMgt.getPermissions(dataHash2, 1, 10);
+        expect(records.map((record) => record.productUID.toNumber())).to.deep.equal([nextProductId + 1]);
+        expect(total).to.equal(2);
+    });
+
+    //------------------------------------- Batch submission & permissions -----------------------------------//
+
+    const batchHashes = [
+        "0x2988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff01",
+        "0x2988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff02",
+        "0x2988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff03"
+    ];
+
+    it("Should revert batch submission with invalid inputs", async function () {
+        ++nonce;
+        const b_signature = await sdk.signDataSubmissionBatch(addr1, dataMgt, { signer: addr1.address, dhashes: batchHashes, nonce: nonce });
+
+        await expect(dataMgt.connect(addr1).submitDataBatch(addr1.address, b_signature, batchHashes, nonce))
+        .to.be.reverted;
+
+        await expect(dataMgt.connect(sponsor).submitDataBatch(addr1.address, b_signature, [], nonce))
+        .to.be.revertedWith("REJUVE: Empty batch");
+
+        // signature does not cover a modified list
+        await expect(dataMgt.connect(sponsor).submitDataBatch(addr1.address, b_signature, batchHashes.slice(1), nonce))
+        .to.be.revertedWith("REJUVE: Invalid user signature");
+
+        await expect(dataMgt.connect(sponsor).submitDataBatch(reseracher.address, b_signature, batchHashes, nonce))
+        .to.be.revertedWith("REJUVE: Not Registered");
+    });
+
+    it("Should submit many data hashes with one owner signature", async function () {
+        const tokenId = await identityToken.getOwnerIdentity(addr1.address);
+        const countBefore = await dataMgt.getDataCount(tokenId);
+        const b_signature = await sdk.signDataSubmissionBatch(addr1, dataMgt, { signer: addr1.address, dhashes: batchHashes, nonce: nonce });
+
+        await expect(dataMgt.connect(sponsor).submitDataBatch(addr1.address, b_signature, batchHashes, nonce))
+        .to.emit(dataMgt, "DataSubmitted")
+        .withArgs(addr1.address, tokenId, batchHashes[2]);
+
+        expect(await dataMgt.getDataCount(tokenId)).to.equal(countBefore.add(3));
+        const [page] = await dataMgt.getDataHashes(tokenId, countBefore, 3);
+        expect(page).to.deep.equal(batchHashes);
+        for (const hash of batchHashes) {
+            expect(await dataMgt.getDataOwnerId(hash)).to.equal(tokenId);
+        }
+
+        await expect(dataMgt.connect(sponsor).submitDataBatch(addr1.address, b_signature, batchHashes, nonce))
+        .to.be.revertedWith("REJUVE: Already used id");
+    });
+
+    it("Should grant permission on many data hashes with one owner signature", async function () {
+        ++nonce;
+        const productId = nextProductId + 10;
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+        const message = { dataowner: addr1.address, requesterId: labId, dhashes: batchHashes, productId: productId, nonce: nonce, expiration: permissionPeriod };
+
+        // one of the hashes belongs to another owner
+        const mixed = [batchHashes[0], dataHash2];
+        const m_signature = await sdk.signPermissionBatch(addr1, dataMgt, { ...message, dhashes: mixed });
+        await expect(dataMgt.connect(lab).getPermissionBatch(addr1.address, m_signature, mixed, productId, nonce, permissionPeriod))
+        .to.be.revertedWith("REJUVE: Not a Data Owner");
+
+        const p_signature = await sdk.signPermissionBatch(addr1, dataMgt, message);
+        await expect(dataMgt.connect(lab).getPermissionBatch(addr1.address, p_signature, batchHashes, productId, nonce, permissionPeriod + 1))
+        .to.be.revertedWith("REJUVE: Invalid user signature");
+
+        await dataMgt.connect(lab).getPermissionBatch(addr1.address, p_signature, batchHashes, productId, nonce, permissionPeriod);
+        for (const hash of batchHashes) {
+            expect(await dataMgt.getPermissionStatus(hash, productId)).to.equal(1);
+            const [records] = await dataMgt.getPermissions(hash, 0, 1);
+            expect(records[0].requesterId).to.equal(labId);
+        }
+
+        await expect(dataMgt.connect(lab).getPermissionBatch(addr1.address, p_signature, batchHashes, productId, nonce, permissionPeriod))
+        .to.be.revertedWith("REJUVE: Already used id");
+    });
+
+    //------------------------------------- Permission revocation -----------------------------------//
+
+    it("Should revert revocation by someone other than data owner", async function () {
+        await expect(dataMgt.connect(addr1).revokePermission(dataHash2, nextProductId))
+        .to.be.revertedWith("REJUVE: Not a Data Owner");
+
+        await expect(dataMgt.connect(reseracher).revokePermission(dataHash2, nextProductId))
+        .to.be.revertedWith("REJUVE: Not Registered");
+    });
+
+    it("Should revert revocation of a permission that was never granted", async function () {
+        await expect(dataMgt.connect(addr2).revokePermission(dataHash2, 9999))
+        .to.be.revertedWith("REJUVE: Not Permitted");
+    });
+
+    it("Should allow data owner to revoke a permission", async function () {
+        const ownerId = await identityToken.getOwnerIdentity(addr2.address);
+
+        await expect(dataMgt.connect(addr2).revokePermission(dataHash2, nextProductId))
+        .to.emit(dataMgt, "PermissionRevoked")
+        .withArgs(ownerId, nextProductId, dataHash2);
+
+        expect(await dataMgt.getPermissionStatus(dataHash2, nextProductId)).to.equal(2);
+
+        const revokedAt = (await ethers.provider.getBlock("latest")).timestamp;
+        expect(await dataMgt.getPermissionDeadline(dataHash2, nextProductId)).to.equal(revokedAt);
+
+        const [records] = await dataMgt.getPermissions(dataHash2, 0, 1);
+        expect(records[0].state).to.equal(2);
+        expect(records[0].deadline).to.equal(revokedAt);
+
+        await expect(dataMgt.connect(addr2).revokePermission(dataHash2, nextProductId))
+        .to.be.revertedWith("REJUVE: Not Permitted");
+    });
+
+    it("Should allow sponsor to revoke a permission with data owner signature", async function () {
+        ++nonce;
+        const productId = nextProductId + 1;
+        const invalidSign = await sdk.signRevocation(addr1, dataMgt, { dataowner: addr2.address, dhash: dataHash2, productId: productId, nonce: nonce });
+        await expect(dataMgt.connect(sponsor).revokePermissionBySig(addr2.address, invalidSign, dataHash2, productId, nonce))
+        .to.be.revertedWith("REJUVE: Invalid user signature");
+
+        const r_signature = await sdk.signRevocation(addr2, dataMgt, { dataowner: addr2.address, dhash: dataHash2, productId: productId, nonce: nonce });
+        await expect(dataMgt.connect(lab).revokePermissionBySig(addr2.address, r_signature, dataHash2, productId, nonce))
+        .to.be.reverted;
+
+        await dataMgt.connect(sponsor).revokePermissionBySig(addr2.address, r_signature, dataHash2, productId, nonce);
+        expect(await dataMgt.getPermissionStatus(dataHash2, productId)).to.equal(2);
+
+        await expect(dataMgt.connect(sponsor).revokePermissionBySig(addr2.address, r_signature, dataHash2, productId, nonce))
+        .to.be.revertedWith("REJUVE: Already used id");
+    });
+
+    it("Should permit data again after a new owner signature", async function () {
+        ++nonce;
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+        const p_signature = await sdk.signPermission(addr2, dataMgt, { dataowner: addr2.address, requesterId: labId, dhash: dataHash2, productId: nextProductId, nonce: nonce, expiration: permissionPeriod });
+        await dataMgt.connect(lab).getPermission(addr2.address, p_signature, dataHash2, nextProductId, nonce, permissionPeriod);
+
+        expect(await dataMgt.getPermissionStatus(dataHash2, nextProductId)).to.equal(1);
+        const [records, total] = await dataMgt.getPermissions(dataHash2, 0, 10);
+        expect(total).to.equal(2);
+        expect(records[0].state).to.equal(1);
+    });
+
+    //------------------------------------- Dataset permissions -----------------------------------//
+
+    it("Should grant permission on a Merkle root of data hashes", async function () {
+        ++nonce;
+        const productId = nextProductId + 20;
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+        const ownerId = await identityToken.getOwnerIdentity(addr1.address);
+        const tree = sdk.buildDatasetTree([dataHash, ...batchHashes]);
+        const message = { dataowner: addr1.address, requesterId: labId, root: tree.root, productId: productId, nonce: nonce, expiration: permissionPeriod };
+
+        const zeroSign = await sdk.signDatasetPermission(addr1, dataMgt, { ...message, root: ethers.constants.HashZero });
+        await expect(dataMgt.connect(lab).getDatasetPermission(addr1.address, zeroSign, ethers.constants.HashZero, productId, nonce, permissionPeriod))
+        .to.be.revertedWith("REJUVE: Empty root");
+
+        const d_signature = await sdk.signDatasetPermission(addr1, dataMgt, message);
+        await expect(dataMgt.connect(reseracher).getDatasetPermission(addr1.address, d_signature, tree.root, productId, nonce, permissionPeriod))
+        .to.be.revertedWith("REJUVE: Not Registered");
+
+        await expect(dataMgt.connect(lab).getDatasetPermission(addr1.address, d_signature, tree.root, productId, nonce, permissionPeriod))
+        .to.emit(dataMgt, "DatasetPermissionGranted")
+        .withArgs(ownerId, labId, productId, tree.root);
+
+        const info = await dataMgt.getDatasetPermissionInfo(tree.root, productId);
+        expect(info.dataOwnerId).to.equal(ownerId);
+        expect(info.requesterId).to.equal(labId);
+        expect(info.state).to.equal(1);
+
+        await expect(dataMgt.connect(lab).getDatasetPermission(addr1.address, d_signature, tree.root, productId, nonce, permissionPeriod))
+        .to.be.revertedWith("REJUVE: Already used id");
+    });
+
+    it("Should only let the same owner and lab renew a live dataset permission", async function () {
+        const productId = nextProductId + 20;
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+        const addr2Id = await identityToken.getOwnerIdentity(addr2.address);
+        const tree = sdk.buildDatasetTree([dataHash, ...batchHashes]);
+
+        // another data owner
+        ++nonce;
+        let message = { dataowner: addr2.address, requesterId: labId, root: tree.root, productId: productId, nonce: nonce, expiration: permissionPeriod };
+        let d_signature = await sdk.signDatasetPermission(addr2, dataMgt, message);
+        await expect(dataMgt.connect(lab).getDatasetPermission(addr2.address, d_signature, tree.root, productId, nonce, permissionPeriod))
+        .to.be.revertedWith("REJUVE: Dataset Already Permitted");
+
+        // another lab
+        message = { ...message, dataowner: addr1.address, requesterId: addr2Id };
+        d_signature = await sdk.signDatasetPermission(addr1, dataMgt, message);
+        await expect(dataMgt.connect(addr2).getDatasetPermission(addr1.address, d_signature, tree.root, productId, nonce, permissionPeriod))
+        .to.be.revertedWith("REJUVE: Dataset Already Permitted");
+
+        message = { ...message, requesterId: labId };
+        d_signature = await sdk.signDatasetPermission(addr1, dataMgt, message);
+        await expect(dataMgt.connect(lab).getDatasetPermission(addr1.address, d_signature, tree.root, productId, nonce, permissionPeriod))
+        .to.emit(dataMgt, "DatasetPermissionGranted");
+        expect((await dataMgt.getDatasetRequesterId(tree.root, productId))).to.equal(labId);
+    });
+
+    it("Should verify data hashes of a dataset with a multi-proof", async function () {
+        const productId = nextProductId + 20;
+        const tree = sdk.buildDatasetTree([dataHash, ...batchHashes]);
+
+        for (const subset of [[batchHashes[1]], [dataHash, batchHashes[2]], [dataHash, ...batchHashes]]) {
+            const { dataHashes, proof, proofFlags } = tree.getMultiProof(subset);
+            expect(await dataMgt.verifyDatasetData(tree.root, productId, dataHashes, proof, proofFlags)).to.equal(1);
+        }
+
+        const { dataHashes, proof, proofFlags } = tree.getMultiProof([batchHashes[0]]);
+        await expect(dataMgt.verifyDatasetData(tree.root, productId, [dataHash2], proof, proofFlags))
+        .to.be.revertedWith("REJUVE: Invalid Merkle Proof");
+
+        // no dataset permission for another product UID
+        await expect(dataMgt.verifyDatasetData(tree.root, productId + 1, dataHashes, proof, proofFlags))
+        .to.be.revertedWith("REJUVE: Not a Data Owner");
+
+        // an empty list would verify with the root as proof
+        await expect(dataMgt.verifyDatasetData(tree.root, productId, [], [tree.root], []))
+        .to.be.revertedWith("REJUVE: Empty batch");
+    });
+
+    it("Should reject dataset data owned by someone else", async function () {
+        ++nonce;
+        const productId = nextProductId + 21;
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+        const tree = sdk.buildDatasetTree([dataHash, dataHash2]);
+        const d_signature = await sdk.signDatasetPermission(addr1, dataMgt, { dataowner: addr1.address, requesterId: labId, root: tree.root, productId: productId, nonce: nonce, expiration: permissionPeriod });
+        await dataMgt.connect(lab).getDatasetPermission(addr1.address, d_signature, tree.root, productId, nonce, permissionPeriod);
+
+        let multiProof = tree.getMultiProof([dataHash]);
+        expect(await dataMgt.verifyDatasetData(tree.root, productId, multiProof.dataHashes, multiProof.proof, multiProof.proofFlags)).to.equal(1);
+
+        multiProof = tree.getMultiProof([dataHash2]);
+        await expect(dataMgt.verifyDatasetData(tree.root, productId, multiProof.dataHashes, multiProof.proof, multiProof.proofFlags))
+        .to.be.revertedWith("REJUVE: Not a Data Owner");
+    });
+
+    it("Should allow data owner to revoke a dataset permission", async function () {
+        const productId = nextProductId + 21;
+        const ownerId = await identityToken.getOwnerIdentity(addr1.address);
+        const tree = sdk.buildDatasetTree([dataHash, dataHash2]);
+
+        await expect(dataMgt.connect(addr2).revokeDatasetPermission(tree.root, productId))
+        .to.be.revertedWith("REJUVE: Not a Data Owner");
+
+        await expect(dataMgt.connect(addr1).revokeDatasetPermission(tree.root, productId))
+        .to.emit(dataMgt, "DatasetPermissionRevoked")
+        .withArgs(ownerId, productId, tree.root);
+
+        const { dataHashes, proof, proofFlags } = tree.getMultiProof([dataHash]);
+        expect(await dataMgt.verifyDatasetData(tree.root, productId, dataHashes, proof, proofFlags)).to.equal(2);
+
+        await expect(dataMgt.connect(addr1).revokeDatasetPermission(tree.root, productId))
+        .to.be.revertedWith("REJUVE: Not Permitted");
+    });
+
+    //------------------------------------- Permission expiry -----------------------------------//
+
+    it("Should report a permission as expired once its deadline is passed", async function () {
+        ++nonce;
+        const productId = nextProductId + 2;
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+        const p_signature = await sdk.signPermission(addr2, dataMgt, { dataowner: addr2.address, requesterId: labId, dhash: dataHash2, productId: productId, nonce: nonce, expiration: 60 });
+        await dataMgt.connect(lab).getPermission(addr2.address, p_signature, dataHash2, productId, nonce, 60);
+        expect(await dataMgt.getPermissionStatus(dataHash2, productId)).to.equal(1);
+
+        await time.checkTimeAfter(1);
+
+        expect(await dataMgt.getPermissionStatus(dataHash2, productId)).to.equal(3);
+        const [records] = await dataMgt.getPermissions(dataHash2, 0, 10);
+        const record = records.find((entry) => entry.productUID.eq(productId));
+        expect(record.state).to.equal(3);
+
+        await expect(dataMgt.connect(addr2).revokePermission(dataHash2, productId))
+        .to.be.revertedWith("REJUVE: Not Permitted");
+    });
+
+    it("Should keep revoked state after the deadline", async function () {
+        expect(await dataMgt.getPermissionStatus(dataHash2, nextProductId + 1)).to.equal(2);
+    });
+
+    it("Should report a dataset permission as expired once its deadline is passed", async function () {
+        const tree = sdk.buildDatasetTree([dataHash, ...batchHashes]);
+        await time.checkTimeAfter(3); // granted for 2 days
+        const info = await dataMgt.getDatasetPermissionInfo(tree.root, nextProductId + 20);
+        expect(info.state).to.equal(3);
+
+        const { dataHashes, proof, proofFlags } = tree.getMultiProof([dataHash]);
+        expect(await dataMgt.verifyDatasetData(tree.root, nextProductId + 20, dataHashes, proof, proofFlags)).to.equal(3);
+
+        await expect(dataMgt.connect(addr1).revokeDatasetPermission(tree.root, nextProductId + 20))
+        .to.be.revertedWith("REJUVE: Not Permitted");
+    });
+
+    //------------------------------------- Identity recovery -----------------------------------//
+
+    it("Should keep data ownership when an identity moves to a new wallet", async function () {
+        const newWallet = addrs[0];
+        const ownerId = await identityToken.getOwnerIdentity(addr2.address);
+        const dataCount = await dataMgt.getDataCount(ownerId);
+
+        await identityToken.connect(sponsor).initiateRecovery(ownerId, newWallet.address);
+        await time.checkTimeAfter(3);
+        await identityToken.completeRecovery(ownerId);
+
+        expect(await identityToken.getOwnerIdentity(newWallet.address)).to.equal(ownerId);
+        expect(await dataMgt.getDataOwnerId(dataHash2)).to.equal(ownerId);
+        expect(await dataMgt.getDataCount(ownerId)).to.equal(dataCount);
+
+        // new wallet signs as the data owner, old one is no longer registered
+        ++nonce;
+        const productId = nextProductId + 30;
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+        const message = { dataowner: newWallet.address, requesterId: labId, dhash: dataHash2, productId: productId, nonce: nonce, expiration: permissionPeriod };
+        const p_signature = await sdk.signPermission(newWallet, dataMgt, message);
+        await dataMgt.connect(lab).getPermission(newWallet.address, p_signature, dataHash2, productId, nonce, permissionPeriod);
+        expect(await dataMgt.getPermissionStatus(dataHash2, productId)).to.equal(1);
+
+        await expect(dataMgt.connect(addr2).revokePermission(dataHash2, productId))
+        .to.be.revertedWith("REJUVE: Not Registered");
+        await dataMgt.connect(newWallet).revokePermission(dataHash2, productId);
+        expect(await dataMgt.getPermissionStatus(dataHash2, productId)).to.equal(2);
+    });
+
+    it("Should let a data owner withdraw consent once its KYC is expired", async function () {
+        const dataOwner = addrs[0]; // holds addr2 identity since the recovery
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+        const productId = nextProductId + 31;
+        ++nonce;
+        const message = { dataowner: dataOwner.address, requesterId: labId, dhash: dataHash2, productId: productId, nonce: nonce, expiration: permissionPeriod };
+        await dataMgt.connect(lab).getPermission(dataOwner.address, await sdk.signPermission(dataOwner, dataMgt, message), dataHash2, productId, nonce, permissionPeriod);
+        ++nonce;
+        const tree = sdk.buildDatasetTree([dataHash, ...batchHashes]);
+        const datasetMessage = { dataowner: addr1.address, requesterId: labId, root: tree.root, productId: productId, nonce: nonce, expiration: permissionPeriod };
+        await dataMgt.connect(lab).getDatasetPermission(addr1.address, await sdk.signDatasetPermission(addr1, dataMgt, datasetMessage), tree.root, productId, nonce, permissionPeriod);
+
+        const defaultValidity = await identityToken.kycValidity();
+        await identityToken.setKycValidity(24 * 60 * 60);
+        await time.checkTimeAfter(1);
+        expect(await identityToken.isRegistered(dataOwner.address)).to.equal(false);
+        expect(await identityToken.isRegistered(addr1.address)).to.equal(false);
+        expect(await identityToken.holdsIdentity(dataOwner.address)).to.equal(true);
+
+        // KYC still gates new grants, not withdrawals
+        ++nonce;
+        const again = { ...message, productId: productId + 1, nonce: nonce };
+        await expect(dataMgt.connect(lab).getPermission(dataOwner.address, await sdk.signPermission(dataOwner, dataMgt, again), dataHash2, productId + 1, nonce, permissionPeriod))
+        .to.be.revertedWith("REJUVE: Not Registered");
+
+        await dataMgt.connect(dataOwner).revokePermission(dataHash2, productId);
+        expect(await dataMgt.getPermissionStatus(dataHash2, productId)).to.equal(2);
+        await dataMgt.connect(addr1).revokeDatasetPermission(tree.root, productId);
+        expect((await dataMgt.getDatasetPermissionInfo(tree.root, productId)).state).to.equal(2);
+        await expect(dataMgt.connect(addr2).revokePermission(dataHash2, productId))
+        .to.be.revertedWith("REJUVE: Not Registered");
+
+        await identityToken.setKycValidity(defaultValidity);
+    });
+
+    //------------------------------------- Identity burn -----------------------------------//
+
+    it("Should only accept burn notifications from IdentityToken", async function () {
+        await expect(dataMgt.connect(sponsor).onIdentityBurned(1, true))
+        .to.be.revertedWith("REJUVE: Only Identity Token");
+
+        await expect(identityToken.connect(sponsor).setDataManagement(dataMgt.address))
+        .to.be.reverted;
+        await identityToken.setDataManagement(dataMgt.address);
+        expect(await identityToken.getDataManagement()).to.equal(dataMgt.address);
+    });
+
+    it("Should revoke permissions and keep orphaned data when identity is burned", async function () {
+        ++nonce;
+        const productId = nextProductId + 40;
+        const ownerId = await identityToken.getOwnerIdentity(addr1.address);
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+        const dataCount = await dataMgt.getDataCount(ownerId);
+        const tree = sdk.buildDatasetTree(batchHashes);
+
+        const p_signature = await sdk.signPermission(addr1, dataMgt, { dataowner: addr1.address, requesterId: labId, dhash: dataHash, productId: productId, nonce: nonce, expiration: permissionPeriod });
+        await dataMgt.connect(lab).getPermission(addr1.address, p_signature, dataHash, productId, nonce, permissionPeriod);
+        const d_signature = await sdk.signDatasetPermission(addr1, dataMgt, { dataowner: addr1.address, requesterId: labId, root: tree.root, productId: productId, nonce: nonce, expiration: permissionPeriod });
+        await dataMgt.connect(lab).getDatasetPermission(addr1.address, d_signature, tree.root, productId, nonce, permissionPeriod);
+        expect(await dataMgt.isOrphanedData(dataHash)).to.equal(false);
+
+        await expect(identityToken.connect(addr1).burnIdentity(ownerId))
+        .to.emit(dataMgt, "OwnerDataReleased")
+        .withArgs(ownerId, false);
+
+        expect(await dataMgt.getDataRetention(ownerId)).to.equal(1);
+        expect(await dataMgt.isOrphanedData(dataHash)).to.equal(true);
+        expect(await dataMgt.getPermissionStatus(dataHash, productId)).to.equal(2);
+        expect((await dataMgt.getDatasetPermissionInfo(tree.root, productId)).state).to.equal(2);
+        const [records] = await dataMgt.getPermissions(dataHash, 0, 10);
+        expect(records.every((record) => record.state !== 1)).to.equal(true);
+
+        // data stays listed under the burned identity
+        expect(await dataMgt.getDataOwnerId(dataHash)).to.equal(ownerId);
+        expect(await dataMgt.getDataCount(ownerId)).to.equal(dataCount);
+    });
+
+    it("Should tombstone data when identity is burned with its data", async function () {
+        const newWallet = addrs[0];
+        const ownerId = await identityToken.getOwnerIdentity(newWallet.address);
+
+        await expect(identityToken.connect(newWallet).burnIdentityAndData(ownerId))
+        .to.emit(dataMgt, "OwnerDataReleased")
+        .withArgs(ownerId, true);
+
+        expect(await dataMgt.getDataRetention(ownerId)).to.equal(2);
+        expect(await dataMgt.isOrphanedData(dataHash2)).to.equal(true);
+        expect(await dataMgt.getDataOwnerId(dataHash2)).to.equal(0);
+        expect(await dataMgt.getDataCount(ownerId)).to.equal(0);
+        const [page, total] = await dataMgt.getDataHashes(ownerId, 0, 10);
+        expect(page).to.deep.equal([]);
+        expect(total).to.equal(0);
+        await expect(dataMgt.getDataByTokenId(ownerId, 0))
+        .to.be.revertedWith("REJUVE: Data Tombstoned");
+    });
+
     //------------ Support interface -------
 
     it("should support AccessControl interface", async function () {
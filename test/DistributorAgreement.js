@@ -1,4 +1,5 @@
 const { expect } = require("chai");
+const sdk = require("../sdk");
 let _getSign = require ('./modules/GetSign');
 
 describe("Distributor Agreement Contract", function () {
@@ -10,6 +11,10 @@ describe("Distributor Agreement Contract", function () {
     let distributor2;
     let addrs;
     let nonce = 0;
+    let now;
+    let startDate;
+    let endDate;
+    const year = 365 * 24 * 60 * 60;
     let agreementHash = "0x9805b0899794e98a97a8eafec929e7be05545fd5240c18372121c5ddf725e4f6";
     let zero_address = "0x0000000000000000000000000000000000000000";
     
@@ -17,8 +22,32 @@ describe("Distributor Agreement Contract", function () {
         [rejuveAdmin, distributor1, distributor2, ...addrs] = await ethers.getSigners();
         _agreement= await ethers.getContractFactory("DistributorAgreement");
         agreement = await _agreement.deploy();
+        now = (await ethers.provider.getBlock("latest")).timestamp;
+        startDate = now;
+        endDate = now + year;
     });  
 
+    // product 101, 100 units at 5, 20% royalty, running for a year
+    function defaultTerms(overrides = {}) {
+        return Object.assign({ productUID: 101, units: 100, unitPrice: 5, percentage: 20, startDate, endDate }, overrides);
+    }
+
+    // signers: [distributor, Rejuve countersigner]
+    async function createAgreement(caller, distributorAddress, terms, signers, submitted = terms) {
+        const [signature, rejuveSignature] = await Promise.all(signers.map((signer) =>
+            _getSign.getDistributorSign(distributorAddress, agreement.address, agreementHash, terms, nonce, signer)
+        ));
+        return agreement.connect(caller).createAgreement(
+            distributorAddress, signature, rejuveSignature, agreementHash, submitted.productUID, submitted.units,
+            submitted.unitPrice, submitted.percentage, submitted.startDate, submitted.endDate, nonce
+        );
+    }
+
+    async function sign(type, terms, signers) {
+        const signFn = type === "AMEND" ? sdk.signAgreementAmendment : sdk.signAgreementTermination;
+        return Promise.all(signers.map((signer) => signFn(signer, agreement, terms)));
+    }
+
     it("Should revert if contract is paused by person other than owner", async function () {
         await expect(agreement.connect(distributor1).pause())
         .to.be.revertedWith("Ownable: caller is not the owner");   
@@ -26,8 +55,7 @@ describe("Distributor Agreement Contract", function () {
 
     it("Should revert if contract is paused", async function () {
         await agreement.pause();
-        let signature = await _getSign.getDistributorSign(distributor1.address, agreement.address, agreementHash,nonce, distributor1) 
-        await expect(agreement.createAgreement(distributor1.address, signature, agreementHash, 101, 100, 5, 20, nonce))
+        await expect(createAgreement(rejuveAdmin, distributor1.address, defaultTerms(), [distributor1, rejuveAdmin]))
         .to.be.revertedWith("Pausable: paused");   
     })
 
@@ -38,58 +66,219 @@ describe("Distributor Agreement Contract", function () {
 
     it("Should create business agreement if Rejuve is paying", async function () {
         await agreement.unpause();
-        let signature = await _getSign.getDistributorSign(distributor1.address, agreement.address, agreementHash,nonce, distributor1)
-        await agreement.connect(rejuveAdmin).createAgreement(distributor1.address, signature, agreementHash, 101, 100, 5, 20, nonce);
+        await createAgreement(rejuveAdmin, distributor1.address, defaultTerms(), [distributor1, rejuveAdmin]);
         ++nonce;
     });
 
     it("Should create business agreement if distributor is paying", async function () {
-        let signature = await _getSign.getDistributorSign(distributor2.address, agreement.address, agreementHash, nonce, distributor2);
-        await agreement.connect(distributor2).createAgreement(distributor2.address, signature, agreementHash, 101, 500, 5, 20, nonce);
+        await expect(createAgreement(distributor2, distributor2.address, defaultTerms({ units: 500 }), [distributor2, rejuveAdmin]))
+        .to.emit(agreement, "AgreementCreated")
+        .withArgs(2, distributor2.address, agreementHash, 101, 500, 5, 20, startDate, endDate);
     
-        let distributorDetails = await agreement.getDistributorData(distributor2.address);
-        expect(distributorDetails[0]).to.equal(agreementHash);
-        expect(distributorDetails[1]).to.equal(101);
-        expect(distributorDetails[2]).to.equal(500);
-        expect(distributorDetails[3]).to.equal(5);
-        expect(distributorDetails[4]).to.equal(20);
+        let distributorDetails = await agreement.getAgreement(2);
+        expect(distributorDetails.distributor).to.equal(distributor2.address);
+        expect(distributorDetails.agreement).to.equal(agreementHash);
+        expect(distributorDetails.productUID).to.equal(101);
+        expect(distributorDetails.units).to.equal(500);
+        expect(distributorDetails.unitPrice).to.equal(5);
+        expect(distributorDetails.percentage).to.equal(20);
+        expect(distributorDetails.startDate).to.equal(startDate);
+        expect(distributorDetails.endDate).to.equal(endDate);
+        expect(distributorDetails.terminatedAt).to.equal(0);
+        expect(await agreement.getAgreementCount()).to.equal(2);
     });
     
 
     it("Should revert if total units are zero ", async function () {
-        let signature = await _getSign.getDistributorSign(distributor1.address, agreement.address, agreementHash,nonce, distributor1) 
-        await expect(agreement.createAgreement(distributor1.address, signature, agreementHash, 101, 0, 5, 20, nonce))
+        await expect(createAgreement(rejuveAdmin, distributor1.address, defaultTerms({ units: 0 }), [distributor1, rejuveAdmin]))
         .to.be.revertedWith("REJUVE: Total units cannot be zero");   
     })
 
     it("Should revert if unit price is zero ", async function () {
-        let signature = await _getSign.getDistributorSign(distributor1.address, agreement.address, agreementHash,nonce, distributor1)
-        await expect(agreement.createAgreement(distributor1.address, signature, agreementHash, 101, 100, 0, 20, nonce))
+        await expect(createAgreement(rejuveAdmin, distributor1.address, defaultTerms({ unitPrice: 0 }), [distributor1, rejuveAdmin]))
         .to.be.revertedWith("REJUVE: Price cannot be zero");      
     })
 
     it("Should revert if percentage is zero ", async function () {
-        let signature = await _getSign.getDistributorSign(distributor1.address, agreement.address, agreementHash,nonce, distributor1) 
-        await expect(agreement.createAgreement(distributor1.address, signature, agreementHash, 101, 100, 5, 0, nonce))
+        await expect(createAgreement(rejuveAdmin, distributor1.address, defaultTerms({ percentage: 0 }), [distributor1, rejuveAdmin]))
         .to.be.revertedWith("REJUVE: Percentage cannot be zero");
     })
 
+    it("Should revert if percentage is above 100", async function () {
+        await expect(createAgreement(rejuveAdmin, distributor1.address, defaultTerms({ percentage: 101 }), [distributor1, rejuveAdmin]))
+        .to.be.revertedWith("REJUVE: Percentage above 100");
+    })
+
     it("Should revert if address is 0 ", async function () {
-        let signature = await _getSign.getDistributorSign(distributor1.address, agreement.address, agreementHash,nonce, distributor1) 
-        await expect(agreement.createAgreement(zero_address, signature, agreementHash, 101, 100, 5, 20, nonce))
+        await expect(createAgreement(rejuveAdmin, zero_address, defaultTerms(), [distributor1, rejuveAdmin]))
         .to.be.revertedWith("REJUVE: Zero address");
     })
 
     it("Should revert if nonce is used already", async function () {
-        let signature = await _getSign.getDistributorSign(distributor1.address, agreement.address, agreementHash, nonce, distributor1) 
-        await expect(agreement.createAgreement(distributor1.address, signature, agreementHash, 101, 100, 5, 20, nonce))
+        await expect(createAgreement(rejuveAdmin, distributor1.address, defaultTerms(), [distributor1, rejuveAdmin]))
         .to.be.revertedWith("REJUVE: Nonce used already");
         ++nonce;
     })
 
     it("Should revert if invalid signature", async function () {
-        let signature = await _getSign.getDistributorSign(distributor1.address, agreement.address, agreementHash, nonce, distributor2) 
-        await expect(agreement.createAgreement(distributor1.address, signature, agreementHash, 101, 100, 5, 20, nonce))
+        await expect(createAgreement(rejuveAdmin, distributor1.address, defaultTerms(), [distributor2, rejuveAdmin]))
+        .to.be.revertedWith("REJUVE: Invalid signature");
+    })
+
+    it("Should revert if not countersigned by Rejuve", async function () {
+        await expect(createAgreement(distributor1, distributor1.address, defaultTerms(), [distributor1, distributor1]))
+        .to.be.revertedWith("REJUVE: Invalid countersignature");
+    })
+
+    it("Should revert if terms differ from the signed ones", async function () {
+        const signers = [distributor1, rejuveAdmin];
+        for (const changed of [{ productUID: 102 }, { units: 1000 }, { unitPrice: 50 }, { percentage: 90 }, { endDate: endDate + year }]) {
+            await expect(createAgreement(rejuveAdmin, distributor1.address, defaultTerms(), signers, defaultTerms(changed)))
+            .to.be.revertedWith("REJUVE: Invalid signature");
+        }
+    })
+
+    it("Should revert if period is invalid", async function () {
+        const signers = [distributor1, rejuveAdmin];
+        await expect(createAgreement(rejuveAdmin, distributor1.address, defaultTerms({ startDate: endDate }), signers))
+        .to.be.revertedWith("REJUVE: Invalid Period");
+        await expect(createAgreement(rejuveAdmin, distributor1.address, defaultTerms({ startDate: now - year, endDate: now - 1 }), signers))
+        .to.be.revertedWith("REJUVE: Invalid Period");
+    })
+
+    it("Should keep several agreements per distributor and per product", async function () {
+        // distributor 1 also distributes product 102, starting in a day
+        await createAgreement(
+            rejuveAdmin, distributor1.address, defaultTerms({ productUID: 102, startDate: now + 24 * 60 * 60 }), [distributor1, rejuveAdmin]
+        );
+        ++nonce;
+
+        let [ids, total] = await agreement.getAgreementsByDistributor(distributor1.address, 0, 10);
+        expect(ids.map(Number)).to.deep.equal([1, 3]);
+        expect(total).to.equal(2);
+        [ids, total] = await agreement.getAgreementsByProduct(101, 0, 10);
+        expect(ids.map(Number)).to.deep.equal([1, 2]);
+        expect(total).to.equal(2);
+        expect((await agreement.getAgreementsByProduct(102, 0, 10))[0].map(Number)).to.deep.equal([3]);
+        expect((await agreement.getAgreementsByDistributor(distributor1.address, 1, 1))[0].map(Number)).to.deep.equal([3]);
+        expect((await agreement.getAgreementsByDistributor(distributor1.address, 2, 10))[0]).to.deep.equal([]);
+        expect((await agreement.getAgreementsByDistributor(addrs[0].address, 0, 10))[1]).to.equal(0);
+    })
+
+    it("Should return the latest agreement of a distributor through the deprecated view", async function () {
+        const data = await agreement.getDistributorData(distributor1.address);
+        expect(data.agreement).to.equal(agreementHash);
+        expect(data.productUID).to.equal(102);
+        expect(data.units).to.equal(100);
+        expect(data.unitPrice).to.equal(5);
+        expect(data.percentage).to.equal(20);
+
+        const none = await agreement.getDistributorData(addrs[0].address);
+        expect(none.agreement).to.equal("0x");
+        expect(none.productUID).to.equal(0);
+    })
+
+    it("Should only accept sales on active agreements", async function () {
+        expect(await agreement.getAgreementStatus(1)).to.equal(1); // Active
+        expect(await agreement.getAgreementStatus(3)).to.equal(0); // Scheduled
+
+        await expect(agreement.connect(distributor1).reportSales(3, 10))
+        .to.be.revertedWith("REJUVE: Agreement Not Active");
+        await expect(agreement.connect(distributor2).reportSales(1, 10))
+        .to.be.revertedWith("REJUVE: Not the distributor");
+        await agreement.connect(distributor1).reportSales(1, 50);
+    })
+
+    it("Should revert for unknown agreements", async function () {
+        await expect(agreement.getAgreement(0))
+        .to.be.revertedWith("REJUVE: No agreement");
+        await expect(agreement.getAgreementStatus(4))
+        .to.be.revertedWith("REJUVE: No agreement");
+    })
+
+    it("Should amend an agreement signed by the distributor and Rejuve", async function () {
+        const terms = { agreementId: 1, units: 200, unitPrice: 6, percentage: 25, endDate: now + 2 * year, nonce: ++nonce };
+
+        let [distributorSign, rejuveSign] = await sign("AMEND", terms, [distributor1, distributor2]);
+        await expect(agreement.amendAgreement(1, 200, 6, 25, terms.endDate, nonce, distributorSign, rejuveSign))
+        .to.be.revertedWith("REJUVE: Invalid countersignature");
+        [distributorSign, rejuveSign] = await sign("AMEND", terms, [distributor2, rejuveAdmin]);
+        await expect(agreement.amendAgreement(1, 200, 6, 25, terms.endDate, nonce, distributorSign, rejuveSign))
         .to.be.revertedWith("REJUVE: Invalid signature");
+        await expect(agreement.amendAgreement(1, 40, 6, 25, terms.endDate, nonce, distributorSign, rejuveSign))
+        .to.be.revertedWith("REJUVE: Units below reported sales");
+        await expect(agreement.amendAgreement(1, 200, 6, 101, terms.endDate, nonce, distributorSign, rejuveSign))
+        .to.be.revertedWith("REJUVE: Percentage above 100");
+        await expect(agreement.amendAgreement(1, 200, 6, 25, now - 1, nonce, distributorSign, rejuveSign))
+        .to.be.revertedWith("REJUVE: Invalid Period");
+
+        [distributorSign, rejuveSign] = await sign("AMEND", terms, [distributor1, rejuveAdmin]);
+        await expect(agreement.connect(distributor1).amendAgreement(1, 200, 6, 25, terms.endDate, nonce, distributorSign, rejuveSign))
+        .to.emit(agreement, "AgreementAmended")
+        .withArgs(1, 200, 6, 25, terms.endDate);
+
+        const amended = await agreement.getAgreement(1);
+        expect([amended.units, amended.unitPrice, amended.percentage, amended.endDate].map(Number))
+        .to.deep.equal([200, 6, 25, terms.endDate]);
+        expect(amended.startDate).to.equal(startDate);
+
+        await expect(agreement.amendAgreement(1, 200, 6, 25, terms.endDate, nonce, distributorSign, rejuveSign))
+        .to.be.revertedWith("REJUVE: Nonce used already");
+    })
+
+    it("Should only let owner change the countersigner", async function () {
+        expect(await agreement.getCountersigner()).to.equal(rejuveAdmin.address);
+        await expect(agreement.connect(distributor1).setCountersigner(distributor1.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(agreement.setCountersigner(zero_address))
+        .to.be.revertedWith("REJUVE: Zero address");
+
+        await expect(agreement.setCountersigner(addrs[0].address))
+        .to.emit(agreement, "CountersignerUpdated")
+        .withArgs(addrs[0].address);
+
+        const terms = { agreementId: 2, nonce: ++nonce };
+        const [distributorSign, rejuveSign] = await sign("TERMINATE", terms, [distributor2, rejuveAdmin]);
+        await expect(agreement.terminateAgreement(2, nonce, distributorSign, rejuveSign))
+        .to.be.revertedWith("REJUVE: Invalid countersignature");
+        await agreement.setCountersigner(rejuveAdmin.address);
+    })
+
+    it("Should terminate an agreement signed by the distributor and Rejuve", async function () {
+        const terms = { agreementId: 2, nonce: nonce };
+        const [distributorSign, rejuveSign] = await sign("TERMINATE", terms, [distributor2, rejuveAdmin]);
+
+        // an amendment signature cannot terminate
+        const [amendSign] = await sign("AMEND", { agreementId: 2, units: 500, unitPrice: 5, percentage: 20, endDate, nonce }, [distributor2]);
+        await expect(agreement.terminateAgreement(2, nonce, amendSign, rejuveSign))
+        .to.be.revertedWith("REJUVE: Invalid signature");
+
+        const tx = await agreement.connect(distributor2).terminateAgreement(2, nonce, distributorSign, rejuveSign);
+        const terminatedAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp;
+        await expect(tx)
+        .to.emit(agreement, "AgreementTerminated")
+        .withArgs(2, terminatedAt);
+
+        expect(await agreement.getAgreementStatus(2)).to.equal(3); // Terminated
+        expect((await agreement.getAgreement(2)).terminatedAt).to.equal(terminatedAt);
+        await expect(agreement.connect(distributor2).reportSales(2, 10))
+        .to.be.revertedWith("REJUVE: Agreement Not Active");
+
+        const next = { agreementId: 2, units: 500, unitPrice: 5, percentage: 20, endDate, nonce: ++nonce };
+        const [nextDistributorSign, nextRejuveSign] = await sign("AMEND", next, [distributor2, rejuveAdmin]);
+        await expect(agreement.amendAgreement(2, 500, 5, 20, endDate, nonce, nextDistributorSign, nextRejuveSign))
+        .to.be.revertedWith("REJUVE: Agreement terminated");
+        await expect(agreement.terminateAgreement(2, nonce, distributorSign, rejuveSign))
+        .to.be.revertedWith("REJUVE: Agreement terminated");
+    })
+
+    it("Should expire agreements after their end date", async function () {
+        await network.provider.send("evm_increaseTime", [year + 1]);
+        await network.provider.send("evm_mine");
+
+        expect(await agreement.getAgreementStatus(1)).to.equal(1); // extended by the amendment
+        expect(await agreement.getAgreementStatus(3)).to.equal(2); // Expired
+        await expect(agreement.connect(distributor1).reportSales(3, 10))
+        .to.be.revertedWith("REJUVE: Agreement Not Active");
     })
-})
\ No newline at end of file
+})
@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const sdk = require("../sdk");
+
+describe("Trusted Forwarder (ERC-2771)", function () {
+
+    let identityToken;
+    let dataMgt;
+    let productNFT;
+    let forwarder;
+    let owner;
+    let sponsor;
+    let signer;
+    let dataOwner;
+    let relayer;
+    let lab; // wallet without ETH
+    let nonce = 0;
+    const productUID = 300;
+    const expiration = 2 * 24 * 60 * 60;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash1 = "0x622b1092273fe26f6a2c370a5c34a690337e7f802f2fa5006b40790bd3f7d69b";
+    const dataHash2 = "0x7012f98e24c6b2f609d365c959c99a9bc691d6939cc7162e679fb1226697a56b";
+    const zero_address = "0x0000000000000000000000000000000000000000";
+
+    async function createIdentity(user) {
+        ++nonce;
+        const signature = await sdk.signIdentity(user, identityToken, { kyc: kyc, signer: user.address, uri: "/tokenURIHere", nonce: nonce });
+        await identityToken.connect(sponsor).createIdentity(signature, kyc, user.address, "/tokenURIHere", nonce);
+    }
+
+    async function submitData(user, dataHash) {
+        ++nonce;
+        const signature = await sdk.signDataSubmission(user, dataMgt, { signer: user.address, dhash: dataHash, nonce: nonce });
+        await dataMgt.connect(sponsor).submitData(user.address, signature, dataHash, nonce);
+    }
+
+    async function permissionArgs(dataHash) {
+        ++nonce;
+        const message = {
+            dataowner: dataOwner.address,
+            requesterId: await identityToken.getOwnerIdentity(lab.address),
+            dhash: dataHash,
+            productId: productUID,
+            nonce: nonce,
+            expiration: expiration
+        };
+        const signature = await sdk.signPermission(dataOwner, dataMgt, message);
+        return [dataOwner.address, signature, dataHash, productUID, nonce, expiration];
+    }
+
+    async function productArgs(dataHashes) {
+        const product = {
+            productUID,
+            nonce: ++nonce,
+            productURI: "/productURI",
+            signer: signer.address,
+            dataHashes: dataHashes,
+            creditScores: dataHashes.map(() => 10),
+            caller: lab.address
+        };
+        const signature = await sdk.signProduct(signer, productNFT, product);
+        return [productUID, product.nonce, product.productURI, signer.address, signature, dataHashes, product.creditScores];
+    }
+
+    async function relay(contract, method, args) {
+        const { request, signature } = await sdk.signForwardCall(lab, forwarder, contract, method, args);
+        return forwarder.connect(relayer).execute(request, signature, { gasLimit: 3000000 });
+    }
+
+    before(async function () {
+        [owner, sponsor, signer, dataOwner, relayer] = await ethers.getSigners();
+        lab = ethers.Wallet.createRandom().connect(ethers.provider);
+
+        const _identityToken = await ethers.getContractFactory("IdentityToken");
+        identityToken = await _identityToken.deploy("Rejuve Identities", "RUI", "1.0.0", sponsor.address);
+
+        const _dataMgt = await ethers.getContractFactory("DataManagement");
+        dataMgt = await _dataMgt.deploy("Data management", "1.0.0", sponsor.address, identityToken.address);
+
+        const _productNFT = await ethers.getContractFactory("ProductNFT");
+        productNFT = await _productNFT.deploy("Rejuve Products", "RP", signer.address, identityToken.address, dataMgt.address);
+
+        const _forwarder = await ethers.getContractFactory("Forwarder");
+        forwarder = await _forwarder.deploy();
+
+        await createIdentity(dataOwner);
+        await createIdentity(lab);
+        await submitData(dataOwner, dataHash1);
+        await submitData(dataOwner, dataHash2);
+    });
+
+    it("Should only let admin set the trusted forwarder", async function () {
+        await expect(dataMgt.connect(sponsor).setTrustedForwarder(forwarder.address))
+        .to.be.reverted;
+        await expect(productNFT.connect(sponsor).setTrustedForwarder(forwarder.address))
+        .to.be.reverted;
+
+        await expect(dataMgt.setTrustedForwarder(forwarder.address))
+        .to.emit(dataMgt, "TrustedForwarderUpdated")
+        .withArgs(forwarder.address);
+        await expect(productNFT.setTrustedForwarder(forwarder.address))
+        .to.emit(productNFT, "TrustedForwarderUpdated")
+        .withArgs(forwarder.address);
+
+        expect(await dataMgt.isTrustedForwarder(forwarder.address)).to.equal(true);
+        expect(await productNFT.getTrustedForwarder()).to.equal(forwarder.address);
+    });
+
+    it("Should get permission for a lab without ETH", async function () {
+        expect(await ethers.provider.getBalance(lab.address)).to.equal(0);
+
+        await expect(relay(dataMgt, "getPermission", await permissionArgs(dataHash1)))
+        .to.emit(dataMgt, "PermissionGranted");
+        await relay(dataMgt, "getPermission", await permissionArgs(dataHash2));
+
+        expect(await dataMgt.getPermissionStatus(dataHash1, productUID)).to.equal(1);
+        expect(await ethers.provider.getBalance(lab.address)).to.equal(0);
+    });
+
+    it("Should create a product owned by the lab, not the forwarder", async function () {
+        await relay(productNFT, "createProduct", await productArgs([dataHash1]));
+
+        expect(await productNFT.ownerOf(productUID)).to.equal(lab.address);
+        expect(await productNFT.balanceOf(forwarder.address)).to.equal(0);
+    });
+
+    it("Should link new data for the product owner", async function () {
+        await expect(relay(productNFT, "linkNewData", await productArgs([dataHash2])))
+        .to.emit(productNFT, "NewDataLinked");
+
+        expect(await productNFT.getProductToData(productUID)).to.deep.equal([dataHash1, dataHash2]);
+    });
+
+    it("Should not relay a request signed by someone else", async function () {
+        const { request } = await sdk.signForwardCall(lab, forwarder, productNFT, "linkNewData", await productArgs([dataHash2]));
+        const signature = await sdk.signForwardRequest(dataOwner, forwarder, request);
+
+        expect(await forwarder.verify(request, signature)).to.equal(false);
+        await expect(forwarder.connect(relayer).execute(request, signature))
+        .to.be.revertedWith("MinimalForwarder: signature does not match request");
+    });
+
+    it("Should use msg.sender for calls not coming from the forwarder", async function () {
+        // relayer calls directly: it is not registered
+        await expect(productNFT.connect(relayer).linkNewData(...(await productArgs([dataHash2]))))
+        .to.be.revertedWith("REJUVE: Only Product Creator");
+    });
+
+    it("Should ignore appended senders once the forwarder is removed", async function () {
+        await dataMgt.setTrustedForwarder(zero_address);
+        expect(await dataMgt.isTrustedForwarder(zero_address)).to.equal(false);
+
+        const { request, signature } = await sdk.signForwardCall(
+            lab, forwarder, dataMgt, "getPermission", await permissionArgs(dataHash1), { gas: 500000 }
+        );
+        // call fails inside the forwarder: sender is the forwarder, not a registered identity
+        const [success] = await forwarder.callStatic.execute(request, signature, { gasLimit: 3000000 });
+        expect(success).to.equal(false);
+    });
+});
@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../sdk");
+const { loadConfig, deployPlatform } = require("../scripts/deployment");
+
+describe("Future shards for linked data", function () {
+
+    const productUID = 500;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHashes = [
+        "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff11",
+        "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff12",
+        "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff13",
+        "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff14",
+        "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff15"
+    ];
+    const zero_address = "0x0000000000000000000000000000000000000000";
+    const silent = () => {};
+
+    let tmpDir;
+    let rejuve, dataOwner1, dataOwner2, dataOwner3, dataOwner4, lab, clinic;
+    let identityToken, dataMgt, productNFT, transferShards;
+    let lockedId, tradedId;
+    let nonce = 0;
+
+    async function submitData(owner, dataHash) {
+        const message = { signer: owner.address, dhash: dataHash, nonce: ++nonce };
+        const signature = await sdk.signDataSubmission(owner, dataMgt, message);
+        await dataMgt.submitData(owner.address, signature, dataHash, message.nonce);
+        await grantPermission(owner, dataHash, productUID);
+    }
+
+    async function grantPermission(owner, dataHash, productUID) {
+        const permission = {
+            dataowner: owner.address,
+            requesterId: await identityToken.getOwnerIdentity(lab.address),
+            dhash: dataHash,
+            productId: productUID,
+            nonce: ++nonce,
+            expiration: 2 * 24 * 60 * 60
+        };
+        await dataMgt.connect(lab).getPermission(
+            owner.address, await sdk.signPermission(owner, dataMgt, permission),
+            dataHash, productUID, permission.nonce, permission.expiration
+        );
+    }
+
+    async function productArgs(hashes, creditScores, uid = productUID) {
+        const product = {
+            productUID: uid,
+            nonce: ++nonce,
+            productURI: "/productURI",
+            signer: rejuve.address,
+            dataHashes: hashes,
+            creditScores,
+            caller: lab.address
+        };
+        const signature = await sdk.signProduct(rejuve, productNFT, product);
+        return [uid, product.nonce, product.productURI, rejuve.address, signature, hashes, creditScores];
+    }
+
+    before(async function () {
+        [rejuve, dataOwner1, dataOwner2, dataOwner3, dataOwner4, lab, clinic] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-future-"));
+
+        const config = loadConfig(path.join(__dirname, "..", "deploy", "localhost.json"));
+        const manifest = await deployPlatform(hre, config, {
+            manifestPath: path.join(tmpDir, "hardhat.json"),
+            log: silent
+        });
+        const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+        identityToken = await at("IdentityToken");
+        dataMgt = await at("DataManagement");
+        productNFT = await at("ProductNFT");
+        transferShards = await at("TransferShards");
+
+        for (const user of [dataOwner1, dataOwner2, dataOwner3, dataOwner4, lab]) {
+            const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+            const signature = await sdk.signIdentity(user, identityToken, message);
+            await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+        }
+        await submitData(dataOwner1, dataHashes[0]);
+        await submitData(dataOwner2, dataHashes[1]);
+        await submitData(dataOwner3, dataHashes[2]);
+        await submitData(dataOwner1, dataHashes[3]);
+        await submitData(dataOwner4, dataHashes[4]);
+
+        await productNFT.connect(lab).createProduct(...(await productArgs([dataHashes[0]], [10])));
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should revert if initial shards are not distributed", async function () {
+        await expect(transferShards.distributeLinkedDataShards(productUID, 10))
+        .to.be.revertedWith("REJUVE: Initial shards not distributed");
+    });
+
+    it("Should revert if no data was linked since the last distribution", async function () {
+        await transferShards.distributeInitialShards(
+            productUID, 1000, 10, 60, 60, 10, lab.address, rejuve.address, ["/locked", "/traded"]
+        );
+        [lockedId, tradedId] = await transferShards.getProductIDs(productUID);
+
+        await expect(transferShards.distributeLinkedDataShards(productUID, 10))
+        .to.be.revertedWith("REJUVE: No New Data");
+    });
+
+    it("Should only pay initial data from the initial pool", async function () {
+        // data owner 1 & lab share 60% of 1000 (credits 10 & 10)
+        expect(await transferShards.getInitialContributorShards(productUID)).to.deep.equal([
+            ethers.BigNumber.from(300), ethers.BigNumber.from(300), ethers.BigNumber.from(100)
+        ]);
+    });
+
+    it("Should count data linked after product creation as pending", async function () {
+        await productNFT.connect(lab).linkNewData(...(await productArgs([dataHashes[1], dataHashes[2]], [20, 60])));
+
+        expect(await transferShards.getPendingLinkedData(productUID)).to.equal(2);
+    });
+
+    it("Should revert invalid linked data distributions", async function () {
+        await expect(transferShards.connect(lab).distributeLinkedDataShards(productUID, 10))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(transferShards.distributeLinkedDataShards(productUID, 0))
+        .to.be.revertedWith("REJUVE: Future percent cannot be zero");
+        await expect(transferShards.distributeLinkedDataShards(productUID, 31))
+        .to.be.revertedWith("REJUVE: Future percent exceeds available limit");
+    });
+
+    it("Should pay owners of linked data as per their credit scores", async function () {
+        const supply = await transferShards.totalShardSupply(productUID);
+
+        // 20% of 1000 => 200 split 25% / 75%
+        await expect(transferShards.distributeLinkedDataShards(productUID, 20))
+        .to.emit(transferShards, "LinkedDataShardDistributed")
+        .withArgs(productUID, 1, 20, [dataOwner2.address, dataOwner3.address], [50, 150]);
+
+        expect(await transferShards.balanceOf(dataOwner2.address, lockedId)).to.equal(25);
+        expect(await transferShards.balanceOf(dataOwner2.address, tradedId)).to.equal(25);
+        expect(await transferShards.balanceOf(dataOwner3.address, tradedId)).to.equal(75);
+        expect(await transferShards.getLinkedDataShards(productUID, dataHashes[2])).to.equal(150);
+        expect(await transferShards.totalShardSupply(productUID)).to.equal(supply.add(200));
+        expect(await transferShards.getPendingLinkedData(productUID)).to.equal(0);
+
+        const [, , futurePercent] = await transferShards.getShardsConfig(productUID);
+        expect(futurePercent).to.equal(20);
+    });
+
+    it("Should skip linked data of a burned identity", async function () {
+        await productNFT.connect(lab).linkNewData(...(await productArgs([dataHashes[3], dataHashes[4]], [10, 30])));
+        await identityToken.connect(dataOwner4).burnIdentity(await identityToken.getOwnerIdentity(dataOwner4.address));
+
+        const balance = await transferShards.balanceOf(dataOwner1.address, tradedId);
+        await expect(transferShards.distributeLinkedDataShards(productUID, 5))
+        .to.emit(transferShards, "LinkedDataShardDistributed")
+        .withArgs(productUID, 3, 5, [dataOwner1.address, zero_address], [50, 0]);
+
+        expect(await transferShards.balanceOf(dataOwner1.address, tradedId)).to.equal(balance.add(25));
+        expect(await transferShards.getPendingLinkedData(productUID)).to.equal(0);
+    });
+
+    it("Should skip initial data of a burned identity", async function () {
+        const orphanUID = productUID + 1;
+        await grantPermission(dataOwner2, dataHashes[1], orphanUID);
+        await grantPermission(dataOwner3, dataHashes[2], orphanUID);
+        await productNFT.connect(lab).createProduct(
+            ...(await productArgs([dataHashes[1], dataHashes[2]], [20, 60], orphanUID))
+        );
+        await identityToken.connect(dataOwner3).burnIdentity(await identityToken.getOwnerIdentity(dataOwner3.address));
+
+        // data owner 2 & lab share 60% of 1000 (credits 20 & 10)
+        await expect(transferShards.distributeInitialShards(
+            orphanUID, 1000, 10, 60, 60, 10, lab.address, rejuve.address, ["/locked", "/traded"]
+        ))
+        .to.emit(transferShards, "InitialShardDistributed")
+        .withArgs(orphanUID, [dataOwner2.address, lab.address, rejuve.address], [400, 200, 100]);
+
+        expect(await transferShards.totalShardSupply(orphanUID)).to.equal(700);
+    });
+
+    it("Should share the future pool with negotiated future distributions", async function () {
+        await expect(transferShards.distributeFutureShards(productUID, 6, [1], [clinic.address]))
+        .to.be.revertedWith("REJUVE: Future percent exceeds available limit");
+
+        await transferShards.distributeFutureShards(productUID, 5, [1], [clinic.address]);
+        expect(await transferShards.balanceOf(clinic.address, lockedId)).to.equal(25);
+
+        const [, , futurePercent] = await transferShards.getShardsConfig(productUID);
+        expect(futurePercent).to.equal(30);
+    });
+});
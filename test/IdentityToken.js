@@ -1,6 +1,6 @@
 const { expect } = require("chai");
-// let _getSign = require ('./modules/GetSign');
-let getSignature = require("./helpers/signer");
+const sdk = require("../sdk");
+let time = require("./modules/TestTime");
 
 describe("Identity Token Contract", function () {
 
@@ -17,7 +17,6 @@ describe("Identity Token Contract", function () {
     let userAddress1;
     let userAddress2;
     let nonce = 1;
-    let chainID = 31337;
     let signature;
     const kycDataHash= "7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
     const kyc = "0x" + kycDataHash;
@@ -67,7 +66,7 @@ describe("Identity Token Contract", function () {
 
     it("Should create identity", async function () {
         let tokenUri = "/tokenURIHere";
-        signature = await getSignature.identityRequestSignature(kyc, addr1.address, tokenUri, nonce, chainID, identityToken.address, addr1); 
+        signature = await sdk.signIdentity(addr1, identityToken, { kyc: kyc, signer: addr1.address, uri: tokenUri, nonce: nonce }); 
 
         await identityToken.connect(sponsor).createIdentity(signature, kyc, addr1.address, tokenUri, nonce);
        
@@ -104,7 +103,7 @@ describe("Identity Token Contract", function () {
         let tokenUri = "/tokenURIHere";
         let emptyKYC = "0x0000000000000000000000000000000000000000000000000000000000000000"; // Representing an empty bytes32
         
-        signature = await getSignature.identityRequestSignature(emptyKYC, addr2.address, tokenUri, nonce, chainID, identityToken.address, addr2); 
+        signature = await sdk.signIdentity(addr2, identityToken, { kyc: emptyKYC, signer: addr2.address, uri: tokenUri, nonce: nonce }); 
     
         await expect(identityToken.connect(sponsor).createIdentity(signature, emptyKYC, addr2.address, tokenUri, nonce))
         .to.be.revertedWith("REJUVE: Empty KYC data");
@@ -124,7 +123,7 @@ describe("Identity Token Contract", function () {
 
     it("Should revert if someone other than sponsor is creating identity", async function () {
         let tokenUri = "/tokenURI";
-        signature = await getSignature.identityRequestSignature(kyc, addr2.address, tokenUri, nonce, chainID, identityToken.address, addr2); 
+        signature = await sdk.signIdentity(addr2, identityToken, { kyc: kyc, signer: addr2.address, uri: tokenUri, nonce: nonce }); 
     
         await expect(identityToken.connect(addr2).createIdentity(signature, kyc, addr2.address, tokenUri, nonce))
         .to.be.reverted;
@@ -134,7 +133,7 @@ describe("Identity Token Contract", function () {
         let tokenUri = "/tokenURIHere";
         tokenId++;
         nonce++;
-        signature = await getSignature.identityRequestSignature(kyc, addr2.address, tokenUri, nonce, chainID, identityToken.address, addr2); 
+        signature = await sdk.signIdentity(addr2, identityToken, { kyc: kyc, signer: addr2.address, uri: tokenUri, nonce: nonce }); 
     
         await identityToken.connect(sponsor).createIdentity(signature, kyc, addr2.address, tokenUri, nonce);
        
@@ -157,7 +156,7 @@ describe("Identity Token Contract", function () {
     it("Should revert if using invalid signature for user 2 ", async function () {
         let tokenUri = "/tokenURIHere";
         nonce++;
-        signature = await getSignature.identityRequestSignature(kyc, addr2.address, tokenUri, nonce, chainID, identityToken.address, sponsor); 
+        signature = await sdk.signIdentity(sponsor, identityToken, { kyc: kyc, signer: addr2.address, uri: tokenUri, nonce: nonce }); 
     
         await expect(identityToken.connect(sponsor).createIdentity(signature, kyc, addr2.address, tokenUri, nonce))
         .to.be.revertedWith("REJUVE: Invalid user signature");
@@ -167,7 +166,7 @@ describe("Identity Token Contract", function () {
         let tokenUri = "/tokenURIHere";
         tokenId++;
         nonce++;
-        signature = await getSignature.identityRequestSignature(kyc, addr2.address, tokenUri, nonce, chainID, identityToken.address, addr2); 
+        signature = await sdk.signIdentity(addr2, identityToken, { kyc: kyc, signer: addr2.address, uri: tokenUri, nonce: nonce }); 
     
         await identityToken.connect(sponsor).createIdentity(signature, kyc, addr2.address, tokenUri, nonce);
        
@@ -215,6 +214,191 @@ describe("Identity Token Contract", function () {
         expect (await identityToken.ifRegistered(userAddress1)).to.equal(0);
     });
 
+    //------------ Identity update & KYC -------
+
+    const newKyc = "0x" + "11".repeat(32);
+
+    it("Should store KYC commitment and verification time at creation", async function () {
+        const user2Id = await identityToken.getOwnerIdentity(userAddress2);
+        const [storedKyc, verifiedAt, expiresAt] = await identityToken.getKyc(user2Id);
+
+        expect(storedKyc).to.equal(kyc);
+        expect(verifiedAt.gt(0)).to.equal(true);
+        expect(expiresAt).to.equal(verifiedAt.add(await identityToken.kycValidity()));
+    });
+
+    it("Should revert identity update with invalid inputs", async function () {
+        const user2Id = await identityToken.getOwnerIdentity(userAddress2);
+        nonce++;
+        const message = { tokenId: user2Id, kyc: newKyc, signer: userAddress2, uri: "/newURI", nonce: nonce };
+
+        signature = await sdk.signIdentityUpdate(addr2, identityToken, message);
+        await expect(identityToken.connect(addr2).updateIdentity(signature, user2Id, newKyc, "/newURI", nonce))
+        .to.be.reverted;
+        await expect(identityToken.connect(sponsor).updateIdentity(signature, user2Id, ethers.constants.HashZero, "/newURI", nonce))
+        .to.be.revertedWith("REJUVE: Empty KYC Data");
+
+        const invalidSign = await sdk.signIdentityUpdate(addr1, identityToken, message);
+        await expect(identityToken.connect(sponsor).updateIdentity(invalidSign, user2Id, newKyc, "/newURI", nonce))
+        .to.be.revertedWith("REJUVE: Invalid User Signature");
+    });
+
+    it("Should update token URI & KYC with owner signature", async function () {
+        const user2Id = await identityToken.getOwnerIdentity(userAddress2);
+
+        await expect(identityToken.connect(sponsor).updateIdentity(signature, user2Id, newKyc, "/newURI", nonce))
+        .to.emit(identityToken, "IdentityUpdated")
+        .withArgs(user2Id, sponsor.address, newKyc, "/newURI");
+
+        const updatedAt = (await ethers.provider.getBlock("latest")).timestamp;
+        const [storedKyc, verifiedAt] = await identityToken.getKyc(user2Id);
+        expect(storedKyc).to.equal(newKyc);
+        expect(verifiedAt).to.equal(updatedAt);
+        expect(await identityToken.tokenURI(user2Id)).to.equal("/newURI");
+
+        await expect(identityToken.connect(sponsor).updateIdentity(signature, user2Id, newKyc, "/newURI", nonce))
+        .to.be.revertedWith("REJUVE: Already Used ID");
+    });
+
+    it("Should treat identities with expired KYC as not registered until re-verified", async function () {
+        const user2Id = await identityToken.getOwnerIdentity(userAddress2);
+        const defaultValidity = await identityToken.kycValidity();
+
+        await expect(identityToken.connect(sponsor).setKycValidity(24 * 60 * 60))
+        .to.be.reverted;
+        await expect(identityToken.setKycValidity(24 * 60 * 60))
+        .to.emit(identityToken, "KycValidityUpdated")
+        .withArgs(24 * 60 * 60);
+
+        await time.checkTimeAfter(2);
+        expect(await identityToken.ifRegistered(userAddress2)).to.equal(0);
+        expect(await identityToken.isRegistered(userAddress2)).to.equal(false);
+        expect(await identityToken.getOwnerIdentity(userAddress2)).to.equal(user2Id);
+
+        // identity still exists
+        nonce++;
+        const message = { kyc: kyc, signer: userAddress2, uri: "/tokenURIHere", nonce: nonce };
+        const createSign = await sdk.signIdentity(addr2, identityToken, message);
+        await expect(identityToken.connect(sponsor).createIdentity(createSign, kyc, userAddress2, "/tokenURIHere", nonce))
+        .to.be.revertedWith("REJUVE: One Identity Per User");
+
+        const updateSign = await sdk.signIdentityUpdate(addr2, identityToken, { tokenId: user2Id, kyc: newKyc, signer: userAddress2, uri: "/tokenURIHere", nonce: nonce });
+        await identityToken.connect(sponsor).updateIdentity(updateSign, user2Id, newKyc, "/tokenURIHere", nonce);
+        expect(await identityToken.ifRegistered(userAddress2)).to.equal(1);
+
+        // 0 disables expiry
+        await identityToken.setKycValidity(0);
+        expect((await identityToken.getKyc(user2Id)).expiresAt).to.equal(0);
+        await identityToken.setKycValidity(defaultValidity);
+    });
+
+    //------------ Identity burn with data -------
+
+    it("Should revert burning identity with its data when DataManagement is not set", async function () {
+        const user2Id = await identityToken.getOwnerIdentity(userAddress2);
+        expect(await identityToken.getDataManagement()).to.equal(zero_address);
+
+        await expect(identityToken.connect(addr1).burnIdentityAndData(user2Id))
+        .to.be.revertedWith("REJUVE: Only Owner");
+        await expect(identityToken.connect(addr2).burnIdentityAndData(user2Id))
+        .to.be.revertedWith("REJUVE: Data Management Not Set");
+        await expect(identityToken.connect(sponsor).setDataManagement(sponsor.address))
+        .to.be.reverted;
+        await expect(identityToken.setDataManagement(zero_address))
+        .to.be.revertedWith("REJUVE: Zero Address");
+    });
+
+    //------------ Identity recovery -------
+
+    it("Should let identity owner set a guardian", async function () {
+        const [guardian] = addrs;
+        const user2Id = await identityToken.getOwnerIdentity(userAddress2);
+
+        await expect(identityToken.connect(addr1).setGuardian(guardian.address))
+        .to.be.revertedWith("REJUVE: Not Registered");
+        await expect(identityToken.connect(addr2).setGuardian(userAddress2))
+        .to.be.revertedWith("REJUVE: Owner cannot be guardian");
+
+        await expect(identityToken.connect(addr2).setGuardian(guardian.address))
+        .to.emit(identityToken, "GuardianSet")
+        .withArgs(user2Id, guardian.address);
+        expect(await identityToken.getGuardian(user2Id)).to.equal(guardian.address);
+    });
+
+    it("Should revert recovery started by someone other than owner, guardian or sponsor", async function () {
+        const [, newWallet] = addrs;
+        const user2Id = await identityToken.getOwnerIdentity(userAddress2);
+
+        await expect(identityToken.connect(newWallet).initiateRecovery(user2Id, newWallet.address))
+        .to.be.revertedWith("REJUVE: Not allowed to recover");
+        await expect(identityToken.connect(sponsor).initiateRecovery(user2Id, zero_address))
+        .to.be.revertedWith("REJUVE: Zero Address");
+        await expect(identityToken.connect(sponsor).initiateRecovery(user2Id, userAddress2))
+        .to.be.revertedWith("REJUVE: One Identity Per User");
+    });
+
+    it("Should let identity owner cancel a recovery during the delay", async function () {
+        const [guardian, newWallet] = addrs;
+        const user2Id = await identityToken.getOwnerIdentity(userAddress2);
+
+        await expect(identityToken.connect(guardian).initiateRecovery(user2Id, newWallet.address))
+        .to.emit(identityToken, "RecoveryInitiated");
+        const recovery = await identityToken.getRecovery(user2Id);
+        expect(recovery.newOwner).to.equal(newWallet.address);
+        expect(recovery.initiator).to.equal(guardian.address);
+
+        await expect(identityToken.connect(sponsor).initiateRecovery(user2Id, newWallet.address))
+        .to.be.revertedWith("REJUVE: Recovery pending");
+        await expect(identityToken.completeRecovery(user2Id))
+        .to.be.revertedWith("REJUVE: Recovery delay not passed");
+        await expect(identityToken.connect(newWallet).cancelRecovery(user2Id))
+        .to.be.revertedWith("REJUVE: Not allowed to cancel");
+
+        await expect(identityToken.connect(addr2).cancelRecovery(user2Id))
+        .to.emit(identityToken, "RecoveryCancelled")
+        .withArgs(user2Id, userAddress2);
+        expect((await identityToken.getRecovery(user2Id)).readyAt).to.equal(0);
+        await expect(identityToken.completeRecovery(user2Id))
+        .to.be.revertedWith("REJUVE: No pending recovery");
+    });
+
+    it("Should move identity to a new wallet after the delay keeping its token id", async function () {
+        const [guardian, newWallet] = addrs;
+        const user2Id = await identityToken.getOwnerIdentity(userAddress2);
+
+        await identityToken.connect(sponsor).initiateRecovery(user2Id, newWallet.address);
+        await time.checkTimeAfter(3);
+
+        await expect(identityToken.connect(newWallet).completeRecovery(user2Id))
+        .to.emit(identityToken, "IdentityRecovered")
+        .withArgs(user2Id, userAddress2, newWallet.address);
+
+        expect(await identityToken.ownerOf(user2Id)).to.equal(newWallet.address);
+        expect(await identityToken.getOwnerIdentity(newWallet.address)).to.equal(user2Id);
+        expect(await identityToken.ifRegistered(newWallet.address)).to.equal(1);
+        expect(await identityToken.getOwnerIdentity(userAddress2)).to.equal(0);
+        expect(await identityToken.ifRegistered(userAddress2)).to.equal(0);
+        expect(await identityToken.balanceOf(userAddress2)).to.equal(0);
+        expect(await identityToken.tokenURI(user2Id)).to.equal("/tokenURIHere");
+        expect(await identityToken.getGuardian(user2Id)).to.equal(guardian.address);
+
+        // still soul-bound outside a recovery
+        await expect(identityToken.connect(newWallet).transferFrom(newWallet.address, userAddress2, user2Id))
+        .to.be.reverted;
+    });
+
+    it("Should only allow admin to change the recovery delay", async function () {
+        await expect(identityToken.connect(sponsor).setRecoveryDelay(7 * 24 * 60 * 60))
+        .to.be.reverted;
+        await expect(identityToken.setRecoveryDelay(60))
+        .to.be.revertedWith("REJUVE: Delay too short");
+
+        await expect(identityToken.setRecoveryDelay(7 * 24 * 60 * 60))
+        .to.emit(identityToken, "RecoveryDelayUpdated")
+        .withArgs(7 * 24 * 60 * 60);
+        expect(await identityToken.recoveryDelay()).to.equal(7 * 24 * 60 * 60);
+    });
+
     //------------ Support interface -------
 
     it("should support AccessControl interface", async function () {
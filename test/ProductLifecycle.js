@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../sdk");
+const { loadConfig, deployPlatform } = require("../scripts/deployment");
+
+describe("Product lifecycle", function () {
+
+    const productUID = 400;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash = "0x622b1092273fe26f6a2c370a5c34a690337e7f802f2fa5006b40790bd3f7d69b";
+    const silent = () => {};
+
+    let tmpDir;
+    let rejuve, dataOwner, lab, buyer;
+    let identityToken, dataMgt, productNFT, transferShards, rejuveToken, profit, marketplace;
+    let tradedId;
+    let nonce = 0;
+
+    before(async function () {
+        [rejuve, dataOwner, lab, buyer] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-lifecycle-"));
+
+        const config = loadConfig(path.join(__dirname, "..", "deploy", "localhost.json"));
+        const manifest = await deployPlatform(hre, config, {
+            manifestPath: path.join(tmpDir, "hardhat.json"),
+            log: silent
+        });
+        const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+        identityToken = await at("IdentityToken");
+        dataMgt = await at("DataManagement");
+        productNFT = await at("ProductNFT");
+        transferShards = await at("TransferShards");
+        rejuveToken = await ethers.getContractAt("RejuveTokenTest", manifest.contracts.RejuveToken.address);
+        profit = await at("ProfitDistribution");
+        marketplace = await at("ShardMarketplace");
+
+        for (const user of [dataOwner, lab]) {
+            const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+            const signature = await sdk.signIdentity(user, identityToken, message);
+            await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+        }
+        const submission = { signer: dataOwner.address, dhash: dataHash, nonce: ++nonce };
+        await dataMgt.submitData(
+            dataOwner.address, await sdk.signDataSubmission(dataOwner, dataMgt, submission), dataHash, submission.nonce
+        );
+        const permission = {
+            dataowner: dataOwner.address,
+            requesterId: await identityToken.getOwnerIdentity(lab.address),
+            dhash: dataHash,
+            productId: productUID,
+            nonce: ++nonce,
+            expiration: 2 * 24 * 60 * 60
+        };
+        await dataMgt.connect(lab).getPermission(
+            dataOwner.address, await sdk.signPermission(dataOwner, dataMgt, permission),
+            dataHash, productUID, permission.nonce, permission.expiration
+        );
+
+        const product = {
+            productUID,
+            nonce: ++nonce,
+            productURI: "/productURI",
+            signer: rejuve.address,
+            dataHashes: [dataHash],
+            creditScores: [10],
+            caller: lab.address
+        };
+        await productNFT.connect(lab).createProduct(
+            productUID, product.nonce, product.productURI, rejuve.address,
+            await sdk.signProduct(rejuve, productNFT, product), product.dataHashes, product.creditScores
+        );
+        await transferShards.distributeInitialShards(
+            productUID, 1000, 5, 60, 60, 10, lab.address, rejuve.address, ["/locked", "/traded"]
+        );
+        [, tradedId] = await transferShards.getProductIDs(productUID);
+
+        await rejuveToken.mint(10000);
+        await rejuveToken.transfer(buyer.address, 10000);
+        await rejuveToken.connect(buyer).approve(marketplace.address, 10000);
+        await rejuveToken.connect(buyer).approve(profit.address, 10000);
+        await transferShards.connect(dataOwner).setApprovalForAll(marketplace.address, true);
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should refuse trades and deposits for a draft product", async function () {
+        await expect(marketplace.connect(dataOwner).listShard(productUID, 10, tradedId))
+        .to.be.revertedWith("REJUVE: Product Not Active");
+        await expect(profit.connect(buyer).deposit(productUID, 1000))
+        .to.be.revertedWith("REJUVE: Product Not Active");
+    });
+
+    it("Should open trades and deposits once the product is active", async function () {
+        await productNFT.connect(lab).setProductStatus(productUID, 1);
+
+        await marketplace.connect(dataOwner).listShard(productUID, 10, tradedId);
+        await marketplace.connect(buyer).buy(productUID, 5, tradedId, 0, 0, dataOwner.address, "0x");
+        await profit.connect(buyer).deposit(productUID, 1000);
+        expect(await transferShards.balanceOf(buyer.address, tradedId)).to.equal(5);
+    });
+
+    it("Should close trades and deposits but keep withdrawals for a retired product", async function () {
+        await productNFT.connect(lab).setProductStatus(productUID, 2);
+
+        await expect(marketplace.connect(dataOwner).listShard(productUID, 1, tradedId))
+        .to.be.revertedWith("REJUVE: Product Not Active");
+        await expect(marketplace.connect(buyer).buy(productUID, 1, tradedId, 0, 0, dataOwner.address, "0x"))
+        .to.be.revertedWith("REJUVE: Product Not Active");
+        await expect(profit.connect(buyer).deposit(productUID, 1000))
+        .to.be.revertedWith("REJUVE: Product Not Active");
+
+        const before = await rejuveToken.balanceOf(dataOwner.address);
+        await expect(profit.connect(dataOwner).withdraw(productUID))
+        .to.emit(profit, "Withdrawal");
+        expect(await rejuveToken.balanceOf(dataOwner.address)).to.be.gt(before);
+    });
+});
@@ -3,6 +3,8 @@ let identity = require("./modules/CreateIdentity");
 let data = require("./modules/DataSubmission");
 // let deploy = require("./modules/DeployContract");
 let _getSign = require ('./modules/GetSign');
+let time = require("./modules/TestTime");
+const sdk = require("../sdk");
 
 describe("Product NFT contract", function () {
     let identityToken;
@@ -48,10 +50,10 @@ describe("Product NFT contract", function () {
     //-------------------- Deploy contracts ----------------------/
 
         _identityToken = await ethers.getContractFactory("IdentityToken");
-        identityToken = await  _identityToken.deploy("Rejuve Identities","RI");
+        identityToken = await  _identityToken.deploy("Rejuve Identities","RI", "1.0.0", sponsor.address);
 
         _dataMgt = await ethers.getContractFactory("DataManagement");
-        dataMgt = await _dataMgt.deploy(identityToken.address);
+        dataMgt = await _dataMgt.deploy("Data management", "1.0.0", sponsor.address, identityToken.address);
 
         _productNFT = await ethers.getContractFactory("ProductNFT"); 
         productNFT = await _productNFT.deploy(
@@ -92,13 +94,13 @@ describe("Product NFT contract", function () {
             identityToken
         );
 
-        // Create identity by lab for itself
+        // Create identity by rejuve sponsor for lab
         await identity.createIdentity(
             lab.address,
             "/tokenURIHere",
             identityToken.address,
             lab,
-            lab,
+            sponsor,
             identityToken
         );
 
@@ -710,6 +712,556 @@ describe("Product NFT contract", function () {
         )).to.be.revertedWith("REJUVE: Signature used already");
     })
 
+    //--------------------------- Permission revocation -----------------------//
+
+    it("Should revert if linking data whose permission was revoked", async function () {
+        const revokedDataHash = "0x1988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ffb6";
+        let labID = await identityToken.getOwnerIdentity(lab.address);
+
+        await data.submitDataHash(
+            dataOwner1.address,
+            revokedDataHash,
+            dataMgt.address,
+            dataOwner1,
+            sponsor,
+            dataMgt
+        );
+        await data.getAccessPermission(
+            dataOwner1.address,
+            labID,
+            revokedDataHash,
+            productUID,
+            expiration,
+            dataMgt.address,
+            dataOwner1,
+            lab,
+            dataMgt
+        );
+        await dataMgt.connect(dataOwner1).revokePermission(revokedDataHash, productUID);
+
+        ++nonce;
+        signForProduct = await _getSign.getSignForProduct(
+            productUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            await _getSign.concatenatedHash([revokedDataHash]),
+            [20],
+            lab.address,
+            productNFT.address,
+            signer
+        );
+        await expect(productNFT.connect(lab).linkNewData(
+            productUID, 
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            [revokedDataHash], 
+            [20]
+        )).to.be.revertedWith("REJUVE: Data Not Permitted");
+    });
+
+    it("Should keep data already linked when its permission is revoked", async function () {
+        await dataMgt.connect(dataOwner1).revokePermission(dataHash1, productUID);
+
+        expect(await dataMgt.getPermissionStatus(dataHash1, productUID)).to.equal(2);
+        expect((await productNFT.getProductToData(productUID))[0]).to.equal(dataHash1);
+        expect(await productNFT.getDataCredit(dataHash1, productUID)).to.equal(10);
+    });
+
+    //--------------------------- Identity burn -----------------------//
+
+    it("Should revert if linking data of a burned identity", async function () {
+        const orphanedDataHash = "0x1988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ffb8";
+        const formerOwner = addrs[0];
+        let labID = await identityToken.getOwnerIdentity(lab.address);
+
+        await identityToken.setDataManagement(dataMgt.address);
+        await identity.createIdentity(
+            formerOwner.address,
+            "/tokenURIHere",
+            identityToken.address,
+            formerOwner,
+            sponsor,
+            identityToken
+        );
+        await data.submitDataHash(
+            formerOwner.address,
+            orphanedDataHash,
+            dataMgt.address,
+            formerOwner,
+            sponsor,
+            dataMgt
+        );
+        await data.getAccessPermission(
+            formerOwner.address,
+            labID,
+            orphanedDataHash,
+            productUID,
+            expiration,
+            dataMgt.address,
+            formerOwner,
+            lab,
+            dataMgt
+        );
+        await identityToken.connect(formerOwner).burnIdentity(
+            await identityToken.getOwnerIdentity(formerOwner.address)
+        );
+
+        ++nonce;
+        signForProduct = await _getSign.getSignForProduct(
+            productUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            await _getSign.concatenatedHash([orphanedDataHash]),
+            [20],
+            lab.address,
+            productNFT.address,
+            signer
+        );
+        await expect(productNFT.connect(lab).linkNewData(
+            productUID, 
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            [orphanedDataHash], 
+            [20]
+        )).to.be.revertedWith("REJUVE: Orphaned Data");
+    });
+
+    //--------------------------- Dataset permissions -----------------------//
+
+    it("Should create product from data permitted on a Merkle root", async function () {
+        const datasetProductUID = productUID + 1;
+        const tree = sdk.buildDatasetTree([dataHash2, newDataHash]);
+        let labID = await identityToken.getOwnerIdentity(lab.address);
+
+        ++nonce;
+        const datasetSign = await sdk.signDatasetPermission(dataOwner2, dataMgt, {
+            dataowner: dataOwner2.address,
+            requesterId: labID,
+            root: tree.root,
+            productId: datasetProductUID,
+            nonce: nonce,
+            expiration: expiration
+        });
+        await dataMgt.connect(lab).getDatasetPermission(dataOwner2.address, datasetSign, tree.root, datasetProductUID, nonce, expiration);
+
+        const link = tree.prepareLink([dataHash2], [30]);
+        signForProduct = await _getSign.getSignForProduct(
+            datasetProductUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            await _getSign.concatenatedHash(link.dataHashes),
+            link.creditScores,
+            lab.address,
+            productNFT.address,
+            signer
+        );
+
+        // proof for another data hash
+        const wrongProof = tree.prepareLink([newDataHash], [30]).dataset;
+        await expect(productNFT.connect(lab).createProductFromDataset(
+            datasetProductUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            link.dataHashes,
+            link.creditScores,
+            wrongProof
+        )).to.be.revertedWith("REJUVE: Invalid Merkle Proof");
+
+        // permission granted to another lab
+        const otherLabSign = await _getSign.getSignForProduct(
+            datasetProductUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            await _getSign.concatenatedHash(link.dataHashes),
+            link.creditScores,
+            dataOwner1.address,
+            productNFT.address,
+            signer
+        );
+        await expect(productNFT.connect(dataOwner1).createProductFromDataset(
+            datasetProductUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            otherLabSign,
+            link.dataHashes,
+            link.creditScores,
+            link.dataset
+        )).to.be.revertedWith("REJUVE: Not Dataset Requester");
+
+        await expect(productNFT.connect(lab).createProductFromDataset(
+            datasetProductUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            link.dataHashes,
+            link.creditScores,
+            link.dataset
+        )).to.emit(productNFT, "ProductCreated");
+
+        expect(await productNFT.ownerOf(datasetProductUID)).to.equal(lab.address);
+        expect(await productNFT.getProductToData(datasetProductUID)).to.deep.equal([dataHash2]);
+        expect(await productNFT.getDataCredit(dataHash2, datasetProductUID)).to.equal(30);
+    });
+
+    it("Should link new data permitted on a Merkle root", async function () {
+        const datasetProductUID = productUID + 1;
+        const tree = sdk.buildDatasetTree([dataHash2, newDataHash]);
+        const link = tree.prepareLink([newDataHash], [40]);
+
+        ++nonce;
+        signForProduct = await _getSign.getSignForProduct(
+            datasetProductUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            await _getSign.concatenatedHash(link.dataHashes),
+            link.creditScores,
+            lab.address,
+            productNFT.address,
+            signer
+        );
+
+        await expect(productNFT.connect(dataOwner2).linkNewDataFromDataset(
+            datasetProductUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            link.dataHashes,
+            link.creditScores,
+            link.dataset
+        )).to.be.revertedWith("REJUVE: Only Product Creator");
+
+        await expect(productNFT.connect(lab).linkNewDataFromDataset(
+            datasetProductUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            link.dataHashes,
+            link.creditScores,
+            link.dataset
+        )).to.emit(productNFT, "NewDataLinked");
+
+        expect(await productNFT.getProductToData(datasetProductUID)).to.deep.equal([dataHash2, newDataHash]);
+    });
+
+    it("Should revert if linking data from a revoked dataset permission", async function () {
+        const datasetProductUID = productUID + 1;
+        const tree = sdk.buildDatasetTree([dataHash2, newDataHash]);
+        await dataMgt.connect(dataOwner2).revokeDatasetPermission(tree.root, datasetProductUID);
+
+        const link = tree.prepareLink([dataHash2, newDataHash], [50, 60]);
+        ++nonce;
+        signForProduct = await _getSign.getSignForProduct(
+            datasetProductUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            await _getSign.concatenatedHash(link.dataHashes),
+            link.creditScores,
+            lab.address,
+            productNFT.address,
+            signer
+        );
+        await expect(productNFT.connect(lab).linkNewDataFromDataset(
+            datasetProductUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            link.dataHashes,
+            link.creditScores,
+            link.dataset
+        )).to.be.revertedWith("REJUVE: Data Not Permitted");
+    });
+
+    it("Should revert if creating a product from an empty dataset list", async function () {
+        const tree = sdk.buildDatasetTree([dataHash2, newDataHash]);
+
+        ++nonce;
+        signForProduct = await _getSign.getSignForProduct(
+            productUID + 2,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            await _getSign.concatenatedHash([]),
+            [],
+            lab.address,
+            productNFT.address,
+            signer
+        );
+        await expect(productNFT.connect(lab).createProductFromDataset(
+            productUID + 2,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            [],
+            [],
+            { root: tree.root, proof: [tree.root], proofFlags: [] }
+        )).to.be.revertedWith("REJUVE: Empty batch");
+    });
+
+    it("Should revert if linking any orphaned data of a dataset", async function () {
+        const datasetHashes = [
+            "0x1988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ffc1",
+            "0x1988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ffc2"
+        ];
+        const formerOwner = addrs[1];
+        const tree = sdk.buildDatasetTree(datasetHashes);
+        let labID = await identityToken.getOwnerIdentity(lab.address);
+
+        await identity.createIdentity(
+            formerOwner.address,
+            "/tokenURIHere",
+            identityToken.address,
+            formerOwner,
+            sponsor,
+            identityToken
+        );
+        for (const dataHash of datasetHashes) {
+            await data.submitDataHash(formerOwner.address, dataHash, dataMgt.address, formerOwner, sponsor, dataMgt);
+        }
+        ++nonce;
+        const datasetSign = await sdk.signDatasetPermission(formerOwner, dataMgt, {
+            dataowner: formerOwner.address,
+            requesterId: labID,
+            root: tree.root,
+            productId: productUID,
+            nonce: nonce,
+            expiration: expiration
+        });
+        await dataMgt.connect(lab).getDatasetPermission(formerOwner.address, datasetSign, tree.root, productUID, nonce, expiration);
+        await identityToken.connect(formerOwner).burnIdentity(
+            await identityToken.getOwnerIdentity(formerOwner.address)
+        );
+
+        const link = tree.prepareLink(datasetHashes, [10, 20]);
+        ++nonce;
+        signForProduct = await _getSign.getSignForProduct(
+            productUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            await _getSign.concatenatedHash(link.dataHashes),
+            link.creditScores,
+            lab.address,
+            productNFT.address,
+            signer
+        );
+        await expect(productNFT.connect(lab).linkNewDataFromDataset(
+            productUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            link.dataHashes,
+            link.creditScores,
+            link.dataset
+        )).to.be.revertedWith("REJUVE: Orphaned Data");
+    });
+
+    //--------------------------- Permission expiry -----------------------//
+
+    it("Should revert if linking data whose permission expired", async function () {
+        const expiredDataHash = "0x1988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ffb7";
+        let labID = await identityToken.getOwnerIdentity(lab.address);
+
+        await data.submitDataHash(
+            dataOwner2.address,
+            expiredDataHash,
+            dataMgt.address,
+            dataOwner2,
+            sponsor,
+            dataMgt
+        );
+        await data.getAccessPermission(
+            dataOwner2.address,
+            labID,
+            expiredDataHash,
+            productUID,
+            expiration,
+            dataMgt.address,
+            dataOwner2,
+            lab,
+            dataMgt
+        );
+
+        // expiration is 2 days
+        await time.checkTimeAfter(3);
+        expect(await dataMgt.getPermissionStatus(expiredDataHash, productUID)).to.equal(3);
+
+        ++nonce;
+        signForProduct = await _getSign.getSignForProduct(
+            productUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            await _getSign.concatenatedHash([expiredDataHash]),
+            [20],
+            lab.address,
+            productNFT.address,
+            signer
+        );
+        await expect(productNFT.connect(lab).linkNewData(
+            productUID, 
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            [expiredDataHash], 
+            [20]
+        )).to.be.revertedWith("REJUVE: Permission Expired");
+    });
+
+    //--------------------------- Metadata versions -----------------------//
+
+    it("Should record product metadata versions", async function () {
+        // linking data with the same URI keeps the creation version
+        expect(await productNFT.getProductVersion(productUID)).to.equal(1);
+
+        await expect(productNFT.connect(dataOwner1).updateProductMetadata(productUID, "/ProductURI-v2"))
+        .to.be.revertedWith("REJUVE: Only Product Creator");
+        await expect(productNFT.connect(lab).updateProductMetadata(productUID, ""))
+        .to.be.revertedWith("REJUVE: Empty URI");
+
+        await expect(productNFT.connect(lab).updateProductMetadata(productUID, "/ProductURI-v2"))
+        .to.emit(productNFT, "ProductMetadataUpdated")
+        .withArgs(productUID, 2, "/ProductURI-v2");
+        expect(await productNFT.tokenURI(productUID)).to.equal("/ProductURI-v2");
+
+        // same URI again is not a new version
+        await expect(productNFT.connect(lab).updateProductMetadata(productUID, "/ProductURI-v2"))
+        .to.not.emit(productNFT, "ProductMetadataUpdated");
+
+        const history = await productNFT.getProductMetadataHistory(productUID);
+        expect(history.map((version) => version.productURI)).to.deep.equal(["/ProductURI", "/ProductURI-v2"]);
+        expect(history[1].updatedAt).to.be.gt(history[0].updatedAt);
+    });
+
+    it("Should keep the current metadata version when linking data with an empty URI", async function () {
+        const emptyURIDataHash = "0x1988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ffd1";
+        let labID = await identityToken.getOwnerIdentity(lab.address);
+
+        await data.submitDataHash(
+            dataOwner2.address,
+            emptyURIDataHash,
+            dataMgt.address,
+            dataOwner2,
+            sponsor,
+            dataMgt
+        );
+        await data.getAccessPermission(
+            dataOwner2.address,
+            labID,
+            emptyURIDataHash,
+            productUID,
+            expiration,
+            dataMgt.address,
+            dataOwner2,
+            lab,
+            dataMgt
+        );
+
+        ++nonce;
+        signForProduct = await _getSign.getSignForProduct(
+            productUID,
+            nonce,
+            "",
+            signer.address,
+            await _getSign.concatenatedHash([emptyURIDataHash]),
+            [20],
+            lab.address,
+            productNFT.address,
+            signer
+        );
+        await expect(productNFT.connect(lab).linkNewData(
+            productUID,
+            nonce,
+            "",
+            signer.address,
+            signForProduct,
+            [emptyURIDataHash],
+            [20]
+        )).to.emit(productNFT, "NewDataLinked")
+        .and.to.not.emit(productNFT, "ProductMetadataUpdated");
+
+        expect(await productNFT.getProductVersion(productUID)).to.equal(2);
+        expect(await productNFT.tokenURI(productUID)).to.equal("/ProductURI-v2");
+    });
+
+    //--------------------------- Lifecycle -----------------------//
+
+    it("Should start products in Draft", async function () {
+        expect(await productNFT.getProductStatus(productUID)).to.equal(0);
+        await expect(productNFT.getProductStatus(999))
+        .to.be.revertedWith("ERC721: invalid token ID");
+    });
+
+    it("Should only let the product creator change the status", async function () {
+        await expect(productNFT.connect(dataOwner1).setProductStatus(productUID, 1))
+        .to.be.revertedWith("REJUVE: Only Product Creator");
+    });
+
+    it("Should activate a draft product", async function () {
+        await expect(productNFT.connect(lab).setProductStatus(productUID, 0))
+        .to.be.revertedWith("REJUVE: Invalid Status Transition");
+
+        await expect(productNFT.connect(lab).setProductStatus(productUID, 1))
+        .to.emit(productNFT, "ProductStatusChanged")
+        .withArgs(productUID, 0, 1);
+        expect(await productNFT.getProductStatus(productUID)).to.equal(1);
+
+        await expect(productNFT.connect(lab).setProductStatus(productUID, 0))
+        .to.be.revertedWith("REJUVE: Invalid Status Transition");
+    });
+
+    it("Should retire a product and freeze it", async function () {
+        await expect(productNFT.connect(lab).setProductStatus(productUID, 2))
+        .to.emit(productNFT, "ProductStatusChanged")
+        .withArgs(productUID, 1, 2);
+
+        await expect(productNFT.connect(lab).setProductStatus(productUID, 1))
+        .to.be.revertedWith("REJUVE: Invalid Status Transition");
+        await expect(productNFT.connect(lab).updateProductMetadata(productUID, "/ProductURI-v3"))
+        .to.be.revertedWith("REJUVE: Product Retired");
+
+        ++nonce;
+        signForProduct = await _getSign.getSignForProduct(
+            productUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            newDataHashConcatenated,
+            [20],
+            lab.address,
+            productNFT.address,
+            signer
+        );
+        await expect(productNFT.connect(lab).linkNewData(
+            productUID,
+            nonce,
+            "/ProductURI",
+            signer.address,
+            signForProduct,
+            [newDataHash],
+            [20]
+        )).to.be.revertedWith("REJUVE: Product Retired");
+    });
+
     //--------------------------- Interface -----------------------//
 
     it('should return true for supported interface', async () => {
@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../sdk");
+const { loadConfig, deployPlatform } = require("../scripts/deployment");
+
+describe("Profit accounting on shard transfers", function () {
+
+    const productUID = 800;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash = "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff31";
+    const silent = () => {};
+
+    let tmpDir;
+    let rejuve, dataOwner, lab, buyer, secondWallet, clinic;
+    let identityToken, dataMgt, productNFT, transferShards, rejuveToken, profit;
+    let tradedId;
+    let nonce = 0;
+
+    async function deposit(amount) {
+        await rejuveToken.mint(amount);
+        await rejuveToken.transfer(buyer.address, amount);
+        await rejuveToken.connect(buyer).approve(profit.address, amount);
+        await profit.connect(buyer).deposit(productUID, amount);
+    }
+
+    function transfer(from, to, amount) {
+        return transferShards.connect(from).safeTransferFrom(from.address, to.address, tradedId, amount, "0x");
+    }
+
+    before(async function () {
+        [rejuve, dataOwner, lab, buyer, secondWallet, clinic] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-profit-"));
+
+        const config = loadConfig(path.join(__dirname, "..", "deploy", "localhost.json"));
+        const manifest = await deployPlatform(hre, config, {
+            manifestPath: path.join(tmpDir, "hardhat.json"),
+            log: silent
+        });
+        const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+        identityToken = await at("IdentityToken");
+        dataMgt = await at("DataManagement");
+        productNFT = await at("ProductNFT");
+        transferShards = await at("TransferShards");
+        rejuveToken = await ethers.getContractAt("RejuveTokenTest", manifest.contracts.RejuveToken.address);
+        profit = await at("ProfitDistribution");
+
+        for (const user of [dataOwner, lab]) {
+            const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+            const signature = await sdk.signIdentity(user, identityToken, message);
+            await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+        }
+        const submission = { signer: dataOwner.address, dhash: dataHash, nonce: ++nonce };
+        await dataMgt.submitData(
+            dataOwner.address, await sdk.signDataSubmission(dataOwner, dataMgt, submission), dataHash, submission.nonce
+        );
+        const permission = {
+            dataowner: dataOwner.address,
+            requesterId: await identityToken.getOwnerIdentity(lab.address),
+            dhash: dataHash,
+            productId: productUID,
+            nonce: ++nonce,
+            expiration: 2 * 24 * 60 * 60
+        };
+        await dataMgt.connect(lab).getPermission(
+            dataOwner.address, await sdk.signPermission(dataOwner, dataMgt, permission),
+            dataHash, productUID, permission.nonce, permission.expiration
+        );
+        const product = {
+            productUID,
+            nonce: ++nonce,
+            productURI: "/productURI",
+            signer: rejuve.address,
+            dataHashes: [dataHash],
+            creditScores: [10],
+            caller: lab.address
+        };
+        await productNFT.connect(lab).createProduct(
+            productUID, product.nonce, product.productURI, rejuve.address,
+            await sdk.signProduct(rejuve, productNFT, product), product.dataHashes, product.creditScores
+        );
+        await productNFT.connect(lab).setProductStatus(productUID, 1);
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should only let the shards contract update holders", async function () {
+        await expect(profit.updateHolders(productUID, dataOwner.address, secondWallet.address))
+        .to.be.revertedWith("REJUVE: Only Product Shards");
+    });
+
+    it("Should refuse deposits before shards are minted", async function () {
+        await expect(deposit(1000)).to.be.revertedWith("REJUVE: No shards");
+    });
+
+    it("Should only let the owner set ProfitDistribution before shards are minted", async function () {
+        await expect(transferShards.connect(lab).setProfitDistribution(profit.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(transferShards.setProfitDistribution(profit.address))
+        .to.emit(transferShards, "ProfitDistributionUpdated")
+        .withArgs(profit.address);
+    });
+
+    it("Should share a deposit between holders at deposit time", async function () {
+        // everything tradable: data owner & lab 300 shards each, Rejuve 200
+        await transferShards.setVestingSchedule(productUID, 0, 0, 0);
+        await transferShards.distributeInitialShards(
+            productUID, 1000, 10, 60, 60, 20, lab.address, rejuve.address, ["/locked", "/traded"]
+        );
+        [, tradedId] = await transferShards.getProductIDs(productUID);
+        await expect(transferShards.setProfitDistribution(clinic.address))
+        .to.be.revertedWith("REJUVE: Shards already minted");
+
+        await deposit(800);
+        expect(await profit.getClaimableEarning(dataOwner.address, productUID)).to.equal(300);
+        expect(await profit.getClaimableEarning(rejuve.address, productUID)).to.equal(200);
+        expect(await profit.getClaimableEarning(secondWallet.address, productUID)).to.equal(0);
+    });
+
+    it("Should not pay the same earning twice after moving shards to another wallet", async function () {
+        await expect(profit.connect(dataOwner).withdraw(productUID))
+        .to.emit(profit, "Withdrawal")
+        .withArgs(dataOwner.address, productUID, 300);
+
+        await transfer(dataOwner, secondWallet, 300);
+        expect(await profit.getClaimableEarning(secondWallet.address, productUID)).to.equal(0);
+        await expect(profit.connect(secondWallet).withdraw(productUID))
+        .to.be.revertedWith("REJUVE: No user earning");
+        await expect(profit.connect(dataOwner).withdraw(productUID))
+        .to.be.revertedWith("REJUVE: No user earning");
+    });
+
+    it("Should keep unclaimed earning with the holder who earned it", async function () {
+        // lab moves its shards without withdrawing first
+        await transfer(lab, clinic, 300);
+        expect(await profit.getClaimableEarning(lab.address, productUID)).to.equal(300);
+        expect(await profit.getClaimableEarning(clinic.address, productUID)).to.equal(0);
+
+        await deposit(1600);
+        expect(await profit.getClaimableEarning(lab.address, productUID)).to.equal(300);
+        expect(await profit.getClaimableEarning(clinic.address, productUID)).to.equal(600);
+        expect(await profit.getClaimableEarning(secondWallet.address, productUID)).to.equal(600);
+
+        await expect(profit.connect(lab).withdraw(productUID))
+        .to.emit(profit, "Withdrawal")
+        .withArgs(lab.address, productUID, 300);
+        await expect(profit.connect(clinic).withdraw(productUID))
+        .to.emit(profit, "Withdrawal")
+        .withArgs(clinic.address, productUID, 600);
+    });
+
+    it("Should only share later deposits with newly minted shards", async function () {
+        const rejuveEarning = await profit.getClaimableEarning(rejuve.address, productUID);
+        expect(rejuveEarning).to.equal(600);
+
+        // 200 more shards for a future contributor
+        await transferShards.distributeFutureShards(productUID, 20, [1], [buyer.address]);
+        expect(await profit.getClaimableEarning(buyer.address, productUID)).to.equal(0);
+        expect(await profit.getClaimableEarning(rejuve.address, productUID)).to.equal(rejuveEarning);
+
+        await deposit(2000);
+        expect(await profit.getClaimableEarning(buyer.address, productUID)).to.equal(400);
+        expect(await profit.getClaimableEarning(rejuve.address, productUID)).to.equal(1000);
+    });
+
+    it("Should never owe more than what was deposited", async function () {
+        let owed = ethers.BigNumber.from(0);
+        for (const holder of [rejuve, dataOwner, lab, buyer, secondWallet, clinic]) {
+            owed = owed.add(await profit.getClaimableEarning(holder.address, productUID));
+        }
+        const earning = await profit.getProductEarning(productUID);
+        const withdrawn = await profit.getTotalWithdrawal(productUID);
+        expect(owed.add(withdrawn)).to.equal(earning);
+        expect(await rejuveToken.balanceOf(profit.address)).to.equal(earning.sub(withdrawn));
+    });
+});
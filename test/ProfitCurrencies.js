@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../sdk");
+const { loadConfig, deployPlatform } = require("../scripts/deployment");
+
+describe("Profit distribution in several currencies", function () {
+
+    const productUID = 1001;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash = "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff51";
+    const NATIVE = ethers.constants.AddressZero;
+    const silent = () => {};
+
+    let tmpDir;
+    let rejuve, dataOwner, lab, distributor, secondWallet;
+    let identityToken, dataMgt, productNFT, transferShards, rejuveToken, stablecoin, profit;
+    let tradedId;
+    let nonce = 0;
+
+    async function depositToken(token, amount) {
+        await token.mint(amount);
+        await token.transfer(distributor.address, amount);
+        await token.connect(distributor).approve(profit.address, amount);
+        return profit.connect(distributor).depositToken(productUID, token.address, amount);
+    }
+
+    // ETH received by a holder, gas excluded
+    async function etherReceived(holder, send) {
+        const before = await ethers.provider.getBalance(holder.address);
+        const receipt = await (await send()).wait();
+        const after = await ethers.provider.getBalance(holder.address);
+        return after.sub(before).add(receipt.gasUsed.mul(receipt.effectiveGasPrice));
+    }
+
+    before(async function () {
+        [rejuve, dataOwner, lab, distributor, secondWallet] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-currencies-"));
+
+        const config = loadConfig(path.join(__dirname, "..", "deploy", "localhost.json"));
+        const manifest = await deployPlatform(hre, config, {
+            manifestPath: path.join(tmpDir, "hardhat.json"),
+            log: silent
+        });
+        const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+        identityToken = await at("IdentityToken");
+        dataMgt = await at("DataManagement");
+        productNFT = await at("ProductNFT");
+        transferShards = await at("TransferShards");
+        rejuveToken = await ethers.getContractAt("RejuveTokenTest", manifest.contracts.RejuveToken.address);
+        profit = await at("ProfitDistribution");
+
+        const _stablecoin = await ethers.getContractFactory("RejuveTokenTest");
+        stablecoin = await _stablecoin.deploy("USD Coin", "USDC");
+
+        for (const user of [dataOwner, lab]) {
+            const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+            const signature = await sdk.signIdentity(user, identityToken, message);
+            await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+        }
+        const submission = { signer: dataOwner.address, dhash: dataHash, nonce: ++nonce };
+        await dataMgt.submitData(
+            dataOwner.address, await sdk.signDataSubmission(dataOwner, dataMgt, submission), dataHash, submission.nonce
+        );
+        const permission = {
+            dataowner: dataOwner.address,
+            requesterId: await identityToken.getOwnerIdentity(lab.address),
+            dhash: dataHash,
+            productId: productUID,
+            nonce: ++nonce,
+            expiration: 2 * 24 * 60 * 60
+        };
+        await dataMgt.connect(lab).getPermission(
+            dataOwner.address, await sdk.signPermission(dataOwner, dataMgt, permission),
+            dataHash, productUID, permission.nonce, permission.expiration
+        );
+        const product = {
+            productUID,
+            nonce: ++nonce,
+            productURI: "/productURI",
+            signer: rejuve.address,
+            dataHashes: [dataHash],
+            creditScores: [10],
+            caller: lab.address
+        };
+        await productNFT.connect(lab).createProduct(
+            productUID, product.nonce, product.productURI, rejuve.address,
+            await sdk.signProduct(rejuve, productNFT, product), product.dataHashes, product.creditScores
+        );
+        await productNFT.connect(lab).setProductStatus(productUID, 1);
+
+        // everything tradable: data owner & lab 300 shards each, Rejuve 200
+        await transferShards.setVestingSchedule(productUID, 0, 0, 0);
+        await transferShards.distributeInitialShards(
+            productUID, 1000, 10, 60, 60, 20, lab.address, rejuve.address, ["/locked", "/traded"]
+        );
+        [, tradedId] = await transferShards.getProductIDs(productUID);
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should only let owner allow-list currencies", async function () {
+        expect(await profit.isCurrencyAllowed(rejuveToken.address)).to.equal(true);
+        expect(await profit.isCurrencyAllowed(stablecoin.address)).to.equal(false);
+
+        await expect(profit.connect(lab).setCurrencyAllowed(stablecoin.address, true))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(profit.setCurrencyAllowed(rejuveToken.address, false))
+        .to.be.revertedWith("REJUVE: RJV is always allowed");
+
+        await expect(depositToken(stablecoin, 800))
+        .to.be.revertedWith("REJUVE: Currency Not Allowed");
+        await expect(profit.connect(distributor).depositETH(productUID, { value: 800 }))
+        .to.be.revertedWith("REJUVE: Currency Not Allowed");
+
+        await expect(profit.setCurrencyAllowed(stablecoin.address, true))
+        .to.emit(profit, "CurrencyAllowListUpdated")
+        .withArgs(stablecoin.address, true);
+        await profit.setCurrencyAllowed(NATIVE, true);
+        expect(await profit.isCurrencyAllowed(NATIVE)).to.equal(true);
+    });
+
+    it("Should revert invalid deposits", async function () {
+        await expect(profit.connect(distributor).depositToken(productUID, NATIVE, 800))
+        .to.be.revertedWith("REJUVE: Invalid Currency");
+        await expect(profit.connect(distributor).depositETH(productUID))
+        .to.be.revertedWith("REJUVE: Zero amount");
+        await expect(distributor.sendTransaction({ to: profit.address, value: 800 }))
+        .to.be.reverted;
+    });
+
+    it("Should track deposits of every currency separately", async function () {
+        await expect(depositToken(stablecoin, 800))
+        .to.emit(profit, "CurrencyPaymentReceived")
+        .withArgs(distributor.address, productUID, stablecoin.address, 800);
+        await expect(profit.connect(distributor).depositETH(productUID, { value: 1600 }))
+        .to.emit(profit, "CurrencyPaymentReceived")
+        .withArgs(distributor.address, productUID, NATIVE, 1600);
+        await expect(depositToken(rejuveToken, 400))
+        .to.emit(profit, "PaymentReceived")
+        .withArgs(distributor.address, productUID, 400);
+
+        expect(await profit.getProductCurrencies(productUID))
+        .to.deep.equal([stablecoin.address, NATIVE, rejuveToken.address]);
+        expect(await profit.getProductEarning(productUID)).to.equal(400);
+        expect(await profit.getProductEarningIn(productUID, stablecoin.address)).to.equal(800);
+        expect(await profit.getProductEarningIn(productUID, NATIVE)).to.equal(1600);
+        expect(await ethers.provider.getBalance(profit.address)).to.equal(1600);
+
+        const [currencies, amounts] = await profit.getClaimableCurrencies(dataOwner.address, productUID);
+        expect(currencies).to.deep.equal([stablecoin.address, NATIVE, rejuveToken.address]);
+        expect(amounts.map((amount) => amount.toNumber())).to.deep.equal([300, 600, 150]);
+        expect(await profit.getClaimableEarning(dataOwner.address, productUID)).to.equal(150);
+    });
+
+    it("Should settle every currency on shard transfers", async function () {
+        await transferShards.connect(dataOwner).safeTransferFrom(
+            dataOwner.address, secondWallet.address, tradedId, 300, "0x"
+        );
+        await depositToken(stablecoin, 800);
+
+        const claimable = (holder) => profit.getClaimableEarningsIn(stablecoin.address, holder.address, [productUID]);
+        expect((await claimable(dataOwner))[0]).to.equal(300);
+        expect((await claimable(secondWallet))[0]).to.equal(300);
+        expect((await profit.getClaimableCurrencies(secondWallet.address, productUID))[1]
+            .map((amount) => amount.toNumber())).to.deep.equal([300, 0, 0]);
+    });
+
+    it("Should let holders claim each currency", async function () {
+        await expect(profit.connect(dataOwner).withdrawCurrency(stablecoin.address, [productUID]))
+        .to.emit(profit, "CurrencyWithdrawal")
+        .withArgs(dataOwner.address, productUID, stablecoin.address, 300);
+        expect(await stablecoin.balanceOf(dataOwner.address)).to.equal(300);
+
+        let tx;
+        const received = await etherReceived(dataOwner, () => {
+            tx = profit.connect(dataOwner).withdrawCurrency(NATIVE, [productUID]);
+            return tx;
+        });
+        expect(received).to.equal(600);
+        await expect(tx)
+        .to.emit(profit, "CurrencyWithdrawal")
+        .withArgs(dataOwner.address, productUID, NATIVE, 600);
+
+        // RJV through withdrawCurrency keeps the RJV event
+        await expect(profit.connect(dataOwner).withdrawCurrency(rejuveToken.address, [productUID]))
+        .to.emit(profit, "Withdrawal")
+        .withArgs(dataOwner.address, productUID, 150);
+
+        await expect(profit.connect(dataOwner).withdrawCurrency(NATIVE, [productUID]))
+        .to.be.revertedWith("REJUVE: No user earning");
+        expect(await profit.getTotalWithdrawalIn(productUID, NATIVE)).to.equal(600);
+        expect(await profit.getTotalWithdrawal(productUID)).to.equal(150);
+    });
+
+    it("Should keep earnings withdrawable once a currency is removed", async function () {
+        await profit.setCurrencyAllowed(stablecoin.address, false);
+        await expect(depositToken(stablecoin, 800))
+        .to.be.revertedWith("REJUVE: Currency Not Allowed");
+
+        await profit.connect(secondWallet).withdrawCurrency(stablecoin.address, [productUID]);
+        expect(await stablecoin.balanceOf(secondWallet.address)).to.equal(300);
+    });
+
+    it("Should never owe more than what was deposited in any currency", async function () {
+        for (const currency of [stablecoin.address, NATIVE, rejuveToken.address]) {
+            let owed = ethers.BigNumber.from(0);
+            for (const holder of [rejuve, dataOwner, lab, secondWallet]) {
+                owed = owed.add((await profit.getClaimableEarningsIn(currency, holder.address, [productUID]))[0]);
+            }
+            const earning = await profit.getProductEarningIn(productUID, currency);
+            const withdrawn = await profit.getTotalWithdrawalIn(productUID, currency);
+            expect(owed.add(withdrawn)).to.equal(earning);
+
+            const held = currency === NATIVE
+                ? await ethers.provider.getBalance(profit.address)
+                : await (await ethers.getContractAt("RejuveTokenTest", currency)).balanceOf(profit.address);
+            expect(held).to.equal(earning.sub(withdrawn));
+        }
+    });
+});
@@ -0,0 +1,348 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../sdk");
+const { loadConfig, deployPlatform } = require("../scripts/deployment");
+
+describe("Royalty routing from distributor agreements", function () {
+
+    const productUID = 1101;
+    const period = 30 * 24 * 60 * 60;
+    const year = 365 * 24 * 60 * 60;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash = "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff61";
+    const agreementHash = "0x9805b0899794e98a97a8eafec929e7be05545fd5240c18372121c5ddf725e4f6";
+    const silent = () => {};
+
+    let tmpDir;
+    let rejuve, dataOwner, lab, distributor, keeper;
+    let identityToken, dataMgt, productNFT, transferShards, rejuveToken, profit, agreement;
+    let nonce = 0;
+
+    // 50 RJV per unit, 20% royalty => 10 RJV per unit, running for a year
+    async function createAgreement(uid, units) {
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        const terms = {
+            distributor: distributor.address,
+            agreement: agreementHash,
+            productUID: uid,
+            units,
+            unitPrice: 50,
+            percentage: 20,
+            startDate: now,
+            endDate: now + year,
+            nonce: ++nonce
+        };
+        await agreement.createAgreement(
+            distributor.address,
+            await sdk.signDistributorAgreement(distributor, agreement, terms),
+            await sdk.signDistributorAgreement(rejuve, agreement, terms),
+            agreementHash, uid, units, 50, 20, terms.startDate, terms.endDate, nonce
+        );
+        return (await agreement.getAgreementCount()).toNumber();
+    }
+
+    async function status(agreementId = 1) {
+        const royalty = await agreement.getRoyaltyStatus(agreementId);
+        return royalty.map((value) => value.toNumber());
+    }
+
+    async function createProduct(uid) {
+        const permission = {
+            dataowner: dataOwner.address,
+            requesterId: await identityToken.getOwnerIdentity(lab.address),
+            dhash: dataHash,
+            productId: uid,
+            nonce: ++nonce,
+            expiration: 2 * 24 * 60 * 60
+        };
+        await dataMgt.connect(lab).getPermission(
+            dataOwner.address, await sdk.signPermission(dataOwner, dataMgt, permission),
+            dataHash, uid, permission.nonce, permission.expiration
+        );
+        const product = {
+            productUID: uid,
+            nonce: ++nonce,
+            productURI: "/productURI",
+            signer: rejuve.address,
+            dataHashes: [dataHash],
+            creditScores: [10],
+            caller: lab.address
+        };
+        await productNFT.connect(lab).createProduct(
+            uid, product.nonce, product.productURI, rejuve.address,
+            await sdk.signProduct(rejuve, productNFT, product), product.dataHashes, product.creditScores
+        );
+    }
+
+    // everything tradable: data owner & lab 300 shards each, Rejuve 200
+    async function distributeShards(uid) {
+        await transferShards.setVestingSchedule(uid, 0, 0, 0);
+        await transferShards.distributeInitialShards(
+            uid, 1000, 10, 60, 60, 20, lab.address, rejuve.address, ["/locked", "/traded"]
+        );
+    }
+
+    before(async function () {
+        [rejuve, dataOwner, lab, distributor, keeper] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-royalties-"));
+
+        const config = loadConfig(path.join(__dirname, "..", "deploy", "localhost.json"));
+        const manifest = await deployPlatform(hre, config, {
+            manifestPath: path.join(tmpDir, "hardhat.json"),
+            log: silent
+        });
+        const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+        identityToken = await at("IdentityToken");
+        dataMgt = await at("DataManagement");
+        productNFT = await at("ProductNFT");
+        transferShards = await at("TransferShards");
+        rejuveToken = await ethers.getContractAt("RejuveTokenTest", manifest.contracts.RejuveToken.address);
+        profit = await at("ProfitDistribution");
+        agreement = await at("DistributorAgreement");
+
+        for (const user of [dataOwner, lab]) {
+            const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+            const signature = await sdk.signIdentity(user, identityToken, message);
+            await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+        }
+        const submission = { signer: dataOwner.address, dhash: dataHash, nonce: ++nonce };
+        await dataMgt.submitData(
+            dataOwner.address, await sdk.signDataSubmission(dataOwner, dataMgt, submission), dataHash, submission.nonce
+        );
+        await createProduct(productUID);
+        await productNFT.connect(lab).setProductStatus(productUID, 1);
+
+        await distributeShards(productUID);
+
+        await rejuveToken.mint(10000);
+        await rejuveToken.transfer(distributor.address, 10000);
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should be routed into ProfitDistribution by the deployment", async function () {
+        expect(await agreement.getProfitDistribution()).to.equal(profit.address);
+        expect(await agreement.getRoyaltyCurrency()).to.equal(rejuveToken.address);
+        expect(await agreement.getPaymentPeriod()).to.equal(period);
+    });
+
+    it("Should only let owner configure royalty routing", async function () {
+        await expect(agreement.connect(keeper).setProfitDistribution(keeper.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(agreement.connect(keeper).setRoyaltyCurrency(keeper.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(agreement.connect(keeper).setPaymentPeriod(period))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(agreement.setPaymentPeriod(0))
+        .to.be.revertedWith("REJUVE: Zero Period");
+
+        await expect(agreement.setPaymentPeriod(period))
+        .to.emit(agreement, "PaymentPeriodUpdated")
+        .withArgs(period);
+    });
+
+    it("Should revert invalid sales reports", async function () {
+        await expect(agreement.connect(distributor).reportSales(1, 10))
+        .to.be.revertedWith("REJUVE: No agreement");
+
+        expect(await createAgreement(productUID, 100)).to.equal(1);
+        await expect(agreement.connect(keeper).reportSales(1, 10))
+        .to.be.revertedWith("REJUVE: Not the distributor");
+        await expect(agreement.connect(distributor).reportSales(1, 0))
+        .to.be.revertedWith("REJUVE: Units cannot be zero");
+        await expect(agreement.connect(distributor).reportSales(1, 101))
+        .to.be.revertedWith("REJUVE: Units exceed agreement");
+    });
+
+    it("Should keep the royalty outstanding without allowance", async function () {
+        const tx = await agreement.connect(distributor).reportSales(1, 10);
+        const reportedAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp;
+        await expect(tx)
+        .to.emit(agreement, "SalesReported")
+        .withArgs(1, distributor.address, productUID, 0, 10, 100, reportedAt + period);
+        await expect(tx).to.not.emit(agreement, "RoyaltyPaid");
+
+        // units reported, outstanding, overdue, late payments
+        expect(await status()).to.deep.equal([10, 100, 0, 0]);
+        expect(await profit.getProductEarning(productUID)).to.equal(0);
+
+        // outstanding royalties are amounts of the current currency
+        await expect(agreement.setRoyaltyCurrency(keeper.address))
+        .to.be.revertedWith("REJUVE: Royalties outstanding");
+    });
+
+    it("Should let the distributor pay part of its royalty", async function () {
+        await expect(agreement.connect(keeper).payRoyalties(1, 40))
+        .to.be.revertedWith("REJUVE: Not the distributor");
+        await expect(agreement.connect(distributor).payRoyalties(1, 0))
+        .to.be.revertedWith("REJUVE: Zero amount");
+        await expect(agreement.connect(distributor).payRoyalties(1, 101))
+        .to.be.revertedWith("REJUVE: Amount exceeds outstanding royalty");
+
+        await rejuveToken.connect(distributor).approve(agreement.address, 40);
+        await expect(agreement.connect(distributor).payRoyalties(1, 40))
+        .to.emit(agreement, "RoyaltyPaid")
+        .withArgs(1, distributor.address, productUID, 0, 40)
+        .and.to.emit(profit, "PaymentReceived")
+        .withArgs(agreement.address, productUID, 40);
+
+        expect(await status()).to.deep.equal([10, 60, 0, 0]);
+        expect(await profit.getProductEarning(productUID)).to.equal(40);
+        expect(await profit.getClaimableEarning(dataOwner.address, productUID)).to.equal(15);
+    });
+
+    it("Should pull the royalty on report when the allowance covers it", async function () {
+        // covers the 60 left of the first report and the 50 of this one
+        await rejuveToken.connect(distributor).approve(agreement.address, 110);
+        const tx = agreement.connect(distributor).reportSales(1, 5);
+        await expect(tx)
+        .to.emit(agreement, "RoyaltyPaid")
+        .withArgs(1, distributor.address, productUID, 0, 60);
+        await expect(tx)
+        .to.emit(agreement, "RoyaltyPaid")
+        .withArgs(1, distributor.address, productUID, 1, 50);
+        await expect(tx).to.not.emit(agreement, "LatePayment");
+
+        expect(await status()).to.deep.equal([15, 0, 0, 0]);
+        expect(await profit.getProductEarning(productUID)).to.equal(150);
+        expect(await rejuveToken.balanceOf(agreement.address)).to.equal(0);
+    });
+
+    it("Should track overdue royalties and late payments", async function () {
+        await agreement.connect(distributor).reportSales(1, 20);
+        await hre.network.provider.send("evm_increaseTime", [period + 1]);
+        await hre.network.provider.send("evm_mine");
+        expect(await status()).to.deep.equal([35, 200, 200, 0]);
+
+        await expect(agreement.connect(keeper).collectRoyalties(1))
+        .to.be.revertedWith("ERC20: insufficient allowance");
+
+        await rejuveToken.connect(distributor).approve(agreement.address, 200);
+        await expect(agreement.connect(keeper).collectRoyalties(1))
+        .to.emit(agreement, "LatePayment");
+        expect(await status()).to.deep.equal([35, 0, 0, 1]);
+
+        await expect(agreement.connect(keeper).collectRoyalties(1))
+        .to.be.revertedWith("REJUVE: No outstanding royalty");
+    });
+
+    it("Should page sales reports", async function () {
+        const [reports, total] = await agreement.getSalesReports(1, 1, 5);
+
+        expect(total).to.equal(3);
+        expect(reports.map((report) => [report.units.toNumber(), report.royalty.toNumber(), report.paid.toNumber()]))
+        .to.deep.equal([[5, 50, 50], [20, 200, 200]]);
+        expect((await agreement.getSalesReports(1, 3, 5))[0]).to.deep.equal([]);
+    });
+
+    it("Should keep units and royalties of each agreement apart", async function () {
+        expect(await createAgreement(productUID, 10)).to.equal(2);
+        await expect(agreement.connect(distributor).reportSales(2, 11))
+        .to.be.revertedWith("REJUVE: Units exceed agreement");
+
+        await agreement.connect(distributor).reportSales(2, 10);
+        expect(await status(2)).to.deep.equal([10, 100, 0, 0]);
+        expect(await status(1)).to.deep.equal([35, 0, 0, 1]);
+    });
+
+    it("Should keep royalties payable once the agreement is terminated", async function () {
+        const terms = { agreementId: 2, nonce: ++nonce };
+        await agreement.terminateAgreement(
+            2, nonce,
+            await sdk.signAgreementTermination(distributor, agreement, terms),
+            await sdk.signAgreementTermination(rejuve, agreement, terms)
+        );
+        await expect(agreement.connect(distributor).reportSales(2, 1))
+        .to.be.revertedWith("REJUVE: Agreement Not Active");
+
+        await rejuveToken.connect(distributor).approve(agreement.address, 100);
+        await expect(agreement.connect(keeper).collectRoyalties(2))
+        .to.emit(agreement, "RoyaltyPaid")
+        .withArgs(2, distributor.address, productUID, 0, 100);
+        expect(await status(2)).to.deep.equal([10, 0, 0, 0]);
+    });
+
+    it("Should only accept royalty deposits from DistributorAgreement", async function () {
+        expect(await profit.getRoyaltyDepositor()).to.equal(agreement.address);
+        await expect(profit.connect(keeper).depositRoyalty(productUID, rejuveToken.address, 10))
+        .to.be.revertedWith("REJUVE: Only Royalty Depositor");
+        await expect(profit.connect(keeper).setRoyaltyDepositor(keeper.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should route royalties of a Retired product", async function () {
+        const retiredUID = productUID + 1;
+        await createProduct(retiredUID);
+        await productNFT.connect(lab).setProductStatus(retiredUID, 1);
+        await distributeShards(retiredUID);
+        const agreementId = await createAgreement(retiredUID, 100);
+        await agreement.connect(distributor).reportSales(agreementId, 10);
+        await productNFT.connect(lab).setProductStatus(retiredUID, 2);
+
+        await rejuveToken.connect(distributor).approve(profit.address, 100);
+        await expect(profit.connect(distributor).deposit(retiredUID, 100))
+        .to.be.revertedWith("REJUVE: Product Not Active");
+
+        await rejuveToken.connect(distributor).approve(agreement.address, 200);
+        await expect(agreement.connect(distributor).payRoyalties(agreementId, 100))
+        .to.emit(profit, "PaymentReceived")
+        .withArgs(agreement.address, retiredUID, 100);
+        await agreement.connect(distributor).reportSales(agreementId, 10);
+
+        expect(await status(agreementId)).to.deep.equal([20, 0, 0, 0]);
+        expect(await profit.getProductEarning(retiredUID)).to.equal(200);
+        expect(await profit.getClaimableEarning(dataOwner.address, retiredUID)).to.equal(75);
+    });
+
+    it("Should hold royalties of a product without shards in escrow", async function () {
+        const draftUID = productUID + 2;
+        await createProduct(draftUID);
+        const agreementId = await createAgreement(draftUID, 100);
+
+        await rejuveToken.connect(distributor).approve(agreement.address, 100);
+        await expect(agreement.connect(distributor).reportSales(agreementId, 10))
+        .to.emit(agreement, "RoyaltyEscrowed")
+        .withArgs(draftUID, 100);
+        expect(await status(agreementId)).to.deep.equal([10, 0, 0, 0]);
+        expect(await agreement.getEscrowedRoyalty(draftUID)).to.equal(100);
+        expect(await rejuveToken.balanceOf(agreement.address)).to.equal(100);
+
+        await expect(agreement.connect(keeper).releaseEscrowedRoyalty(draftUID))
+        .to.be.revertedWith("REJUVE: No shards");
+        await expect(agreement.setRoyaltyCurrency(keeper.address))
+        .to.be.revertedWith("REJUVE: Royalties outstanding");
+
+        await distributeShards(draftUID);
+        await expect(agreement.connect(keeper).releaseEscrowedRoyalty(draftUID))
+        .to.emit(agreement, "EscrowedRoyaltyReleased")
+        .withArgs(draftUID, 100)
+        .and.to.emit(profit, "PaymentReceived")
+        .withArgs(agreement.address, draftUID, 100);
+        expect(await agreement.getEscrowedRoyalty(draftUID)).to.equal(0);
+        expect(await profit.getClaimableEarning(lab.address, draftUID)).to.equal(37);
+
+        await expect(agreement.connect(keeper).releaseEscrowedRoyalty(draftUID))
+        .to.be.revertedWith("REJUVE: No escrowed royalty");
+
+        // nothing owed or escrowed anymore
+        await expect(agreement.setRoyaltyCurrency(rejuveToken.address))
+        .to.emit(agreement, "RoyaltyCurrencyUpdated")
+        .withArgs(rejuveToken.address);
+    });
+
+    it("Should refuse payments before royalty routing is set", async function () {
+        const _agreement = await ethers.getContractFactory("DistributorAgreement");
+        agreement = await _agreement.deploy();
+        await createAgreement(productUID, 100);
+
+        await agreement.connect(distributor).reportSales(1, 10);
+        expect(await status()).to.deep.equal([10, 100, 0, 0]);
+        await expect(agreement.connect(distributor).payRoyalties(1, 100))
+        .to.be.revertedWith("REJUVE: Royalty routing not set");
+    });
+});
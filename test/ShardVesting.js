@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../sdk");
+const { loadConfig, deployPlatform } = require("../scripts/deployment");
+let time = require("./modules/TestTime");
+
+describe("Shard vesting", function () {
+
+    const linearProduct = 600;
+    const cliffProduct = 601;
+    const day = 24 * 60 * 60;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash1 = "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff21";
+    const dataHash2 = "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff22";
+    const LINEAR = 1;
+    const silent = () => {};
+
+    let tmpDir;
+    let rejuve, dataOwner, lab, other;
+    let identityToken, dataMgt, productNFT, transferShards;
+    let nonce = 0;
+
+    async function createProduct(productUID, dataHash) {
+        const submission = { signer: dataOwner.address, dhash: dataHash, nonce: ++nonce };
+        await dataMgt.submitData(
+            dataOwner.address, await sdk.signDataSubmission(dataOwner, dataMgt, submission), dataHash, submission.nonce
+        );
+        const permission = {
+            dataowner: dataOwner.address,
+            requesterId: await identityToken.getOwnerIdentity(lab.address),
+            dhash: dataHash,
+            productId: productUID,
+            nonce: ++nonce,
+            expiration: 2 * day
+        };
+        await dataMgt.connect(lab).getPermission(
+            dataOwner.address, await sdk.signPermission(dataOwner, dataMgt, permission),
+            dataHash, productUID, permission.nonce, permission.expiration
+        );
+        const product = {
+            productUID,
+            nonce: ++nonce,
+            productURI: "/productURI",
+            signer: rejuve.address,
+            dataHashes: [dataHash],
+            creditScores: [10],
+            caller: lab.address
+        };
+        await productNFT.connect(lab).createProduct(
+            productUID, product.nonce, product.productURI, rejuve.address,
+            await sdk.signProduct(rejuve, productNFT, product), product.dataHashes, product.creditScores
+        );
+    }
+
+    function distribute(productUID) {
+        // data owner & lab get 300 shards each, Rejuve 100
+        return transferShards.distributeInitialShards(
+            productUID, 1000, 10, 10 * day, 60, 10, lab.address, rejuve.address, ["/locked", "/traded"]
+        );
+    }
+
+    before(async function () {
+        [rejuve, dataOwner, lab, other] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-vesting-"));
+
+        const config = loadConfig(path.join(__dirname, "..", "deploy", "localhost.json"));
+        const manifest = await deployPlatform(hre, config, {
+            manifestPath: path.join(tmpDir, "hardhat.json"),
+            log: silent
+        });
+        const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+        identityToken = await at("IdentityToken");
+        dataMgt = await at("DataManagement");
+        productNFT = await at("ProductNFT");
+        transferShards = await at("TransferShards");
+
+        for (const user of [dataOwner, lab]) {
+            const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+            const signature = await sdk.signIdentity(user, identityToken, message);
+            await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+        }
+        await createProduct(linearProduct, dataHash1);
+        await createProduct(cliffProduct, dataHash2);
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    //------------------------ Schedule -------------------------//
+
+    it("Should revert invalid vesting schedules", async function () {
+        await expect(transferShards.connect(lab).setVestingSchedule(linearProduct, 20, LINEAR, 100 * day))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(transferShards.setVestingSchedule(linearProduct, 101, LINEAR, 100 * day))
+        .to.be.revertedWith("REJUVE: Invalid Locked Percent");
+        await expect(transferShards.setVestingSchedule(linearProduct, 20, LINEAR, 0))
+        .to.be.revertedWith("REJUVE: Vesting duration cannot be zero");
+    });
+
+    it("Should revert if linear vesting is shorter than the lock period", async function () {
+        await transferShards.setVestingSchedule(linearProduct, 20, LINEAR, 5 * day);
+        await expect(distribute(linearProduct))
+        .to.be.revertedWith("REJUVE: Vesting shorter than lock period");
+    });
+
+    it("Should split shards as per the product schedule", async function () {
+        await expect(transferShards.setVestingSchedule(linearProduct, 20, LINEAR, 100 * day))
+        .to.emit(transferShards, "VestingScheduleSet")
+        .withArgs(linearProduct, 20, LINEAR, 100 * day);
+        await distribute(linearProduct);
+        await distribute(cliffProduct);
+
+        const [lockedId, tradedId] = await transferShards.getProductIDs(linearProduct);
+        expect(await transferShards.balanceOf(dataOwner.address, lockedId)).to.equal(60);
+        expect(await transferShards.balanceOf(dataOwner.address, tradedId)).to.equal(240);
+
+        // default: 50% locked
+        const [defaultLockedId] = await transferShards.getProductIDs(cliffProduct);
+        expect(await transferShards.balanceOf(dataOwner.address, defaultLockedId)).to.equal(150);
+        const schedule = await transferShards.getVestingSchedule(cliffProduct);
+        expect(schedule.lockedPercent).to.equal(50);
+        expect(schedule.kind).to.equal(0);
+        expect(schedule.lockEnd.sub(schedule.start)).to.equal(10 * day);
+
+        await expect(transferShards.setVestingSchedule(linearProduct, 30, LINEAR, 100 * day))
+        .to.be.revertedWith("REJUVE: Initial shards distributed already");
+    });
+
+    //------------------------ Locked transfers -------------------------//
+
+    it("Should not transfer locked shards", async function () {
+        const [lockedId, tradedId] = await transferShards.getProductIDs(linearProduct);
+
+        await expect(transferShards.connect(dataOwner).safeTransferFrom(dataOwner.address, other.address, lockedId, 1, "0x"))
+        .to.be.revertedWith("REJUVE: Locked shards are not transferable");
+        await expect(transferShards.connect(dataOwner).safeBatchTransferFrom(
+            dataOwner.address, other.address, [tradedId, lockedId], [1, 1], "0x"
+        )).to.be.revertedWith("REJUVE: Locked shards are not transferable");
+
+        await transferShards.connect(dataOwner).safeTransferFrom(dataOwner.address, other.address, tradedId, 1, "0x");
+        expect(await transferShards.balanceOf(other.address, tradedId)).to.equal(1);
+    });
+
+    //------------------------ Vesting -------------------------//
+
+    it("Should not vest anything during the lock period", async function () {
+        expect(await transferShards.getClaimableShards(linearProduct, dataOwner.address)).to.equal(0);
+        expect(await transferShards.getClaimableShards(cliffProduct, dataOwner.address)).to.equal(0);
+        await expect(transferShards.connect(dataOwner).claimVestedShards(linearProduct))
+        .to.be.revertedWith("REJUVE: No vested shards");
+    });
+
+    it("Should vest linearly and claim vested shards as traded shards", async function () {
+        await time.checkTimeAfter(50);
+        const [lockedId, tradedId] = await transferShards.getProductIDs(linearProduct);
+        const supply = await transferShards.totalShardSupply(linearProduct);
+
+        // 60 locked over 100 days
+        expect(await transferShards.getClaimableShards(linearProduct, dataOwner.address)).to.equal(30);
+        await expect(transferShards.connect(dataOwner).claimVestedShards(linearProduct))
+        .to.emit(transferShards, "VestedShardsClaimed")
+        .withArgs(linearProduct, dataOwner.address, 30);
+
+        expect(await transferShards.balanceOf(dataOwner.address, lockedId)).to.equal(30);
+        expect(await transferShards.balanceOf(dataOwner.address, tradedId)).to.equal(269);
+        expect(await transferShards.getClaimableShards(linearProduct, dataOwner.address)).to.equal(0);
+        expect(await transferShards.totalShardSupply(linearProduct)).to.equal(supply);
+    });
+
+    it("Should vest everything at the end of the schedule", async function () {
+        await time.checkTimeAfter(60);
+
+        const locked = await transferShards.getLockedShards(linearProduct, dataOwner.address);
+        expect(locked.granted).to.equal(60);
+        expect(locked.vested).to.equal(60);
+        expect(locked.claimed).to.equal(30);
+        expect(await transferShards.getClaimableShards(linearProduct, dataOwner.address)).to.equal(30);
+    });
+
+    it("Should vest everything at the cliff by default", async function () {
+        const [lockedId, tradedId] = await transferShards.getProductIDs(cliffProduct);
+        expect(await transferShards.getClaimableShards(cliffProduct, lab.address)).to.equal(150);
+
+        await transferShards.connect(lab).claimVestedShards(cliffProduct);
+        expect(await transferShards.balanceOf(lab.address, lockedId)).to.equal(0);
+        expect(await transferShards.balanceOf(lab.address, tradedId)).to.equal(300);
+    });
+
+    it("Should still not transfer locked shards after the lock period, only once claimed", async function () {
+        const [lockedId, tradedId] = await transferShards.getProductIDs(cliffProduct);
+        expect(await transferShards.balanceOf(dataOwner.address, lockedId)).to.equal(150);
+
+        await expect(transferShards.connect(dataOwner).safeTransferFrom(dataOwner.address, other.address, lockedId, 150, "0x"))
+        .to.be.revertedWith("REJUVE: Locked shards are not transferable");
+
+        await transferShards.connect(dataOwner).claimVestedShards(cliffProduct);
+        await transferShards.connect(dataOwner).safeTransferFrom(dataOwner.address, other.address, tradedId, 300, "0x");
+        expect(await transferShards.balanceOf(other.address, tradedId)).to.equal(300);
+    });
+});
@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const sdk = require("../sdk");
+let time = require("./modules/TestTime");
+
+describe("Sponsor Registry Contract", function () {
+
+    let identityToken;
+    let dataMgt;
+    let registry;
+    let owner;
+    let clinic;
+    let otherClinic;
+    let user1;
+    let user2;
+    let user3;
+    let nonce = 0;
+    const period = 30 * 24 * 60 * 60; // 30 days
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const zero_address = "0x0000000000000000000000000000000000000000";
+    const dataHashes = [
+        "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff01",
+        "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff02",
+        "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff03"
+    ];
+
+    async function createIdentity(sponsor, user) {
+        ++nonce;
+        const signature = await sdk.signIdentity(user, identityToken, { kyc: kyc, signer: user.address, uri: "/tokenURIHere", nonce: nonce });
+        return identityToken.connect(sponsor).createIdentity(signature, kyc, user.address, "/tokenURIHere", nonce);
+    }
+
+    async function submitData(sponsor, user, dataHash) {
+        ++nonce;
+        const signature = await sdk.signDataSubmission(user, dataMgt, { signer: user.address, dhash: dataHash, nonce: nonce });
+        return dataMgt.connect(sponsor).submitData(user.address, signature, dataHash, nonce);
+    }
+
+    before(async function () {
+        [owner, clinic, otherClinic, user1, user2, user3] = await ethers.getSigners();
+
+        const _identityToken = await ethers.getContractFactory("IdentityToken");
+        identityToken = await _identityToken.deploy("Rejuve Identities", "RUI", "1.0.0", clinic.address);
+
+        const _dataMgt = await ethers.getContractFactory("DataManagement");
+        dataMgt = await _dataMgt.deploy("Data management", "1.0.0", clinic.address, identityToken.address);
+
+        const _registry = await ethers.getContractFactory("SponsorRegistry");
+        registry = await _registry.deploy(period);
+
+        await identityToken.grantRole(await identityToken.SPONSOR_ROLE(), otherClinic.address);
+        await dataMgt.grantRole(await dataMgt.SPONSOR_ROLE(), otherClinic.address);
+    });
+
+    //------------ Registry -------
+
+    it("Should revert if period length is zero", async function () {
+        const _registry = await ethers.getContractFactory("SponsorRegistry");
+        await expect(_registry.deploy(0)).to.be.revertedWith("REJUVE: Zero Period");
+    });
+
+    it("Should register a sponsor with metadata and quotas", async function () {
+        await expect(registry.connect(clinic).registerSponsor(clinic.address, "ipfs://clinic", 2, 3))
+        .to.be.reverted;
+        await expect(registry.registerSponsor(zero_address, "ipfs://clinic", 2, 3))
+        .to.be.revertedWith("REJUVE: Zero Address");
+
+        await expect(registry.registerSponsor(clinic.address, "ipfs://clinic", 2, 3))
+        .to.emit(registry, "SponsorRegistered")
+        .withArgs(clinic.address, "ipfs://clinic", 2, 3);
+
+        const sponsor = await registry.getSponsor(clinic.address);
+        expect(sponsor.metadataURI).to.equal("ipfs://clinic");
+        expect(sponsor.identityQuota).to.equal(2);
+        expect(sponsor.dataQuota).to.equal(3);
+        expect(await registry.isActiveSponsor(clinic.address)).to.equal(true);
+        expect(await registry.getSponsors()).to.deep.equal([clinic.address]);
+
+        await expect(registry.registerSponsor(clinic.address, "ipfs://clinic", 2, 3))
+        .to.be.revertedWith("REJUVE: Sponsor Already Registered");
+    });
+
+    it("Should only let consumer contracts use quotas", async function () {
+        await expect(registry.connect(clinic).useIdentityQuota(clinic.address))
+        .to.be.reverted;
+        await expect(registry.connect(clinic).useDataQuota(clinic.address, 1))
+        .to.be.reverted;
+    });
+
+    it("Should plug the registry into IdentityToken and DataManagement", async function () {
+        await expect(identityToken.connect(clinic).setSponsorRegistry(registry.address))
+        .to.be.reverted;
+
+        await registry.grantRole(await registry.CONSUMER_ROLE(), identityToken.address);
+        await registry.grantRole(await registry.CONSUMER_ROLE(), dataMgt.address);
+        await expect(identityToken.setSponsorRegistry(registry.address))
+        .to.emit(identityToken, "SponsorRegistryUpdated")
+        .withArgs(registry.address);
+        await dataMgt.setSponsorRegistry(registry.address);
+
+        expect(await identityToken.getSponsorRegistry()).to.equal(registry.address);
+        expect(await dataMgt.getSponsorRegistry()).to.equal(registry.address);
+    });
+
+    //------------ Quotas -------
+
+    it("Should revert if sponsor is not registered", async function () {
+        await expect(createIdentity(otherClinic, user1))
+        .to.be.revertedWith("REJUVE: Sponsor Not Registered");
+    });
+
+    it("Should count identities against the sponsor quota", async function () {
+        await expect(createIdentity(clinic, user1))
+        .to.emit(registry, "IdentityQuotaUsed")
+        .withArgs(clinic.address, identityToken.address, await registry.currentPeriod(), 1);
+        await createIdentity(clinic, user2);
+
+        await expect(createIdentity(clinic, user3))
+        .to.be.revertedWith("REJUVE: Identity Quota Exceeded");
+
+        const usage = await registry.getUsage(clinic.address);
+        expect(usage.identities).to.equal(2);
+        expect(usage.totalIdentities).to.equal(2);
+    });
+
+    it("Should count data hashes of single and batch submissions against the sponsor quota", async function () {
+        await expect(submitData(clinic, user1, dataHashes[0]))
+        .to.emit(registry, "DataQuotaUsed")
+        .withArgs(clinic.address, dataMgt.address, await registry.currentPeriod(), 1, 1);
+
+        ++nonce;
+        const batch = dataHashes.slice(1);
+        const signature = await sdk.signDataSubmissionBatch(user2, dataMgt, { signer: user2.address, dhashes: batch, nonce: nonce });
+        await dataMgt.connect(clinic).submitDataBatch(user2.address, signature, batch, nonce);
+        expect((await registry.getUsage(clinic.address)).dataSubmissions).to.equal(3);
+
+        await expect(submitData(clinic, user1, "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff04"))
+        .to.be.revertedWith("REJUVE: Data Quota Exceeded");
+    });
+
+    it("Should reset period counters and keep totals in a new period", async function () {
+        await time.checkTimeAfter(31);
+
+        const usage = await registry.getUsage(clinic.address);
+        expect(usage.identities).to.equal(0);
+        expect(usage.dataSubmissions).to.equal(0);
+        expect(usage.totalIdentities).to.equal(2);
+        expect(usage.totalDataSubmissions).to.equal(3);
+
+        await createIdentity(clinic, user3);
+        expect((await registry.getUsage(clinic.address)).totalIdentities).to.equal(3);
+    });
+
+    it("Should update sponsor quotas, 0 meaning unlimited", async function () {
+        await expect(registry.updateSponsor(otherClinic.address, "ipfs://other", 0, 0))
+        .to.be.revertedWith("REJUVE: Sponsor Not Registered");
+
+        await expect(registry.updateSponsor(clinic.address, "ipfs://clinic-v2", 0, 0))
+        .to.emit(registry, "SponsorUpdated")
+        .withArgs(clinic.address, "ipfs://clinic-v2", 0, 0);
+
+        await submitData(clinic, user1, "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff05");
+        await submitData(clinic, user1, "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff06");
+        expect((await registry.getUsage(clinic.address)).dataSubmissions).to.equal(2);
+    });
+
+    //------------ Suspension -------
+
+    it("Should suspend a single sponsor without pausing the contracts", async function () {
+        await registry.registerSponsor(otherClinic.address, "ipfs://other", 0, 0);
+        await expect(registry.connect(clinic).suspendSponsor(otherClinic.address))
+        .to.be.reverted;
+
+        await expect(registry.suspendSponsor(otherClinic.address))
+        .to.emit(registry, "SponsorSuspended")
+        .withArgs(otherClinic.address);
+        await expect(registry.suspendSponsor(otherClinic.address))
+        .to.be.revertedWith("REJUVE: Sponsor Suspended");
+        expect(await registry.isActiveSponsor(otherClinic.address)).to.equal(false);
+
+        await expect(submitData(otherClinic, user1, "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff07"))
+        .to.be.revertedWith("REJUVE: Sponsor Suspended");
+
+        // a suspended sponsor cannot update identities either
+        const tokenId = await identityToken.getOwnerIdentity(user1.address);
+        ++nonce;
+        const signature = await sdk.signIdentityUpdate(user1, identityToken, { tokenId: tokenId, kyc: kyc, signer: user1.address, uri: "/newURI", nonce: nonce });
+        await expect(identityToken.connect(otherClinic).updateIdentity(signature, tokenId, kyc, "/newURI", nonce))
+        .to.be.revertedWith("REJUVE: Sponsor Suspended");
+
+        // other sponsors keep working
+        expect(await dataMgt.paused()).to.equal(false);
+        await submitData(clinic, user1, "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff07");
+    });
+
+    it("Should reinstate a suspended sponsor", async function () {
+        await expect(registry.reinstateSponsor(clinic.address))
+        .to.be.revertedWith("REJUVE: Sponsor Not Suspended");
+
+        await expect(registry.reinstateSponsor(otherClinic.address))
+        .to.emit(registry, "SponsorReinstated")
+        .withArgs(otherClinic.address);
+        await submitData(otherClinic, user1, "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff08");
+    });
+
+    it("Should disable quotas when the registry is removed", async function () {
+        await registry.suspendSponsor(otherClinic.address);
+        await identityToken.setSponsorRegistry(zero_address);
+
+        const [, , , , , , user4] = await ethers.getSigners();
+        await createIdentity(otherClinic, user4);
+        expect(await identityToken.ifRegistered(user4.address)).to.equal(1);
+    });
+
+    it("Should change the period length", async function () {
+        await expect(registry.setPeriodLength(0))
+        .to.be.revertedWith("REJUVE: Zero Period");
+        await expect(registry.setPeriodLength(7 * 24 * 60 * 60))
+        .to.emit(registry, "PeriodLengthUpdated")
+        .withArgs(7 * 24 * 60 * 60);
+        expect(await registry.periodLength()).to.equal(7 * 24 * 60 * 60);
+    });
+});
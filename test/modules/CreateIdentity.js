@@ -8,7 +8,7 @@ const kyc = "0x" + kycDataHash;
 async function createIdentity(userAccountAddress, tokenURI, identitycontractAddress, userAccount, sponsor, identityToken) 
 {
     ++nonce;
-    let sign = await _getSign.getSignForIdentity(userAccountAddress, kyc, tokenURI, nonce, identitycontractAddress, userAccount);   
+    let sign = await _getSign.getSignForIdentity(userAccountAddress, kyc, tokenURI, nonce, identityToken, userAccount);   
     await identityToken.connect(sponsor).createIdentity(sign, kyc, userAccountAddress, tokenURI, nonce);
 }
 
@@ -1,96 +1,57 @@
+const sdk = require("../../sdk");
 
-async function getSignForIdentity(identityOwnerAddress, kyc, tokenURI, nonce, contractAddress, identityOwner) 
+async function getSignForIdentity(identityOwnerAddress, kyc, tokenURI, nonce, identityToken, identityOwner) 
 {
-  const message = ethers.utils.solidityKeccak256(
-    ['bytes32', 'address', 'string', 'uint256' ,'address'],
-      [
-        kyc,
-        identityOwnerAddress,
-        tokenURI,
-        nonce,
-        contractAddress
-      ],
-  )
-  const arrayifyMessage = ethers.utils.arrayify(message)
-  const flatSignature = await identityOwner.signMessage(arrayifyMessage)
-  return flatSignature;
+  return sdk.signIdentity(identityOwner, identityToken, {
+    kyc: kyc,
+    signer: identityOwnerAddress,
+    uri: tokenURI,
+    nonce: nonce
+  });
 }
 
-async function getSignForData(dataOwnerAddress, dataHash, nonce, contractAddress, dataOwner) 
+async function getSignForData(dataOwnerAddress, dataHash, nonce, dataMgt, dataOwner) 
 {
-  const message = ethers.utils.solidityKeccak256(
-    ['address','bytes', 'uint256' ,'address'],
-      [
-        dataOwnerAddress,
-        dataHash,
-        nonce,
-        contractAddress
-      ],
-  )
-
-  const arrayifyMessage = ethers.utils.arrayify(message)
-  const flatSignature = await dataOwner.signMessage(arrayifyMessage)
-
-  return flatSignature;
+  return sdk.signDataSubmission(dataOwner, dataMgt, {
+    signer: dataOwnerAddress,
+    dhash: dataHash,
+    nonce: nonce
+  });
 }
 
-async function getSignForPermission(dataOwnerAddress, requesterID, dataHash, nextProductUID, nonce, expiration, contractAddress, dataOwner) 
+async function getSignForPermission(dataOwnerAddress, requesterID, dataHash, nextProductUID, nonce, expiration, dataMgt, dataOwner) 
 {
-  const message = ethers.utils.solidityKeccak256(
-    ['address', 'uint256', 'bytes', 'uint256', 'uint256', 'uint256' ,'address'],
-      [
-        dataOwnerAddress,
-        requesterID,
-        dataHash,
-        nextProductUID,
-        nonce,
-        expiration,
-        contractAddress
-      ],
-  )
-
-  const arrayifyMessage = ethers.utils.arrayify(message)
-  const flatSignature = await dataOwner.signMessage(arrayifyMessage)
-
-  return flatSignature;
+  return sdk.signPermission(dataOwner, dataMgt, {
+    dataowner: dataOwnerAddress,
+    requesterId: requesterID,
+    dhash: dataHash,
+    productId: nextProductUID,
+    nonce: nonce,
+    expiration: expiration
+  });
 }
 
-async function getDistributorSign(distributorAddress, contractAddress, agreementHash, nonce, distributor) {
-
-  const message = ethers.utils.solidityKeccak256(
-    ['address','bytes', 'uint256' ,'address'],
-      [
-        distributorAddress,
-        agreementHash,
-        nonce,
-        contractAddress
-      ],
-  )
-
-  const arrayifyMessage = ethers.utils.arrayify(message)
-  const flatSignature = await distributor.signMessage(arrayifyMessage)
-
-  return flatSignature;
-
+async function getDistributorSign(distributorAddress, contractAddress, agreementHash, terms, nonce, signer) {
+  return sdk.signDistributorAgreement(signer, contractAddress, {
+    distributor: distributorAddress,
+    agreement: agreementHash,
+    productUID: terms.productUID,
+    units: terms.units,
+    unitPrice: terms.unitPrice,
+    percentage: terms.percentage,
+    startDate: terms.startDate,
+    endDate: terms.endDate,
+    nonce: nonce
+  });
 }
 
 async function getAdminSignForCoupon(adminAddress, admin, userAddress, contractAddress, couponBps, nonce) {
-  const message = ethers.utils.solidityKeccak256(
-    ['address', 'address', 'address', 'uint256', 'uint256'],
-      [
-        adminAddress,
-        userAddress,
-        contractAddress,
-        couponBps,
-        nonce
-      ],
-  );
-
-  const arrayifyMessage = ethers.utils.arrayify(message);
-  const flatSignature = await admin.signMessage(arrayifyMessage);
-
-  return flatSignature;
-
+  return sdk.signCoupon(admin, contractAddress, {
+    admin: adminAddress,
+    buyer: userAddress,
+    coupon: couponBps,
+    nonce: nonce
+  });
 }
 
 async function getSignForProduct(
@@ -104,30 +65,20 @@ async function getSignForProduct(
   contractAddress,
   signer
 ) {
-  // Hash the parameters
-  const message = ethers.utils.solidityKeccak256(
-    ['uint256', 'uint256', 'string', 'address', 'bytes32', 'uint256[]', 'address', 'address'],
-      [
-        productUID,
-        nonce,
-        productURI,
-        signerAddress,
-        data,
-        creditScores,
-        callerAddress,
-        contractAddress,
-      ],
-  );
-  const arrayifyMessage = ethers.utils.arrayify(message)
-  const flatSignature = await signer.signMessage(arrayifyMessage)
-  return flatSignature;
+  return sdk.signPackedMessage(signer, "Product", {
+    productUID: productUID,
+    nonce: nonce,
+    productURI: productURI,
+    signer: signerAddress,
+    dataHashes: data,
+    creditScores: creditScores,
+    caller: callerAddress,
+    verifyingContract: contractAddress
+  });
 }
 
 async function concatenatedHash(dataHashes) {
-  const result = ethers.utils.defaultAbiCoder.encode([ "bytes[]" ],[dataHashes] );
-  const hash = ethers.utils.keccak256(result);
-  console.log("Result is ::: ", hash);
-  return hash;
+  return sdk.hashDataHashes(dataHashes);
 }
 
 module.exports.getSignForIdentity = getSignForIdentity;
@@ -136,4 +87,4 @@ module.exports.getSignForPermission = getSignForPermission;
 module.exports.getDistributorSign = getDistributorSign;
 module.exports.getAdminSignForCoupon = getAdminSignForCoupon;
 module.exports.getSignForProduct = getSignForProduct;
-module.exports.concatenatedHash = concatenatedHash;
\ No newline at end of file
+module.exports.concatenatedHash = concatenatedHash;
@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadConfig, deployPlatform } = require("../../scripts/deployment");
+const admin = require("../../scripts/administration");
+
+describe("Platform administration", function () {
+
+    let tmpDir;
+    let manifestPath;
+    let contracts;
+    let deployer;
+    let sponsor;
+    let operator;
+
+    before(async function () {
+        [deployer, sponsor, operator] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-admin-"));
+        manifestPath = path.join(tmpDir, "hardhat.json");
+
+        const config = loadConfig(path.join(__dirname, "..", "..", "deploy", "localhost.json"));
+        config.roles.sponsors = [sponsor.address];
+        await deployPlatform(hre, config, { manifestPath: manifestPath, log: () => {} });
+        contracts = await admin.getPlatformContracts(hre, manifestPath);
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should list role holders from events and owners", async function () {
+        const list = await admin.listPermissions(contracts);
+        const byName = Object.fromEntries(list.map((entry) => [entry.contract, entry]));
+
+        expect(byName.IdentityToken.roles).to.deep.equal({
+            DEFAULT_ADMIN_ROLE: [deployer.address],
+            SPONSOR_ROLE: [sponsor.address],
+            PAUSER_ROLE: [deployer.address]
+        });
+        expect(byName.ProductNFT.roles.SIGNER_ROLE).to.deep.equal([deployer.address]);
+        expect(byName.ShardMarketplace.owner).to.equal(deployer.address);
+        expect(byName.ShardMarketplace.roles).to.equal(undefined);
+        expect(byName.DataManagement.trustedForwarder).to.equal("0x0000000000000000000000000000000000000000");
+        expect(byName.ShardMarketplace.trustedForwarder).to.equal(undefined);
+    });
+
+    it("Should grant and revoke roles", async function () {
+        await admin.grantRole(contracts, "DataManagement", "SPONSOR_ROLE", operator.address);
+        expect(await admin.grantRole(contracts, "DataManagement", "SPONSOR_ROLE", operator.address)).to.equal(null);
+        let holders = await admin.getRoleHolders(contracts.DataManagement);
+        expect(holders.SPONSOR_ROLE).to.deep.equal([sponsor.address, operator.address]);
+
+        await admin.revokeRole(contracts, "DataManagement", "SPONSOR_ROLE", sponsor.address);
+        holders = await admin.getRoleHolders(contracts.DataManagement);
+        expect(holders.SPONSOR_ROLE).to.deep.equal([operator.address]);
+    });
+
+    it("Should reject unknown roles and role calls on Ownable contracts", async function () {
+        let error;
+        try {
+            await admin.grantRole(contracts, "IdentityToken", "MINTER_ROLE", operator.address);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal("REJUVE: Unknown role MINTER_ROLE");
+
+        try {
+            await admin.grantRole(contracts, "Voting", "PAUSER_ROLE", operator.address);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.contain("does not use roles");
+    });
+
+    it("Should transfer ownership of Ownable contracts only", async function () {
+        await admin.transferOwnership(contracts, "Voting", operator.address);
+        expect(await contracts.Voting.owner()).to.equal(operator.address);
+
+        let error;
+        try {
+            await admin.transferOwnership(contracts, "ProductNFT", operator.address);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.contain("is not Ownable");
+    });
+
+    it("Should pause and unpause the whole platform", async function () {
+        let result = await admin.setPlatformPaused(contracts, true);
+        // Voting is owned by operator now
+        expect(result.unauthorized).to.deep.equal(["Voting"]);
+        expect(result.changed).to.have.lengthOf(7);
+        for (const name of result.changed) {
+            expect(await contracts[name].paused()).to.equal(true);
+        }
+        expect(await contracts.Voting.paused()).to.equal(false);
+
+        result = await admin.setPlatformPaused(contracts, true);
+        expect(result.changed).to.deep.equal([]);
+
+        result = await admin.setPlatformPaused(contracts, false);
+        expect(result.changed).to.have.lengthOf(7);
+        expect(await contracts.IdentityToken.paused()).to.equal(false);
+    });
+});
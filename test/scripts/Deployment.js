@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadConfig, deployPlatform } = require("../../scripts/deployment");
+
+describe("Platform deployment", function () {
+
+    let tmpDir;
+    let manifestPath;
+    let config;
+    let sponsor;
+    let signer;
+    let manifest;
+    const silent = () => {};
+
+    before(async function () {
+        [, sponsor, signer] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-deploy-"));
+        manifestPath = path.join(tmpDir, "hardhat.json");
+
+        config = loadConfig(path.join(__dirname, "..", "..", "deploy", "localhost.json"));
+        config.roles.sponsors = ["deployer", sponsor.address];
+        config.roles.signers = [signer.address];
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should deploy all contracts in dependency order", async function () {
+        manifest = await deployPlatform(hre, config, { manifestPath: manifestPath, log: silent });
+
+        expect(Object.keys(manifest.contracts)).to.deep.equal([
+            "IdentityToken",
+            "DataManagement",
+            "ProductNFT",
+            "TransferShards",
+            "RejuveToken",
+            "ProfitDistribution",
+            "ShardMarketplace",
+            "DistributorAgreement",
+            "Voting"
+        ]);
+        expect(JSON.parse(fs.readFileSync(manifestPath, "utf8"))).to.deep.equal(manifest);
+
+        const contracts = manifest.contracts;
+        expect(contracts.DataManagement.args[3]).to.equal(contracts.IdentityToken.address);
+        expect(contracts.ProductNFT.args.slice(2)).to.deep.equal([
+            signer.address,
+            contracts.IdentityToken.address,
+            contracts.DataManagement.address
+        ]);
+        expect(contracts.ProfitDistribution.args).to.deep.equal([
+            contracts.RejuveToken.address,
+            contracts.TransferShards.address
+        ]);
+    });
+
+    it("Should grant configured roles", async function () {
+        const identityToken = await ethers.getContractAt("IdentityToken", manifest.contracts.IdentityToken.address);
+        const dataMgt = await ethers.getContractAt("DataManagement", manifest.contracts.DataManagement.address);
+        const productNFT = await ethers.getContractAt("ProductNFT", manifest.contracts.ProductNFT.address);
+
+        expect(await identityToken.hasRole(await identityToken.SPONSOR_ROLE(), sponsor.address)).to.equal(true);
+        expect(await dataMgt.hasRole(await dataMgt.SPONSOR_ROLE(), sponsor.address)).to.equal(true);
+        expect(await productNFT.hasRole(await productNFT.SIGNER_ROLE(), signer.address)).to.equal(true);
+    });
+
+    it("Should connect IdentityToken to DataManagement", async function () {
+        const identityToken = await ethers.getContractAt("IdentityToken", manifest.contracts.IdentityToken.address);
+        expect(await identityToken.getDataManagement()).to.equal(manifest.contracts.DataManagement.address);
+    });
+
+    it("Should connect TransferShards to ProfitDistribution", async function () {
+        const transferShards = await ethers.getContractAt("TransferShards", manifest.contracts.TransferShards.address);
+        expect(await transferShards.getProfitDistribution()).to.equal(manifest.contracts.ProfitDistribution.address);
+    });
+
+    it("Should skip contracts already in the manifest", async function () {
+        const blockBefore = await ethers.provider.getBlockNumber();
+        const again = await deployPlatform(hre, config, { manifestPath: manifestPath, log: silent });
+
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        expect(again.contracts).to.deep.equal(manifest.contracts);
+    });
+
+    it("Should resume a partial deployment from a YAML config", async function () {
+        const partial = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        delete partial.contracts.Voting;
+        fs.writeFileSync(manifestPath, JSON.stringify(partial));
+
+        const yamlPath = path.join(tmpDir, "config.yaml");
+        fs.writeFileSync(yamlPath, require("js-yaml").dump(config));
+
+        const resumed = await deployPlatform(hre, loadConfig(yamlPath), { manifestPath: manifestPath, log: silent });
+        expect(resumed.contracts.Voting.address).to.not.equal(manifest.contracts.Voting.address);
+        expect(resumed.contracts.IdentityToken).to.deep.equal(manifest.contracts.IdentityToken);
+    });
+
+    it("Should add and plug SponsorRegistry into an existing deployment", async function () {
+        const withRegistry = Object.assign({}, config, {
+            sponsorRegistry: {
+                periodLength: 30 * 24 * 60 * 60,
+                sponsors: [{ address: sponsor.address, metadataURI: "ipfs://clinic", identityQuota: 100, dataQuota: 1000 }]
+            }
+        });
+        const extended = await deployPlatform(hre, withRegistry, { manifestPath: manifestPath, log: silent });
+        expect(extended.contracts.IdentityToken).to.deep.equal(manifest.contracts.IdentityToken);
+        expect(extended.contracts.SponsorRegistry.args).to.deep.equal([30 * 24 * 60 * 60]);
+
+        const registry = await ethers.getContractAt("SponsorRegistry", extended.contracts.SponsorRegistry.address);
+        const identityToken = await ethers.getContractAt("IdentityToken", extended.contracts.IdentityToken.address);
+        const dataMgt = await ethers.getContractAt("DataManagement", extended.contracts.DataManagement.address);
+        const sponsorInfo = await registry.getSponsor(sponsor.address);
+        expect(sponsorInfo.identityQuota).to.equal(100);
+        expect(sponsorInfo.dataQuota).to.equal(1000);
+        expect(await registry.hasRole(await registry.CONSUMER_ROLE(), identityToken.address)).to.equal(true);
+        expect(await registry.hasRole(await registry.CONSUMER_ROLE(), dataMgt.address)).to.equal(true);
+        expect(await identityToken.getSponsorRegistry()).to.equal(registry.address);
+        expect(await dataMgt.getSponsorRegistry()).to.equal(registry.address);
+
+        const blockBefore = await ethers.provider.getBlockNumber();
+        await deployPlatform(hre, withRegistry, { manifestPath: manifestPath, log: silent });
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("Should allow-list configured deposit currencies", async function () {
+        const withCurrencies = Object.assign({}, config, {
+            profitDistribution: { currencies: ["native", sponsor.address] }
+        });
+        await deployPlatform(hre, withCurrencies, { manifestPath: manifestPath, log: silent });
+
+        const profit = await ethers.getContractAt("ProfitDistribution", manifest.contracts.ProfitDistribution.address);
+        expect(await profit.isCurrencyAllowed(await profit.NATIVE_CURRENCY())).to.equal(true);
+        expect(await profit.isCurrencyAllowed(sponsor.address)).to.equal(true);
+        expect(await profit.isCurrencyAllowed(manifest.contracts.RejuveToken.address)).to.equal(true);
+
+        const blockBefore = await ethers.provider.getBlockNumber();
+        await deployPlatform(hre, withCurrencies, { manifestPath: manifestPath, log: silent });
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("Should refuse a manifest from another chain", async function () {
+        const foreign = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        foreign.chainId = 1;
+        fs.writeFileSync(manifestPath, JSON.stringify(foreign));
+
+        let error;
+        try {
+            await deployPlatform(hre, config, { manifestPath: manifestPath, log: silent });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.contain("belongs to chain 1");
+    });
+});
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const sdk = require("../../sdk");
+
+describe("SDK - Batch", function () {
+
+    let identityToken;
+    let dataMgt;
+    let sponsor;
+    let clinic;
+    let lab;
+    let nonce = 0;
+    const productUID = 700;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHashes = Array.from({ length: 12 }, (_, i) => ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 32));
+
+    async function createIdentity(account) {
+        ++nonce;
+        const signature = await sdk.signIdentity(account, identityToken, { kyc: kyc, signer: account.address, uri: "/tokenURIHere", nonce: nonce });
+        await identityToken.connect(sponsor).createIdentity(signature, kyc, account.address, "/tokenURIHere", nonce);
+    }
+
+    before(async function () {
+        [, sponsor, clinic, lab] = await ethers.getSigners();
+
+        const _identityToken = await ethers.getContractFactory("IdentityToken");
+        identityToken = await _identityToken.deploy("Rejuve Identities", "RUI", "1.0.0", sponsor.address);
+
+        const _dataMgt = await ethers.getContractFactory("DataManagement");
+        dataMgt = await _dataMgt.deploy("Data management", "1.0.0", sponsor.address, identityToken.address);
+
+        await createIdentity(clinic);
+        await createIdentity(lab);
+    });
+
+    it("Should split a list into chunks", async function () {
+        expect(sdk.chunk([1, 2, 3, 4, 5], 2)).to.deep.equal([[1, 2], [3, 4], [5]]);
+        expect(sdk.chunk([], 2)).to.deep.equal([]);
+        expect(() => sdk.chunk([1], 0)).to.throw("REJUVE: Batch size must be at least 1");
+    });
+
+    it("Should default the gas budget to a share of the block gas limit", async function () {
+        const block = await ethers.provider.getBlock("latest");
+        expect(await sdk.getGasBudget(ethers.provider)).to.equal(Math.floor(block.gasLimit.toNumber() / 2));
+        expect(await sdk.getGasBudget(ethers.provider, { gasBudget: 1000000 })).to.equal(1000000);
+    });
+
+    it("Should submit data in batches that stay under the gas budget", async function () {
+        // Budget fitting a few hashes per transaction
+        const gasBudget = 600000;
+        ++nonce;
+        const results = await sdk.submitDataInBatches(
+            dataMgt.connect(sponsor),
+            clinic,
+            { signer: clinic.address, dhashes: dataHashes, nonce: nonce },
+            { gasBudget }
+        );
+
+        expect(results.length).to.be.greaterThan(1);
+        expect(results.map((result) => result.dhashes).flat()).to.deep.equal(dataHashes);
+        for (const result of results) {
+            expect(result.receipt.gasUsed.lte(gasBudget)).to.equal(true);
+        }
+
+        const tokenId = await identityToken.getOwnerIdentity(clinic.address);
+        expect(await sdk.collect(sdk.iterateDataHashes(dataMgt, tokenId))).to.deep.equal(dataHashes);
+    });
+
+    it("Should grant permissions in batches", async function () {
+        ++nonce;
+        const results = await sdk.grantPermissionsInBatches(
+            dataMgt.connect(lab),
+            clinic,
+            {
+                dataowner: clinic.address,
+                requesterId: await identityToken.getOwnerIdentity(lab.address),
+                dhashes: dataHashes,
+                productId: productUID,
+                nonce: nonce,
+                expiration: 3600
+            },
+            { batchSize: 5 }
+        );
+
+        expect(results.map((result) => result.dhashes.length)).to.deep.equal([5, 5, 2]);
+        for (const dataHash of dataHashes) {
+            expect(await dataMgt.getPermissionStatus(dataHash, productUID)).to.equal(1);
+        }
+    });
+
+    it("Should fail when a single item exceeds the gas budget", async function () {
+        ++nonce;
+        try {
+            await sdk.submitDataInBatches(
+                dataMgt.connect(sponsor),
+                clinic,
+                { signer: clinic.address, dhashes: [ethers.utils.hexZeroPad("0xff", 32)], nonce: nonce },
+                { gasBudget: 50000 }
+            );
+            expect.fail("Expected batch to be rejected");
+        } catch (error) {
+            expect(error.message).to.equal("REJUVE: Batch item exceeds gas budget");
+        }
+    });
+});
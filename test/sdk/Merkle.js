@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+const sdk = require("../../sdk");
+
+describe("SDK - Merkle", function () {
+
+    let dataMgt;
+    const dataHashes = Array.from({ length: 7 }, (_, i) => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`record-${i}`)));
+
+    before(async function () {
+        const [, sponsor] = await ethers.getSigners();
+
+        const _identityToken = await ethers.getContractFactory("IdentityToken");
+        const identityToken = await _identityToken.deploy("Rejuve Identities", "RUI", "1.0.0", sponsor.address);
+
+        const _dataMgt = await ethers.getContractFactory("DataManagement");
+        dataMgt = await _dataMgt.deploy("Data management", "1.0.0", sponsor.address, identityToken.address);
+    });
+
+    it("Should compute the same leaf as the contract", async function () {
+        for (const dataHash of [dataHashes[0], "0x1234", "0x"]) {
+            expect(sdk.datasetLeaf(dataHash)).to.equal(await dataMgt.datasetLeaf(dataHash));
+        }
+    });
+
+    it("Should build the same root regardless of input order", async function () {
+        const root = sdk.buildDatasetTree(dataHashes).root;
+        expect(sdk.buildDatasetTree(dataHashes.slice().reverse()).root).to.equal(root);
+        expect(sdk.buildDatasetTree([dataHashes[0]]).root).to.equal(sdk.datasetLeaf(dataHashes[0]));
+    });
+
+    it("Should produce multi-proofs accepted by the contract", async function () {
+        const tree = sdk.buildDatasetTree(dataHashes);
+        const subsets = [
+            [dataHashes[3]],
+            [dataHashes[0], dataHashes[6]],
+            dataHashes.slice(1, 5),
+            dataHashes
+        ];
+        for (const subset of subsets) {
+            const { dataHashes: ordered, proof, proofFlags } = tree.getMultiProof(subset);
+            expect(ordered).to.have.members(subset);
+            // no permission on the root, proof is still checked first
+            expect(await dataMgt.verifyDatasetData(tree.root, 1, ordered, proof, proofFlags)).to.equal(0);
+        }
+    });
+
+    it("Should keep credit scores aligned with reordered data hashes", async function () {
+        const tree = sdk.buildDatasetTree(dataHashes);
+        const subset = [dataHashes[5], dataHashes[1], dataHashes[2]];
+        const link = tree.prepareLink(subset, [50, 10, 20]);
+
+        expect(link.dataset.root).to.equal(tree.root);
+        link.dataHashes.forEach((dataHash, i) => {
+            expect(link.creditScores[i]).to.equal([50, 10, 20][subset.indexOf(dataHash)]);
+        });
+        expect(() => tree.prepareLink(subset, [1])).to.throw("REJUVE: Not equal length");
+    });
+
+    it("Should reject invalid datasets and proofs", async function () {
+        expect(() => sdk.buildDatasetTree([])).to.throw("REJUVE: Empty dataset");
+        expect(() => sdk.buildDatasetTree([dataHashes[0], dataHashes[0]])).to.throw("REJUVE: Duplicate data hash");
+
+        const tree = sdk.buildDatasetTree(dataHashes.slice(0, 3));
+        expect(() => tree.getMultiProof([dataHashes[4]])).to.throw("REJUVE: Data hash not in dataset");
+        expect(() => tree.getMultiProof([dataHashes[1], dataHashes[1]])).to.throw("REJUVE: Duplicate data hash in proof");
+
+        const other = sdk.buildDatasetTree(dataHashes.slice(3));
+        const { dataHashes: ordered, proof, proofFlags } = other.getMultiProof([dataHashes[3]]);
+        await expect(dataMgt.verifyDatasetData(tree.root, 1, ordered, proof, proofFlags))
+        .to.be.revertedWith("REJUVE: Invalid Merkle Proof");
+    });
+});
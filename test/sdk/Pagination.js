@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const sdk = require("../../sdk");
+
+describe("SDK - Pagination", function () {
+
+    let identityToken;
+    let dataMgt;
+    let sponsor;
+    let user;
+    let lab;
+    let nonce = 0;
+    const productUID = 500;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHashes = [1, 2, 3, 4, 5].map((i) => ethers.utils.hexZeroPad(ethers.utils.hexlify(i), 32));
+
+    async function createIdentity(account) {
+        ++nonce;
+        const signature = await sdk.signIdentity(account, identityToken, { kyc: kyc, signer: account.address, uri: "/tokenURIHere", nonce: nonce });
+        await identityToken.connect(sponsor).createIdentity(signature, kyc, account.address, "/tokenURIHere", nonce);
+    }
+
+    before(async function () {
+        [, sponsor, user, lab] = await ethers.getSigners();
+
+        const _identityToken = await ethers.getContractFactory("IdentityToken");
+        identityToken = await _identityToken.deploy("Rejuve Identities", "RUI", "1.0.0", sponsor.address);
+
+        const _dataMgt = await ethers.getContractFactory("DataManagement");
+        dataMgt = await _dataMgt.deploy("Data management", "1.0.0", sponsor.address, identityToken.address);
+
+        await createIdentity(user);
+        await createIdentity(lab);
+        const labId = await identityToken.getOwnerIdentity(lab.address);
+
+        for (const dataHash of dataHashes) {
+            ++nonce;
+            const signature = await sdk.signDataSubmission(user, dataMgt, { signer: user.address, dhash: dataHash, nonce: nonce });
+            await dataMgt.connect(sponsor).submitData(user.address, signature, dataHash, nonce);
+        }
+
+        // Permissions on the first data hash for 3 products
+        for (let i = 0; i < 3; i++) {
+            ++nonce;
+            const message = { dataowner: user.address, requesterId: labId, dhash: dataHashes[0], productId: productUID + i, nonce: nonce, expiration: 3600 };
+            const signature = await sdk.signPermission(user, dataMgt, message);
+            await dataMgt.connect(lab).getPermission(user.address, signature, dataHashes[0], productUID + i, nonce, 3600);
+        }
+    });
+
+    it("Should iterate every data hash across pages", async function () {
+        const tokenId = await identityToken.getOwnerIdentity(user.address);
+
+        expect(await sdk.collect(sdk.iterateDataHashes(dataMgt, tokenId, { pageSize: 2 }))).to.deep.equal(dataHashes);
+        expect(await sdk.collect(sdk.iterateDataHashes(dataMgt, tokenId, { pageSize: 5 }))).to.deep.equal(dataHashes);
+        expect(await sdk.collect(sdk.iterateDataHashes(dataMgt, tokenId))).to.deep.equal(dataHashes);
+        expect(await sdk.collect(sdk.iterateDataHashes(dataMgt, 0))).to.deep.equal([]);
+    });
+
+    it("Should iterate permission records of a data hash", async function () {
+        const records = await sdk.collect(sdk.iteratePermissions(dataMgt, dataHashes[0], { pageSize: 2 }));
+
+        expect(records.map((record) => record.productUID.toNumber())).to.deep.equal([productUID, productUID + 1, productUID + 2]);
+        expect(records[2].requesterId).to.equal(await identityToken.getOwnerIdentity(lab.address));
+        expect(records[2].deadline).to.equal(await dataMgt.getPermissionDeadline(dataHashes[0], productUID + 2));
+    });
+
+    it("Should iterate data hashes of an owner with their permissions", async function () {
+        const access = await sdk.collect(sdk.iterateDataAccess(dataMgt, identityToken, user.address, { pageSize: 2 }));
+
+        expect(access.map((entry) => entry.dataHash)).to.deep.equal(dataHashes);
+        expect(access[0].permissions).to.have.length(3);
+        expect(access[1].permissions).to.deep.equal([]);
+    });
+
+    it("Should stop early and reject an empty page size", async function () {
+        const tokenId = await identityToken.getOwnerIdentity(user.address);
+        for await (const dataHash of sdk.iterateDataHashes(dataMgt, tokenId, { pageSize: 2 })) {
+            expect(dataHash).to.equal(dataHashes[0]);
+            break;
+        }
+
+        try {
+            await sdk.collect(sdk.iterateDataHashes(dataMgt, tokenId, { pageSize: 0 }));
+            expect.fail("Expected iterator to throw");
+        } catch (error) {
+            expect(error.message).to.equal("REJUVE: Page size must be at least 1");
+        }
+    });
+
+    it("Should surface the remaining time of each permission", async function () {
+        let records = await sdk.collect(sdk.iteratePermissions(dataMgt, dataHashes[0]));
+        const now = await sdk.getChainTime(dataMgt);
+        for (const record of records) {
+            expect(record.state).to.equal(sdk.PERMISSION_STATES.PERMITTED);
+            expect(record.remaining).to.equal(record.deadline.toNumber() - now);
+        }
+
+        let info = await sdk.getPermissionInfo(dataMgt, dataHashes[0], productUID);
+        expect(info.state).to.equal(sdk.PERMISSION_STATES.PERMITTED);
+        expect(info.remaining).to.be.greaterThan(0);
+
+        await ethers.provider.send("evm_increaseTime", [3601]);
+        await ethers.provider.send("evm_mine");
+
+        records = await sdk.collect(sdk.iteratePermissions(dataMgt, dataHashes[0]));
+        expect(records.map((record) => record.state)).to.deep.equal([3, 3, 3]);
+        expect(records.map((record) => record.remaining)).to.deep.equal([0, 0, 0]);
+
+        info = await sdk.getPermissionInfo(dataMgt, dataHashes[0], productUID);
+        expect(info.state).to.equal(sdk.PERMISSION_STATES.EXPIRED);
+        expect(info.remaining).to.equal(0);
+    });
+});
@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../../sdk");
+const { loadConfig, deployPlatform } = require("../../scripts/deployment");
+
+describe("Shard holder portfolio", function () {
+
+    const productUIDs = [901, 902, 903];
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash = "0x3988284e7250800b37f11b3fbe7b25ad52b72cb5caff67934f69015a4263ff41";
+    const silent = () => {};
+
+    let tmpDir;
+    let rejuve, dataOwner, lab, buyer, stranger;
+    let identityToken, dataMgt, productNFT, transferShards, rejuveToken, profit;
+    let nonce = 0;
+
+    async function deposit(productUID, amount) {
+        await rejuveToken.mint(amount);
+        await rejuveToken.transfer(buyer.address, amount);
+        await rejuveToken.connect(buyer).approve(profit.address, amount);
+        await profit.connect(buyer).deposit(productUID, amount);
+    }
+
+    async function createProduct(productUID, lockedPercent) {
+        const permission = {
+            dataowner: dataOwner.address,
+            requesterId: await identityToken.getOwnerIdentity(lab.address),
+            dhash: dataHash,
+            productId: productUID,
+            nonce: ++nonce,
+            expiration: 2 * 24 * 60 * 60
+        };
+        await dataMgt.connect(lab).getPermission(
+            dataOwner.address, await sdk.signPermission(dataOwner, dataMgt, permission),
+            dataHash, productUID, permission.nonce, permission.expiration
+        );
+        const product = {
+            productUID,
+            nonce: ++nonce,
+            productURI: "/productURI",
+            signer: rejuve.address,
+            dataHashes: [dataHash],
+            creditScores: [10],
+            caller: lab.address
+        };
+        await productNFT.connect(lab).createProduct(
+            productUID, product.nonce, product.productURI, rejuve.address,
+            await sdk.signProduct(rejuve, productNFT, product), product.dataHashes, product.creditScores
+        );
+        await productNFT.connect(lab).setProductStatus(productUID, 1);
+
+        // data owner & lab 300 shards each, Rejuve 200
+        await transferShards.setVestingSchedule(productUID, lockedPercent, 0, 0);
+        await transferShards.distributeInitialShards(
+            productUID, 1000, 10, 60, 60, 20, lab.address, rejuve.address, ["/locked", "/traded"]
+        );
+    }
+
+    before(async function () {
+        [rejuve, dataOwner, lab, buyer, stranger] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-portfolio-"));
+
+        const config = loadConfig(path.join(__dirname, "..", "..", "deploy", "localhost.json"));
+        const manifest = await deployPlatform(hre, config, {
+            manifestPath: path.join(tmpDir, "hardhat.json"),
+            log: silent
+        });
+        const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+        identityToken = await at("IdentityToken");
+        dataMgt = await at("DataManagement");
+        productNFT = await at("ProductNFT");
+        transferShards = await at("TransferShards");
+        rejuveToken = await ethers.getContractAt("RejuveTokenTest", manifest.contracts.RejuveToken.address);
+        profit = await at("ProfitDistribution");
+
+        for (const user of [dataOwner, lab]) {
+            const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+            const signature = await sdk.signIdentity(user, identityToken, message);
+            await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+        }
+        const submission = { signer: dataOwner.address, dhash: dataHash, nonce: ++nonce };
+        await dataMgt.submitData(
+            dataOwner.address, await sdk.signDataSubmission(dataOwner, dataMgt, submission), dataHash, submission.nonce
+        );
+
+        await createProduct(901, 0);
+        await createProduct(902, 0);
+        await createProduct(903, 50);
+        await deposit(901, 800);
+        await deposit(902, 1600);
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    //------------ Contract -------
+
+    it("Should return claimable earning per product", async function () {
+        const claimable = await profit.getClaimableEarnings(dataOwner.address, [...productUIDs, 999]);
+        expect(claimable.map((amount) => amount.toNumber())).to.deep.equal([300, 600, 0, 0]);
+
+        expect(await profit.getClaimableEarnings(dataOwner.address, [])).to.deep.equal([]);
+    });
+
+    it("Should revert batch withdraw without earning", async function () {
+        await expect(profit.connect(dataOwner).withdrawBatch([]))
+        .to.be.revertedWith("REJUVE: Empty batch");
+        await expect(profit.connect(stranger).withdrawBatch(productUIDs))
+        .to.be.revertedWith("REJUVE: No user earning");
+
+        await profit.pause();
+        await expect(profit.connect(dataOwner).withdrawBatch(productUIDs))
+        .to.be.revertedWith("Pausable: paused");
+        await profit.unpause();
+    });
+
+    it("Should withdraw earnings of many products at once", async function () {
+        const balance = await rejuveToken.balanceOf(dataOwner.address);
+
+        const tx = profit.connect(dataOwner).withdrawBatch(productUIDs);
+        await expect(tx)
+        .to.emit(profit, "Withdrawal")
+        .withArgs(dataOwner.address, 901, 300);
+        await expect(tx)
+        .to.emit(profit, "Withdrawal")
+        .withArgs(dataOwner.address, 902, 600);
+
+        expect(await rejuveToken.balanceOf(dataOwner.address)).to.equal(balance.add(900));
+        expect(await profit.getTotalWithdrawal(902)).to.equal(600);
+        const claimable = await profit.getClaimableEarnings(dataOwner.address, productUIDs);
+        expect(claimable.map((amount) => amount.toNumber())).to.deep.equal([0, 0, 0]);
+
+        await expect(profit.connect(dataOwner).withdrawBatch(productUIDs))
+        .to.be.revertedWith("REJUVE: No user earning");
+    });
+
+    //------------ SDK -------
+
+    it("Should summarize shards and earnings of a holder", async function () {
+        await deposit(903, 400);
+
+        const portfolio = await sdk.getPortfolio(profit, transferShards, lab.address, productUIDs, { batchSize: 2 });
+
+        expect(portfolio.holder).to.equal(lab.address);
+        expect(portfolio.totalClaimable).to.equal(1050);
+        expect(portfolio.products.map((product) => ({
+            productUID: product.productUID.toNumber(),
+            locked: product.locked.toNumber(),
+            traded: product.traded.toNumber(),
+            claimableShards: product.claimableShards.toNumber(),
+            totalShards: product.totalShards.toNumber(),
+            claimable: product.claimable.toNumber()
+        }))).to.deep.equal([
+            { productUID: 901, locked: 0, traded: 300, claimableShards: 0, totalShards: 800, claimable: 300 },
+            { productUID: 902, locked: 0, traded: 300, claimableShards: 0, totalShards: 800, claimable: 600 },
+            { productUID: 903, locked: 150, traded: 150, claimableShards: 0, totalShards: 800, claimable: 150 }
+        ]);
+    });
+
+    it("Should withdraw a portfolio in batches, leaving out products without earning", async function () {
+        await profit.connect(lab).withdraw(902);
+        const balance = await rejuveToken.balanceOf(lab.address);
+
+        const results = await sdk.withdrawPortfolio(profit.connect(lab), productUIDs, { batchSize: 1 });
+
+        expect(results.map((result) => result.productUIDs)).to.deep.equal([[901], [903]]);
+        expect(await rejuveToken.balanceOf(lab.address)).to.equal(balance.add(450));
+        expect((await sdk.getPortfolio(profit, transferShards, lab.address, productUIDs)).totalClaimable).to.equal(0);
+        expect(await sdk.withdrawPortfolio(profit.connect(lab), productUIDs)).to.deep.equal([]);
+    });
+
+    it("Should report balances per currency and withdraw one currency", async function () {
+        const _stablecoin = await ethers.getContractFactory("RejuveTokenTest");
+        const stablecoin = await _stablecoin.deploy("USD Coin", "USDC");
+        await profit.setCurrencyAllowed(stablecoin.address, true);
+        await profit.setCurrencyAllowed(sdk.NATIVE_CURRENCY, true);
+
+        await profit.connect(buyer).depositETH(901, { value: 800 });
+        await profit.connect(buyer).depositETH(903, { value: 800 });
+        await stablecoin.mint(1600);
+        await stablecoin.approve(profit.address, 1600);
+        await profit.depositToken(902, stablecoin.address, 1600);
+
+        const balances = await sdk.getCurrencyBalances(profit, lab.address, productUIDs);
+        expect(balances.map((balance) => ({
+            currency: balance.currency,
+            symbol: balance.symbol,
+            decimals: balance.decimals,
+            claimable: balance.claimable.toNumber(),
+            products: balance.products.map((product) => [product.productUID.toNumber(), product.claimable.toNumber()])
+        }))).to.deep.equal([
+            { currency: rejuveToken.address, symbol: "RJV", decimals: 18, claimable: 0, products: [[901, 0], [902, 0], [903, 0]] },
+            { currency: sdk.NATIVE_CURRENCY, symbol: "ETH", decimals: 18, claimable: 600, products: [[901, 300], [903, 300]] },
+            { currency: stablecoin.address, symbol: "USDC", decimals: 18, claimable: 600, products: [[902, 600]] }
+        ]);
+
+        const results = await sdk.withdrawPortfolio(profit.connect(lab), productUIDs, { currency: stablecoin.address });
+        expect(results.map((result) => result.productUIDs)).to.deep.equal([[902]]);
+        expect(await stablecoin.balanceOf(lab.address)).to.equal(600);
+    });
+});
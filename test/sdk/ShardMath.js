@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../../sdk");
+const { loadConfig, deployPlatform } = require("../../scripts/deployment");
+
+describe("SDK - Shard math", function () {
+
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const silent = () => {};
+
+    let shardMath;
+    let seed = 20240601;
+
+    // deterministic PRNG (mulberry32) so a failing case can be replayed
+    function random() {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    function randomInt(max) {
+        return Math.floor(random() * max);
+    }
+
+    // mostly small values, sometimes huge ones
+    function randomAmount(bits) {
+        if (random() < 0.5) {
+            return BigInt(randomInt(1000));
+        }
+        let value = 0n;
+        for (let i = 0; i < bits; i += 16) {
+            value = (value << 16n) + BigInt(randomInt(65536));
+        }
+        return value;
+    }
+
+    before(async function () {
+        const _shardMath = await ethers.getContractFactory("ShardMathTest");
+        shardMath = await _shardMath.deploy();
+    });
+
+    //------------------------ Reference implementation -------------------------//
+
+    it("Should allocate a pool exactly where whole-number percentages shorted contributors", async function () {
+        // (100 * credit) / total => 15%, 31% & 52% of 600 = 588
+        const amounts = sdk.allocate(600, [10, 20, 33]);
+        expect(amounts).to.deep.equal([95n, 190n, 315n]);
+        expect(amounts.reduce((sum, amount) => sum + amount, 0n)).to.equal(600n);
+
+        // small contributor is not rounded to zero
+        expect(sdk.allocate(1000000, [1, 150])[0]).to.equal(6622n);
+    });
+
+    it("Should give the remainder to the largest credit, first one on ties", async function () {
+        expect(sdk.allocate(10, [1, 1, 1])).to.deep.equal([4n, 3n, 3n]);
+        expect(sdk.allocate(11, [1, 2, 2])).to.deep.equal([2n, 5n, 4n]);
+        expect(() => sdk.allocate(10, [0, 0])).to.throw("REJUVE: Total credits cannot be zero");
+    });
+
+    it("Should match the contract math on random inputs", async function () {
+        for (let i = 0; i < 150; i++) {
+            const pool = randomAmount(192);
+            const weights = Array.from({ length: 1 + randomInt(12) }, () => randomAmount(64));
+            if (weights.every((weight) => weight === 0n)) {
+                weights[0] = 1n;
+            }
+            const context = `case ${i}: allocate(${pool}, [${weights}])`;
+
+            const expected = sdk.allocate(pool, weights);
+            const actual = await shardMath.allocate(pool, weights);
+            expect(actual.map((amount) => amount.toBigInt()), context).to.deep.equal(expected);
+            expect(expected.reduce((sum, amount) => sum + amount, 0n), context).to.equal(pool);
+
+            const percent = randomInt(101);
+            expect((await shardMath.percentOf(pool, percent)).toBigInt(), context).to.equal(sdk.percentOf(pool, percent));
+
+            const total = 1n + randomAmount(64);
+            const part = BigInt(Math.floor(random() * Number(total)));
+            expect((await shardMath.proportion(pool, part, total)).toBigInt(), context)
+            .to.equal(sdk.proportion(pool, part, total));
+        }
+        await expect(shardMath.allocate(10, [0, 0])).to.be.revertedWith("REJUVE: Total credits cannot be zero");
+    });
+
+    it("Should round earning per shard down before multiplying by the balance", async function () {
+        // 1 / 3 per shard is 0.333..3, 3 shards earn 0.999..9
+        expect(sdk.proportion(1, 3, 3)).to.equal(1n);
+        expect(sdk.profitShare(1, 3, 3)).to.equal(0n);
+        expect(sdk.profitShare(1000, 300, 900)).to.equal(333n);
+    });
+
+    //------------------------ Contracts -------------------------//
+
+    describe("Distributions", function () {
+
+        let tmpDir;
+        let rejuve, lab, buyer, dataOwners;
+        let identityToken, dataMgt, productNFT, transferShards, rejuveToken, profit;
+        let nonce = 0;
+
+        async function createProduct(productUID, credits) {
+            const dataHashes = credits.map((_, i) => ethers.utils.hexZeroPad(ethers.utils.hexlify(productUID * 100 + i), 32));
+            for (let i = 0; i < dataHashes.length; i++) {
+                const owner = dataOwners[i];
+                const submission = { signer: owner.address, dhash: dataHashes[i], nonce: ++nonce };
+                await dataMgt.submitData(
+                    owner.address, await sdk.signDataSubmission(owner, dataMgt, submission), dataHashes[i], submission.nonce
+                );
+                const permission = {
+                    dataowner: owner.address,
+                    requesterId: await identityToken.getOwnerIdentity(lab.address),
+                    dhash: dataHashes[i],
+                    productId: productUID,
+                    nonce: ++nonce,
+                    expiration: 2 * 24 * 60 * 60
+                };
+                await dataMgt.connect(lab).getPermission(
+                    owner.address, await sdk.signPermission(owner, dataMgt, permission),
+                    dataHashes[i], productUID, permission.nonce, permission.expiration
+                );
+            }
+            const product = {
+                productUID,
+                nonce: ++nonce,
+                productURI: "/productURI",
+                signer: rejuve.address,
+                dataHashes,
+                creditScores: credits,
+                caller: lab.address
+            };
+            await productNFT.connect(lab).createProduct(
+                productUID, product.nonce, product.productURI, rejuve.address,
+                await sdk.signProduct(rejuve, productNFT, product), dataHashes, credits
+            );
+        }
+
+        before(async function () {
+            let signers;
+            [rejuve, lab, buyer, ...signers] = await ethers.getSigners();
+            dataOwners = signers.slice(0, 4);
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-shard-math-"));
+
+            const config = loadConfig(path.join(__dirname, "..", "..", "deploy", "localhost.json"));
+            const manifest = await deployPlatform(hre, config, {
+                manifestPath: path.join(tmpDir, "hardhat.json"),
+                log: silent
+            });
+            const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+            identityToken = await at("IdentityToken");
+            dataMgt = await at("DataManagement");
+            productNFT = await at("ProductNFT");
+            transferShards = await at("TransferShards");
+            rejuveToken = await ethers.getContractAt("RejuveTokenTest", manifest.contracts.RejuveToken.address);
+            profit = await at("ProfitDistribution");
+
+            for (const user of [...dataOwners, lab]) {
+                const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+                const signature = await sdk.signIdentity(user, identityToken, message);
+                await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+            }
+        });
+
+        after(function () {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it("Should mint initial and future shards as the reference implementation", async function () {
+            for (let productUID = 700; productUID < 703; productUID++) {
+                const credits = dataOwners.slice(0, 1 + randomInt(dataOwners.length)).map(() => 1 + randomInt(500));
+                const labCredit = 1 + randomInt(500);
+                const targetSupply = 1000 + randomInt(1000000);
+                const initialPercent = 1 + randomInt(60);
+                const rejuvePercent = 1 + randomInt(20);
+                const lockedPercent = randomInt(101);
+                const context = `product ${productUID}: credits [${credits}], lab ${labCredit}, target ${targetSupply}`;
+
+                await createProduct(productUID, credits);
+                await transferShards.setVestingSchedule(productUID, lockedPercent, 0, 0);
+                await transferShards.distributeInitialShards(
+                    productUID, targetSupply, labCredit, 60, initialPercent, rejuvePercent,
+                    lab.address, rejuve.address, ["/locked", "/traded"]
+                );
+
+                const expected = sdk.initialShards({ targetSupply, initialPercent, rejuvePercent, credits, labCredit });
+                const actual = await transferShards.getInitialContributorShards(productUID);
+                expect(actual.map((amount) => amount.toBigInt()), context)
+                .to.deep.equal([...expected.contributors, expected.rejuve]);
+                expect((await transferShards.totalShardSupply(productUID)).toBigInt(), context)
+                .to.equal(sdk.percentOf(targetSupply, initialPercent) + expected.rejuve);
+
+                const [lockedId, tradedId] = await transferShards.getProductIDs(productUID);
+                const [locked, traded] = sdk.splitShards(expected.contributors[0], lockedPercent);
+                expect((await transferShards.balanceOf(dataOwners[0].address, lockedId)).toBigInt(), context).to.equal(locked);
+                expect((await transferShards.balanceOf(dataOwners[0].address, tradedId)).toBigInt(), context).to.equal(traded);
+
+                const futureCredits = [1 + randomInt(50), 1 + randomInt(50), 1 + randomInt(50)];
+                const futurePercent = 1 + randomInt(100 - initialPercent - rejuvePercent);
+                const futureContributors = dataOwners.slice(0, 3).map((owner) => owner.address);
+                await transferShards.distributeFutureShards(productUID, futurePercent, futureCredits, futureContributors);
+                expect((await transferShards.getFutureContributorShards(productUID)).map((amount) => amount.toBigInt()), context)
+                .to.deep.equal(sdk.allocate(sdk.percentOf(targetSupply, futurePercent), futureCredits));
+            }
+        });
+
+        it("Should pay profit as the reference implementation", async function () {
+            const productUID = 700;
+            const earning = 1 + randomInt(1000000);
+            await productNFT.connect(lab).setProductStatus(productUID, 1);
+            await rejuveToken.mint(earning);
+            await rejuveToken.transfer(buyer.address, earning);
+            await rejuveToken.connect(buyer).approve(profit.address, earning);
+            await profit.connect(buyer).deposit(productUID, earning);
+
+            const [lockedId, tradedId] = await transferShards.getProductIDs(productUID);
+            const holder = dataOwners[0];
+            const balance = (await transferShards.balanceOf(holder.address, lockedId))
+            .add(await transferShards.balanceOf(holder.address, tradedId));
+            const expected = sdk.profitShare(earning, balance, await transferShards.totalShardSupply(productUID));
+
+            await expect(profit.connect(holder).withdraw(productUID))
+            .to.emit(profit, "Withdrawal")
+            .withArgs(holder.address, productUID, expected);
+        });
+
+        it("Should pay profit per shard where a single division would pay more", async function () {
+            // data owner, lab & Rejuve get 300 of 900 shards
+            const productUID = 703;
+            await createProduct(productUID, [1]);
+            await transferShards.distributeInitialShards(
+                productUID, 1000, 1, 60, 60, 30, lab.address, rejuve.address, ["/locked", "/traded"]
+            );
+            await productNFT.connect(lab).setProductStatus(productUID, 1);
+            await rejuveToken.mint(3);
+            await rejuveToken.transfer(buyer.address, 3);
+            await rejuveToken.connect(buyer).approve(profit.address, 3);
+            await profit.connect(buyer).deposit(productUID, 3);
+
+            expect(sdk.proportion(3, 300, 900)).to.equal(1n);
+            await expect(profit.connect(lab).withdraw(productUID))
+            .to.be.revertedWith("REJUVE: No user earning");
+            expect((await profit.getClaimableEarning(lab.address, productUID)).toBigInt())
+            .to.equal(sdk.profitShare(3, 300, 900));
+        });
+    });
+});
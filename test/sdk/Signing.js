@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { network } = require("hardhat");
+const sdk = require("../../sdk");
+
+describe("SDK - Signing", function () {
+
+    let identityToken;
+    let dataMgt;
+    let owner;
+    let sponsor;
+    let user1;
+    let user2;
+    let lab;
+    let nonce = 1;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash = "0x622b1092273fe26f6a2c370a5c34a690337e7f802f2fa5006b40790bd3f7d69b";
+    const tokenUri = "/tokenURIHere";
+
+    before(async function () {
+        [owner, sponsor, user1, user2, lab] = await ethers.getSigners();
+
+        const _identityToken = await ethers.getContractFactory("IdentityToken");
+        identityToken = await _identityToken.deploy("Rejuve Identities", "RUI", "1.0.0", sponsor.address);
+
+        const _dataMgt = await ethers.getContractFactory("DataManagement");
+        dataMgt = await _dataMgt.deploy("Data management", "1.0.0", sponsor.address, identityToken.address);
+    });
+
+    it("Should read EIP-712 domain from deployed contract", async function () {
+        const domain = await sdk.getDomain(identityToken);
+        expect(domain).to.deep.equal({
+            name: "Rejuve Identities",
+            version: "1.0.0",
+            chainId: network.config.chainId,
+            verifyingContract: identityToken.address
+        });
+    });
+
+    it("Should sign identity with an ethers signer", async function () {
+        const signature = await sdk.signIdentity(user1, identityToken, { kyc: kyc, signer: user1.address, uri: tokenUri, nonce: nonce });
+        await identityToken.connect(sponsor).createIdentity(signature, kyc, user1.address, tokenUri, nonce);
+        expect(await identityToken.ifRegistered(user1.address)).to.equal(1);
+    });
+
+    it("Should sign identity through eth_signTypedData_v4 provider", async function () {
+        ++nonce;
+        const account = { provider: network.provider, address: user2.address };
+        const signature = await sdk.signIdentity(account, identityToken, { kyc: kyc, signer: user2.address, uri: tokenUri, nonce: nonce });
+        await identityToken.connect(sponsor).createIdentity(signature, kyc, user2.address, tokenUri, nonce);
+        expect(await identityToken.ifRegistered(user2.address)).to.equal(1);
+    });
+
+    it("Should sign identity with a raw private key", async function () {
+        ++nonce;
+        const wallet = ethers.Wallet.createRandom();
+        const signature = await sdk.signIdentity(wallet.privateKey, identityToken, { kyc: kyc, signer: wallet.address, uri: tokenUri, nonce: nonce });
+        await identityToken.connect(sponsor).createIdentity(signature, kyc, wallet.address, tokenUri, nonce);
+        expect(await identityToken.ifRegistered(wallet.address)).to.equal(1);
+    });
+
+    it("Should sign data submission and permission for DataManagement", async function () {
+        ++nonce;
+        const labSignature = await sdk.signIdentity(lab, identityToken, { kyc: kyc, signer: lab.address, uri: tokenUri, nonce: nonce });
+        await identityToken.connect(sponsor).createIdentity(labSignature, kyc, lab.address, tokenUri, nonce);
+
+        const dataSignature = await sdk.signDataSubmission(user1, dataMgt, { signer: user1.address, dhash: dataHash, nonce: nonce });
+        await dataMgt.connect(sponsor).submitData(user1.address, dataSignature, dataHash, nonce);
+
+        const requesterId = await identityToken.getOwnerIdentity(lab.address);
+        const permissionSignature = await sdk.signPermission(user1, dataMgt, {
+            dataowner: user1.address,
+            requesterId: requesterId,
+            dhash: dataHash,
+            productId: 1001,
+            nonce: nonce,
+            expiration: 3600
+        });
+        await dataMgt.connect(lab).getPermission(user1.address, permissionSignature, dataHash, 1001, nonce, 3600);
+        expect(await dataMgt.getPermissionStatus(dataHash, 1001)).to.equal(1);
+    });
+
+    it("Should sign packed messages with the eth signed message prefix", async function () {
+        const message = {
+            distributor: user1.address,
+            agreement: dataHash,
+            productUID: 101,
+            units: 100,
+            unitPrice: 5,
+            percentage: 20,
+            startDate: 1700000000,
+            endDate: 1800000000,
+            nonce: 7,
+            verifyingContract: dataMgt.address
+        };
+        const hash = sdk.hashPackedMessage("DistributorAgreement", message);
+        const signature = await sdk.signDistributorAgreement(user1, dataMgt, message);
+        expect(ethers.utils.verifyMessage(ethers.utils.arrayify(hash), signature)).to.equal(user1.address);
+
+        const account = { provider: network.provider, address: user1.address };
+        expect(await sdk.signDistributorAgreement(account, dataMgt.address, message)).to.equal(signature);
+    });
+
+    it("Should throw for unknown message types", async function () {
+        let error;
+        try {
+            await sdk.signTypedMessage(user1, identityToken, "Unknown", {});
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal("REJUVE: Unknown type Unknown");
+        expect(() => sdk.hashPackedMessage("Unknown", {})).to.throw("REJUVE: Unknown type Unknown");
+        expect(() => sdk.toAccount({})).to.throw("REJUVE: Unsupported account");
+    });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const sdk = require("../../sdk");
+
+describe("SDK - Verifier", function () {
+
+    let identityToken;
+    let dataMgt;
+    let sponsor;
+    let user1;
+    let user2;
+    let lab;
+    let nonce = 1;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash = "0x622b1092273fe26f6a2c370a5c34a690337e7f802f2fa5006b40790bd3f7d69b";
+    const tokenUri = "/tokenURIHere";
+
+    async function createIdentity(user) {
+        ++nonce;
+        const message = { kyc: kyc, signer: user.address, uri: tokenUri, nonce: nonce };
+        const signature = await sdk.signIdentity(user, identityToken, message);
+        await identityToken.connect(sponsor).createIdentity(signature, kyc, user.address, tokenUri, nonce);
+    }
+
+    before(async function () {
+        [, sponsor, user1, user2, lab] = await ethers.getSigners();
+
+        const _identityToken = await ethers.getContractFactory("IdentityToken");
+        identityToken = await _identityToken.deploy("Rejuve Identities", "RUI", "1.0.0", sponsor.address);
+
+        const _dataMgt = await ethers.getContractFactory("DataManagement");
+        dataMgt = await _dataMgt.deploy("Data management", "1.0.0", sponsor.address, identityToken.address);
+    });
+
+    it("Should match on-chain type hashes", async function () {
+        expect(sdk.typeHash("Identity")).to.equal(await identityToken.IDENTITY_TYPE_HASH());
+        expect(sdk.typeHash("IdentityUpdate")).to.equal(await identityToken.IDENTITY_UPDATE_TYPE_HASH());
+        expect(sdk.typeHash("DataSubmission")).to.equal(await dataMgt.DATA_SUBMISSION_TYPE_HASH());
+        expect(sdk.typeHash("Permission")).to.equal(await dataMgt.PERMISSION_TYPE_HASH());
+        expect(sdk.typeHash("BatchDataSubmission")).to.equal(await dataMgt.BATCH_DATA_SUBMISSION_TYPE_HASH());
+        expect(sdk.typeHash("BatchPermission")).to.equal(await dataMgt.BATCH_PERMISSION_TYPE_HASH());
+        expect(sdk.typeHash("DatasetPermission")).to.equal(await dataMgt.DATASET_PERMISSION_TYPE_HASH());
+        expect(sdk.typeHash("Revocation")).to.equal(await dataMgt.REVOCATION_TYPE_HASH());
+    });
+
+    it("Should verify identity signature and detect replay", async function () {
+        const message = { kyc: kyc, signer: user1.address, uri: tokenUri, nonce: nonce };
+        const signature = await sdk.signIdentity(user1, identityToken, message);
+
+        let result = await sdk.verifyIdentity(identityToken, signature, message);
+        expect(result.valid).to.equal(true);
+        expect(result.recovered).to.equal(user1.address);
+
+        await identityToken.connect(sponsor).createIdentity(signature, kyc, user1.address, tokenUri, nonce);
+        expect(await identityToken.isMessageUsed(result.structHash)).to.equal(true);
+
+        result = await sdk.verifyIdentity(identityToken, signature, message);
+        expect(result.reason).to.equal(sdk.REASONS.ALREADY_REGISTERED);
+        expect(result.revertReason).to.equal("REJUVE: One Identity Per User");
+    });
+
+    it("Should reject identity signed by someone else", async function () {
+        const message = { kyc: kyc, signer: user2.address, uri: tokenUri, nonce: 100 };
+        const signature = await sdk.signIdentity(sponsor, identityToken, message);
+
+        const result = await sdk.verifyIdentity(identityToken, signature, message);
+        expect(result.valid).to.equal(false);
+        expect(result.reason).to.equal(sdk.REASONS.INVALID_SIGNATURE);
+        expect(result.recovered).to.equal(sponsor.address);
+
+        await expect(identityToken.connect(sponsor).createIdentity(signature, kyc, user2.address, tokenUri, 100))
+        .to.be.revertedWith(result.revertReason);
+    });
+
+    it("Should reject malformed signature", async function () {
+        const message = { kyc: kyc, signer: user2.address, uri: tokenUri, nonce: 101 };
+        const result = await sdk.verifyIdentity(identityToken, "0x1234", message);
+        expect(result.reason).to.equal(sdk.REASONS.MALFORMED_SIGNATURE);
+    });
+
+    it("Should reject compact (64-byte) signature", async function () {
+        const message = { kyc: kyc, signer: user2.address, uri: tokenUri, nonce: 102 };
+        const signature = await sdk.signIdentity(user2, identityToken, message);
+        const compact = ethers.utils.splitSignature(signature).compact;
+
+        const result = await sdk.verifyIdentity(identityToken, compact, message);
+        expect(result.valid).to.equal(false);
+        expect(result.reason).to.equal(sdk.REASONS.MALFORMED_SIGNATURE);
+        expect(result.recovered).to.equal(null);
+
+        await expect(identityToken.connect(sponsor).createIdentity(compact, kyc, user2.address, tokenUri, 102))
+        .to.be.revertedWith(result.revertReason);
+    });
+
+    it("Should reject signature with high s value", async function () {
+        const message = { kyc: kyc, signer: user2.address, uri: tokenUri, nonce: 103 };
+        const signature = await sdk.signIdentity(user2, identityToken, message);
+        // (r, n - s, flipped v) recovers the same signer
+        const { r, s, v } = ethers.utils.splitSignature(signature);
+        const n = ethers.BigNumber.from("0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141");
+        const malleable = ethers.utils.hexConcat([
+            r,
+            ethers.utils.hexZeroPad(n.sub(s).toHexString(), 32),
+            v === 27 ? "0x1c" : "0x1b"
+        ]);
+
+        const result = await sdk.verifyIdentity(identityToken, malleable, message);
+        expect(result.valid).to.equal(false);
+        expect(result.reason).to.equal(sdk.REASONS.MALFORMED_SIGNATURE);
+
+        await expect(identityToken.connect(sponsor).createIdentity(malleable, kyc, user2.address, tokenUri, 103))
+        .to.be.revertedWith(result.revertReason);
+    });
+
+    it("Should verify identity update signed by the token owner", async function () {
+        const tokenId = await identityToken.getOwnerIdentity(user1.address);
+        const message = { tokenId: tokenId, kyc: kyc, signer: user1.address, uri: "/newURI", nonce: ++nonce };
+
+        const wrongSigner = await sdk.signIdentityUpdate(user2, identityToken, message);
+        let result = await sdk.verifyIdentityUpdate(identityToken, wrongSigner, message);
+        expect(result.reason).to.equal(sdk.REASONS.INVALID_SIGNATURE);
+        await expect(identityToken.connect(sponsor).updateIdentity(wrongSigner, tokenId, kyc, "/newURI", nonce))
+        .to.be.revertedWith(result.revertReason);
+
+        const signature = await sdk.signIdentityUpdate(user1, identityToken, message);
+        result = await sdk.verifyIdentityUpdate(identityToken, signature, message);
+        expect(result.valid).to.equal(true);
+
+        await identityToken.connect(sponsor).updateIdentity(signature, tokenId, kyc, "/newURI", nonce);
+        result = await sdk.verifyIdentityUpdate(identityToken, signature, message);
+        expect(result.reason).to.equal(sdk.REASONS.ALREADY_USED);
+        expect(result.revertReason).to.equal("REJUVE: Already Used ID");
+    });
+
+    it("Should verify data submission", async function () {
+        const message = { signer: user2.address, dhash: dataHash, nonce: nonce };
+        const signature = await sdk.signDataSubmission(user2, dataMgt, message);
+
+        let result = await sdk.verifyDataSubmission(dataMgt, signature, message, identityToken);
+        expect(result.reason).to.equal(sdk.REASONS.NOT_REGISTERED);
+
+        await createIdentity(user2);
+        result = await sdk.verifyDataSubmission(dataMgt, signature, message, identityToken);
+        expect(result.valid).to.equal(true);
+
+        await dataMgt.connect(sponsor).submitData(user2.address, signature, dataHash, message.nonce);
+
+        result = await sdk.verifyDataSubmission(dataMgt, signature, message);
+        expect(result.reason).to.equal(sdk.REASONS.ALREADY_USED);
+        await expect(dataMgt.connect(sponsor).submitData(user2.address, signature, dataHash, message.nonce))
+        .to.be.revertedWith(result.revertReason);
+    });
+
+    it("Should verify permission", async function () {
+        await createIdentity(lab);
+        const requesterId = await identityToken.getOwnerIdentity(lab.address);
+        const message = {
+            dataowner: user2.address,
+            requesterId: requesterId,
+            dhash: dataHash,
+            productId: 1001,
+            nonce: nonce,
+            expiration: 3600
+        };
+
+        const wrongOwner = await sdk.verifyPermission(
+            dataMgt,
+            await sdk.signPermission(user1, dataMgt, { ...message, dataowner: user1.address }),
+            { ...message, dataowner: user1.address },
+            identityToken
+        );
+        expect(wrongOwner.reason).to.equal(sdk.REASONS.NOT_DATA_OWNER);
+
+        const signature = await sdk.signPermission(user2, dataMgt, message);
+        let result = await sdk.verifyPermission(dataMgt, signature, message, identityToken);
+        expect(result.valid).to.equal(true);
+
+        await dataMgt.connect(lab).getPermission(user2.address, signature, dataHash, 1001, nonce, 3600);
+
+        result = await sdk.verifyPermission(dataMgt, signature, message, identityToken);
+        expect(result.reason).to.equal(sdk.REASONS.ALREADY_USED);
+        expect(result.revertReason).to.equal("REJUVE: Already used id");
+    });
+
+    it("Should verify revocation", async function () {
+        const message = { dataowner: user2.address, dhash: dataHash, productId: 1002, nonce: ++nonce };
+        const signature = await sdk.signRevocation(user2, dataMgt, message);
+
+        let result = await sdk.verifyRevocation(dataMgt, signature, message, identityToken);
+        expect(result.reason).to.equal(sdk.REASONS.NOT_PERMITTED);
+        await expect(dataMgt.connect(sponsor).revokePermissionBySig(user2.address, signature, dataHash, 1002, nonce))
+        .to.be.revertedWith(result.revertReason);
+
+        const permitted = { ...message, productId: 1001 };
+        const permittedSign = await sdk.signRevocation(user2, dataMgt, permitted);
+        result = await sdk.verifyRevocation(dataMgt, permittedSign, permitted, identityToken);
+        expect(result.valid).to.equal(true);
+
+        await dataMgt.connect(sponsor).revokePermissionBySig(user2.address, permittedSign, dataHash, 1001, nonce);
+        result = await sdk.verifyRevocation(dataMgt, permittedSign, permitted, identityToken);
+        expect(result.reason).to.equal(sdk.REASONS.ALREADY_USED);
+    });
+});
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../../sdk");
+const { loadConfig, deployPlatform } = require("../../scripts/deployment");
+const { createAccessRequestService, fileMessage, declineMessage } = require("../../services/access-requests");
+const { createAccessRequestServer } = require("../../services/access-requests/server");
+
+describe("Access request service", function () {
+
+    const CONFIRMATIONS = 2;
+    const productUID = 1;
+    const expiration = 2 * 24 * 60 * 60;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash1 = "0x622b1092273fe26f6a2c370a5c34a690337e7f802f2fa5006b40790bd3f7d69b";
+    const dataHash2 = "0x7012f98e24c6b2f609d365c959c99a9bc691d6939cc7162e679fb1226697a56b";
+    const silent = () => {};
+
+    let tmpDir;
+    let dbPath;
+    let manifest;
+    let service;
+    let server;
+    let baseUrl;
+    let dataOwner, lab, otherLab, stranger;
+    let identityToken, dataMgt;
+    let nonce = 0;
+
+    async function call(method, route, body) {
+        const response = await fetch(baseUrl + route, {
+            method,
+            headers: { "Content-Type": "application/json" },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function fileRequest(from, dataHash, signer = from) {
+        const signature = await signer.signMessage(fileMessage({ dataHash, productUID, expiration }));
+        return call("POST", "/requests", { lab: from.address, dataHash, productUID, expiration, signature });
+    }
+
+    before(async function () {
+        [, dataOwner, lab, otherLab, stranger] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-requests-"));
+        dbPath = path.join(tmpDir, "requests.sqlite");
+
+        const config = loadConfig(path.join(__dirname, "..", "..", "deploy", "localhost.json"));
+        manifest = await deployPlatform(hre, config, {
+            manifestPath: path.join(tmpDir, "hardhat.json"),
+            log: silent
+        });
+        identityToken = await ethers.getContractAt("IdentityToken", manifest.contracts.IdentityToken.address);
+        dataMgt = await ethers.getContractAt("DataManagement", manifest.contracts.DataManagement.address);
+
+        for (const user of [dataOwner, lab, otherLab]) {
+            const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+            const signature = await sdk.signIdentity(user, identityToken, message);
+            await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+        }
+        for (const dataHash of [dataHash1, dataHash2]) {
+            const message = { signer: dataOwner.address, dhash: dataHash, nonce: ++nonce };
+            const signature = await sdk.signDataSubmission(dataOwner, dataMgt, message);
+            await dataMgt.submitData(dataOwner.address, signature, dataHash, message.nonce);
+        }
+
+        service = await createAccessRequestService({
+            provider: ethers.provider,
+            contracts: {
+                IdentityToken: identityToken.address,
+                DataManagement: dataMgt.address
+            },
+            dbPath,
+            confirmations: CONFIRMATIONS,
+            startBlock: manifest.contracts.DataManagement.blockNumber
+        });
+        server = createAccessRequestServer(service);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(function () {
+        server.close();
+        service.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should file a request for a registered lab", async function () {
+        const filed = await fileRequest(lab, dataHash1);
+
+        expect(filed.status).to.equal(201);
+        expect(filed.body).to.include({
+            id: 1,
+            status: "pending",
+            lab: lab.address,
+            dataOwner: dataOwner.address,
+            dataHash: dataHash1,
+            productUID: productUID.toString(),
+            expiration: expiration.toString(),
+            signature: null,
+            args: null
+        });
+        expect(filed.body.requesterId).to.equal((await identityToken.getOwnerIdentity(lab.address)).toString());
+    });
+
+    it("Should refuse invalid requests", async function () {
+        expect((await fileRequest(stranger, dataHash1)).body).to.deep.equal({ error: "REJUVE: Not Registered" });
+        expect((await fileRequest(lab, "0x1234")).body).to.deep.equal({ error: "REJUVE: Unknown Data" });
+        expect((await fileRequest(lab, dataHash1)).body).to.deep.equal({ error: "REJUVE: Request Already Filed" });
+
+        const noExpiry = await call("POST", "/requests", { lab: lab.address, dataHash: dataHash2, productUID, expiration: 0 });
+        expect(noExpiry.body).to.deep.equal({ error: "REJUVE: Invalid Expiration" });
+        // filed in the name of another lab
+        expect((await fileRequest(otherLab, dataHash2, stranger)).body).to.deep.equal({ error: "REJUVE: Invalid Signature" });
+        const unsigned = await call("POST", "/requests", { lab: otherLab.address, dataHash: dataHash2, productUID, expiration });
+        expect(unsigned.body).to.deep.equal({ error: "REJUVE: Invalid Signature" });
+    });
+
+    it("Should list requests of a data owner", async function () {
+        await fileRequest(otherLab, dataHash2);
+
+        const pending = await call("GET", `/requests?dataOwner=${dataOwner.address}&status=pending`);
+        expect(pending.body.map((request) => request.id)).to.deep.equal([1, 2]);
+
+        const ofLab = await call("GET", `/requests?lab=${lab.address}`);
+        expect(ofLab.body.map((request) => request.id)).to.deep.equal([1]);
+        expect((await call("GET", "/requests/99")).status).to.equal(404);
+    });
+
+    it("Should serve the typed data the data owner signs", async function () {
+        const typedData = (await call("GET", "/requests/1/typed-data")).body;
+
+        expect(typedData.primaryType).to.equal("Permission");
+        expect(typedData.domain.verifyingContract).to.equal(dataMgt.address);
+        expect(typedData.message.dataowner).to.equal(dataOwner.address);
+    });
+
+    it("Should refuse an approval not signed by the data owner", async function () {
+        const request = (await call("GET", "/requests/1")).body;
+        const signature = await sdk.signPermission(stranger, dataMgt, request.message);
+
+        const approval = await call("POST", "/requests/1/approve", { signature });
+        expect(approval.body).to.deep.equal({ error: "REJUVE: Invalid user signature" });
+    });
+
+    it("Should let the data owner approve and the lab get permission", async function () {
+        const request = (await call("GET", "/requests/1")).body;
+        const signature = await sdk.signPermission(dataOwner, dataMgt, request.message);
+
+        const approved = await call("POST", "/requests/1/approve", { signature });
+        expect(approved.body.status).to.equal("approved");
+        expect(approved.body.signature).to.equal(signature);
+
+        // lab fetches the signature and submits
+        const fetched = (await call("GET", "/requests/1")).body;
+        await expect(dataMgt.connect(lab).getPermission(...fetched.args))
+        .to.emit(dataMgt, "PermissionGranted");
+        expect(await dataMgt.getPermissionStatus(dataHash1, productUID)).to.equal(1);
+    });
+
+    it("Should let the data owner decline a request", async function () {
+        const forged = await stranger.signMessage(declineMessage(2));
+        expect((await call("POST", "/requests/2/decline", { signature: forged })).body)
+        .to.deep.equal({ error: "REJUVE: Invalid Signature" });
+
+        const signature = await dataOwner.signMessage(declineMessage(2));
+        const declined = await call("POST", "/requests/2/decline", { signature });
+        expect(declined.body.status).to.equal("declined");
+
+        const approval = await call("POST", "/requests/2/approve", { signature: "0x" });
+        expect(approval.body).to.deep.equal({ error: "REJUVE: Request Not Pending" });
+    });
+
+    it("Should reconcile granted requests with PermissionGranted events", async function () {
+        // not confirmed yet
+        await service.sync();
+        expect(service.getRequest(1).status).to.equal("approved");
+
+        await hre.network.provider.send("hardhat_mine", ["0x" + CONFIRMATIONS.toString(16)]);
+        const summary = await service.sync();
+
+        expect(summary.grants).to.equal(1);
+        const request = service.getRequest(1);
+        expect(request.status).to.equal("granted");
+        expect(request.grantedBlock).to.be.a("number");
+    });
+
+    it("Should close requests granted outside the service", async function () {
+        const filed = (await fileRequest(otherLab, dataHash2)).body;
+        const signature = await sdk.signPermission(dataOwner, dataMgt, filed.message);
+        await dataMgt.connect(otherLab).getPermission(
+            dataOwner.address, signature, dataHash2, productUID, filed.nonce, expiration
+        );
+        await hre.network.provider.send("hardhat_mine", ["0x" + CONFIRMATIONS.toString(16)]);
+        await service.sync();
+
+        expect(service.getRequest(filed.id).status).to.equal("granted");
+    });
+
+    it("Should keep requests across restarts", async function () {
+        const reopened = await createAccessRequestService({
+            provider: ethers.provider,
+            contracts: {
+                IdentityToken: identityToken.address,
+                DataManagement: dataMgt.address
+            },
+            dbPath
+        });
+
+        expect(reopened.listRequests().map((request) => request.status))
+        .to.deep.equal(["granted", "declined", "granted"]);
+        reopened.db.close();
+    });
+});
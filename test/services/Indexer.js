@@ -0,0 +1,396 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../../sdk");
+const { loadConfig, deployPlatform } = require("../../scripts/deployment");
+const { createIndexer, contractsFromManifest } = require("../../services/indexer");
+
+describe("Event indexer", function () {
+
+    const CONFIRMATIONS = 2;
+    const productUID = 100;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash1 = "0x622b1092273fe26f6a2c370a5c34a690337e7f802f2fa5006b40790bd3f7d69b";
+    const dataHash2 = "0x7012f98e24c6b2f609d365c959c99a9bc691d6939cc7162e679fb1226697a56b";
+    const silent = () => {};
+
+    let tmpDir;
+    let dbPath;
+    let manifest;
+    let indexer;
+    let rejuve, dataOwner1, dataOwner2, lab, buyer, newUser, otherUser, newWallet, lateUser;
+    let identityToken, dataMgt, productNFT, transferShards, rejuveToken, profit, marketplace;
+    let nonce = 0;
+
+    async function createIdentity(user) {
+        const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+        const signature = await sdk.signIdentity(user, identityToken, message);
+        await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+    }
+
+    async function submitData(owner, dataHash) {
+        const message = { signer: owner.address, dhash: dataHash, nonce: ++nonce };
+        const signature = await sdk.signDataSubmission(owner, dataMgt, message);
+        await dataMgt.submitData(owner.address, signature, dataHash, message.nonce);
+    }
+
+    async function grantPermission(owner, dataHash) {
+        const message = {
+            dataowner: owner.address,
+            requesterId: await identityToken.getOwnerIdentity(lab.address),
+            dhash: dataHash,
+            productId: productUID,
+            nonce: ++nonce,
+            expiration: 2 * 24 * 60 * 60
+        };
+        const signature = await sdk.signPermission(owner, dataMgt, message);
+        await dataMgt.connect(lab).getPermission(
+            owner.address, signature, dataHash, productUID, message.nonce, message.expiration
+        );
+    }
+
+    async function confirm() {
+        await hre.network.provider.send("hardhat_mine", ["0x" + CONFIRMATIONS.toString(16)]);
+    }
+
+    before(async function () {
+        [rejuve, dataOwner1, dataOwner2, lab, buyer, newUser, otherUser, newWallet, lateUser] = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-indexer-"));
+        dbPath = path.join(tmpDir, "indexer.sqlite");
+
+        const config = loadConfig(path.join(__dirname, "..", "..", "deploy", "localhost.json"));
+        config.sponsorRegistry = {
+            periodLength: 30 * 24 * 60 * 60,
+            sponsors: [{ address: "deployer", metadataURI: "ipfs://rejuve", identityQuota: 10, dataQuota: 0 }]
+        };
+        manifest = await deployPlatform(hre, config, {
+            manifestPath: path.join(tmpDir, "hardhat.json"),
+            log: silent
+        });
+        const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+        identityToken = await at("IdentityToken");
+        dataMgt = await at("DataManagement");
+        productNFT = await at("ProductNFT");
+        transferShards = await at("TransferShards");
+        rejuveToken = await ethers.getContractAt("RejuveTokenTest", manifest.contracts.RejuveToken.address);
+        profit = await at("ProfitDistribution");
+        marketplace = await at("ShardMarketplace");
+
+    //------------------------ Product lifecycle ------------------------/
+
+        for (const user of [dataOwner1, dataOwner2, lab]) {
+            await createIdentity(user);
+        }
+        await submitData(dataOwner1, dataHash1);
+        await submitData(dataOwner2, dataHash2);
+        await grantPermission(dataOwner1, dataHash1);
+        await grantPermission(dataOwner2, dataHash2);
+
+        const product = {
+            productUID,
+            nonce: ++nonce,
+            productURI: "/productURI",
+            signer: rejuve.address,
+            dataHashes: [dataHash1, dataHash2],
+            creditScores: [10, 20],
+            caller: lab.address
+        };
+        const productSign = await sdk.signProduct(rejuve, productNFT, product);
+        await productNFT.connect(lab).createProduct(
+            productUID, product.nonce, product.productURI, rejuve.address,
+            productSign, product.dataHashes, product.creditScores
+        );
+        await productNFT.connect(lab).updateProductMetadata(productUID, "/productURI-v2");
+        await productNFT.connect(lab).setProductStatus(productUID, 1); // Active
+        await transferShards.distributeInitialShards(
+            productUID, 1000, 5, 60, 60, 10, lab.address, rejuve.address, ["/locked", "/traded"]
+        );
+
+        // dataOwner1 sells 5 traded shards to buyer
+        const [, tradedId] = await transferShards.getProductIDs(productUID);
+        await rejuveToken.mint(10000);
+        await rejuveToken.transfer(buyer.address, 10000);
+        await transferShards.connect(dataOwner1).setApprovalForAll(marketplace.address, true);
+        await marketplace.connect(dataOwner1).listShard(productUID, 10, tradedId);
+        await rejuveToken.connect(buyer).approve(marketplace.address, 50);
+        await marketplace.connect(buyer).buy(productUID, 5, tradedId, 0, 0, dataOwner1.address, "0x");
+
+        // buyer pays for the product, dataOwner1 claims profit
+        await rejuveToken.connect(buyer).approve(profit.address, 1000);
+        await profit.connect(buyer).deposit(productUID, 1000);
+        await profit.connect(dataOwner1).withdraw(productUID);
+
+        indexer = await createIndexer({
+            provider: ethers.provider,
+            contracts: contractsFromManifest(manifest),
+            dbPath,
+            confirmations: CONFIRMATIONS,
+            startBlock: manifest.contracts.IdentityToken.blockNumber
+        });
+    });
+
+    after(function () {
+        indexer.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should not index blocks below the confirmation depth", async function () {
+        const head = await ethers.provider.getBlockNumber();
+        const summary = await indexer.sync();
+
+        expect(summary.to).to.equal(head - CONFIRMATIONS);
+        const pending = indexer.db.exec("SELECT COUNT(*) FROM withdrawals")[0].values[0][0];
+        expect(pending).to.equal(0);
+    });
+
+    it("Should index confirmed events and persist the database", async function () {
+        await confirm();
+        const summary = await indexer.sync();
+
+        expect(summary.to).to.equal((await ethers.provider.getBlockNumber()) - CONFIRMATIONS);
+        expect(summary.events).to.be.greaterThan(0);
+        expect(fs.existsSync(dbPath)).to.equal(true);
+    });
+
+    it("Should answer which products use a data owner's data", async function () {
+        const products = indexer.productsUsingData(dataOwner1.address);
+
+        expect(products).to.deep.equal([{
+            productUID: productUID.toString(),
+            creator: lab.address,
+            productURI: "/productURI",
+            dataHash: dataHash1,
+            creditScore: "10",
+            initial: true
+        }]);
+        expect(indexer.productsUsingData(newUser.address)).to.deep.equal([]);
+    });
+
+    it("Should answer who holds shards of a product", async function () {
+        const holders = indexer.shardHolders(productUID);
+        const [lockedId, tradedId] = await transferShards.getProductIDs(productUID);
+
+        for (const account of [dataOwner1, dataOwner2, lab, rejuve, buyer]) {
+            const entry = holders.find((holder) => holder.holder === account.address);
+            const locked = await transferShards.balanceOf(account.address, lockedId);
+            const traded = await transferShards.balanceOf(account.address, tradedId);
+            expect(entry.locked).to.equal(locked.toString());
+            expect(entry.traded).to.equal(traded.toString());
+        }
+        expect(holders.find((holder) => holder.holder === buyer.address).total).to.equal("5");
+    });
+
+    it("Should answer what a holder has earned", async function () {
+        const withdrawn = await rejuveToken.balanceOf(profit.address);
+        const earnings = indexer.earnings(dataOwner1.address);
+
+        expect(earnings.totalSales).to.equal("50");
+        expect(earnings.sales).to.deep.equal([{ productUID: productUID.toString(), amount: "50" }]);
+        expect(earnings.totalWithdrawn).to.deep.equal({
+            [rejuveToken.address]: (1000 - withdrawn.toNumber()).toString()
+        });
+        expect(indexer.earnings(lab.address).totalWithdrawn).to.deep.equal({});
+    });
+
+    it("Should report earnings per currency", async function () {
+        const ETH = ethers.constants.AddressZero;
+        await profit.setCurrencyAllowed(ETH, true);
+        await profit.connect(buyer).depositETH(productUID, { value: 1000 });
+        const claimable = await profit.getClaimableEarningsIn(ETH, dataOwner1.address, [productUID]);
+        await profit.connect(dataOwner1).withdrawCurrency(ETH, [productUID]);
+        await confirm();
+        await indexer.sync();
+
+        const earnings = indexer.earnings(dataOwner1.address);
+        const rjv = (1000 - (await rejuveToken.balanceOf(profit.address)).toNumber()).toString();
+        expect(earnings.totalWithdrawn).to.deep.equal({ [rejuveToken.address]: rjv, [ETH]: claimable.toString() });
+        expect(earnings.withdrawals).to.deep.equal([
+            { productUID: productUID.toString(), currency: rejuveToken.address, amount: rjv },
+            { productUID: productUID.toString(), currency: ETH, amount: claimable.toString() }
+        ]);
+        const payments = indexer.db.exec("SELECT currency, amount FROM payments WHERE currency = ?", [ETH]);
+        expect(payments[0].values).to.deep.equal([[ETH, "1000"]]);
+    });
+
+    it("Should answer what a sponsor has used", async function () {
+        const registry = await ethers.getContractAt("SponsorRegistry", manifest.contracts.SponsorRegistry.address);
+        const usage = indexer.sponsorUsage(rejuve.address);
+
+        expect(usage.metadataURI).to.equal("ipfs://rejuve");
+        expect(usage.suspended).to.equal(false);
+        expect(usage.periods).to.deep.equal([{
+            period: (await registry.currentPeriod()).toString(),
+            identities: "3",
+            dataSubmissions: "2"
+        }]);
+        expect(usage.totalIdentities).to.equal("3");
+        expect(usage.totalDataSubmissions).to.equal("2");
+    });
+
+    it("Should answer how a product evolved", async function () {
+        const history = indexer.productHistory(productUID);
+
+        expect(history.status).to.equal("ACTIVE");
+        expect(history.versions.map((version) => [version.version, version.productURI]))
+        .to.deep.equal([["1", "/productURI"], ["2", "/productURI-v2"]]);
+        expect(history.statusChanges.map((change) => [change.from, change.to]))
+        .to.deep.equal([["DRAFT", "ACTIVE"]]);
+        expect(indexer.productHistory(999).status).to.equal("DRAFT");
+    });
+
+    it("Should reconcile distributor royalties", async function () {
+        const agreement = await ethers.getContractAt("DistributorAgreement", manifest.contracts.DistributorAgreement.address);
+        const agreementHash = "0x9805b0899794e98a97a8eafec929e7be05545fd5240c18372121c5ddf725e4f6";
+        // 20% of 50 RJV per unit, for a year
+        const startDate = (await ethers.provider.getBlock("latest")).timestamp;
+        const terms = {
+            distributor: buyer.address,
+            agreement: agreementHash,
+            productUID,
+            units: 100,
+            unitPrice: 50,
+            percentage: 20,
+            startDate,
+            endDate: startDate + 365 * 24 * 60 * 60,
+            nonce: ++nonce
+        };
+        await agreement.createAgreement(
+            buyer.address,
+            await sdk.signDistributorAgreement(buyer, agreement, terms),
+            await sdk.signDistributorAgreement(rejuve, agreement, terms),
+            agreementHash, productUID, 100, 50, 20, terms.startDate, terms.endDate, nonce
+        );
+        const agreementId = await agreement.getAgreementCount();
+
+        await agreement.connect(buyer).reportSales(agreementId, 10); // 100 RJV, not approved
+        await hre.network.provider.send("evm_increaseTime", [31 * 24 * 60 * 60]);
+        await rejuveToken.connect(buyer).approve(agreement.address, 150);
+        await agreement.connect(buyer).reportSales(agreementId, 5); // 50 RJV, collected with the late report
+        await agreement.connect(buyer).reportSales(agreementId, 10); // 100 RJV, open
+        await confirm();
+        await indexer.sync();
+
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        const statement = indexer.royaltyStatement(buyer.address, now);
+        expect(statement.reports.map((report) => [report.agreementId, report.reportIndex, report.royalty, report.paid, report.status]))
+        .to.deep.equal([["1", "0", "100", "100", "LATE"], ["1", "1", "50", "50", "PAID"], ["1", "2", "100", "0", "OPEN"]]);
+        expect(statement.totalRoyalty).to.equal("250");
+        expect(statement.totalPaid).to.equal("150");
+        expect(statement.outstanding).to.equal("100");
+        expect(indexer.royaltyStatement(buyer.address, now + 31 * 24 * 60 * 60).overdue).to.equal("100");
+
+        const termination = { agreementId, nonce: ++nonce };
+        await agreement.terminateAgreement(
+            agreementId, nonce,
+            await sdk.signAgreementTermination(buyer, agreement, termination),
+            await sdk.signAgreementTermination(rejuve, agreement, termination)
+        );
+        await confirm();
+        await indexer.sync();
+
+        const rows = (sql) => indexer.db.exec(sql)[0].values;
+        expect(rows("SELECT agreement_id, distributor, product_uid FROM distributor_agreements"))
+        .to.deep.equal([[agreementId.toString(), buyer.address, productUID.toString()]]);
+        expect(rows("SELECT agreement_id, action FROM agreement_changes")).to.deep.equal([[agreementId.toString(), "TERMINATED"]]);
+    });
+
+    it("Should resume from the saved database", async function () {
+        const lastIndexed = indexer.getLastIndexedBlock();
+        const reopened = await createIndexer({
+            provider: ethers.provider,
+            contracts: contractsFromManifest(manifest),
+            dbPath,
+            confirmations: CONFIRMATIONS
+        });
+
+        expect(reopened.getLastIndexedBlock()).to.equal(lastIndexed);
+        expect(reopened.productsUsingData(dataOwner1.address)).to.have.length(1);
+        reopened.db.close();
+    });
+
+    it("Should follow an identity moved to a new wallet", async function () {
+        const tokenId = await identityToken.getOwnerIdentity(dataOwner2.address);
+        await identityToken.initiateRecovery(tokenId, newWallet.address);
+        await hre.network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60]);
+        await identityToken.completeRecovery(tokenId);
+        await confirm();
+        await indexer.sync();
+
+        expect(indexer.identitiesOf(newWallet.address)).to.deep.equal([tokenId.toString()]);
+        expect(indexer.productsUsingData(dataOwner2.address)).to.deep.equal([]);
+        expect(indexer.productsUsingData(newWallet.address).map((row) => row.dataHash)).to.deep.equal([dataHash2]);
+    });
+
+    it("Should roll back events of blocks that were reorganized away", async function () {
+        const snapshot = await hre.network.provider.send("evm_snapshot");
+        await createIdentity(newUser);
+        await confirm();
+        await indexer.sync();
+
+        const owners = () => indexer.db.exec("SELECT owner FROM identities")[0].values.map((row) => row[0]);
+        expect(owners()).to.include(newUser.address);
+
+        // Replace the indexed blocks by a longer competing chain
+        await hre.network.provider.send("evm_revert", [snapshot]);
+        await createIdentity(otherUser);
+        await confirm();
+        await hre.network.provider.send("hardhat_mine", ["0x1"]);
+        const summary = await indexer.sync();
+
+        expect(summary.reorg).to.not.equal(null);
+        expect(owners()).to.not.include(newUser.address);
+        expect(owners()).to.include(otherUser.address);
+    });
+
+    it("Should re-index events of a fork between two stored blocks", async function () {
+        const owners = () => indexer.db.exec("SELECT owner FROM identities")[0].values.map((row) => row[0]);
+        const snapshot = await hre.network.provider.send("evm_snapshot");
+        // only the end of this range is stored, past the fork below
+        await confirm();
+        await confirm();
+        await indexer.sync();
+
+        await hre.network.provider.send("evm_revert", [snapshot]);
+        await createIdentity(lateUser);
+        await hre.network.provider.send("hardhat_mine", ["0x" + (4 * CONFIRMATIONS).toString(16)]);
+        const summary = await indexer.sync();
+
+        expect(summary.reorg).to.not.equal(null);
+        expect(owners()).to.include(lateUser.address);
+    });
+
+    it("Should find a deep fork in a logarithmic number of block lookups", async function () {
+        const snapshot = await hre.network.provider.send("evm_snapshot");
+        for (let i = 0; i < 30; i++) {
+            await confirm();
+            await indexer.sync();
+        }
+        const stored = indexer.db.exec("SELECT COUNT(*) FROM blocks")[0].values[0][0];
+
+        await hre.network.provider.send("evm_revert", [snapshot]);
+        await createIdentity(newUser);
+        await hre.network.provider.send("hardhat_mine", ["0x" + (31 * CONFIRMATIONS).toString(16)]);
+
+        // reopen the saved database with a provider counting block lookups
+        const provider = new ethers.providers.Web3Provider(hre.network.provider);
+        let lookups = 0;
+        provider.getBlock = function (...args) {
+            lookups++;
+            return ethers.providers.Web3Provider.prototype.getBlock.apply(this, args);
+        };
+        const reopened = await createIndexer({
+            provider,
+            contracts: contractsFromManifest(manifest),
+            dbPath,
+            confirmations: CONFIRMATIONS
+        });
+        const summary = await reopened.sync();
+        reopened.db.close();
+
+        expect(summary.reorg).to.not.equal(null);
+        // fork lookups + one lookup for the indexed range
+        expect(lookups - 1).to.be.at.most(Math.ceil(Math.log2(stored)) + 1);
+    });
+});
@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const sdk = require("../../sdk");
+const { loadConfig, deployPlatform } = require("../../scripts/deployment");
+const { contractsFromManifest } = require("../../services/indexer");
+const { createRelayer } = require("../../services/relayer");
+const { createRelayServer } = require("../../services/relayer/server");
+
+describe("Meta-transaction relayer", function () {
+
+    const productUID = 1;
+    const expiration = 2 * 24 * 60 * 60;
+    const kyc = "0x7924fbcf9a7f76ca5412304f2bf47e326b638e9e7c42ecad878ed9c22a8f1428";
+    const dataHash = "0x622b1092273fe26f6a2c370a5c34a690337e7f802f2fa5006b40790bd3f7d69b";
+    const otherDataHash = "0x7012f98e24c6b2f609d365c959c99a9bc691d6939cc7162e679fb1226697a56b";
+    const silent = () => {};
+
+    let tmpDir;
+    let manifest;
+    let server;
+    let baseUrl;
+    let rejuve, dataOwner, relayerSigner;
+    let lab; // wallet without ETH
+    let identityToken, dataMgt, productNFT, forwarder;
+    let nonce = 0;
+
+    async function post(route, body) {
+        const response = await fetch(baseUrl + route, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function permissionArgs() {
+        const message = {
+            dataowner: dataOwner.address,
+            requesterId: await identityToken.getOwnerIdentity(lab.address),
+            dhash: dataHash,
+            productId: productUID,
+            nonce: ++nonce,
+            expiration
+        };
+        const signature = await sdk.signPermission(dataOwner, dataMgt, message);
+        return [dataOwner.address, signature, dataHash, productUID, message.nonce, expiration];
+    }
+
+    before(async function () {
+        [rejuve, dataOwner, relayerSigner] = await ethers.getSigners();
+        lab = ethers.Wallet.createRandom();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rejuve-relayer-"));
+
+        const config = loadConfig(path.join(__dirname, "..", "..", "deploy", "localhost.json"));
+        config.forwarder = {};
+        manifest = await deployPlatform(hre, config, {
+            manifestPath: path.join(tmpDir, "hardhat.json"),
+            log: silent
+        });
+        const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+        identityToken = await at("IdentityToken");
+        dataMgt = await at("DataManagement");
+        productNFT = await at("ProductNFT");
+        forwarder = await at("Forwarder");
+
+        for (const user of [dataOwner, lab]) {
+            const message = { kyc, signer: user.address, uri: "/tokenURIHere", nonce: ++nonce };
+            const signature = await sdk.signIdentity(user, identityToken, message);
+            await identityToken.createIdentity(signature, kyc, user.address, message.uri, message.nonce);
+        }
+        const message = { signer: dataOwner.address, dhash: dataHash, nonce: ++nonce };
+        const signature = await sdk.signDataSubmission(dataOwner, dataMgt, message);
+        await dataMgt.submitData(dataOwner.address, signature, dataHash, message.nonce);
+
+        const relayer = createRelayer({
+            signer: relayerSigner,
+            forwarder: manifest.contracts.Forwarder.address,
+            contracts: contractsFromManifest(manifest)
+        });
+        server = createRelayServer(relayer);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(function () {
+        server.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should deploy the forwarder and trust it in lab-side contracts", async function () {
+        expect(await dataMgt.getTrustedForwarder()).to.equal(forwarder.address);
+        expect(await productNFT.getTrustedForwarder()).to.equal(forwarder.address);
+    });
+
+    it("Should serve the forwarder nonce of a lab", async function () {
+        const response = await fetch(`${baseUrl}/nonce/${lab.address}`);
+        expect(await response.json()).to.deep.equal({ nonce: "0" });
+    });
+
+    it("Should relay getPermission for a lab without ETH", async function () {
+        const forwardCall = await sdk.signForwardCall(lab, forwarder, dataMgt, "getPermission", await permissionArgs());
+
+        const verified = await post("/verify", forwardCall);
+        expect(verified.body).to.deep.equal({ contract: "DataManagement", method: "getPermission" });
+
+        const relayed = await post("/relay", forwardCall);
+        expect(relayed.status).to.equal(200);
+        expect(relayed.body.method).to.equal("getPermission");
+        expect(await dataMgt.getPermissionStatus(dataHash, productUID)).to.equal(1);
+        expect(await ethers.provider.getBalance(lab.address)).to.equal(0);
+    });
+
+    it("Should relay createProduct and linkNewData", async function () {
+        const product = {
+            productUID,
+            nonce: ++nonce,
+            productURI: "/productURI",
+            signer: rejuve.address,
+            dataHashes: [dataHash],
+            creditScores: [10],
+            caller: lab.address
+        };
+        const productSign = await sdk.signProduct(rejuve, productNFT, product);
+        const forwardCall = await sdk.signForwardCall(lab, forwarder, productNFT, "createProduct", [
+            productUID, product.nonce, product.productURI, rejuve.address, productSign, product.dataHashes, product.creditScores
+        ]);
+
+        expect((await post("/relay", forwardCall)).status).to.equal(200);
+        expect(await productNFT.ownerOf(productUID)).to.equal(lab.address);
+
+        // linking data without permission is refused by ProductNFT, reason is reported
+        const link = { ...product, nonce: ++nonce, dataHashes: [otherDataHash] };
+        const linkSign = await sdk.signProduct(rejuve, productNFT, link);
+        const linkCall = await sdk.signForwardCall(lab, forwarder, productNFT, "linkNewData", [
+            productUID, link.nonce, link.productURI, rejuve.address, linkSign, link.dataHashes, link.creditScores
+        ], { gas: 500000 });
+        const rejected = await post("/relay", linkCall);
+        expect(rejected.status).to.equal(400);
+        expect(rejected.body.error).to.match(/^REJUVE: /);
+        expect(await forwarder.getNonce(lab.address)).to.equal(2);
+    });
+
+    it("Should refuse a replayed request", async function () {
+        const forwardCall = await sdk.signForwardCall(lab, forwarder, dataMgt, "getPermission", await permissionArgs());
+        expect((await post("/relay", forwardCall)).status).to.equal(200);
+
+        const replayed = await post("/relay", forwardCall);
+        expect(replayed.body).to.deep.equal({ error: "REJUVE: Invalid Forward Request" });
+    });
+
+    it("Should refuse functions and contracts that are not relayed", async function () {
+        const revoke = await sdk.signForwardCall(lab, forwarder, dataMgt, "revokePermission", [dataHash, productUID], { gas: 500000 });
+        expect((await post("/relay", revoke)).body).to.deep.equal({ error: "REJUVE: Function Not Relayed" });
+
+        const pause = await sdk.signForwardCall(lab, forwarder, identityToken, "pause", [], { gas: 500000 });
+        expect((await post("/relay", pause)).body).to.deep.equal({ error: "REJUVE: Target Not Relayed" });
+    });
+
+    it("Should refuse requests above the gas limit", async function () {
+        const forwardCall = await sdk.signForwardCall(
+            lab, forwarder, dataMgt, "getPermission", await permissionArgs(), { gas: 10000000 }
+        );
+        expect((await post("/relay", forwardCall)).body).to.deep.equal({ error: "REJUVE: Gas Limit Exceeded" });
+    });
+});